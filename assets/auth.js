@@ -18,31 +18,8 @@
     const USER_KEY    = 'duka_user';
     const SHOP_KEY    = 'duka_shop';
 
-    // ════════════════════════════════════════════════════════════
-    // ROLE-BASED PAGE ACCESS RULES
-    // ════════════════════════════════════════════════════════════
-    const PAGE_ACCESS_RULES = {
-        'administrator': {
-            allowed: ['*'],
-            homepage: 'dashboard.html'
-        },
-        'manager': {
-            allowed: ['dashboard.html', 'pos.html', 'products.html', 'inventory.html', 'customers.html', 'suppliers.html', 'supply-requests.html'],
-            homepage: 'dashboard.html'
-        },
-        'cashier': {
-            allowed: ['pos.html', 'products.html', 'customers.html'],
-            homepage: 'pos.html'
-        },
-        'supplier': {
-            allowed: ['suppliers.html'],
-            homepage: 'suppliers.html'
-        },
-        'customer': {
-            allowed: ['customers.html'],
-            homepage: 'customers.html'
-        }
-    };
+    // Which role may open which page is decided by the permission
+    // registry in assets/page-access-guard.js (window.permissions).
 
     // ════════════════════════════════════════════════════════════
     // REDIRECT LOOP GUARD
@@ -68,90 +45,60 @@
         const user = getCurrentUser();
         if (!user) return false;
 
-        const currentPage = window.location.pathname.split('/').pop() || 'index.html';
-        const userRules   = PAGE_ACCESS_RULES[user.role];
+        // Pages without the guard script (login, landing) have no page rules
+        if (!window.permissions) return true;
 
-        if (!userRules) {
-            console.error('Unknown role:', user.role);
-            return false;
-        }
-
-        if (userRules.allowed.includes('*')) return true;
-
-        const hasAccess = userRules.allowed.includes(currentPage);
-        if (!hasAccess) {
+        const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+        if (!window.permissions.canAccessPage(currentPage, user)) {
             console.warn(`Access denied: ${user.role} cannot access ${currentPage}`);
-            safeRedirect(userRules.homepage);
+            safeRedirect(window.permissions.homepageFor(user));
             return false;
         }
 
         return true;
     }
 
-    async function hashPassword(password) {
-        const encoder    = new TextEncoder();
-        const data       = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray  = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    }
-
-    function generateSessionToken() {
-        const array = new Uint8Array(32);
-        crypto.getRandomValues(array);
-        return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
-    }
-
     // ════════════════════════════════════════════════════════════
     // LOGIN
     // ════════════════════════════════════════════════════════════
     async function login(username, password) {
         try {
             console.log('🔐 Attempting login for:', username);
-            const passwordHash = await hashPassword(password);
-
-            const { data: users, error } = await window.DukaPOS.supabaseClient
-                .from('users')
-                .select(`*, shops(id, shop_name, shop_code, owner_name, is_active)`)
-                .eq('username', username)
-                .eq('password_hash', passwordHash)
-                .eq('is_active', true)
-                .limit(1);
-
-            if (error) throw error;
-            if (!users || users.length === 0) throw new Error('Invalid username or password');
 
-            const user = users[0];
-            if (!user.shops || !user.shops.is_active) throw new Error('Shop is inactive. Please contact support.');
-
-            const sessionToken = generateSessionToken();
-            const expiresAt    = new Date();
-            expiresAt.setHours(expiresAt.getHours() + 8);
-            const loginTime = new Date().toISOString();
-
-            const { data: sessionData, error: sessionError } = await window.DukaPOS.supabaseClient
-                .from('user_sessions')
-                .insert([{ user_id: user.id, session_token: sessionToken, login_time: loginTime, is_active: true, expires_at: expiresAt.toISOString() }])
-                .select();
+            // Password check, lockout and session creation all happen in the
+            // auth-login Edge Function — the browser never sees password_hash
+            const { SUPABASE_URL, SUPABASE_ANON_KEY } = window.DukaPOS;
+            let response;
+            try {
+                response = await fetch(`${SUPABASE_URL}/functions/v1/auth-login`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type':  'application/json',
+                        'apikey':        SUPABASE_ANON_KEY,
+                        'Authorization': `Bearer ${SUPABASE_ANON_KEY}`
+                    },
+                    body: JSON.stringify({ username: username.trim(), password })
+                });
+            } catch (networkError) {
+                throw new Error('Cannot reach the server. Check your internet connection.');
+            }
 
-            if (sessionError) throw sessionError;
-            const sessionId = sessionData[0].id;
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Login failed (HTTP ${response.status})`);
+            }
 
-            await window.DukaPOS.supabaseClient.from('users').update({ last_login: loginTime }).eq('id', user.id);
-            await window.DukaPOS.supabaseClient.from('activity_logs').insert([{
-                user_id: user.id, session_id: sessionId, action_type: 'login',
-                action_details: { username: user.username, full_name: user.full_name, role: user.role, shop_name: user.shops.shop_name }
-            }]);
+            const { user, shop, session_token: sessionToken } = result;
 
             localStorage.setItem(SESSION_KEY, sessionToken);
             localStorage.setItem(USER_KEY, JSON.stringify({
                 id: user.id, username: user.username, full_name: user.full_name,
                 role: user.role, email: user.email, shop_id: user.shop_id
             }));
-            localStorage.setItem(SHOP_KEY, JSON.stringify(user.shops));
+            localStorage.setItem(SHOP_KEY, JSON.stringify(shop));
 
-            console.log('✅ Login successful:', user.full_name, '-', user.shops.shop_name);
-            return { success: true, user, shop: user.shops };
+            console.log('✅ Login successful:', user.full_name, '-', shop.shop_name);
+            return { success: true, user, shop };
         } catch (error) {
             console.error('❌ Login failed:', error);
             return { success: false, error: error.message };
@@ -311,8 +258,7 @@
 
             if (userLevel < requiredLevel) {
                 alert('You do not have permission to access this page.');
-                const userRules = PAGE_ACCESS_RULES[user.role];
-                safeRedirect(userRules ? userRules.homepage : 'login.html');
+                safeRedirect(window.permissions ? window.permissions.homepageFor(user) : 'login.html');
                 return false;
             }
         }
@@ -323,27 +269,26 @@
     // ════════════════════════════════════════════════════════════
     // USER MANAGEMENT (unchanged)
     // ════════════════════════════════════════════════════════════
+    function canManageUsers(user) {
+        return window.permissions ? window.permissions.can('users.manage', user) : user.role === 'administrator';
+    }
+
     async function createUser(userData) {
         try {
             const currentUser = getCurrentUser();
-            const currentShop = getCurrentShop();
-            if (currentUser.role !== 'administrator') throw new Error('Only administrators can create users');
-
-            const { data: existingUser } = await window.DukaPOS.supabaseClient
-                .from('users').select('id').eq('username', userData.username).single();
-            if (existingUser) throw new Error('Username already exists. Please choose a different username.');
-
-            const passwordHash = await hashPassword(userData.password);
-            const { data, error } = await window.DukaPOS.supabaseClient
-                .from('users')
-                .insert([{ shop_id: currentShop.id, username: userData.username, password_hash: passwordHash,
-                    full_name: userData.full_name, role: userData.role, email: userData.email,
-                    phone: userData.phone, created_by: currentUser.id }])
-                .select();
+            if (!canManageUsers(currentUser)) throw new Error('Your role cannot create users');
+
+            // Hashed with PBKDF2 by the auth-account Edge Function; the shop
+            // and created_by come from this session there
+            const result = await window.DukaPOS.accountRequest({
+                action: 'create_user',
+                user: { username: userData.username, password: userData.password, full_name: userData.full_name,
+                    role: userData.role, email: userData.email, phone: userData.phone }
+            });
+            if (!result.success) throw new Error(result.error);
 
-            if (error) throw error;
             console.log('✅ User created:', userData.username);
-            return { success: true, user: data[0] };
+            return { success: true, user: result.user };
         } catch (error) {
             console.error('❌ Create user failed:', error);
             return { success: false, error: error.message };
@@ -374,20 +319,29 @@
         try {
             const currentUser = getCurrentUser();
             const currentShop = getCurrentShop();
-            if (currentUser.role !== 'administrator') throw new Error('Only administrators can update users');
+            if (!canManageUsers(currentUser)) throw new Error('Your role cannot update users');
 
             const { data: targetUser } = await window.DukaPOS.supabaseClient
                 .from('users').select('shop_id').eq('id', userId).single();
             if (!targetUser || targetUser.shop_id !== currentShop.id) throw new Error('Cannot update users from other shops');
 
-            if (updates.password) { updates.password_hash = await hashPassword(updates.password); delete updates.password; }
+            const { password, ...fields } = updates;
+            if (password) {
+                const result = await window.DukaPOS.accountRequest({ action: 'set_password', user_id: userId, password });
+                if (!result.success) throw new Error(result.error);
+            }
 
-            const { data, error } = await window.DukaPOS.supabaseClient
-                .from('users').update(updates).eq('id', userId).select();
-            if (error) throw error;
+            let user = null;
+            if (Object.keys(fields).length) {
+                const { data, error } = await window.DukaPOS.supabaseClient
+                    .from('users').update(fields).eq('id', userId)
+                    .select('id, username, full_name, role, email, phone, is_active, created_at, last_login, created_by, shop_id');
+                if (error) throw error;
+                user = data[0];
+            }
 
             console.log('✅ User updated:', userId);
-            return { success: true, user: data[0] };
+            return { success: true, user };
         } catch (error) {
             console.error('❌ Update user failed:', error);
             return { success: false, error: error.message };
@@ -398,7 +352,7 @@
         try {
             const currentUser = getCurrentUser();
             const currentShop = getCurrentShop();
-            if (currentUser.role !== 'administrator') throw new Error('Only administrators can deactivate users');
+            if (!canManageUsers(currentUser)) throw new Error('Your role cannot deactivate users');
             if (userId === currentUser.id) throw new Error('You cannot deactivate your own account');
 
             const { data: targetUser } = await window.DukaPOS.supabaseClient
@@ -535,7 +489,7 @@
         checkSession, requireAuth, createUser, updateUser,
         deactivateUser, getAllUsers, getUserSessions,
         getActivityLogs, getUserStatistics, getUserStatisticsById,
-        checkPageAccess, PAGE_ACCESS_RULES
+        checkPageAccess
     });
 
     console.log('🔐 Multi-tenant authModule loaded with role-based access control');
@@ -0,0 +1,276 @@
+/**
+ * Barcode Labels - shelf labels with scannable barcodes
+ *
+ * Draws Code128 and EAN-13 barcodes as SVG (no library needed) and lays
+ * labels out for A4 sticker sheets or 40×30mm thermal label rolls. Labels
+ * are printed from a hidden frame, so printing straight after a save is
+ * not caught by popup blockers.
+ *
+ * Layout and field choices are saved on this device, like printer settings.
+ */
+(function() {
+    'use strict';
+
+    const STORAGE_KEY = 'duka_label_settings';
+    const DEFAULT_SETTINGS = {
+        layout:      'a4-24',
+        symbology:   'auto',
+        showName:    true,
+        showPrice:   true,
+        showExpiry:  true,
+        showCode:    true,
+        copies:      1,
+        skip:        0,       // stickers already used on the first A4 sheet
+        autoReprint: true     // print a fresh label when a price is changed here
+    };
+
+    // Sheet sizes in mm. Roll layouts print one label per page.
+    const LAYOUTS = {
+        'a4-24':      { label: 'A4 sheet · 24 per page (70 × 37 mm)',   sheet: true, cols: 3, rows: 8,  width: 70,   height: 37 },
+        'a4-40':      { label: 'A4 sheet · 40 per page (52.5 × 29.7 mm)', sheet: true, cols: 4, rows: 10, width: 52.5, height: 29.7 },
+        'roll-40x30': { label: 'Thermal roll · 40 × 30 mm',             sheet: false, width: 40, height: 30 }
+    };
+
+    // ════════════════════════════════════════════════════════════
+    // CODE 128 — bar/space widths for values 0–106 (106 = stop)
+    // ════════════════════════════════════════════════════════════
+    const CODE128 = [
+        '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+        '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+        '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+        '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+        '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+        '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+        '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+        '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+        '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+        '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+        '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+    ];
+    const START_B = 104, START_C = 105, CODE_B = 100, CODE_C = 99, STOP = 106;
+
+    // Values to encode: code set B for text, switching to C (two digits per
+    // symbol) for runs of digits long enough to make the barcode shorter
+    function code128Values(text) {
+        const isDigits = (from, n) => from + n <= text.length && /^\d+$/.test(text.substr(from, n));
+        const values = [];
+        let i = 0;
+        let set = isDigits(0, 4) && (text.length === 4 || isDigits(0, text.length) || isDigits(0, 6)) ? 'C' : 'B';
+        values.push(set === 'C' ? START_C : START_B);
+        while (i < text.length) {
+            if (set === 'C') {
+                if (isDigits(i, 2)) { values.push(Number(text.substr(i, 2))); i += 2; continue; }
+                values.push(CODE_B); set = 'B';
+            }
+            let run = 0;
+            while (isDigits(i + run, 1)) run++;
+            if (run >= 6 || (run >= 4 && i + run === text.length)) {
+                // An odd run keeps its first digit in B so the rest pairs up
+                if (run % 2) { values.push(text.charCodeAt(i) - 32); i++; }
+                values.push(CODE_C); set = 'C';
+                continue;
+            }
+            const code = text.charCodeAt(i);
+            if (code < 32 || code > 127) throw new Error(`"${text[i]}" cannot be put in a Code128 barcode`);
+            values.push(code - 32);
+            i++;
+        }
+        const checksum = values.reduce((sum, v, idx) => sum + v * (idx || 1), 0) % 103;
+        return [...values, checksum, STOP];
+    }
+
+    /** Module widths, alternating bar and space, starting with a bar */
+    function encodeCode128(text) {
+        return code128Values(String(text)).map(v => CODE128[v]).join('').split('').map(Number);
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // EAN-13
+    // ════════════════════════════════════════════════════════════
+    const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+    const EAN_G = ['0100111', '0110011', '0011011', '0100001', '0011101', '0111001', '0000101', '0010001', '0001001', '0010111'];
+    const EAN_R = ['1110010', '1100110', '1101100', '1000010', '1011100', '1001110', '1010000', '1000100', '1001000', '1110100'];
+    const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+    function ean13CheckDigit(first12) {
+        const sum = first12.split('').reduce((s, d, i) => s + Number(d) * (i % 2 ? 3 : 1), 0);
+        return (10 - sum % 10) % 10;
+    }
+
+    function isValidEan13(code) {
+        return /^\d{13}$/.test(code) && ean13CheckDigit(code.slice(0, 12)) === Number(code[12]);
+    }
+
+    /** Module widths for a 13-digit EAN (or 12 digits — the check digit is added) */
+    function encodeEan13(code) {
+        code = String(code);
+        if (/^\d{12}$/.test(code)) code += ean13CheckDigit(code);
+        if (!isValidEan13(code)) throw new Error(`${code} is not a valid EAN-13`);
+        const parity = EAN_PARITY[Number(code[0])];
+        let bits = '101';
+        for (let i = 1; i <= 6; i++) bits += (parity[i - 1] === 'L' ? EAN_L : EAN_G)[Number(code[i])];
+        bits += '01010';
+        for (let i = 7; i <= 12; i++) bits += EAN_R[Number(code[i])];
+        bits += '101';
+        // Run-length encode into the same widths form as Code128
+        const widths = [];
+        let run = 1;
+        for (let i = 1; i <= bits.length; i++) {
+            if (bits[i] === bits[i - 1]) run++;
+            else { widths.push(run); run = 1; }
+        }
+        return widths;
+    }
+
+    function symbologyFor(value, preferred = 'auto') {
+        if (preferred === 'ean13' || (preferred === 'auto' && isValidEan13(String(value)))) return 'ean13';
+        return 'code128';
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // SVG
+    // ════════════════════════════════════════════════════════════
+
+    /**
+     * @param {string} value
+     * @param {object} [opts] - { symbology: 'auto'|'code128'|'ean13', height (in modules) }
+     * @returns {string} an <svg> that stretches to its container
+     */
+    function renderSvg(value, opts = {}) {
+        const symbology = symbologyFor(value, opts.symbology);
+        const widths    = symbology === 'ean13' ? encodeEan13(value) : encodeCode128(value);
+        const quiet     = 10;
+        const height    = opts.height || 50;
+        let x = quiet;
+        let rects = '';
+        widths.forEach((w, i) => {
+            if (i % 2 === 0) rects += `<rect x="${x}" y="0" width="${w}" height="${height}"/>`;
+            x += w;
+        });
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${x + quiet} ${height}" preserveAspectRatio="none" shape-rendering="crispEdges" class="barcode-svg">`
+            + `<rect width="100%" height="100%" fill="#fff"/><g fill="#000">${rects}</g></svg>`;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // LABELS
+    // ════════════════════════════════════════════════════════════
+    const esc = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+    function getSettings() {
+        try {
+            return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') };
+        } catch (e) {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    function saveSettings(updates) {
+        const settings = { ...getSettings(), ...updates };
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+        return settings;
+    }
+
+    /** One label's inner HTML for a product */
+    function labelHtml(product, settings = getSettings()) {
+        const expiry = settings.showExpiry && product.expiry_date
+            ? new Date(product.expiry_date).toLocaleDateString('en-KE', { day: 'numeric', month: 'short', year: 'numeric' })
+            : '';
+        let barcode = '';
+        if (product.barcode) {
+            try {
+                barcode = `<div class="lbl-bars">${renderSvg(product.barcode, { symbology: settings.symbology })}</div>`
+                    + (settings.showCode ? `<div class="lbl-code">${esc(product.barcode)}</div>` : '');
+            } catch (err) {
+                barcode = `<div class="lbl-code">${esc(err.message)}</div>`;
+            }
+        }
+        return (settings.showName ? `<div class="lbl-name">${esc(product.name)}</div>` : '')
+            + (settings.showPrice ? `<div class="lbl-price">KES ${Number(product.price || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</div>` : '')
+            + (expiry ? `<div class="lbl-expiry">Exp ${esc(expiry)}</div>` : '')
+            + barcode;
+    }
+
+    function labelCss(layout) {
+        const page = layout.sheet ? 'A4' : `${layout.width}mm ${layout.height}mm`;
+        return `@page { size: ${page}; margin: 0; }
+            * { box-sizing: border-box; }
+            body { margin: 0; font-family: Arial, sans-serif; color: #000; }
+            .sheet { width: 210mm; height: 297mm; display: grid; align-content: center; justify-content: center;
+                     grid-template-columns: repeat(${layout.cols || 1}, ${layout.width}mm); grid-auto-rows: ${layout.height}mm; page-break-after: always; }
+            .sheet:last-child, .label.roll:last-child { page-break-after: auto; }
+            .label { width: ${layout.width}mm; height: ${layout.height}mm; padding: 1.5mm 2mm; overflow: hidden;
+                     display: flex; flex-direction: column; justify-content: space-between; text-align: center; }
+            .label.roll { page-break-after: always; }
+            .lbl-name { font-size: ${layout.height < 32 ? 7.5 : 9}pt; font-weight: 700; line-height: 1.15; max-height: 2.3em; overflow: hidden; }
+            .lbl-price { font-size: ${layout.height < 32 ? 11 : 14}pt; font-weight: 900; }
+            .lbl-expiry { font-size: 6.5pt; }
+            .lbl-bars { flex: 1; min-height: 6mm; max-height: 12mm; }
+            .lbl-bars svg { width: 100%; height: 100%; display: block; }
+            .lbl-code { font-family: 'Courier New', monospace; font-size: 6.5pt; letter-spacing: 0.5px; }`;
+    }
+
+    /** Full printable document for the given products (copies each) */
+    function labelsDocument(products, settings = getSettings()) {
+        const layout = LAYOUTS[settings.layout] || LAYOUTS[DEFAULT_SETTINGS.layout];
+        const copies = Math.max(1, Math.floor(settings.copies) || 1);
+        const labels = products.flatMap(p => Array(copies).fill(labelHtml(p, settings)));
+        let body;
+        if (layout.sheet) {
+            const perSheet = layout.cols * layout.rows;
+            const skip = Math.min(Math.max(0, Math.floor(settings.skip) || 0), perSheet - 1);
+            const cells = [...Array(skip).fill(''), ...labels];
+            const sheets = [];
+            for (let i = 0; i < cells.length; i += perSheet) {
+                sheets.push(`<div class="sheet">${cells.slice(i, i + perSheet).map(c => `<div class="label">${c}</div>`).join('')}</div>`);
+            }
+            body = sheets.join('');
+        } else {
+            body = labels.map(l => `<div class="label roll">${l}</div>`).join('');
+        }
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Shelf Labels</title><style>${labelCss(layout)}</style></head><body>${body}</body></html>`;
+    }
+
+    /** A single label on its own, for the designer's live preview */
+    function previewDocument(product, settings = getSettings()) {
+        const layout = LAYOUTS[settings.layout] || LAYOUTS[DEFAULT_SETTINGS.layout];
+        return `<!DOCTYPE html><html><head><meta charset="UTF-8"><style>${labelCss(layout)} body { background: #fff; }</style></head>`
+            + `<body><div class="label">${labelHtml(product, settings)}</div></body></html>`;
+    }
+
+    /**
+     * Print labels through a hidden frame.
+     * @param {Array} products - product rows (name, price, barcode, expiry_date)
+     * @param {object} [overrides] - settings for this print only
+     * @returns {{ success, count?, error? }}
+     */
+    function printLabels(products, overrides = {}) {
+        try {
+            if (!products.length) throw new Error('No products to print labels for');
+            const settings = { ...getSettings(), ...overrides };
+            let frame = document.getElementById('labelPrintFrame');
+            if (!frame) {
+                frame = document.createElement('iframe');
+                frame.id = 'labelPrintFrame';
+                frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;';
+                document.body.appendChild(frame);
+            }
+            const doc = frame.contentWindow.document;
+            doc.open();
+            doc.write(labelsDocument(products, settings));
+            doc.close();
+            setTimeout(() => { frame.contentWindow.focus(); frame.contentWindow.print(); }, 300);
+            return { success: true, count: products.length * Math.max(1, Math.floor(settings.copies) || 1) };
+        } catch (err) {
+            console.error('printLabels failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    window.barcodeLabels = {
+        LAYOUTS, getSettings, saveSettings,
+        encodeCode128, encodeEan13, isValidEan13, ean13CheckDigit, renderSvg,
+        labelHtml, labelsDocument, previewDocument, printLabels
+    };
+
+    console.log('✅ Barcode Labels loaded');
+})();
@@ -0,0 +1,193 @@
+/**
+ * Barcode Scanner - keyboard-wedge (HID) scanners and camera scanning
+ *
+ * Wedge scanners "type" the code followed by Enter, much faster than a
+ * person can. attachWedge() watches keystrokes for such bursts and hands
+ * the code over, taking the typed characters back out of whatever input
+ * had focus.
+ *
+ * Camera scanning uses the browser's BarcodeDetector where there is one
+ * (Chrome on Android, Safari 17+). Elsewhere the ZXing decoder (vendored
+ * as assets/zxing.min.js and precached by sw.js, so it works offline) is
+ * loaded on first use. Both read EAN-13/EAN-8/UPC, Code128 and QR.
+ */
+(function() {
+    'use strict';
+
+    const WEDGE_MAX_GAP_MS = 50;     // people type ~150ms apart; scanners under 30ms
+    const WEDGE_MIN_LENGTH = 4;
+    const REPEAT_COOLDOWN_MS = 1500; // the camera sees the same code many times a second
+    const FALLBACK_SRC = 'assets/zxing.min.js';   // @zxing/library 0.21.3 UMD build
+    const NATIVE_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e', 'code_128', 'qr_code'];
+
+    // ════════════════════════════════════════════════════════════
+    // FEEDBACK — short high beep for a hit, low buzz for a miss
+    // ════════════════════════════════════════════════════════════
+    let audioCtx = null;
+
+    function feedback(ok = true) {
+        try {
+            audioCtx = audioCtx || new (window.AudioContext || window.webkitAudioContext)();
+            const osc  = audioCtx.createOscillator();
+            const gain = audioCtx.createGain();
+            osc.type = 'square';
+            osc.frequency.value = ok ? 1800 : 280;
+            gain.gain.value = 0.06;
+            osc.connect(gain).connect(audioCtx.destination);
+            osc.start();
+            osc.stop(audioCtx.currentTime + (ok ? 0.08 : 0.25));
+        } catch (e) { /* no audio — vibration still works */ }
+        if (navigator.vibrate) navigator.vibrate(ok ? 60 : [80, 60, 80]);
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // KEYBOARD WEDGE
+    // ════════════════════════════════════════════════════════════
+
+    /**
+     * @param {function(string, string)} onScan - called with (code, 'wedge')
+     * @param {object} [opts] - { accept(target) → false to ignore keystrokes there,
+     *                            maxGapMs, minLength }
+     * @returns {function} detach
+     */
+    function attachWedge(onScan, opts = {}) {
+        const maxGap    = opts.maxGapMs  || WEDGE_MAX_GAP_MS;
+        const minLength = opts.minLength || WEDGE_MIN_LENGTH;
+        let buffer = '';
+        let last   = 0;
+        let target = null;
+
+        function onKeyDown(e) {
+            const now = performance.now();
+            if (now - last > maxGap) { buffer = ''; target = e.target; }
+            last = now;
+
+            if (e.key === 'Enter') {
+                const code = buffer.trim();
+                buffer = '';
+                if (code.length < minLength || (opts.accept && !opts.accept(target))) return;
+                e.preventDefault();
+                e.stopPropagation();
+                // The burst went into the focused field as well — take it back out
+                if (target && 'value' in target && String(target.value).endsWith(code)) {
+                    target.value = target.value.slice(0, -code.length);
+                    target.dispatchEvent(new Event('input', { bubbles: true }));
+                }
+                onScan(code, 'wedge');
+                return;
+            }
+            if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) buffer += e.key;
+        }
+
+        document.addEventListener('keydown', onKeyDown, true);
+        return () => document.removeEventListener('keydown', onKeyDown, true);
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // CAMERA
+    // ════════════════════════════════════════════════════════════
+    let stream    = null;
+    let timer     = null;
+    let zxing     = null;   // active ZXing reader
+    let fallback  = null;   // promise of the loaded ZXing global
+    let lastCode  = null;
+    let lastAt    = 0;
+
+    async function nativeDetector() {
+        if (!('BarcodeDetector' in window)) return null;
+        try {
+            const supported = await window.BarcodeDetector.getSupportedFormats();
+            const formats = NATIVE_FORMATS.filter(f => supported.includes(f));
+            return formats.length ? new window.BarcodeDetector({ formats }) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function loadFallback() {
+        if (window.ZXing) return Promise.resolve(window.ZXing);
+        if (!fallback) {
+            fallback = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = FALLBACK_SRC;
+                script.onload  = () => resolve(window.ZXing);
+                script.onerror = () => { fallback = null; reject(new Error('Could not load the barcode decoder')); };
+                document.head.appendChild(script);
+            });
+        }
+        return fallback;
+    }
+
+    /**
+     * Open the rear camera into a <video> and scan continuously until
+     * stopCamera(). The same code is reported at most once per cooldown.
+     * @param {HTMLVideoElement} video
+     * @param {function(string, string)} onScan - called with (code, format)
+     * @returns {{ success, engine?: 'native' | 'zxing', error? }}
+     */
+    async function startCamera(video, onScan) {
+        stopCamera();
+        try {
+            if (!navigator.mediaDevices?.getUserMedia) throw new Error('This browser cannot use the camera');
+            stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false });
+            video.setAttribute('playsinline', '');
+            video.muted = true;
+            video.srcObject = stream;
+            await video.play();
+
+            const report = (code, format) => {
+                const now = Date.now();
+                if (code === lastCode && now - lastAt < REPEAT_COOLDOWN_MS) return;
+                lastCode = code; lastAt = now;
+                onScan(code, format);
+            };
+
+            const detector = await nativeDetector();
+            if (detector) {
+                const tick = async () => {
+                    if (!stream) return;
+                    try {
+                        const found = await detector.detect(video);
+                        if (found.length) report(found[0].rawValue, found[0].format);
+                    } catch (e) { /* frame not ready yet */ }
+                    if (stream) timer = setTimeout(tick, 150);
+                };
+                tick();
+                return { success: true, engine: 'native' };
+            }
+
+            const ZX = await loadFallback();
+            if (!stream) return { success: false, error: 'Camera closed' };
+            const hints = new Map();
+            hints.set(ZX.DecodeHintType.POSSIBLE_FORMATS, [
+                ZX.BarcodeFormat.EAN_13, ZX.BarcodeFormat.EAN_8, ZX.BarcodeFormat.UPC_A,
+                ZX.BarcodeFormat.UPC_E, ZX.BarcodeFormat.CODE_128, ZX.BarcodeFormat.QR_CODE
+            ]);
+            zxing = new ZX.BrowserMultiFormatReader(hints);
+            zxing.decodeFromStream(stream, video, result => {
+                if (result) report(result.getText(), ZX.BarcodeFormat[result.getBarcodeFormat()]);
+            });
+            return { success: true, engine: 'zxing' };
+        } catch (err) {
+            stopCamera();
+            console.error('startCamera failed:', err);
+            const denied = err.name === 'NotAllowedError';
+            return { success: false, error: denied ? 'Camera permission was denied' : err.message };
+        }
+    }
+
+    function stopCamera() {
+        clearTimeout(timer);
+        timer = null;
+        if (zxing) { zxing.reset(); zxing = null; }
+        if (stream) { stream.getTracks().forEach(t => t.stop()); stream = null; }
+        lastCode = null;
+    }
+
+    window.barcodeScanner = {
+        attachWedge, startCamera, stopCamera, feedback,
+        isCameraActive: () => !!stream
+    };
+
+    console.log('✅ Barcode Scanner loaded');
+})();
@@ -37,10 +37,13 @@
     async function createCustomer(customerData) {
         try {
             const shopId = getCurrentShopId();
-            const { data, error } = await window.DukaPOS.supabaseClient
+            const db = window.DukaPOS.supabaseClient;
+            const { data, error } = await db
                 .from('customers').insert([{ ...customerData, shop_id: shopId }]).select().single();
             if (error) throw error;
-            return { success: true, data };
+            // A signup bonus lands after the insert, so read the balance back
+            const { data: fresh } = await db.from('customers').select('*').eq('id', data.id).single();
+            return { success: true, data: fresh || data };
         } catch (err) {
             console.error('createCustomer failed:', err);
             return { success: false, error: err.message };
@@ -217,27 +220,555 @@
         }
     }
 
-    async function updateInventory(productId, quantityChange, operation = 'subtract') {
+    /**
+     * Move stock through the adjust_stock RPC so the change lands in the
+     * stock_movements ledger. A subtraction stops at zero, as it always has.
+     * @param {object} [opts] - { reason: 'adjustment'|'transfer'|'damage',
+     *                            refType, refId, note }
+     */
+    async function updateInventory(productId, quantityChange, operation = 'subtract', opts = {}) {
         try {
-            const shopId = getCurrentShopId();
-            const { data: product, error: fetchError } = await window.DukaPOS.supabaseClient
-                .from('products').select('stock').eq('id', productId).eq('shop_id', shopId).single();
-            if (fetchError) throw new Error(`Fetch error: ${fetchError.message}`);
-            if (!product) throw new Error('Product not found');
-            const currentStock = Number(product.stock) || 0;
-            const newStock = operation === 'subtract'
-                ? Math.max(0, currentStock - quantityChange)
-                : currentStock + quantityChange;
-            const { error: updateError } = await window.DukaPOS.supabaseClient
-                .from('products').update({ stock: newStock }).eq('id', productId).eq('shop_id', shopId);
-            if (updateError) throw new Error(`Update error: ${updateError.message}`);
-            return { success: true, newStock };
+            const delta = operation === 'subtract' ? -Math.abs(quantityChange) : Math.abs(quantityChange);
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('adjust_stock', {
+                p_shop_id:    getCurrentShopId(),
+                p_product_id: productId,
+                p_delta:      delta,
+                p_reason:     opts.reason  || 'adjustment',
+                p_ref_type:   opts.refType || null,
+                p_ref_id:     opts.refId   || null,
+                p_note:       opts.note    || null
+            });
+            if (error) throw error;
+            return { success: true, newStock: Number(data) };
         } catch (err) {
             console.error('updateInventory failed:', err.message);
             return { success: false, error: err.message };
         }
     }
 
+    /**
+     * Record a sale in one transaction via the process_checkout RPC:
+     * sale + items + stock decrements + loyalty + payment record.
+     * Stock is checked against the shop's oversell_policy server-side, so an
+     * oversold cart comes back as { success: false, code: 'P0001' }.
+     * The points the customer earns are worked out there too (data.points_earned).
+     * @param {object} saleData - sales row (client_sale_id makes retries safe)
+     * @param {Array}  items    - sale_items rows without sale_id
+     * @param {object} [opts]   - { payments: [{method, amount, reference}],
+     *                              loyalty: {customer_id, points_redeemed} }
+     */
+    async function checkout(saleData, items, opts = {}) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('process_checkout', {
+                p_shop_id:  getCurrentShopId(),
+                p_user_id:  currentUser?.id || null,
+                p_sale:     saleData,
+                p_items:    items,
+                p_payments: opts.payments || [],
+                p_loyalty:  opts.loyalty  || null,
+                p_offline:  false
+            });
+            if (error) throw error;
+            return { success: true, data: { ...data, id: data.sale_id } };
+        } catch (err) {
+            console.error('checkout failed:', err.message);
+            return { success: false, error: err.message, code: err.code || null };
+        }
+    }
+
+    /**
+     * Take back some lines of a past sale via the process_sale_return RPC:
+     * return document + restock + loyalty reversal + refund, in one transaction.
+     * @param {number|string} saleId
+     * @param {Array}  items - [{ sale_item_id, quantity, disposition: 'restock'|'damaged' }]
+     * @param {object} [opts] - { refundMethod: 'original'|'store_credit', reason }
+     */
+    async function returnSale(saleId, items, opts = {}) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('process_sale_return', {
+                p_shop_id:        getCurrentShopId(),
+                p_user_id:        currentUser?.id || null,
+                p_sale_id:        saleId,
+                p_items:          items,
+                p_refund_method:  opts.refundMethod || 'original',
+                p_reason:         opts.reason || null
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('returnSale failed:', err.message);
+            return { success: false, error: err.message, code: err.code || null };
+        }
+    }
+
+    /**
+     * Void a whole sale via the void_sale RPC: the sale is marked voided and
+     * every line's quantity goes back on the shelf in one transaction.
+     */
+    async function voidSale(saleId, reason) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('void_sale', {
+                p_shop_id: getCurrentShopId(),
+                p_sale_id: saleId,
+                p_reason:  reason
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('voidSale failed:', err.message);
+            return { success: false, error: err.message, code: err.code || null };
+        }
+    }
+
+    async function getSaleReturns(saleId) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('sale_returns')
+                .select('*, user:user_id(full_name), items:sale_return_items(*), refunds:sale_return_refunds(method, amount)')
+                .eq('shop_id', getCurrentShopId()).eq('sale_id', saleId)
+                .order('created_at', { ascending: true });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getSaleReturns failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    // ============================================================================
+    // STOCK LOTS & COSTING
+    // ============================================================================
+
+    /**
+     * Book a goods-received event via the receive_stock RPC: one stock lot
+     * per line at the cost paid, and the stock added, in one transaction.
+     * A document can only be received once (code 23505 on a repeat).
+     * @param {string} source   - 'supply_request' | 'supplier_order'
+     * @param {number} sourceId - id of that request / order
+     * @param {Array}  lines    - [{ product_id, quantity, unit_cost, batch_number?, expiry_date? }]
+     */
+    async function receiveStock(source, sourceId, lines) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('receive_stock', {
+                p_shop_id:   getCurrentShopId(),
+                p_user_id:   currentUser?.id || null,
+                p_source:    source,
+                p_source_id: sourceId,
+                p_lines:     lines
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('receiveStock failed:', err.message);
+            return { success: false, error: err.message, code: err.code || null };
+        }
+    }
+
+    /** Value of stock on hand per product, by the shop's costing method */
+    async function getStockValuation() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('stock_valuation', { p_shop_id: getCurrentShopId() });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getStockValuation failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /** 'fifo' or 'average' */
+    async function getCostingMethod() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('shops').select('costing_method').eq('id', getCurrentShopId()).single();
+            if (error) throw error;
+            return { success: true, data: data?.costing_method || 'fifo' };
+        } catch (err) {
+            console.error('getCostingMethod failed:', err);
+            return { success: false, error: err.message, data: 'fifo' };
+        }
+    }
+
+    async function setCostingMethod(method) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('set_costing_method', { p_shop_id: getCurrentShopId(), p_method: method });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('setCostingMethod failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** { rule: 'keep_margin' | 'markup' | 'keep_price', pct, rounding } for suggested selling prices */
+    async function getPriceMarkupRule() {
+        const fallback = { rule: 'keep_margin', pct: 30, rounding: 1 };
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('shops').select('price_markup_rule, price_markup_pct, price_rounding').eq('id', getCurrentShopId()).single();
+            if (error) throw error;
+            return {
+                success: true,
+                data: { rule: data.price_markup_rule, pct: Number(data.price_markup_pct), rounding: Number(data.price_rounding) }
+            };
+        } catch (err) {
+            console.error('getPriceMarkupRule failed:', err);
+            return { success: false, error: err.message, data: fallback };
+        }
+    }
+
+    async function setPriceMarkupRule({ rule, pct, rounding }) {
+        try {
+            const { error } = await window.DukaPOS.supabaseClient
+                .rpc('set_price_markup_rule', { p_shop_id: getCurrentShopId(), p_rule: rule, p_pct: pct, p_rounding: rounding });
+            if (error) throw error;
+            return { success: true };
+        } catch (err) {
+            console.error('setPriceMarkupRule failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** Per promotion between two instants: sales it applied to, units, discount given, takings */
+    async function getPromotionReport(from, to) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('promotion_report', { p_shop_id: getCurrentShopId(), p_from: from, p_to: to });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getPromotionReport failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /** Record that shelf labels now carry these products' current prices */
+    async function markLabelsPrinted(productIds) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('mark_labels_printed', { p_product_ids: productIds });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('markLabelsPrinted failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** { vatRate, pricesIncludeTax, kraPin, branchId, fiscalAdapter } */
+    async function getTaxSettings() {
+        const fallback = { ...window.DukaPOS.DEFAULT_TAX_SETTINGS, kraPin: '', branchId: '00', fiscalAdapter: 'off' };
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('shops').select('vat_rate, prices_include_tax, kra_pin, etims_branch_id, fiscal_adapter')
+                .eq('id', getCurrentShopId()).single();
+            if (error) throw error;
+            return {
+                success: true,
+                data: {
+                    vatRate: Number(data.vat_rate), pricesIncludeTax: data.prices_include_tax !== false,
+                    kraPin: data.kra_pin || '', branchId: data.etims_branch_id || '00', fiscalAdapter: data.fiscal_adapter
+                }
+            };
+        } catch (err) {
+            console.error('getTaxSettings failed:', err);
+            return { success: false, error: err.message, data: fallback };
+        }
+    }
+
+    async function setTaxSettings({ vatRate, pricesIncludeTax, kraPin, branchId, fiscalAdapter }) {
+        try {
+            const { error } = await window.DukaPOS.supabaseClient.rpc('set_tax_settings', {
+                p_shop_id: getCurrentShopId(), p_vat_rate: vatRate, p_prices_include_tax: pricesIncludeTax,
+                p_kra_pin: kraPin || null, p_branch_id: branchId || null, p_fiscal_adapter: fiscalAdapter
+            });
+            if (error) throw error;
+            window.fiscalModule?.resetCache();
+            return { success: true };
+        } catch (err) {
+            console.error('setTaxSettings failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** VAT by tax class between two instants: sales, returns and the net VAT due */
+    async function getTaxSummary(from, to) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('tax_summary', { p_shop_id: getCurrentShopId(), p_from: from, p_to: to });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getTaxSummary failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /** Cost and selling price changes for one product, newest first */
+    async function getPriceHistory(productId, limit = 50) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('product_price_history')
+                .select('*, user:user_id(full_name, username)')
+                .eq('shop_id', getCurrentShopId()).eq('product_id', productId)
+                .order('created_at', { ascending: false }).order('id', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getPriceHistory failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    // ============================================================================
+    // BATCHES & EXPIRY
+    // ============================================================================
+
+    /** Open batches expired or expiring within `days`, soonest first */
+    async function getExpiringBatches(days = 90) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('expiring_batches', { p_shop_id: getCurrentShopId(), p_days: days });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getExpiringBatches failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /**
+     * Write batches off the shelf and book the loss at each batch's cost.
+     * @param {Array}  lines  - [{ lot_id, quantity? }] — quantity defaults to all left
+     * @param {string} reason - 'expired' | 'damaged'
+     * @param {string} note
+     */
+    async function writeOffLots(lines, reason = 'expired', note = null) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('write_off_lots', { p_lines: lines, p_reason: reason, p_note: note || null });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('writeOffLots failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function getWriteOffs(limit = 50) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('stock_write_offs')
+                .select('*, product:product_id(name), lot:lot_id(batch_number, expiry_date), user:user_id(full_name, username)')
+                .eq('shop_id', getCurrentShopId())
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getWriteOffs failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    // ============================================================================
+    // STOCK MOVEMENTS
+    // ============================================================================
+
+    /** Ledger rows for one product, newest first */
+    async function getStockMovements(productId, limit = 200) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('stock_movements')
+                .select('*, user:user_id(full_name, username)')
+                .eq('shop_id', getCurrentShopId()).eq('product_id', productId)
+                .order('created_at', { ascending: false }).order('id', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getStockMovements failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /** Products whose stock doesn't equal the sum of their movements */
+    async function getStockReconciliation() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('stock_reconciliation', { p_shop_id: getCurrentShopId() });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getStockReconciliation failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    // ============================================================================
+    // STOCKTAKES
+    // ============================================================================
+
+    /** The shop's stocktake that is still counting, or null */
+    async function getActiveStocktake() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('stocktakes')
+                .select('*, starter:started_by(full_name, username)')
+                .eq('shop_id', getCurrentShopId()).eq('status', 'counting')
+                .maybeSingle();
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('getActiveStocktake failed:', err);
+            return { success: false, error: err.message, data: null };
+        }
+    }
+
+    async function getStocktakes(limit = 50) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('stocktakes')
+                .select('*, starter:started_by(full_name, username), poster:posted_by(full_name, username)')
+                .eq('shop_id', getCurrentShopId())
+                .order('started_at', { ascending: false })
+                .limit(limit);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getStocktakes failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /**
+     * Freeze expected quantities and open a count.
+     * @param {string} name
+     * @param {string|null} category - count one category only; null = whole shop
+     */
+    async function startStocktake(name, category = null) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('start_stocktake', {
+                p_shop_id:  getCurrentShopId(),
+                p_user_id:  currentUser?.id || null,
+                p_name:     name,
+                p_category: category || null
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('startStocktake failed:', err);
+            return { success: false, error: err.message, code: err.code || null };
+        }
+    }
+
+    /** Adds one count line; resolves to the product's counted total so far */
+    async function recordStocktakeCount(stocktakeId, productId, quantity, section = null) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('record_stocktake_count', {
+                p_stocktake_id: stocktakeId,
+                p_product_id:   productId,
+                p_quantity:     quantity,
+                p_section:      section || null,
+                p_user_id:      currentUser?.id || null
+            });
+            if (error) throw error;
+            return { success: true, data: Number(data) };
+        } catch (err) {
+            console.error('recordStocktakeCount failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function deleteStocktakeCount(countId) {
+        try {
+            const { error } = await window.DukaPOS.supabaseClient
+                .rpc('delete_stocktake_count', { p_count_id: countId });
+            if (error) throw error;
+            return { success: true };
+        } catch (err) {
+            console.error('deleteStocktakeCount failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** Count lines of a stocktake, newest first; pass userId for one counter's lines */
+    async function getStocktakeCounts(stocktakeId, { userId = null, limit = 100 } = {}) {
+        try {
+            let query = window.DukaPOS.supabaseClient
+                .from('stocktake_counts')
+                .select('*, product:product_id(name, barcode), counter:counted_by(full_name, username)')
+                .eq('stocktake_id', stocktakeId)
+                .order('created_at', { ascending: false })
+                .limit(limit);
+            if (userId) query = query.eq('counted_by', userId);
+            const { data, error } = await query;
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getStocktakeCounts failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /** Expected vs counted per product, biggest value variance first */
+    async function getStocktakeVariances(stocktakeId) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('stocktake_variances', { p_stocktake_id: stocktakeId });
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getStocktakeVariances failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /**
+     * Post the approved variances as stock adjustments and close the stocktake.
+     * @param {number}   stocktakeId
+     * @param {string}   reason          - recorded on every adjustment
+     * @param {number[]} productIds      - approved lines; null = every counted line
+     * @param {boolean}  uncountedAsZero - adjust approved, uncounted products to 0
+     */
+    async function postStocktake(stocktakeId, reason, productIds = null, uncountedAsZero = false) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('post_stocktake', {
+                p_stocktake_id:      stocktakeId,
+                p_user_id:           currentUser?.id || null,
+                p_reason:            reason,
+                p_product_ids:       productIds,
+                p_uncounted_as_zero: !!uncountedAsZero
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('postStocktake failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function cancelStocktake(stocktakeId) {
+        try {
+            const { error } = await window.DukaPOS.supabaseClient
+                .rpc('cancel_stocktake', { p_stocktake_id: stocktakeId });
+            if (error) throw error;
+            return { success: true };
+        } catch (err) {
+            console.error('cancelStocktake failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
     // ============================================================================
     // EXPENSES
     // ============================================================================
@@ -404,6 +935,109 @@
         }
     }
 
+    // ============================================================================
+    // CASH SHIFTS
+    // ============================================================================
+    async function getOpenShift() {
+        try {
+            const shopId = getCurrentShopId();
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('cash_shifts').select('*')
+                .eq('shop_id', shopId).eq('user_id', currentUser.id).eq('status', 'open')
+                .maybeSingle();
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('getOpenShift failed:', err);
+            return { success: false, error: err.message, data: null };
+        }
+    }
+
+    /** Opens a shift for the current user, or returns the one already open */
+    async function openShift(openingFloat) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('open_cash_shift', {
+                p_shop_id:       getCurrentShopId(),
+                p_user_id:       currentUser.id,
+                p_session_token: localStorage.getItem('duka_session'),
+                p_opening_float: openingFloat
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('openShift failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** kind: 'drop' (cash to the safe) or 'payout' (petty cash out of the drawer) */
+    async function recordCashMovement(shiftId, kind, amount, reason) {
+        try {
+            const shopId = getCurrentShopId();
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('cash_movements')
+                .insert([{ shift_id: shiftId, shop_id: shopId, user_id: currentUser.id, kind, amount, reason: reason || null }])
+                .select().single();
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('recordCashMovement failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** X report — takings and expected drawer so far; the shift stays open */
+    async function getShiftReport(shiftId) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('cash_shift_report', { p_shift_id: shiftId });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('getShiftReport failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** Z report — closes the shift with the blind count ({ method: amount }) */
+    async function closeShift(shiftId, counted, notes) {
+        try {
+            const currentUser = authModule.getCurrentUser();
+            const { data, error } = await window.DukaPOS.supabaseClient.rpc('close_cash_shift', {
+                p_shift_id: shiftId,
+                p_user_id:  currentUser.id,
+                p_counted:  counted,
+                p_notes:    notes || null
+            });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('closeShift failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function getShifts({ userId = null, limit = 100 } = {}) {
+        try {
+            const shopId = getCurrentShopId();
+            let query = window.DukaPOS.supabaseClient
+                .from('cash_shifts')
+                .select('*, user:user_id(full_name, username), closer:closed_by(full_name), movements:cash_movements(*)')
+                .eq('shop_id', shopId)
+                .order('opened_at', { ascending: false })
+                .limit(limit);
+            if (userId) query = query.eq('user_id', userId);
+            const { data, error } = await query;
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('getShifts failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
     // ============================================================================
     // Export
     // ============================================================================
@@ -411,9 +1045,17 @@
         getAllCustomers, createCustomer, updateCustomer, deleteCustomer,
         getAllProducts,  createProduct,  updateProduct,  deleteProduct,
         getAllSuppliers, createSupplier, updateSupplier, deleteSupplier,
-        getAllSales, createSale, updateInventory,
+        getAllSales, createSale, updateInventory, checkout, returnSale, voidSale, getSaleReturns,
+        receiveStock, getStockValuation, getCostingMethod, setCostingMethod,
+        getPriceMarkupRule, setPriceMarkupRule, getPriceHistory, markLabelsPrinted,
+        getTaxSettings, setTaxSettings, getTaxSummary, getPromotionReport,
+        getExpiringBatches, writeOffLots, getWriteOffs,
+        getStockMovements, getStockReconciliation,
+        getActiveStocktake, getStocktakes, startStocktake, recordStocktakeCount, deleteStocktakeCount,
+        getStocktakeCounts, getStocktakeVariances, postStocktake, cancelStocktake,
         getAllExpenses, createExpense, getExpensesByDateRange,
         updateExpense, deleteExpense, getExpenseStats,
+        getOpenShift, openShift, recordCashMovement, getShiftReport, closeShift, getShifts,
         getCurrentShopId
     };
 
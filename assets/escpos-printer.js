@@ -0,0 +1,413 @@
+// ════════════════════════════════════════════════════════════
+// DUKA POS - ESC/POS THERMAL PRINTER MODULE
+// Renders a sale receipt into ESC/POS commands for 58mm / 80mm
+// printers and sends them over WebUSB, Web Serial or Web Bluetooth.
+// pos.html falls back to window.print() when no transport works.
+// ════════════════════════════════════════════════════════════
+
+(function () {
+    'use strict';
+
+    const SETTINGS_KEY = 'duka_printer';
+
+    // Characters per line in the default font (Font A, 12×24)
+    const PAPER_COLUMNS = { 58: 32, 80: 48 };
+
+    const DEFAULT_SETTINGS = {
+        transport:  'browser',   // usb | serial | bluetooth | browser
+        width:      58,
+        openDrawer: true,        // kick the drawer on cash sales
+        baudRate:   9600
+    };
+
+    // Service/characteristic pairs used by the common BLE receipt printers
+    const BLE_PROFILES = [
+        { service: '000018f0-0000-1000-8000-00805f9b34fb', characteristic: '00002af1-0000-1000-8000-00805f9b34fb' },
+        { service: 'e7810a71-73ae-499d-8c15-faa9aef0c3f2', characteristic: 'bef8d6c9-9c21-4c9e-b632-bd58c1009f9f' },
+        { service: '49535343-fe7d-4ae5-8fa9-9fafd205e455', characteristic: '49535343-8841-43f4-a8d4-ecbe34729bb3' }
+    ];
+
+    const ESC = 0x1b, GS = 0x1d, LF = 0x0a;
+
+    // ════════════════════════════════════════════════════════════
+    // ENCODER
+    // ════════════════════════════════════════════════════════════
+    function toPrintable(text) {
+        // Printers run code page 437 — strip accents, replace anything else
+        return String(text ?? '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[\u2018\u2019]/g, "'").replace(/[\u201c\u201d]/g, '"').replace(/[\u2013\u2014]/g, '-')
+            .replace(/[^\x20-\x7e\n]/g, '?');
+    }
+
+    function createEncoder(width = DEFAULT_SETTINGS.width) {
+        const columns = PAPER_COLUMNS[width] || PAPER_COLUMNS[58];
+        const bytes = [];
+
+        const enc = {
+            columns,
+
+            raw(...values) { values.flat().forEach(v => bytes.push(v & 0xff)); return enc; },
+
+            init() { return enc.raw(ESC, 0x40, ESC, 0x74, 0x00); },   // reset, code page 437
+
+            align(where) { return enc.raw(ESC, 0x61, { left: 0, center: 1, right: 2 }[where] ?? 0); },
+
+            bold(on = true) { return enc.raw(ESC, 0x45, on ? 1 : 0); },
+
+            // 1 = normal, 2 = double width and height
+            size(n = 1) { const m = Math.max(1, Math.min(8, n)) - 1; return enc.raw(GS, 0x21, (m << 4) | m); },
+
+            text(str) { for (const ch of toPrintable(str)) bytes.push(ch.charCodeAt(0)); return enc; },
+
+            line(str = '') { return enc.text(str).raw(LF); },
+
+            feed(n = 1) { return enc.raw(ESC, 0x64, n); },
+
+            divider(ch = '-') { return enc.line(ch.repeat(columns)); },
+
+            // Left text and right-aligned value on one line; wraps the left side if needed
+            row(left, right, cols = columns) {
+                left = toPrintable(left); right = toPrintable(right);
+                const room = cols - right.length - 1;
+                if (left.length > room) {
+                    wrap(left, cols).forEach(l => enc.line(l));
+                    return enc.line(right.padStart(cols));
+                }
+                return enc.line(left + ' '.repeat(cols - left.length - right.length) + right);
+            },
+
+            wrapped(str, indent = '', cols = columns) {
+                wrap(toPrintable(str), cols - indent.length).forEach(l => enc.line(indent + l));
+                return enc;
+            },
+
+            // Native QR (GS ( k) — model 2, error correction M
+            qr(data, moduleSize = width >= 80 ? 6 : 4) {
+                const payload = Array.from(toPrintable(data), c => c.charCodeAt(0));
+                const len = payload.length + 3;
+                return enc.raw(
+                    GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0x00,             // model 2
+                    GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize,             // module size
+                    GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31,                   // error correction M
+                    GS, 0x28, 0x6b, len & 0xff, len >> 8, 0x31, 0x50, 0x30,   // store data
+                    payload,
+                    GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30                    // print
+                );
+            },
+
+            // Pulse pin 2 for 50ms on / 500ms off
+            drawerKick() { return enc.raw(ESC, 0x70, 0x00, 0x19, 0xfa); },
+
+            // Feed past the tear bar, then partial cut
+            cut() { return enc.raw(GS, 0x56, 0x42, 0x03); },
+
+            encode() { return Uint8Array.from(bytes); }
+        };
+        return enc;
+    }
+
+    function wrap(text, cols) {
+        const lines = [];
+        let current = '';
+        String(text).split(/\s+/).filter(Boolean).forEach(word => {
+            while (word.length > cols) {
+                if (current) { lines.push(current); current = ''; }
+                lines.push(word.slice(0, cols));
+                word = word.slice(cols);
+            }
+            if (!current) current = word;
+            else if (current.length + 1 + word.length <= cols) current += ' ' + word;
+            else { lines.push(current); current = word; }
+        });
+        if (current) lines.push(current);
+        return lines.length ? lines : [''];
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // RECEIPT LAYOUT
+    // receipt = window._lastSaleReceipt shape from pos.html
+    // ════════════════════════════════════════════════════════════
+    function money(n) {
+        return (Number(n) || 0).toFixed(2);
+    }
+
+    function renderReceipt(receipt, options = {}) {
+        const width  = options.width || getSettings().width;
+        const enc    = createEncoder(width);
+        const date   = receipt.date ? new Date(receipt.date) : new Date();
+        const isCash = receipt.payments?.length
+            ? receipt.payments.some(p => p.method === 'Cash')
+            : /cash/i.test(receipt.paymentMethod || '');
+
+        enc.init();
+
+        // ── Header ──
+        enc.align('center').bold().size(2).wrapped(options.shopName || 'Duka POS', '', Math.floor(enc.columns / 2)).size(1).bold(false);
+        enc.line('Sale Receipt');
+        enc.line(date.toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short' }));
+        enc.align('left').divider();
+        enc.row('Receipt:', '#' + String(receipt.saleId || '').slice(-6).toUpperCase());
+        enc.row('Cashier:', receipt.cashier || 'Cashier');
+        if (receipt.customer) enc.row('Customer:', receipt.customer);
+        enc.divider();
+
+        // ── Items ──
+        (receipt.items || []).forEach(item => {
+            enc.wrapped(item.name);
+            enc.row(`  ${item.qty} x ${money(item.price)}`, money(item.qty * item.price));
+            if (item.overridden) {
+                enc.wrapped(`was ${money(item.listed)}${item.reason ? ' - ' + item.reason : ''}`, '  ');
+            }
+        });
+        enc.divider();
+
+        // ── Totals ──
+        enc.row('Subtotal', money(receipt.subtotal));
+        if (receipt.overrideSavings > 0) enc.row('Price overrides', '-' + money(receipt.overrideSavings));
+        (receipt.promotions || []).forEach(p => enc.row(p.name, '-' + money(p.amount)));
+        if (receipt.loyaltyDiscount > 0) enc.row(`Loyalty (${receipt.pointsRedeemed} pts)`, '-' + money(receipt.loyaltyDiscount));
+        // Double-size text halves the usable columns
+        enc.bold().size(2).row('TOTAL', money(receipt.total), Math.floor(enc.columns / 2)).size(1).bold(false);
+
+        // ── Tax by class (eTIMS code, rate, taxable value, VAT) ──
+        const taxClasses = receipt.tax?.classes || [];
+        if (taxClasses.length) {
+            taxClasses.forEach(c => {
+                const code = window.DukaPOS?.TAX_CLASSES?.[c.cls]?.code || '';
+                enc.row(`${code} ${c.cls === 'exempt' ? 'Exempt' : c.rate + '%'} on ${money(c.net)}`, money(c.tax));
+            });
+            enc.row(receipt.tax.inclusive ? 'VAT included' : 'VAT added', money(taxClasses.reduce((s, c) => s + c.tax, 0)));
+        }
+        if (receipt.payments?.length) {
+            receipt.payments.forEach(p => {
+                enc.row(p.method === 'Credit' ? 'On account' : p.method, money(p.amount));
+                if (p.reference) enc.line('  Ref ' + p.reference);
+                if (p.tendered) enc.row('  Cash tendered', money(p.tendered)).row('  Change', money(p.change));
+            });
+        } else {
+            enc.row('Paid by', receipt.paymentMethod || 'Cash');
+            if (receipt.paymentRef) enc.row('Ref', receipt.paymentRef);
+        }
+        if (receipt.pointsEarned > 0) enc.row('Points earned', '+' + receipt.pointsEarned);
+
+        // ── Returns against this sale (reprints only) ──
+        (receipt.returns || []).forEach(ret => {
+            enc.divider();
+            enc.bold().line('RETURN ' + new Date(ret.date).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short' })).bold(false);
+            ret.items.forEach(item => {
+                enc.wrapped(item.name);
+                enc.row(`  -${item.qty}${item.damaged ? ' (damaged)' : ''}`, '-' + money(item.amount));
+            });
+            ret.refunds.forEach(f => enc.row('Refund ' + (f.method === 'Credit' ? 'to account' : f.method), '-' + money(f.amount)));
+            if (ret.pointsReversed > 0) enc.row('Points reversed', '-' + ret.pointsReversed);
+            if (ret.reason) enc.wrapped(ret.reason, '  ');
+        });
+        enc.divider();
+
+        // ── Fiscal invoice — the QR lets the customer check it with KRA ──
+        const fiscal = receipt.fiscal;
+        if (fiscal?.status === 'signed') {
+            enc.align('center').bold().line('TAX INVOICE').bold(false).align('left');
+            enc.line('CU Invoice No.');
+            enc.wrapped(fiscal.control_number || '', '  ');
+            enc.wrapped('Internal data: ' + (fiscal.internal_data || ''));
+            enc.wrapped('Signature: ' + (fiscal.signature || ''));
+            enc.divider();
+        } else if (fiscal && fiscal.status !== 'not_required') {
+            enc.align('center').line('* Tax invoice pending KRA signature *').align('left');
+            enc.divider();
+        }
+
+        // ── Footer ──
+        enc.align('center');
+        if (fiscal?.status === 'signed' && fiscal.qr_url) enc.qr(fiscal.qr_url).line(String(receipt.saleId || ''));
+        else if (receipt.saleId) enc.qr(String(receipt.saleId)).line(String(receipt.saleId));
+        if (receipt.pendingSync) enc.line('* Saved offline - pending sync *');
+        enc.line(options.footer || 'Thank you for shopping with us!');
+        enc.feed(3).cut();
+
+        if (options.openDrawer ?? (isCash && getSettings().openDrawer)) enc.drawerKick();
+
+        return enc.encode();
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // TRANSPORTS
+    // Each keeps its device for the page's lifetime so only the first
+    // print of a session shows the browser's device picker.
+    // ════════════════════════════════════════════════════════════
+    const connections = { usb: null, serial: null, bluetooth: null };
+
+    const transports = {
+        usb: {
+            supported: () => !!navigator.usb,
+
+            async connect() {
+                if (connections.usb?.device.opened) return connections.usb;
+                // Reuse a printer the user already granted, otherwise ask
+                const granted = await navigator.usb.getDevices();
+                const device = granted.find(d => findUsbEndpoint(d)) ||
+                    await navigator.usb.requestDevice({ filters: [{ classCode: 7 }] });
+                await device.open();
+                if (!device.configuration) await device.selectConfiguration(1);
+                const target = findUsbEndpoint(device);
+                if (!target) throw new Error('This USB device has no printer output endpoint');
+                await device.claimInterface(target.interfaceNumber);
+                connections.usb = { device, endpoint: target.endpointNumber };
+                return connections.usb;
+            },
+
+            async write(data) {
+                const { device, endpoint } = await transports.usb.connect();
+                for (let i = 0; i < data.length; i += 4096) {
+                    await device.transferOut(endpoint, data.slice(i, i + 4096));
+                }
+            }
+        },
+
+        serial: {
+            supported: () => !!navigator.serial,
+
+            async connect() {
+                if (connections.serial) return connections.serial;
+                const granted = await navigator.serial.getPorts();
+                const port = granted[0] || await navigator.serial.requestPort();
+                if (!port.writable) await port.open({ baudRate: Number(getSettings().baudRate) || 9600 });
+                connections.serial = { port };
+                return connections.serial;
+            },
+
+            async write(data) {
+                const { port } = await transports.serial.connect();
+                const writer = port.writable.getWriter();
+                try {
+                    await writer.write(data);
+                } finally {
+                    writer.releaseLock();
+                }
+            }
+        },
+
+        bluetooth: {
+            supported: () => !!navigator.bluetooth,
+
+            async connect() {
+                if (connections.bluetooth?.device.gatt.connected) return connections.bluetooth;
+                const device = connections.bluetooth?.device || await navigator.bluetooth.requestDevice({
+                    filters: BLE_PROFILES.map(p => ({ services: [p.service] })),
+                    optionalServices: BLE_PROFILES.map(p => p.service)
+                });
+                const server = await device.gatt.connect();
+                for (const profile of BLE_PROFILES) {
+                    try {
+                        const service = await server.getPrimaryService(profile.service);
+                        const characteristic = await service.getCharacteristic(profile.characteristic);
+                        connections.bluetooth = { device, characteristic };
+                        return connections.bluetooth;
+                    } catch (_) { /* try the next profile */ }
+                }
+                device.gatt.disconnect();
+                throw new Error('Bluetooth device is not a supported receipt printer');
+            },
+
+            async write(data) {
+                const { characteristic } = await transports.bluetooth.connect();
+                // BLE writes are capped by the MTU — small chunks are the portable choice
+                for (let i = 0; i < data.length; i += 180) {
+                    const chunk = data.slice(i, i + 180);
+                    if (characteristic.properties.writeWithoutResponse) await characteristic.writeValueWithoutResponse(chunk);
+                    else await characteristic.writeValue(chunk);
+                }
+            }
+        }
+    };
+
+    function findUsbEndpoint(device) {
+        const config = device.configuration || device.configurations?.[0];
+        for (const iface of config?.interfaces || []) {
+            for (const alt of iface.alternates) {
+                const out = alt.endpoints.find(e => e.direction === 'out' && e.type === 'bulk');
+                if (out && (alt.interfaceClass === 7 || alt.interfaceClass === 0xff)) {
+                    return { interfaceNumber: iface.interfaceNumber, endpointNumber: out.endpointNumber };
+                }
+            }
+        }
+        return null;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // SETTINGS
+    // ════════════════════════════════════════════════════════════
+    function getSettings() {
+        try {
+            return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') };
+        } catch (_) {
+            return { ...DEFAULT_SETTINGS };
+        }
+    }
+
+    function saveSettings(updates) {
+        const next = { ...getSettings(), ...updates };
+        next.width = Number(next.width) === 80 ? 80 : 58;
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+        return next;
+    }
+
+    function availableTransports() {
+        return Object.keys(transports).filter(k => transports[k].supported());
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // PUBLIC API
+    // ════════════════════════════════════════════════════════════
+    async function send(data, transport = getSettings().transport) {
+        try {
+            const t = transports[transport];
+            if (!t) return { success: false, error: 'No thermal printer configured', fallback: true };
+            if (!t.supported()) return { success: false, error: `This browser does not support ${transport} printers`, fallback: true };
+            await t.write(data);
+            console.log(`🖨️ Sent ${data.length} bytes via ${transport}`);
+            return { success: true };
+        } catch (error) {
+            console.error('Thermal print failed:', error);
+            connections[transport] = null;
+            // The user dismissing the device picker isn't worth a fallback print dialog
+            const cancelled = error.name === 'NotFoundError' || error.name === 'NotAllowedError';
+            return { success: false, error: error.message, fallback: !cancelled };
+        }
+    }
+
+    async function printReceipt(receipt, options = {}) {
+        const settings = getSettings();
+        const data = renderReceipt(receipt, { width: settings.width, ...options });
+        return send(data, options.transport || settings.transport);
+    }
+
+    async function openDrawer(transport) {
+        return send(createEncoder().init().drawerKick().encode(), transport);
+    }
+
+    async function testPrint(transport) {
+        const settings = getSettings();
+        const enc = createEncoder(settings.width).init().align('center').bold().line('Printer connected').bold(false);
+        enc.line(`${settings.width}mm - ${enc.columns} columns`).divider('=');
+        enc.align('left').row('Left', 'Right').feed(3).cut();
+        return send(enc.encode(), transport || settings.transport);
+    }
+
+    window.escposPrinter = {
+        createEncoder,
+        renderReceipt,
+        printReceipt,
+        openDrawer,
+        testPrint,
+        send,
+        getSettings,
+        saveSettings,
+        availableTransports,
+        PAPER_COLUMNS
+    };
+
+    console.log('✅ ESC/POS printer module loaded');
+})();
@@ -1,197 +1,209 @@
 // ════════════════════════════════════════════════════════════════
 // DUKA POS - EXCEL EXPORT MODULE
+// Commission and cashier reports as .xlsx downloads.
+// Requires: assets/xlsx-writer.js
 // ════════════════════════════════════════════════════════════════
 
+// ────────────────────────────────────────────────────────────────
+// SHARED STYLES
+// ────────────────────────────────────────────────────────────────
+const XL = {
+    title:    { bold: true, size: 14, color: '1F3864' },
+    section:  { bold: true, size: 12, color: '1F3864' },
+    label:    { bold: true },
+    header:   { bold: true, color: 'FFFFFF', fill: '4472C4', border: 'thin', align: 'center', valign: 'center', wrap: true },
+    cell:     { border: 'thin' },
+    total:    { bold: true, fill: 'E7E6E6', border: 'thin' },
+    money:    '#,##0.00',
+    integer:  '#,##0',
+    percent:  '0.00%',
+    date:     'yyyy-mm-dd',
+    time:     'hh:mm:ss',
+    // Top three cashiers on the commission sheet
+    podium:   ['FFD700', 'C0C0C0', 'CD7F32']
+};
+
+function xlDate(value) {
+    if (!value) return null;
+    const d = value instanceof Date ? value : new Date(value);
+    return isNaN(d) ? null : d;
+}
+
+function xlDay(value) {
+    // 'YYYY-MM-DD' strings are calendar days — don't let the timezone shift them
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [y, m, d] = value.split('-').map(Number);
+        return new Date(y, m - 1, d);
+    }
+    return xlDate(value);
+}
+
+function xlFileDate() {
+    return new Date().toISOString().split('T')[0];
+}
+
+// ────────────────────────────────────────────────────────────────
+// TABLE WRITER
+// columns: [{ header, width, value: record => any, fmt, align,
+//             total: 'sum' | (range, totalRow) => cell }]
+// Writes a header row, one bordered row per record and an optional
+// totals row that uses live SUM() formulas with cached values.
+// ────────────────────────────────────────────────────────────────
+function writeTable(ws, columns, records, opts = {}) {
+    const { colLetter } = window.xlsxWriter;
+    const headerRow = ws.addRow(columns.map(c => c.header), XL.header, { height: 30 });
+    const firstRow = headerRow + 1;
+
+    records.forEach((rec, i) => {
+        const fill = opts.highlightTop && XL.podium[i] ? { fill: XL.podium[i] } : {};
+        ws.addRow(columns.map(c => ({
+            v: c.value(rec, i),
+            style: { numFmt: c.fmt, align: c.align, ...fill }
+        })), XL.cell);
+    });
+
+    const lastRow = firstRow + records.length - 1;
+    let totalRow = null;
+
+    if (opts.totals && records.length) {
+        totalRow = ws.nextRow;
+        ws.addRow(columns.map((c, ci) => {
+            if (ci === 0) return 'TOTAL';
+            const col = colLetter(ci);
+            const range = `${col}${firstRow}:${col}${lastRow}`;
+            if (c.total === 'sum') {
+                const sum = records.reduce((s, r, i) => s + (Number(c.value(r, i)) || 0), 0);
+                return { f: `SUM(${range})`, v: sum, style: { numFmt: c.fmt } };
+            }
+            if (typeof c.total === 'function') return c.total(range, totalRow);
+            return null;
+        }), XL.total);
+    }
+
+    return { headerRow, firstRow, lastRow, totalRow };
+}
+
+// Margin of a totals row = profit ÷ revenue, both already summed in that row
+function marginTotal(profitCol, revenueCol, records, profitOf, revenueOf) {
+    const profit  = records.reduce((s, r) => s + (profitOf(r) || 0), 0);
+    const revenue = records.reduce((s, r) => s + (revenueOf(r) || 0), 0);
+    return (range, row) => ({
+        f: `IF(${revenueCol}${row}=0,0,${profitCol}${row}/${revenueCol}${row})`,
+        v: revenue ? profit / revenue : 0,
+        style: { numFmt: XL.percent }
+    });
+}
+
+// Bold label in column A, value in column B
+function writeInfoRows(ws, rows) {
+    rows.forEach(([label, value, fmt]) => ws.addRow([
+        { v: label, style: XL.label },
+        fmt ? { v: value, style: { numFmt: fmt, align: 'left' } } : value
+    ]));
+}
+
+// Cost comes from the unit_cost snapshot on each sale line. Lines sold
+// before snapshots existed are costed at today's product cost — say so.
+function costNoteRows(unsnapshotted) {
+    return unsnapshotted > 0
+        ? [['Cost Note:', `${unsnapshotted} line(s) costed at current product cost`]]
+        : [];
+}
+
+// Group one cashier's sales into calendar days (same shape as
+// salesAnalytics.getDetailedCashierReport's dailyBreakdown)
+function dailyBreakdownOf(sales) {
+    const days = {};
+    sales.forEach(sale => {
+        const date = String(sale.created_at || '').split('T')[0];
+        const day = days[date] || (days[date] = { date, transactions: 0, items: 0, revenue: 0, cost: 0, profit: 0 });
+        day.transactions++;
+        day.items   += sale.items_sold || 0;
+        day.revenue += sale.total_amount || 0;
+        day.cost    += sale.total_cost || 0;
+        day.profit  += sale.total_profit || 0;
+    });
+    return Object.values(days).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const DAILY_COLUMNS = (days) => [
+    { header: 'Date',          width: 14, value: d => xlDay(d.date), fmt: XL.date, align: 'center' },
+    { header: 'Transactions',  width: 14, value: d => d.transactions, fmt: XL.integer, total: 'sum' },
+    { header: 'Items Sold',    width: 12, value: d => d.items, fmt: XL.integer, total: 'sum' },
+    { header: 'Revenue (KES)', width: 16, value: d => d.revenue, fmt: XL.money, total: 'sum' },
+    { header: 'Cost (KES)',    width: 16, value: d => d.cost, fmt: XL.money, total: 'sum' },
+    { header: 'Profit (KES)',  width: 16, value: d => d.profit, fmt: XL.money, total: 'sum' },
+    { header: 'Margin (%)',    width: 12, value: d => d.revenue ? d.profit / d.revenue : 0, fmt: XL.percent,
+      total: marginTotal('F', 'D', days, d => d.profit, d => d.revenue) }
+];
+
+const TRANSACTION_COLUMNS = (sales) => [
+    { header: 'Date',           width: 14, value: s => xlDate(s.created_at), fmt: XL.date, align: 'center' },
+    { header: 'Time',           width: 12, value: s => xlDate(s.created_at), fmt: XL.time, align: 'center' },
+    { header: 'Transaction ID', width: 16, value: s => String(s.id), align: 'center' },
+    { header: 'Items',          width: 10, value: s => s.items_sold || 0, fmt: XL.integer, total: 'sum' },
+    { header: 'Revenue (KES)',  width: 16, value: s => s.total_amount || 0, fmt: XL.money, total: 'sum' },
+    { header: 'Cost (KES)',     width: 16, value: s => s.total_cost || 0, fmt: XL.money, total: 'sum' },
+    { header: 'Profit (KES)',   width: 16, value: s => s.total_profit || 0, fmt: XL.money, total: 'sum' },
+    { header: 'Margin (%)',     width: 12, value: s => (Number(s.profit_margin) || 0) / 100, fmt: XL.percent,
+      total: marginTotal('G', 'E', sales, s => s.total_profit, s => s.total_amount) },
+    { header: 'Payment',        width: 12, value: s => s.payment_method || 'Cash', align: 'center' }
+];
+
+function widths(columns) {
+    return columns.map(c => c.width || 14);
+}
+
 // ════════════════════════════════════════════════════════════════
 // EXPORT COMMISSION REPORT TO EXCEL
+// One summary sheet ranking every cashier, then — when the period's
+// sales are passed in opts.sales — one sheet per cashier with their
+// daily breakdown and transactions.
 // ════════════════════════════════════════════════════════════════
-async function exportCommissionToExcel(cashierData, startDate, endDate, commissionRate) {
+async function exportCommissionToExcel(cashierData, startDate, endDate, commissionRate, opts = {}) {
     try {
-        const fileName = `Commission_Report_${new Date().toISOString().split('T')[0]}.xlsx`;
-        const filePath = `/mnt/user-data/outputs/${fileName}`;
-
-        // Prepare data for Python script
-        const reportData = {
-            cashiers: cashierData,
-            startDate: startDate,
-            endDate: endDate,
-            commissionRate: commissionRate,
-            generatedAt: new Date().toISOString(),
-            fileName: fileName
-        };
-
-        // Save report data as JSON
-        const jsonPath = '/tmp/commission_report_data.json';
-        await window.bash_tool({
-            command: `cat > ${jsonPath} << 'EOFDATA'
-${JSON.stringify(reportData, null, 2)}
-EOFDATA`,
-            description: 'Save commission report data for Excel export'
-        });
-
-        // Create Python script to generate Excel
-        const pythonScript = `
-import pandas as pd
-import json
-from datetime import datetime
-import openpyxl
-from openpyxl.styles import Font, PatternFill, Alignment, Border, Side
-from openpyxl.utils import get_column_letter
-
-# Load data
-with open('${jsonPath}', 'r') as f:
-    data = json.load(f)
-
-# Create Excel writer
-output_path = '${filePath}'
-writer = pd.ExcelWriter(output_path, engine='openpyxl')
-
-# Prepare summary data
-summary_df = pd.DataFrame([
-    ['Report Period:', f"{data['startDate'][:10]} to {data['endDate'][:10]}"],
-    ['Commission Rate:', f"{data['commissionRate']}%"],
-    ['Generated:', data['generatedAt'][:19]],
-    ['', ''],
-])
-summary_df.to_excel(writer, sheet_name='Commission Report', index=False, header=False, startrow=0)
-
-# Prepare cashier data
-cashier_records = []
-for idx, cashier in enumerate(data['cashiers'], 1):
-    cashier_records.append({
-        'Rank': idx,
-        'Cashier Name': cashier['full_name'],
-        'Username': cashier['username'],
-        'Transactions': cashier['total_transactions'],
-        'Items Sold': cashier['items_sold'],
-        'Revenue (KES)': round(cashier['total_revenue'], 2),
-        'Cost (KES)': round(cashier['total_cost'], 2),
-        'Profit (KES)': round(cashier['total_profit'], 2),
-        'Profit Margin (%)': round(cashier['profit_margin'], 2),
-        'Commission (KES)': round(cashier['commission_amount'], 2)
-    })
-
-cashier_df = pd.DataFrame(cashier_records)
-cashier_df.to_excel(writer, sheet_name='Commission Report', index=False, startrow=6)
-
-# Format the worksheet
-workbook = writer.book
-worksheet = writer.sheets['Commission Report']
-
-# Style header section
-header_fill = PatternFill(start_color='4472C4', end_color='4472C4', fill_type='solid')
-header_font = Font(bold=True, color='FFFFFF', size=12)
-
-for row in range(1, 4):
-    cell = worksheet.cell(row=row, column=1)
-    cell.font = Font(bold=True, size=11)
-    cell = worksheet.cell(row=row, column=2)
-    cell.font = Font(size=11)
-
-# Style table header
-for col in range(1, len(cashier_df.columns) + 1):
-    cell = worksheet.cell(row=7, column=col)
-    cell.fill = header_fill
-    cell.font = header_font
-    cell.alignment = Alignment(horizontal='center', vertical='center')
-
-# Style data rows
-thin_border = Border(
-    left=Side(style='thin'),
-    right=Side(style='thin'),
-    top=Side(style='thin'),
-    bottom=Side(style='thin')
-)
-
-for row in range(8, 8 + len(cashier_df)):
-    for col in range(1, len(cashier_df.columns) + 1):
-        cell = worksheet.cell(row=row, column=col)
-        cell.border = thin_border
-        cell.alignment = Alignment(horizontal='center' if col <= 3 else 'right', vertical='center')
-        
-        # Format currency columns
-        if col in [6, 7, 8, 10]:  # Revenue, Cost, Profit, Commission
-            cell.number_format = '#,##0.00'
-        elif col == 9:  # Profit Margin
-            cell.number_format = '0.00'
-
-# Highlight top performers
-gold_fill = PatternFill(start_color='FFD700', end_color='FFD700', fill_type='solid')
-silver_fill = PatternFill(start_color='C0C0C0', end_color='C0C0C0', fill_type='solid')
-bronze_fill = PatternFill(start_color='CD7F32', end_color='CD7F32', fill_type='solid')
-
-if len(cashier_df) >= 1:
-    for col in range(1, len(cashier_df.columns) + 1):
-        worksheet.cell(row=8, column=col).fill = gold_fill
-if len(cashier_df) >= 2:
-    for col in range(1, len(cashier_df.columns) + 1):
-        worksheet.cell(row=9, column=col).fill = silver_fill
-if len(cashier_df) >= 3:
-    for col in range(1, len(cashier_df.columns) + 1):
-        worksheet.cell(row=10, column=col).fill = bronze_fill
-
-# Set column widths
-column_widths = [8, 20, 15, 12, 12, 15, 15, 15, 15, 15]
-for idx, width in enumerate(column_widths, 1):
-    worksheet.column_dimensions[get_column_letter(idx)].width = width
-
-# Add totals row
-total_row = 8 + len(cashier_df)
-worksheet.cell(row=total_row, column=1).value = 'TOTAL'
-worksheet.cell(row=total_row, column=1).font = Font(bold=True, size=11)
-
-# Calculate totals
-total_transactions = sum(c['total_transactions'] for c in data['cashiers'])
-total_items = sum(c['items_sold'] for c in data['cashiers'])
-total_revenue = sum(c['total_revenue'] for c in data['cashiers'])
-total_cost = sum(c['total_cost'] for c in data['cashiers'])
-total_profit = sum(c['total_profit'] for c in data['cashiers'])
-total_commission = sum(c['commission_amount'] for c in data['cashiers'])
-
-worksheet.cell(row=total_row, column=4).value = total_transactions
-worksheet.cell(row=total_row, column=5).value = total_items
-worksheet.cell(row=total_row, column=6).value = total_revenue
-worksheet.cell(row=total_row, column=7).value = total_cost
-worksheet.cell(row=total_row, column=8).value = total_profit
-worksheet.cell(row=total_row, column=10).value = total_commission
-
-# Format totals row
-totals_fill = PatternFill(start_color='E7E6E6', end_color='E7E6E6', fill_type='solid')
-for col in range(1, len(cashier_df.columns) + 1):
-    cell = worksheet.cell(row=total_row, column=col)
-    cell.fill = totals_fill
-    cell.font = Font(bold=True)
-    cell.border = thin_border
-    if col in [6, 7, 8, 10]:
-        cell.number_format = '#,##0.00'
-
-writer.close()
-print(f'Excel report generated: {output_path}')
-`;
-
-        // Save Python script
-        const scriptPath = '/tmp/generate_excel_report.py';
-        await window.bash_tool({
-            command: `cat > ${scriptPath} << 'EOFSCRIPT'
-${pythonScript}
-EOFSCRIPT`,
-            description: 'Create Python script for Excel generation'
-        });
-
-        // Install required packages
-        await window.bash_tool({
-            command: 'pip install pandas openpyxl --break-system-packages -q',
-            description: 'Install required Python packages'
-        });
-
-        // Run the Python script
-        await window.bash_tool({
-            command: `python3 ${scriptPath}`,
-            description: 'Generate Excel report'
-        });
-
-        console.log('✅ Excel report generated:', filePath);
-        return { success: true, filePath, fileName };
+        if (!window.xlsxWriter) throw new Error('XLSX writer not loaded');
+        const fileName = `Commission_Report_${xlFileDate()}.xlsx`;
+        const wb = window.xlsxWriter.createWorkbook();
+
+        // ── Summary sheet ──────────────────────────────────────────
+        const columns = [
+            { header: 'Rank',              width: 8,  value: (c, i) => i + 1, align: 'center' },
+            { header: 'Cashier Name',      width: 24, value: c => c.full_name },
+            { header: 'Username',          width: 16, value: c => c.username },
+            { header: 'Transactions',      width: 14, value: c => c.total_transactions, fmt: XL.integer, total: 'sum' },
+            { header: 'Items Sold',        width: 12, value: c => c.items_sold, fmt: XL.integer, total: 'sum' },
+            { header: 'Revenue (KES)',     width: 16, value: c => c.total_revenue, fmt: XL.money, total: 'sum' },
+            { header: 'Cost (KES)',        width: 16, value: c => c.total_cost, fmt: XL.money, total: 'sum' },
+            { header: 'Profit (KES)',      width: 16, value: c => c.total_profit, fmt: XL.money, total: 'sum' },
+            { header: 'Profit Margin (%)', width: 16, value: c => (c.profit_margin || 0) / 100, fmt: XL.percent,
+              total: marginTotal('H', 'F', cashierData, c => c.total_profit, c => c.total_revenue) },
+            { header: 'Commission (KES)',  width: 17, value: c => c.commission_amount, fmt: XL.money, total: 'sum' }
+        ];
+
+        const ws = wb.addSheet('Commission Report', { columns: widths(columns) });
+        ws.addRow(['COMMISSION REPORT'], XL.title, { height: 22 });
+        ws.merge('A1:J1');
+        writeInfoRows(ws, [
+            ['Report Period:', `${String(startDate).slice(0, 10)} to ${String(endDate).slice(0, 10)}`],
+            ['Commission Rate:', commissionRate / 100, XL.percent],
+            ['Generated:', new Date(), 'yyyy-mm-dd hh:mm'],
+            ...costNoteRows(cashierData.reduce((n, c) => n + (c.cost_unsnapshotted || 0), 0))
+        ]);
+        ws.addBlankRow();
+        writeTable(ws, columns, cashierData, { totals: true, highlightTop: true });
+
+        // ── One sheet per cashier ──────────────────────────────────
+        if (Array.isArray(opts.sales)) {
+            cashierData.forEach(cashier => {
+                const sales = opts.sales.filter(s => s.user_id === cashier.user_id);
+                writeCashierSheet(wb, cashier, sales, commissionRate);
+            });
+        }
+
+        wb.download(fileName);
+        console.log('✅ Excel report generated:', fileName);
+        return { success: true, fileName };
 
     } catch (error) {
         console.error('❌ Export to Excel failed:', error);
@@ -199,158 +211,88 @@ EOFSCRIPT`,
     }
 }
 
+function writeCashierSheet(wb, cashier, sales, commissionRate) {
+    const days = dailyBreakdownOf(sales);
+    const dailyCols = DAILY_COLUMNS(days);
+    const txCols = TRANSACTION_COLUMNS(sales);
+    const ws = wb.addSheet(cashier.full_name || cashier.username || 'Cashier', {
+        columns: txCols.map((c, i) => Math.max(c.width, dailyCols[i]?.width || 0))
+    });
+
+    ws.addRow([cashier.full_name || 'Unknown'], XL.title, { height: 22 });
+    ws.merge('A1:I1');
+    writeInfoRows(ws, [
+        ['Username:', cashier.username],
+        ['Profit (KES):', cashier.total_profit, XL.money],
+        ['Commission Rate:', commissionRate / 100, XL.percent],
+        ['Commission (KES):', cashier.commission_amount, XL.money]
+    ]);
+    ws.addBlankRow();
+
+    ws.addRow(['DAILY BREAKDOWN'], XL.section);
+    writeTable(ws, dailyCols, days, { totals: true });
+    ws.addBlankRow();
+
+    ws.addRow(['TRANSACTIONS'], XL.section);
+    writeTable(ws, txCols, sales, { totals: true });
+}
+
 // ════════════════════════════════════════════════════════════════
 // EXPORT DETAILED CASHIER REPORT TO EXCEL
+// Sheets: Summary, Daily Breakdown, Transactions
 // ════════════════════════════════════════════════════════════════
 async function exportCashierDetailToExcel(report, commissionRate) {
     try {
+        if (!window.xlsxWriter) throw new Error('XLSX writer not loaded');
         const cashierName = report.user.full_name.replace(/\s+/g, '_');
-        const fileName = `Cashier_Report_${cashierName}_${new Date().toISOString().split('T')[0]}.xlsx`;
-        const filePath = `/mnt/user-data/outputs/${fileName}`;
-
-        // Calculate commission
-        const commission = report.summary.total_profit * (commissionRate / 100);
-
-        // Prepare data for Python script
-        const reportData = {
-            user: report.user,
-            summary: {
-                ...report.summary,
-                commission: commission,
-                commission_rate: commissionRate
-            },
-            dailyBreakdown: report.dailyBreakdown,
-            sales: report.sales,
-            fileName: fileName
-        };
-
-        const jsonPath = '/tmp/cashier_detail_data.json';
-        await window.bash_tool({
-            command: `cat > ${jsonPath} << 'EOFDATA'
-${JSON.stringify(reportData, null, 2)}
-EOFDATA`,
-            description: 'Save cashier detail data for Excel export'
-        });
-
-        const pythonScript = `
-import pandas as pd
-import json
-from openpyxl.styles import Font, PatternFill, Alignment, Border, Side
-from openpyxl.utils import get_column_letter
-
-# Load data
-with open('${jsonPath}', 'r') as f:
-    data = json.load(f)
-
-output_path = '${filePath}'
-writer = pd.ExcelWriter(output_path, engine='openpyxl')
-
-# Summary Sheet
-summary_data = [
-    ['CASHIER PERFORMANCE REPORT', ''],
-    ['', ''],
-    ['Cashier:', data['user']['full_name']],
-    ['Username:', data['user']['username']],
-    ['Role:', data['user']['role']],
-    ['Report Date:', '${new Date().toLocaleDateString()}'],
-    ['', ''],
-    ['SUMMARY METRICS', ''],
-    ['Total Transactions:', data['summary']['total_transactions']],
-    ['Items Sold:', data['summary']['items_sold']],
-    ['Total Revenue (KES):', round(data['summary']['total_revenue'], 2)],
-    ['Total Cost (KES):', round(data['summary']['total_cost'], 2)],
-    ['Total Profit (KES):', round(data['summary']['total_profit'], 2)],
-    ['Profit Margin (%):', round(data['summary']['profit_margin'], 2)],
-    ['Commission Rate (%):', data['summary']['commission_rate']],
-    ['Commission Amount (KES):', round(data['summary']['commission'], 2)],
-]
-summary_df = pd.DataFrame(summary_data)
-summary_df.to_excel(writer, sheet_name='Summary', index=False, header=False)
-
-# Daily Breakdown Sheet
-daily_records = []
-for day in data['dailyBreakdown']:
-    daily_records.append({
-        'Date': day['date'],
-        'Transactions': day['transactions'],
-        'Items Sold': day['items'],
-        'Revenue (KES)': round(day['revenue'], 2),
-        'Cost (KES)': round(day['cost'], 2),
-        'Profit (KES)': round(day['profit'], 2)
-    })
-daily_df = pd.DataFrame(daily_records)
-daily_df.to_excel(writer, sheet_name='Daily Breakdown', index=False)
-
-# Transactions Sheet
-transaction_records = []
-for sale in data['sales']:
-    transaction_records.append({
-        'Date': sale['created_at'][:10],
-        'Time': sale['created_at'][11:19],
-        'Transaction ID': sale['id'],
-        'Items': sale['items_sold'],
-        'Revenue (KES)': round(sale['total_amount'], 2),
-        'Cost (KES)': round(sale['total_cost'], 2),
-        'Profit (KES)': round(sale['total_profit'], 2),
-        'Margin (%)': float(sale['profit_margin']),
-        'Payment': sale['payment_method']
-    })
-trans_df = pd.DataFrame(transaction_records)
-trans_df.to_excel(writer, sheet_name='Transactions', index=False)
-
-# Format worksheets
-workbook = writer.book
-
-# Format Summary Sheet
-ws_summary = writer.sheets['Summary']
-ws_summary.cell(row=1, column=1).font = Font(bold=True, size=14)
-for row in [3, 4, 5, 6]:
-    ws_summary.cell(row=row, column=1).font = Font(bold=True)
-ws_summary.cell(row=8, column=1).font = Font(bold=True, size=12)
-for row in range(9, 17):
-    ws_summary.cell(row=row, column=1).font = Font(bold=True)
-    if row in [11, 12, 13, 16]:  # Currency values
-        ws_summary.cell(row=row, column=2).number_format = '#,##0.00'
-ws_summary.column_dimensions['A'].width = 25
-ws_summary.column_dimensions['B'].width = 20
-
-# Format Daily Breakdown
-ws_daily = writer.sheets['Daily Breakdown']
-header_fill = PatternFill(start_color='4472C4', end_color='4472C4', fill_type='solid')
-header_font = Font(bold=True, color='FFFFFF')
-for col in range(1, len(daily_df.columns) + 1):
-    cell = ws_daily.cell(row=1, column=col)
-    cell.fill = header_fill
-    cell.font = header_font
-    ws_daily.column_dimensions[get_column_letter(col)].width = 15
-
-# Format Transactions
-ws_trans = writer.sheets['Transactions']
-for col in range(1, len(trans_df.columns) + 1):
-    cell = ws_trans.cell(row=1, column=col)
-    cell.fill = header_fill
-    cell.font = header_font
-    ws_trans.column_dimensions[get_column_letter(col)].width = 15
-
-writer.close()
-print(f'Cashier detail report generated: {output_path}')
-`;
-
-        const scriptPath = '/tmp/generate_cashier_excel.py';
-        await window.bash_tool({
-            command: `cat > ${scriptPath} << 'EOFSCRIPT'
-${pythonScript}
-EOFSCRIPT`,
-            description: 'Create Python script for cashier Excel'
-        });
-
-        await window.bash_tool({
-            command: `python3 ${scriptPath}`,
-            description: 'Generate cashier Excel report'
-        });
-
-        console.log('✅ Cashier Excel report generated:', filePath);
-        return { success: true, filePath, fileName };
+        const fileName = `Cashier_Report_${cashierName}_${xlFileDate()}.xlsx`;
+        const wb = window.xlsxWriter.createWorkbook();
+
+        const sales = report.transactions || report.sales || [];
+        const s = report.summary;
+        const commission = s.total_profit * (commissionRate / 100);
+
+        // ── Summary ────────────────────────────────────────────────
+        const summary = wb.addSheet('Summary', { columns: [28, 22] });
+        summary.addRow(['CASHIER PERFORMANCE REPORT'], XL.title, { height: 22 });
+        summary.merge('A1:B1');
+        summary.addBlankRow();
+        writeInfoRows(summary, [
+            ['Cashier:', report.user.full_name],
+            ['Username:', report.user.username],
+            ['Role:', report.user.role],
+            ['Report Date:', new Date(), XL.date],
+            ...costNoteRows(s.cost_unsnapshotted)
+        ]);
+        summary.addBlankRow();
+        summary.addRow(['SUMMARY METRICS'], XL.section);
+        [
+            ['Total Transactions:',      s.total_transactions, XL.integer],
+            ['Items Sold:',              s.items_sold, XL.integer],
+            ['Total Revenue (KES):',     s.total_revenue, XL.money],
+            ['Total Cost (KES):',        s.total_cost, XL.money],
+            ['Total Profit (KES):',      s.total_profit, XL.money],
+            ['Profit Margin (%):',       (s.profit_margin || 0) / 100, XL.percent],
+            ['Commission Rate (%):',     commissionRate / 100, XL.percent],
+            ['Commission Amount (KES):', commission, XL.money]
+        ].forEach(([label, value, fmt]) => summary.addRow(
+            [{ v: label, style: XL.label }, { v: value, style: { numFmt: fmt, border: 'thin' } }]
+        ));
+
+        // ── Daily Breakdown ────────────────────────────────────────
+        const days = report.dailyBreakdown || dailyBreakdownOf(sales);
+        const dailyCols = DAILY_COLUMNS(days);
+        const daily = wb.addSheet('Daily Breakdown', { columns: widths(dailyCols), freezeRows: 1 });
+        writeTable(daily, dailyCols, days, { totals: true });
+
+        // ── Transactions ───────────────────────────────────────────
+        const txCols = TRANSACTION_COLUMNS(sales);
+        const trans = wb.addSheet('Transactions', { columns: widths(txCols), freezeRows: 1 });
+        writeTable(trans, txCols, sales, { totals: true });
+
+        wb.download(fileName);
+        console.log('✅ Cashier Excel report generated:', fileName);
+        return { success: true, fileName };
 
     } catch (error) {
         console.error('❌ Export cashier detail to Excel failed:', error);
@@ -364,4 +306,4 @@ EOFSCRIPT`,
 window.excelExport = {
     exportCommissionToExcel,
     exportCashierDetailToExcel
-};
\ No newline at end of file
+};
@@ -0,0 +1,298 @@
+/**
+ * Fiscal Module - KRA eTIMS tax invoices for sales
+ * Builds the eTIMS sales request (trnsSales/saveSales) from a recorded sale,
+ * has the shop's fiscal adapter sign it and stores the control number on
+ * the sale via record_fiscal_result().
+ *
+ * Adapters (shops.fiscal_adapter):
+ *   'etims' → POSTs to window.DukaPOS.ETIMS_API_URL, a relay in front of
+ *             KRA's OSCU/VSCU that holds the device's cmcKey
+ *   'mock'  → signs locally, same response shape, for testing without KRA
+ *   'off'   → sales are not fiscalised
+ * registerAdapter() plugs in others (e.g. a hardware fiscal device).
+ *
+ * Requires: window.DukaPOS.supabaseClient and authModule
+ */
+(function() {
+    'use strict';
+
+    const SIGN_TIMEOUT_MS = 15000;
+    const QR_BASE = 'https://etims.kra.go.ke/common/link/etims/receipt/indexEtimsReceiptData?Data=';
+
+    // eTIMS tax types A–E; we sell B (standard), C (zero rated) and A (exempt)
+    const TAX_TYPES = ['A', 'B', 'C', 'D', 'E'];
+    // eTIMS payment type codes
+    const PAYMENT_TYPES = { 'Cash': '01', 'Credit': '02', 'Split': '03', 'Card': '05', 'M-Pesa': '06' };
+
+    const adapters = {};
+
+    function registerAdapter(name, adapter) {
+        if (!adapter || typeof adapter.sign !== 'function') throw new Error(`Fiscal adapter "${name}" has no sign()`);
+        adapters[name] = adapter;
+    }
+
+    function getAdapter(name) {
+        return adapters[name] || null;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // HELPERS
+    // ════════════════════════════════════════════════════════════
+
+    // eTIMS wants Nairobi time (UTC+3) as yyyyMMddHHmmss
+    function etimsTime(date = new Date()) {
+        return new Date(new Date(date).getTime() + 3 * 3600 * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+    }
+
+    const round2 = n => Math.round((Number(n) || 0) * 100) / 100;
+
+    function taxCode(taxClass) {
+        return (window.DukaPOS.TAX_CLASSES[taxClass] || window.DukaPOS.TAX_CLASSES.standard).code;
+    }
+
+    async function sha256Hex(text) {
+        if (window.crypto?.subtle) {
+            const buf = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+            return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        // Insecure contexts (plain http) have no SubtleCrypto — FNV-1a is enough for a mock
+        let out = '';
+        for (let seed = 0; out.length < 64; seed++) {
+            let h = 0x811c9dc5 ^ seed;
+            for (let i = 0; i < text.length; i++) { h ^= text.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+            out += (h >>> 0).toString(16).padStart(8, '0');
+        }
+        return out;
+    }
+
+    function withTimeout(promise, ms, message) {
+        let timer;
+        return Promise.race([
+            promise,
+            new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(message)), ms); })
+        ]).finally(() => clearTimeout(timer));
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // INVOICE — eTIMS TrnsSalesSaveWrReq from a sale and its lines.
+    // Amounts are VAT-inclusive, as eTIMS expects; the loyalty discount
+    // shows as each line's dcAmt.
+    // ════════════════════════════════════════════════════════════
+    function buildInvoice(sale, shop) {
+        const items = sale.items || [];
+        const itemList = items.map((i, idx) => {
+            const qty  = Number(i.quantity) || 0;
+            const rate = Number(i.tax_rate) || 0;
+            const prc  = round2(Number(i.unit_price) * (i.tax_inclusive === false ? 1 + rate / 100 : 1));
+            const splyAmt = round2(prc * qty);
+            const total   = round2(i.line_total);
+            return {
+                itemSeq:   idx + 1,
+                itemCd:    i.product?.barcode || `P${i.product_id}`,
+                itemClsCd: null,
+                itemNm:    i.product?.name || 'Item',
+                bcd:       i.product?.barcode || null,
+                pkgUnitCd: 'NT', pkg: qty,
+                qtyUnitCd: 'U',  qty,
+                prc, splyAmt,
+                dcRt:      splyAmt > 0 ? round2((splyAmt - total) / splyAmt * 100) : 0,
+                dcAmt:     round2(splyAmt - total),
+                taxTyCd:   taxCode(i.tax_class),
+                taxblAmt:  total,
+                taxAmt:    round2(i.tax_amount),
+                totAmt:    total
+            };
+        });
+
+        const totals = {};
+        TAX_TYPES.forEach(t => {
+            const lines = itemList.filter(l => l.taxTyCd === t);
+            const rate  = t === 'B' ? Number(items.find(i => taxCode(i.tax_class) === 'B')?.tax_rate ?? shop.vat_rate ?? 16) : t === 'E' ? 8 : 0;
+            totals['taxblAmt' + t] = round2(lines.reduce((s, l) => s + l.taxblAmt, 0));
+            totals['taxRt' + t]    = rate;
+            totals['taxAmt' + t]   = round2(lines.reduce((s, l) => s + l.taxAmt, 0));
+        });
+
+        const soldAt = new Date(sale.created_at || Date.now());
+        return {
+            tin:         shop.kra_pin || null,
+            bhfId:       shop.etims_branch_id || '00',
+            invcNo:      Number(sale.id),
+            orgInvcNo:   0,
+            custTin:     null,
+            custNm:      sale.customer?.name || null,
+            salesTyCd:   'N',
+            rcptTyCd:    'S',
+            pmtTyCd:     PAYMENT_TYPES[sale.payment_method] || '07',
+            salesSttsCd: '02',
+            cfmDt:       etimsTime(soldAt),
+            salesDt:     etimsTime(soldAt).slice(0, 8),
+            totItemCnt:  itemList.length,
+            ...totals,
+            totTaxblAmt: round2(itemList.reduce((s, l) => s + l.taxblAmt, 0)),
+            totTaxAmt:   round2(itemList.reduce((s, l) => s + l.taxAmt, 0)),
+            totAmt:      round2(sale.total_amount),
+            prchrAcptcYn: 'N',
+            regrId:      String(sale.user_id || ''),
+            regrNm:      sale.user?.full_name || 'Cashier',
+            modrId:      String(sale.user_id || ''),
+            modrNm:      sale.user?.full_name || 'Cashier',
+            receipt: {
+                custTin: null,
+                trdeNm:  shop.shop_name || null,
+                topMsg:  shop.shop_name || null,
+                btmMsg:  'Thank you for shopping with us!',
+                prchrAcptcYn: 'N'
+            },
+            itemList
+        };
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // ADAPTERS — sign(invoice) resolves to KRA's response:
+    // { resultCd: '000', resultMsg, resultDt, data: { rcptNo, totRcptNo,
+    //   intrlData, rcptSign, sdcId, mrcNo, vsdcRcptPbctDate } }
+    // ════════════════════════════════════════════════════════════
+    registerAdapter('mock', {
+        label: 'Local mock (testing)',
+        async sign(invoice) {
+            const digest = (await sha256Hex(JSON.stringify(invoice))).toUpperCase();
+            return {
+                resultCd:  '000',
+                resultMsg: 'It is succeeded',
+                resultDt:  etimsTime(),
+                data: {
+                    rcptNo:           invoice.invcNo,
+                    totRcptNo:        invoice.invcNo,
+                    intrlData:        digest.slice(0, 26),
+                    rcptSign:         digest.slice(26, 42),
+                    sdcId:            'MOCKCU' + String(invoice.bhfId).padStart(2, '0') + '0000001',
+                    mrcNo:            'MOCKMRC0000001',
+                    vsdcRcptPbctDate: etimsTime()
+                }
+            };
+        }
+    });
+
+    registerAdapter('etims', {
+        label: 'KRA eTIMS (via relay)',
+        async sign(invoice) {
+            const base = window.DukaPOS.ETIMS_API_URL;
+            if (!base) throw new Error('ETIMS_API_URL is not configured');
+            const res = await fetch(base.replace(/\/$/, '') + '/trnsSales/saveSales', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', tin: invoice.tin || '', bhfId: invoice.bhfId },
+                body: JSON.stringify(invoice)
+            });
+            if (!res.ok) throw new Error(`eTIMS relay answered ${res.status}`);
+            const body = await res.json();
+            if (body.resultCd !== '000') throw new Error(`eTIMS ${body.resultCd}: ${body.resultMsg}`);
+            return body;
+        }
+    });
+
+    // ════════════════════════════════════════════════════════════
+    // SIGNING
+    // ════════════════════════════════════════════════════════════
+    let shopCache = null;
+
+    async function getShopFiscalSettings() {
+        const shopId = authModule.getCurrentUser()?.shop_id;
+        if (shopCache?.id === shopId) return shopCache;
+        const { data, error } = await window.DukaPOS.supabaseClient
+            .from('shops').select('id, shop_name, kra_pin, etims_branch_id, fiscal_adapter, vat_rate')
+            .eq('id', shopId).single();
+        if (error) throw error;
+        shopCache = data;
+        return data;
+    }
+
+    /**
+     * Sign one recorded sale. Failures are stored on the sale (fiscal_status
+     * 'failed') so signPending() can retry them.
+     * @returns {{ success, data?: { status, control_number, invoice_number, signature, internal_data, qr_url, signed_at }, error? }}
+     */
+    async function signSale(saleId) {
+        let adapterName = null;
+        try {
+            const shop = await getShopFiscalSettings();
+            adapterName = shop.fiscal_adapter;
+            if (adapterName === 'off') return { success: true, data: { status: 'not_required' } };
+            const adapter = getAdapter(adapterName);
+            if (!adapter) throw new Error(`No fiscal adapter called "${adapterName}"`);
+
+            const { data: sale, error } = await window.DukaPOS.supabaseClient
+                .from('sales')
+                .select('*, user:user_id(full_name), customer:customer_id(name), items:sale_items(*, product:product_id(name, barcode))')
+                .eq('id', saleId).eq('shop_id', shop.id).single();
+            if (error) throw error;
+            if (sale.fiscal_status === 'signed') {
+                return { success: true, data: { status: 'signed', control_number: sale.fiscal_control_number, invoice_number: sale.fiscal_invoice_number,
+                    signature: sale.fiscal_signature, internal_data: sale.fiscal_internal_data, qr_url: sale.fiscal_qr_url, signed_at: sale.fiscal_signed_at } };
+            }
+            if (sale.fiscal_status === 'not_required') return { success: true, data: { status: 'not_required' } };
+
+            const invoice  = buildInvoice(sale, shop);
+            const response = await withTimeout(adapter.sign(invoice), SIGN_TIMEOUT_MS, 'The fiscal service did not answer in time');
+            const r = response.data || {};
+            const result = {
+                invoice_number: String(r.rcptNo ?? invoice.invcNo),
+                control_number: `${r.sdcId}/${r.rcptNo}`,
+                signature:      r.rcptSign,
+                internal_data:  r.intrlData,
+                qr_url:         QR_BASE + encodeURIComponent(`${invoice.tin || ''}${invoice.bhfId}${r.rcptSign}`),
+                signed_at:      new Date().toISOString(),
+                payload:        { request: invoice, response }
+            };
+            const { error: recError } = await window.DukaPOS.supabaseClient.rpc('record_fiscal_result', {
+                p_sale_id: saleId, p_adapter: adapterName, p_result: result, p_error: null
+            });
+            if (recError) throw recError;
+            return { success: true, data: { status: 'signed', ...result } };
+        } catch (err) {
+            console.error('signSale failed:', err.message);
+            if (adapterName) {
+                await window.DukaPOS.supabaseClient.rpc('record_fiscal_result', {
+                    p_sale_id: saleId, p_adapter: adapterName, p_result: null, p_error: err.message
+                }).then(({ error }) => { if (error) console.warn('Could not record fiscal failure:', error.message); });
+            }
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** Sign sales still waiting — offline replays and earlier failures. Oldest first. */
+    async function signPending(limit = 20) {
+        try {
+            const shop = await getShopFiscalSettings();
+            if (shop.fiscal_adapter === 'off') return { success: true, data: { signed: 0, failed: 0 } };
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('sales').select('id')
+                .eq('shop_id', shop.id).in('fiscal_status', ['pending', 'failed']).not('is_voided', 'is', true)
+                .order('created_at', { ascending: true }).limit(limit);
+            if (error) throw error;
+            let signed = 0, failed = 0;
+            for (const { id } of data || []) {
+                const r = await signSale(id);
+                if (r.success) signed++; else failed++;
+            }
+            if (signed || failed) console.log(`🧾 Fiscal backlog: ${signed} signed, ${failed} failed`);
+            return { success: true, data: { signed, failed } };
+        } catch (err) {
+            console.error('signPending failed:', err.message);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** Forget cached shop settings after they are changed */
+    function resetCache() {
+        shopCache = null;
+    }
+
+    window.fiscalModule = {
+        registerAdapter, getAdapter, buildInvoice,
+        signSale, signPending, resetCache,
+        adapters: () => Object.keys(adapters)
+    };
+
+    console.log('✅ Fiscal Module loaded');
+})();
@@ -0,0 +1,205 @@
+/**
+ * Loyalty Module - the shop's loyalty programme
+ *
+ * The rules are kept per shop (shops.loyalty_*, see
+ * supabase/migrations/20261019002200_loyalty_programme.sql) and edited on
+ * customers.html. Points themselves are rows in loyalty_transactions;
+ * customers.loyalty_points is the balance the ledger keeps, and
+ * lifetime_points (everything earned) decides the customer's tier.
+ *
+ * The till keeps the last rules it loaded on the device, so earning and
+ * redeeming work the same while offline.
+ */
+(function() {
+    'use strict';
+
+    const CACHE_KEY = 'duka_loyalty_settings';
+    const DEFAULTS = {
+        pointsPerKes: 1,
+        categoryRates: {},
+        redeemPoints: 100,
+        minRedeem: 100,
+        tiers: [
+            { name: 'Bronze', icon: '🥉', min_points: 50,  multiplier: 1 },
+            { name: 'Silver', icon: '🥈', min_points: 200, multiplier: 1 },
+            { name: 'Gold',   icon: '🏆', min_points: 500, multiplier: 1 }
+        ],
+        expiryMonths: null,
+        signupBonus: 0,
+        birthdayBonus: 0
+    };
+    const KINDS = {
+        opening:  { label: 'Opening balance', icon: '📒' },
+        earn:     { label: 'Earned',          icon: '⭐' },
+        redeem:   { label: 'Redeemed',        icon: '🎁' },
+        reverse:  { label: 'Goods returned',  icon: '↩️' },
+        expire:   { label: 'Expired',         icon: '⌛' },
+        adjust:   { label: 'Adjustment',      icon: '✏️' },
+        signup:   { label: 'Welcome bonus',   icon: '👋' },
+        birthday: { label: 'Birthday bonus',  icon: '🎂' }
+    };
+
+    let settings = { ...DEFAULTS };
+
+    function getShopId() {
+        const user = authModule.getCurrentUser();
+        if (!user?.shop_id) throw new Error('No shop_id found for current user. Please log in again.');
+        return user.shop_id;
+    }
+
+    function fromRow(row) {
+        return {
+            pointsPerKes:  Number(row.loyalty_points_per_kes),
+            categoryRates: row.loyalty_category_rates || {},
+            redeemPoints:  Number(row.loyalty_redeem_points) || DEFAULTS.redeemPoints,
+            minRedeem:     Number(row.loyalty_min_redeem),
+            tiers:         [...(row.loyalty_tiers || [])].sort((a, b) => a.min_points - b.min_points),
+            expiryMonths:  row.loyalty_expiry_months || null,
+            signupBonus:   Number(row.loyalty_signup_bonus) || 0,
+            birthdayBonus: Number(row.loyalty_birthday_bonus) || 0
+        };
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // SETTINGS
+    // ════════════════════════════════════════════════════════════
+
+    /** The shop's rules; falls back to the device copy, then the defaults */
+    async function load() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('shops')
+                .select('loyalty_points_per_kes, loyalty_category_rates, loyalty_redeem_points, loyalty_min_redeem, loyalty_tiers, loyalty_expiry_months, loyalty_signup_bonus, loyalty_birthday_bonus')
+                .eq('id', getShopId()).single();
+            if (error) throw error;
+            settings = fromRow(data);
+            localStorage.setItem(CACHE_KEY, JSON.stringify(settings));
+            return { success: true, data: settings };
+        } catch (err) {
+            console.warn('Loyalty: using the rules on this device —', err.message);
+            try { settings = { ...DEFAULTS, ...JSON.parse(localStorage.getItem(CACHE_KEY)) }; } catch (e) { settings = { ...DEFAULTS }; }
+            return { success: false, error: err.message, data: settings };
+        }
+    }
+
+    async function save(next) {
+        try {
+            const { error } = await window.DukaPOS.supabaseClient.rpc('set_loyalty_settings', {
+                p_shop_id: getShopId(),
+                p_settings: {
+                    points_per_kes: next.pointsPerKes, category_rates: next.categoryRates,
+                    redeem_points: next.redeemPoints, min_redeem: next.minRedeem, tiers: next.tiers,
+                    expiry_months: next.expiryMonths || null,
+                    signup_bonus: next.signupBonus, birthday_bonus: next.birthdayBonus
+                }
+            });
+            if (error) throw error;
+            await load();
+            return { success: true, data: settings };
+        } catch (err) {
+            console.error('loyalty save failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // RULES
+    // ════════════════════════════════════════════════════════════
+
+    /** Highest tier the customer's earned points reach, or null */
+    function tierFor(customer) {
+        const earned = Number(customer?.lifetime_points ?? customer?.loyalty_points ?? 0);
+        return [...settings.tiers].reverse().find(t => earned >= Number(t.min_points)) || null;
+    }
+
+    function rateFor(category) {
+        const key = Object.keys(settings.categoryRates).find(c => c.toLowerCase() === String(category || '').toLowerCase());
+        return key !== undefined ? Number(settings.categoryRates[key]) : settings.pointsPerKes;
+    }
+
+    /**
+     * Points a sale earns. What was paid (after any loyalty discount) is
+     * shared over the lines by their amounts, each earning at its
+     * category's rate, and the customer's tier multiplies the lot.
+     * @param {Array} lines - [{ category, amount }] at the prices charged
+     * @param {number} total - what the customer paid
+     */
+    function pointsFor(lines, total, customer) {
+        const gross = lines.reduce((s, l) => s + Number(l.amount), 0);
+        if (gross <= 0 || total <= 0) return 0;
+        const base = lines.reduce((s, l) => s + Number(l.amount) * (total / gross) * rateFor(l.category), 0);
+        return Math.floor(base * Number(tierFor(customer)?.multiplier || 1) + 1e-9);
+    }
+
+    /** KES a number of points takes off */
+    function redeemValue(points) {
+        return Number(points || 0) / settings.redeemPoints;
+    }
+
+    /** Fewest points that can be redeemed at once */
+    function minRedeemable() {
+        return Math.max(settings.minRedeem, settings.redeemPoints);
+    }
+
+    /** Why a redemption can't be made, or null when it can */
+    function checkRedeem(points, available) {
+        if (points < minRedeemable()) return `Minimum redemption is ${minRedeemable()} points.`;
+        if (points > available) return `Only ${available} points available.`;
+        if (points % settings.redeemPoints !== 0) return `Points must be multiples of ${settings.redeemPoints}.`;
+        return null;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // LEDGER
+    // ════════════════════════════════════════════════════════════
+
+    /** Lapse expired points and give birthday bonuses (one customer or the shop) */
+    async function housekeeping(customerId = null) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('loyalty_housekeeping', { p_shop_id: getShopId(), p_customer_id: customerId });
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.warn('loyalty housekeeping failed:', err.message);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function getHistory(customerId, limit = 50) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('loyalty_transactions')
+                .select('id, kind, points, sale_id, expires_at, reason, created_at, user:created_by(full_name)')
+                .eq('shop_id', getShopId()).eq('customer_id', customerId)
+                .order('created_at', { ascending: false }).order('id', { ascending: false }).limit(limit);
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('loyalty getHistory failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    /** Add (or with a negative number take off) points by hand; returns the new balance */
+    async function adjust(customerId, points, reason) {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('adjust_loyalty_points', { p_customer_id: customerId, p_points: points, p_reason: reason || null });
+            if (error) throw error;
+            return { success: true, data: Number(data) };
+        } catch (err) {
+            console.error('loyalty adjust failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    window.loyaltyModule = {
+        DEFAULTS, KINDS,
+        load, save, get: () => settings,
+        tierFor, rateFor, pointsFor, redeemValue, minRedeemable, checkRedeem,
+        housekeeping, getHistory, adjust
+    };
+
+    console.log('✅ Loyalty Module loaded');
+})();
@@ -1,31 +1,68 @@
 // ════════════════════════════════════════════════════════════════
 // DUKA POS - M-PESA DARAJA API INTEGRATION - Node.js Backend
 // Updated with REAL SANDBOX credentials from Python utils/mpesa_payment.py
+//
+// Every STK push is persisted to the Supabase `transactions` table
+// and resolved by the Daraja callback, so a payment survives a
+// server restart and can be reconciled against sales later.
+//
+// Environment:
+//   SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY   (required)
+//   MPESA_CALLBACK_URL     public URL of /api/mpesa/callback
+//   MPESA_CALLBACK_TOKEN   shared secret appended to the callback URL
+//                          (required — the server won't start without it)
+//   DARAJA_BASE_URL        defaults to the Safaricom sandbox; point it
+//                          at assets/mpesa-mock-daraja.js to try the
+//                          till without Safaricom
+//   MPESA_CONSUMER_KEY / MPESA_CONSUMER_SECRET / MPESA_SHORTCODE / MPESA_PASSKEY
+//
+// The till's endpoints need the signed-in user's x-session-token; the
+// shop and cashier come from that session, never from the request body.
 // ════════════════════════════════════════════════════════════════
 
 const express = require('express');
 const axios = require('axios');
+const { createClient } = require('@supabase/supabase-js');
 const app = express();
 app.use(express.json());
 
+// The POS is served from a different origin than this backend
+app.use((req, res, next) => {
+    res.set('Access-Control-Allow-Origin', process.env.ALLOWED_ORIGIN || '*');
+    res.set('Access-Control-Allow-Headers', 'content-type, x-session-token');
+    res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+});
+
 // ──────────────────────────────────────────────────────────────
 // M-PESA CONFIGURATION (SANDBOX - from your Python file)
 // ──────────────────────────────────────────────────────────────
+const DARAJA_BASE_URL = process.env.DARAJA_BASE_URL || 'https://sandbox.safaricom.co.ke';
+
 const MPESA_CONFIG = {
-    CONSUMER_KEY: 'plaDjfd2F8mzQAI0DnMJDr6Yr1W7cAGgOpBEAhKs3UKTgaiq',
-    CONSUMER_SECRET: 'kJF7MYqP9Y7ZVFirI8Fr6l1JdpDzpZTfyuAHtnGPsjvNyBiKHXlVoIOG0olK3GKs',
-    BUSINESS_SHORT_CODE: '400200',          // Sandbox Paybill number
-    PASSKEY: 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919',
-    CALLBACK_URL: 'https://yourdomain.com/api/mpesa/callback', // ← CHANGE THIS to your real callback URL
-
-    // Sandbox URLs
-    AUTH_URL: 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-    STK_PUSH_URL: 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-    QUERY_URL: 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query'
+    CONSUMER_KEY: process.env.MPESA_CONSUMER_KEY || 'plaDjfd2F8mzQAI0DnMJDr6Yr1W7cAGgOpBEAhKs3UKTgaiq',
+    CONSUMER_SECRET: process.env.MPESA_CONSUMER_SECRET || 'kJF7MYqP9Y7ZVFirI8Fr6l1JdpDzpZTfyuAHtnGPsjvNyBiKHXlVoIOG0olK3GKs',
+    BUSINESS_SHORT_CODE: process.env.MPESA_SHORTCODE || '400200',          // Sandbox Paybill number
+    PASSKEY: process.env.MPESA_PASSKEY || 'bfb279f9aa9bdbcf158e97dd71a467cd2e0c893059b10f78e6b72ada1ed2c919',
+    CALLBACK_URL: process.env.MPESA_CALLBACK_URL || 'https://yourdomain.com/api/mpesa/callback', // ← set MPESA_CALLBACK_URL
+    CALLBACK_TOKEN: process.env.MPESA_CALLBACK_TOKEN || '',
+
+    AUTH_URL: `${DARAJA_BASE_URL}/oauth/v1/generate?grant_type=client_credentials`,
+    STK_PUSH_URL: `${DARAJA_BASE_URL}/mpesa/stkpush/v1/processrequest`,
+    QUERY_URL: `${DARAJA_BASE_URL}/mpesa/stkpushquery/v1/query`,
+
+    // A push nobody answers is queried at Daraja after this long,
+    // and given up on (status 'timeout') after twice this long
+    STK_TIMEOUT_MS: Number(process.env.MPESA_STK_TIMEOUT_MS) || 120000
 };
 
-// In-memory storage for payment status (use Redis/DB in production)
-const paymentStatus = new Map();
+// Service-role client — the transactions table has no anon policies
+const db = createClient(
+    process.env.SUPABASE_URL || '',
+    process.env.SUPABASE_SERVICE_ROLE_KEY || '',
+    { auth: { persistSession: false } }
+);
 
 // ──────────────────────────────────────────────────────────────
 // GET ACCESS TOKEN
@@ -89,6 +126,88 @@ function formatPhoneNumber(phone) {
     return phone;
 }
 
+// ──────────────────────────────────────────────────────────────
+// CALLBACK HELPERS
+// ──────────────────────────────────────────────────────────────
+function callbackUrl() {
+    const sep = MPESA_CONFIG.CALLBACK_URL.includes('?') ? '&' : '?';
+    return `${MPESA_CONFIG.CALLBACK_URL}${sep}token=${encodeURIComponent(MPESA_CONFIG.CALLBACK_TOKEN)}`;
+}
+
+// Daraja sends TransactionDate as a YYYYMMDDHHmmss number in Nairobi time
+function parseDarajaDate(value) {
+    const s = String(value || '');
+    if (!/^\d{14}$/.test(s)) return null;
+    return `${s.slice(0, 4)}-${s.slice(4, 6)}-${s.slice(6, 8)}T${s.slice(8, 10)}:${s.slice(10, 12)}:${s.slice(12, 14)}+03:00`;
+}
+
+/**
+ * Check the shape of a Daraja STK callback body.
+ * Returns the stkCallback object, or null if anything required is missing.
+ */
+function validateCallback(body) {
+    const cb = body?.Body?.stkCallback;
+    if (!cb || typeof cb !== 'object') return null;
+    if (typeof cb.CheckoutRequestID !== 'string' || !cb.CheckoutRequestID) return null;
+    if (typeof cb.MerchantRequestID !== 'string' || !cb.MerchantRequestID) return null;
+    if (!Number.isInteger(Number(cb.ResultCode))) return null;
+
+    if (Number(cb.ResultCode) === 0) {
+        const items = cb.CallbackMetadata?.Item;
+        if (!Array.isArray(items)) return null;
+        const receipt = items.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
+        const amount  = items.find(item => item.Name === 'Amount')?.Value;
+        if (!receipt || !(Number(amount) > 0)) return null;
+    }
+    return cb;
+}
+
+function statusResponse(row) {
+    return {
+        completed: row.status !== 'pending',
+        success: row.status === 'success',
+        status: row.status,
+        receiptNumber: row.mpesa_receipt,
+        resultDesc: row.result_desc,
+        phone: row.paid_phone || row.phone,
+        amount: row.paid_amount ?? row.amount
+    };
+}
+
+// ──────────────────────────────────────────────────────────────
+// TILL SESSION
+// Resolves the x-session-token the POS sends with every call to
+// { id, shop_id } on req.staff, the same way has_permission() does
+// in the database. Anything without a live session gets a 401.
+// ──────────────────────────────────────────────────────────────
+async function requireSession(req, res, next) {
+    try {
+        const token = req.get('x-session-token');
+        if (!token) return res.status(401).json({ success: false, error: 'Sign in to take M-Pesa payments' });
+
+        const { data: session, error } = await db.from('user_sessions')
+            .select('user_id, is_active, expires_at')
+            .eq('session_token', token).maybeSingle();
+        if (error) throw error;
+        const live = session && session.is_active !== false
+            && (!session.expires_at || new Date(session.expires_at) > new Date());
+        if (!live) return res.status(401).json({ success: false, error: 'Your session has expired. Sign in again.' });
+
+        const { data: user, error: userErr } = await db.from('users')
+            .select('id, shop_id, is_active').eq('id', session.user_id).maybeSingle();
+        if (userErr) throw userErr;
+        if (!user?.shop_id || user.is_active === false) {
+            return res.status(401).json({ success: false, error: 'Your session has expired. Sign in again.' });
+        }
+
+        req.staff = { id: user.id, shop_id: user.shop_id };
+        next();
+    } catch (error) {
+        console.error('Session check failed:', error.message);
+        res.status(500).json({ success: false, error: 'Could not verify your session' });
+    }
+}
+
 // ══════════════════════════════════════════════════════════════
 // API ENDPOINTS
 // ══════════════════════════════════════════════════════════════
@@ -96,9 +215,10 @@ function formatPhoneNumber(phone) {
 // ──────────────────────────────────────────────────────────────
 // INITIATE STK PUSH (Lipa na M-Pesa Online)
 // ──────────────────────────────────────────────────────────────
-app.post('/api/mpesa/stk-push', async (req, res) => {
+app.post('/api/mpesa/stk-push', requireSession, async (req, res) => {
     try {
-        const { phone, amount, description = 'Duka POS Payment' } = req.body;
+        const { phone, amount, description = 'Duka POS Payment', client_sale_id } = req.body;
+        const { shop_id, id: user_id } = req.staff;
 
         if (!phone || !amount || amount <= 0) {
             return res.status(400).json({
@@ -124,7 +244,7 @@ app.post('/api/mpesa/stk-push', async (req, res) => {
             PartyA: formattedPhone,
             PartyB: MPESA_CONFIG.BUSINESS_SHORT_CODE,
             PhoneNumber: formattedPhone,
-            CallBackURL: MPESA_CONFIG.CALLBACK_URL,
+            CallBackURL: callbackUrl(),
             AccountReference: 'DukaPOS-' + Date.now(),
             TransactionDesc: description
         };
@@ -146,13 +266,23 @@ app.post('/api/mpesa/stk-push', async (req, res) => {
 
         const actualCheckoutID = response.data.CheckoutRequestID || checkoutRequestID;
 
-        // Store initial status
-        paymentStatus.set(actualCheckoutID, {
-            status: 'pending',
+        // Persist as pending — the callback resolves it
+        const { error: dbErr } = await db.from('transactions').insert([{
+            shop_id,
+            user_id,
+            client_sale_id: client_sale_id || null,
+            checkout_request_id: actualCheckoutID,
+            merchant_request_id: response.data.MerchantRequestID || null,
             phone: formattedPhone,
-            amount: amount,
-            timestamp: Date.now()
-        });
+            amount: stkPushData.Amount,
+            account_reference: stkPushData.AccountReference,
+            status: 'pending'
+        }]);
+        if (dbErr) {
+            // Non-fatal: the push is already on the customer's phone and the
+            // callback will insert the row if it is still missing
+            console.error('transactions insert error:', dbErr.message);
+        }
 
         res.json({
             success: true,
@@ -172,124 +302,198 @@ app.post('/api/mpesa/stk-push', async (req, res) => {
 // ──────────────────────────────────────────────────────────────
 // CHECK PAYMENT STATUS (polling endpoint)
 // ──────────────────────────────────────────────────────────────
-app.get('/api/mpesa/status/:checkoutRequestID', async (req, res) => {
-    const { checkoutRequestID } = req.params;
-    const status = paymentStatus.get(checkoutRequestID);
+app.get('/api/mpesa/status/:checkoutRequestID', requireSession, async (req, res) => {
+    try {
+        const { checkoutRequestID } = req.params;
+        const { data: row, error } = await db.from('transactions')
+            .select('*').eq('checkout_request_id', checkoutRequestID).eq('shop_id', req.staff.shop_id).maybeSingle();
+        if (error) throw error;
+
+        if (!row) {
+            return res.json({
+                completed: false,
+                success: false,
+                message: 'Payment request not found'
+            });
+        }
 
-    if (!status) {
-        return res.json({
-            completed: false,
-            success: false,
-            message: 'Payment request not found'
-        });
+        // No callback yet — ask Daraja directly, then give up after 2× the timeout
+        const age = Date.now() - new Date(row.created_at).getTime();
+        if (row.status === 'pending' && age > MPESA_CONFIG.STK_TIMEOUT_MS) {
+            const resolved = await resolveStalePush(row, age);
+            return res.json(statusResponse(resolved));
+        }
+
+        res.json(statusResponse(row));
+    } catch (error) {
+        console.error('Status Error:', error.message);
+        res.status(500).json({ completed: false, success: false, error: 'Failed to read payment status' });
+    }
+});
+
+async function resolveStalePush(row, age) {
+    let update = null;
+    try {
+        const result = await queryStkPush(row.checkout_request_id);
+        const code = Number(result.ResultCode);
+        // ResultCode 0 means paid — keep waiting for the callback that carries the receipt
+        if (Number.isInteger(code) && code !== 0) {
+            update = {
+                status: code === 1032 ? 'cancelled' : code === 1037 ? 'timeout' : 'failed',
+                result_code: code,
+                result_desc: result.ResultDesc
+            };
+        }
+    } catch (error) {
+        // Daraja answers "still processing" with an error status — not final
+        console.warn('STK query inconclusive:', error.response?.data?.errorMessage || error.message);
     }
 
-    // Auto-timeout after 2 minutes if still pending
-    const age = Date.now() - status.timestamp;
-    if (age > 120000 && status.status === 'pending') {
-        status.status = 'timeout';
-        paymentStatus.set(checkoutRequestID, status);
+    if (!update && age > MPESA_CONFIG.STK_TIMEOUT_MS * 2) {
+        update = { status: 'timeout', result_desc: 'No response from M-Pesa' };
     }
+    if (!update) return row;
+
+    const { data, error } = await db.from('transactions')
+        .update({ ...update, updated_at: new Date().toISOString() })
+        .eq('id', row.id).eq('status', 'pending')
+        .select().maybeSingle();
+    if (error) throw error;
+    return data || row;
+}
 
-    res.json({
-        completed: status.status !== 'pending',
-        success: status.status === 'success',
-        status: status.status,
-        receiptNumber: status.receiptNumber,
-        phone: status.phone,
-        amount: status.amount
-    });
+// ──────────────────────────────────────────────────────────────
+// CANCEL (cashier gave up waiting)
+// Daraja has no cancel for STK pushes — this only stops the till
+// waiting. A late success callback still records the payment.
+// ──────────────────────────────────────────────────────────────
+app.post('/api/mpesa/cancel/:checkoutRequestID', requireSession, async (req, res) => {
+    try {
+        const { data, error } = await db.from('transactions')
+            .update({ status: 'cancelled', result_desc: 'Cancelled at till', updated_at: new Date().toISOString() })
+            .eq('checkout_request_id', req.params.checkoutRequestID).eq('shop_id', req.staff.shop_id).eq('status', 'pending')
+            .select().maybeSingle();
+        if (error) throw error;
+        res.json({ success: true, cancelled: !!data });
+    } catch (error) {
+        console.error('Cancel Error:', error.message);
+        res.status(500).json({ success: false, error: 'Failed to cancel payment request' });
+    }
 });
 
 // ──────────────────────────────────────────────────────────────
 // M-PESA CALLBACK (Webhook) - VERY IMPORTANT
+// Daraja retries until it gets a 200, so a duplicate delivery
+// must be acknowledged without changing an already-final row.
 // ──────────────────────────────────────────────────────────────
-app.post('/api/mpesa/callback', (req, res) => {
+app.post('/api/mpesa/callback', async (req, res) => {
     console.log('📥 M-Pesa CALLBACK RECEIVED:', JSON.stringify(req.body, null, 2));
 
+    if (!MPESA_CONFIG.CALLBACK_TOKEN || req.query.token !== MPESA_CONFIG.CALLBACK_TOKEN) {
+        console.warn('⚠️ Callback rejected: bad token');
+        return res.status(403).json({ ResultCode: 1, ResultDesc: 'Forbidden' });
+    }
+
+    const stkCallback = validateCallback(req.body);
+    if (!stkCallback) {
+        console.warn('⚠️ Callback rejected: malformed body');
+        return res.status(400).json({ ResultCode: 1, ResultDesc: 'Malformed callback' });
+    }
+
     try {
-        const { Body } = req.body;
-        const stkCallback = Body?.stkCallback;
+        const checkoutRequestID = stkCallback.CheckoutRequestID;
+        const resultCode = Number(stkCallback.ResultCode);
 
-        if (!stkCallback) {
-            return res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
+        const { data: row, error: findErr } = await db.from('transactions')
+            .select('*').eq('checkout_request_id', checkoutRequestID).maybeSingle();
+        if (findErr) throw findErr;
+
+        if (row && row.merchant_request_id && row.merchant_request_id !== stkCallback.MerchantRequestID) {
+            console.warn('⚠️ Callback rejected: MerchantRequestID mismatch for', checkoutRequestID);
+            return res.status(400).json({ ResultCode: 1, ResultDesc: 'Unknown request' });
+        }
+        if (row && ['success', 'underpaid', 'failed'].includes(row.status)) {
+            return res.json({ ResultCode: 0, ResultDesc: 'Already processed' });
         }
 
-        const checkoutRequestID = stkCallback.CheckoutRequestID;
-        const resultCode = stkCallback.ResultCode;
+        const update = {
+            result_code: resultCode,
+            result_desc: stkCallback.ResultDesc || null,
+            raw_callback: req.body,
+            updated_at: new Date().toISOString()
+        };
 
         if (resultCode === 0) {
             // Payment SUCCESS
             const callbackMetadata = stkCallback.CallbackMetadata?.Item || [];
 
             const receiptNumber = callbackMetadata.find(item => item.Name === 'MpesaReceiptNumber')?.Value;
-            const amount = callbackMetadata.find(item => item.Name === 'Amount')?.Value;
+            const amount = Number(callbackMetadata.find(item => item.Name === 'Amount')?.Value);
             const phone = callbackMetadata.find(item => item.Name === 'PhoneNumber')?.Value;
-
-            paymentStatus.set(checkoutRequestID, {
-                status: 'success',
-                receiptNumber,
-                phone,
-                amount,
-                timestamp: Date.now()
+            const transactionDate = callbackMetadata.find(item => item.Name === 'TransactionDate')?.Value;
+
+            // Less than was asked for: the money arrived, so acknowledge it (Daraja
+            // would retry a refusal forever) but don't let the till take it as paid
+            const underpaid = row && amount < Number(row.amount);
+            if (underpaid) console.warn('⚠️ Underpaid: amount', amount, 'below requested', row.amount);
+
+            Object.assign(update, {
+                status: underpaid ? 'underpaid' : 'success',
+                mpesa_receipt: String(receiptNumber),
+                paid_amount: amount,
+                paid_phone: phone ? String(phone) : null,
+                transaction_date: parseDarajaDate(transactionDate)
             });
 
-            console.log('✅ PAYMENT SUCCESS:', { checkoutRequestID, receiptNumber, amount });
+            if (!underpaid) console.log('✅ PAYMENT SUCCESS:', { checkoutRequestID, receiptNumber, amount });
         } else {
-            // Payment FAILED / CANCELLED
-            paymentStatus.set(checkoutRequestID, {
-                status: 'failed',
-                resultDesc: stkCallback.ResultDesc,
-                timestamp: Date.now()
-            });
+            // Payment FAILED / CANCELLED — keep an earlier till-side cancel/timeout as is
+            update.status = row && row.status !== 'pending' ? row.status
+                : resultCode === 1032 ? 'cancelled'
+                : resultCode === 1037 ? 'timeout'
+                : 'failed';
 
             console.log('❌ PAYMENT FAILED:', { checkoutRequestID, reason: stkCallback.ResultDesc });
         }
 
+        const { error: saveErr } = row
+            ? await db.from('transactions').update(update).eq('id', row.id)
+            : await db.from('transactions').insert([{
+                ...update,
+                checkout_request_id: checkoutRequestID,
+                merchant_request_id: stkCallback.MerchantRequestID,
+                phone: update.paid_phone || 'unknown',
+                amount: update.paid_amount || 0
+            }]);
+        if (saveErr) throw saveErr;
+
         // Always respond with success to M-Pesa (they retry if not)
         res.json({ ResultCode: 0, ResultDesc: 'Accepted' });
     } catch (error) {
+        // Not acknowledged, so Daraja delivers it again
         console.error('❌ Callback Processing Error:', error);
-        res.json({ ResultCode: 1, ResultDesc: 'Error' });
+        res.status(500).json({ ResultCode: 1, ResultDesc: 'Error' });
     }
 });
 
 // ──────────────────────────────────────────────────────────────
 // QUERY STK PUSH STATUS (manual check fallback)
 // ──────────────────────────────────────────────────────────────
-app.post('/api/mpesa/query', async (req, res) => {
+app.post('/api/mpesa/query', requireSession, async (req, res) => {
     try {
         const { checkoutRequestID } = req.body;
 
         if (!checkoutRequestID) {
             return res.status(400).json({ success: false, error: 'checkoutRequestID is required' });
         }
-
-        const accessToken = await getAccessToken();
-        const timestamp = generateTimestamp();
-        const password = generatePassword(timestamp);
-
-        const queryData = {
-            BusinessShortCode: MPESA_CONFIG.BUSINESS_SHORT_CODE,
-            Password: password,
-            Timestamp: timestamp,
-            CheckoutRequestID: checkoutRequestID
-        };
-
-        const response = await axios.post(
-            MPESA_CONFIG.QUERY_URL,
-            queryData,
-            {
-                headers: {
-                    Authorization: `Bearer ${accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        const { data: row, error } = await db.from('transactions')
+            .select('id').eq('checkout_request_id', checkoutRequestID).eq('shop_id', req.staff.shop_id).maybeSingle();
+        if (error) throw error;
+        if (!row) return res.status(404).json({ success: false, error: 'Payment request not found' });
 
         res.json({
             success: true,
-            data: response.data
+            data: await queryStkPush(checkoutRequestID)
         });
     } catch (error) {
         console.error('Query Error:', error.response?.data || error.message);
@@ -300,6 +504,31 @@ app.post('/api/mpesa/query', async (req, res) => {
     }
 });
 
+async function queryStkPush(checkoutRequestID) {
+    const accessToken = await getAccessToken();
+    const timestamp = generateTimestamp();
+    const password = generatePassword(timestamp);
+
+    const queryData = {
+        BusinessShortCode: MPESA_CONFIG.BUSINESS_SHORT_CODE,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestID
+    };
+
+    const response = await axios.post(
+        MPESA_CONFIG.QUERY_URL,
+        queryData,
+        {
+            headers: {
+                Authorization: `Bearer ${accessToken}`,
+                'Content-Type': 'application/json'
+            }
+        }
+    );
+    return response.data;
+}
+
 // ──────────────────────────────────────────────────────────────
 // HEALTH CHECK
 // ──────────────────────────────────────────────────────────────
@@ -311,9 +540,20 @@ app.get('/health', (req, res) => {
 // START SERVER
 // ──────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`🚀 M-Pesa API Server running on port ${PORT}`);
-    console.log(`📱 Callback URL set to: ${MPESA_CONFIG.CALLBACK_URL}`);
-    console.log(`\nIMPORTANT: Update CALLBACK_URL in MPESA_CONFIG to your real public URL`);
-    console.log(`Current time: ${new Date().toISOString()}`);
-});
\ No newline at end of file
+if (require.main === module) {
+    // Without the token anyone who learns a CheckoutRequestID could post
+    // a success callback and mark a pending sale as paid
+    if (!MPESA_CONFIG.CALLBACK_TOKEN) {
+        console.error('❌ MPESA_CALLBACK_TOKEN is not set. Refusing to start: the callback would be unauthenticated.');
+        process.exit(1);
+    }
+    app.listen(PORT, () => {
+        console.log(`🚀 M-Pesa API Server running on port ${PORT}`);
+        console.log(`📱 Callback URL set to: ${MPESA_CONFIG.CALLBACK_URL}`);
+        console.log(`🌐 Daraja: ${DARAJA_BASE_URL}`);
+        if (!process.env.MPESA_CALLBACK_URL) console.log(`\nIMPORTANT: Set MPESA_CALLBACK_URL to your real public URL`);
+        console.log(`Current time: ${new Date().toISOString()}`);
+    });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,179 @@
+// ════════════════════════════════════════════════════════════════
+// DUKA POS - MOCK DARAJA SERVER (local development only)
+// Stands in for sandbox.safaricom.co.ke when testing the STK flow:
+// every outcome below can be produced on demand, from the till or with
+// curl, without Safaricom credentials or a public callback URL.
+//
+//   node assets/mpesa-mock-daraja.js                     # port 4010
+//   DARAJA_BASE_URL=http://localhost:4010 \
+//   MPESA_CALLBACK_URL=http://localhost:3000/api/mpesa/callback \
+//   MPESA_CALLBACK_TOKEN=dev-secret \
+//   node assets/mpesa-backend.js
+//
+// The last digit of the paying phone number picks the outcome:
+//   …0, …5-…9  success after MOCK_CALLBACK_DELAY_MS (default 3000)
+//   …1         customer cancelled            (ResultCode 1032)
+//   …2         insufficient balance          (ResultCode 1)
+//   …3         no callback at all — exercises the till's timeout path;
+//              STK query answers 1037 (no response from user)
+//   …4         success, but KES 1 less than was asked for (underpaid)
+//
+// GET /mock/requests lists every push received and its callback.
+// ════════════════════════════════════════════════════════════════
+
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_DARAJA_PORT) || 4010;
+const CALLBACK_DELAY_MS = Number(process.env.MOCK_CALLBACK_DELAY_MS) || 3000;
+
+const requests = new Map();   // CheckoutRequestID → { body, outcome, callback }
+let seq = 0;
+
+// ──────────────────────────────────────────────────────────────
+// OUTCOMES
+// ──────────────────────────────────────────────────────────────
+function outcomeFor(phone) {
+    const last = String(phone).slice(-1);
+    if (last === '1') return { code: 1032, desc: 'Request cancelled by user' };
+    if (last === '2') return { code: 1, desc: 'The balance is insufficient for the transaction' };
+    if (last === '3') return { code: 1037, desc: 'DS timeout user cannot be reached', silent: true };
+    if (last === '4') return { code: 0, desc: 'The service request is processed successfully.', short: 1 };
+    return { code: 0, desc: 'The service request is processed successfully.' };
+}
+
+function darajaTimestamp(date = new Date()) {
+    // Daraja reports Nairobi time (UTC+3)
+    return new Date(date.getTime() + 3 * 3600 * 1000).toISOString().replace(/\D/g, '').slice(0, 14);
+}
+
+function buildCallback(entry) {
+    const { body, outcome, checkoutRequestID, merchantRequestID } = entry;
+    const stkCallback = {
+        MerchantRequestID: merchantRequestID,
+        CheckoutRequestID: checkoutRequestID,
+        ResultCode: outcome.code,
+        ResultDesc: outcome.desc
+    };
+    if (outcome.code === 0) {
+        stkCallback.CallbackMetadata = {
+            Item: [
+                { Name: 'Amount', Value: Number(body.Amount) - (outcome.short || 0) },
+                { Name: 'MpesaReceiptNumber', Value: 'MCK' + String(Date.now()).slice(-7) },
+                { Name: 'Balance' },
+                { Name: 'TransactionDate', Value: Number(darajaTimestamp()) },
+                { Name: 'PhoneNumber', Value: Number(body.PhoneNumber) }
+            ]
+        };
+    }
+    return { Body: { stkCallback } };
+}
+
+async function deliverCallback(entry) {
+    entry.callback = buildCallback(entry);
+    try {
+        const res = await fetch(entry.body.CallBackURL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry.callback)
+        });
+        entry.callbackStatus = res.status;
+        console.log(`📨 Callback ${entry.checkoutRequestID} → ${res.status}`);
+    } catch (error) {
+        entry.callbackStatus = 'unreachable';
+        console.error(`❌ Callback ${entry.checkoutRequestID} failed:`, error.message);
+    }
+}
+
+// ──────────────────────────────────────────────────────────────
+// HTTP
+// ──────────────────────────────────────────────────────────────
+function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            try { resolve(raw ? JSON.parse(raw) : {}); } catch (error) { reject(error); }
+        });
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    try {
+        if (req.method === 'GET' && url.pathname === '/oauth/v1/generate') {
+            if (!/^Basic /.test(req.headers.authorization || '')) {
+                return send(res, 401, { errorCode: '401.002.01', errorMessage: 'Invalid credentials' });
+            }
+            return send(res, 200, { access_token: 'mock-token-' + Date.now(), expires_in: '3599' });
+        }
+
+        if (req.method === 'POST' && url.pathname === '/mpesa/stkpush/v1/processrequest') {
+            const body = await readBody(req);
+            const missing = ['BusinessShortCode', 'Password', 'Timestamp', 'Amount', 'PhoneNumber', 'CallBackURL']
+                .filter(k => !body[k]);
+            if (missing.length) {
+                return send(res, 400, { errorCode: '400.002.02', errorMessage: `Bad Request - Invalid ${missing[0]}` });
+            }
+
+            seq += 1;
+            const entry = {
+                body,
+                outcome: outcomeFor(body.PhoneNumber),
+                checkoutRequestID: `ws_CO_MOCK_${Date.now()}_${seq}`,
+                merchantRequestID: `MOCK-${seq}`,
+                receivedAt: new Date().toISOString()
+            };
+            requests.set(entry.checkoutRequestID, entry);
+
+            if (!entry.outcome.silent) setTimeout(() => deliverCallback(entry), CALLBACK_DELAY_MS);
+
+            return send(res, 200, {
+                MerchantRequestID: entry.merchantRequestID,
+                CheckoutRequestID: entry.checkoutRequestID,
+                ResponseCode: '0',
+                ResponseDescription: 'Success. Request accepted for processing',
+                CustomerMessage: 'Success. Request accepted for processing'
+            });
+        }
+
+        if (req.method === 'POST' && url.pathname === '/mpesa/stkpushquery/v1/query') {
+            const body = await readBody(req);
+            const entry = requests.get(body.CheckoutRequestID);
+            if (!entry) {
+                return send(res, 500, { errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+            }
+            return send(res, 200, {
+                ResponseCode: '0',
+                ResponseDescription: 'The service request has been accepted successsfully',
+                MerchantRequestID: entry.merchantRequestID,
+                CheckoutRequestID: entry.checkoutRequestID,
+                ResultCode: String(entry.outcome.code),
+                ResultDesc: entry.outcome.desc
+            });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/mock/requests') {
+            return send(res, 200, Array.from(requests.values()));
+        }
+
+        send(res, 404, { errorMessage: `No mock for ${req.method} ${url.pathname}` });
+    } catch (error) {
+        send(res, 400, { errorMessage: error.message });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`🧪 Mock Daraja running on http://localhost:${PORT}`);
+        console.log(`   Callback delay: ${CALLBACK_DELAY_MS}ms`);
+    });
+}
+
+module.exports = server;
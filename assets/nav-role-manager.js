@@ -2,7 +2,7 @@
 // NAVIGATION ROLE MANAGER
 // ════════════════════════════════════════════════════════════════
 // Add this script to ALL HTML files to automatically show/hide navigation
-// based on user role
+// based on the user's role permissions (see page-access-guard.js)
 // ════════════════════════════════════════════════════════════════
 
 (function() {
@@ -18,36 +18,33 @@
             return;
         }
 
-        const isAdmin = currentUser.role === 'administrator';
+        const can = page => window.permissions ? window.permissions.canAccessPage(page, currentUser)
+                                               : currentUser.role === 'administrator';
 
         // ════════════════════════════════════════════════════════════
-        // ADMIN-ONLY LINKS
+        // PERMISSION-GATED LINKS
         // ════════════════════════════════════════════════════════════
-        const dashboardLink = document.getElementById('dashboardLink');
-        const inventoryLink = document.getElementById('inventoryLink');
-        const adminLink = document.getElementById('adminTab');
+        const links = {
+            dashboardLink: 'dashboard.html',
+            inventoryLink: 'inventory.html',
+            adminTab:      'admin.html'
+        };
 
-        // Show/hide based on role
-        if (dashboardLink) {
-            dashboardLink.style.display = isAdmin ? 'flex' : 'none';
-        }
+        Object.entries(links).forEach(([id, page]) => {
+            const link = document.getElementById(id);
+            if (link) link.style.display = can(page) ? 'flex' : 'none';
+        });
 
-        if (inventoryLink) {
-            inventoryLink.style.display = isAdmin ? 'flex' : 'none';
-        }
+        if (window.permissions) window.permissions.applyVisibility();
 
-        if (adminLink) {
-            adminLink.style.display = isAdmin ? 'flex' : 'none';
-        }
-
-        console.log(`✅ Navigation configured for ${isAdmin ? 'Administrator' : 'Cashier'}`);
+        console.log(`✅ Navigation configured for ${currentUser.role}`);
     };
 
     /**
-     * Enforce admin-only access for specific pages
-     * Call this on dashboard.html and inventory.html
+     * Enforce the current page's permission (see PAGE_PERMISSIONS in
+     * page-access-guard.js). Kept under its old name for existing callers.
      */
-    window.requireAdminAccess = function(pageName = 'this page', redirectTo = 'pos.html') {
+    window.requireAdminAccess = function(pageName = 'this page', redirectTo = null) {
         const currentUser = window.authModule.getCurrentUser();
         
         if (!currentUser) {
@@ -56,9 +53,14 @@
             return false;
         }
 
-        if (currentUser.role !== 'administrator') {
-            alert(`⚠️ Access Denied\n\n${pageName} is only available to administrators.`);
-            window.location.href = redirectTo;
+        const page = window.location.pathname.split('/').pop() || 'index.html';
+        const allowed = window.permissions
+            ? window.permissions.canAccessPage(page, currentUser)
+            : currentUser.role === 'administrator';
+
+        if (!allowed) {
+            alert(`⚠️ Access Denied\n\nYour role does not have access to ${pageName}.`);
+            window.location.href = redirectTo || (window.permissions ? window.permissions.homepageFor(currentUser) : 'pos.html');
             return false;
         }
 
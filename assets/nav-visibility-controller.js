@@ -28,29 +28,10 @@
         return;
     }
     
-    // Define which navigation links each role can see
-    const NAV_VISIBILITY = {
-        'administrator': {
-            visible: ['all'] // Show all links
-        },
-        'manager': {
-            visible: ['dashboard', 'pos', 'products', 'inventory', 'customers', 'suppliers', 'users']
-        },
-        'cashier': {
-            visible: ['pos', 'products', 'customers']
-        },
-        'supplier': {
-            visible: ['suppliers'] // ONLY suppliers link
-        },
-        'customer': {
-            visible: ['customers'] // ONLY customers link
-        }
-    };
-    
-    const userNav = NAV_VISIBILITY[user.role];
-    
-    if (!userNav) {
-        console.error('❌ Unknown role:', user.role);
+    // Which pages each role can open comes from the permission registry
+    // (page-access-guard.js), so nav links and page guards always agree
+    if (!window.permissions) {
+        console.error('❌ Permission registry not loaded — include page-access-guard.js first');
         return;
     }
     
@@ -62,63 +43,62 @@
         return;
     }
     
-    // Map of link href/text to identifier
+    // Map of link href/text to page
     const linkMap = {
-        'dashboard.html': 'dashboard',
-        'dashboard': 'dashboard',
-        'pos.html': 'pos',
-        'pos': 'pos',
-        'point of sale': 'pos',
-        'products.html': 'products',
-        'products': 'products',
-        'inventory.html': 'inventory',
-        'inventory': 'inventory',
-        'customers.html': 'customers',
-        'customers': 'customers',
-        'suppliers.html': 'suppliers',
-        'suppliers': 'suppliers',
-        'admin.html': 'users',
-        'users': 'users',
-        'user': 'users'
+        'dashboard.html': 'dashboard.html',
+        'dashboard': 'dashboard.html',
+        'sales-analytics.html': 'sales-analytics.html',
+        'pos.html': 'pos.html',
+        'pos': 'pos.html',
+        'point of sale': 'pos.html',
+        'products.html': 'products.html',
+        'products': 'products.html',
+        'inventory.html': 'inventory.html',
+        'inventory': 'inventory.html',
+        'stocktake.html': 'stocktake.html',
+        'stocktake': 'stocktake.html',
+        'customers.html': 'customers.html',
+        'customers': 'customers.html',
+        'supply-requests.html': 'supply-requests.html',
+        'supplier-portal.html': 'supplier-portal.html',
+        'supplier portal': 'supplier-portal.html',
+        'suppliers.html': 'suppliers.html',
+        'suppliers': 'suppliers.html',
+        'admin.html': 'admin.html',
+        'users': 'admin.html',
+        'user': 'admin.html'
     };
     
-    // Filter navigation links
-    navLinks.forEach(link => {
-        const href = link.getAttribute('href') || '';
-        const text = link.textContent.toLowerCase().trim();
-        
-        // Identify which page this link goes to
-        let pageIdentifier = null;
-        
-        // Check href first
-        for (const [key, value] of Object.entries(linkMap)) {
-            if (href.includes(key) || text.includes(key)) {
-                pageIdentifier = value;
-                break;
+    function filterLinks() {
+        navLinks.forEach(link => {
+            const href = link.getAttribute('href') || '';
+            const text = link.textContent.toLowerCase().trim();
+            
+            // Identify which page this link goes to
+            let page = null;
+            for (const [key, value] of Object.entries(linkMap)) {
+                if (href.includes(key) || text.includes(key)) {
+                    page = value;
+                    break;
+                }
             }
-        }
-        
-        // Determine if this link should be visible
-        let shouldShow = false;
-        
-        if (userNav.visible.includes('all')) {
-            // Administrator sees everything
-            shouldShow = true;
-        } else if (pageIdentifier && userNav.visible.includes(pageIdentifier)) {
-            // User's role has access to this page
-            shouldShow = true;
-        }
-        
-        // Show or hide the link
-        if (shouldShow) {
-            link.style.display = '';
-            link.style.visibility = 'visible';
-        } else {
-            link.style.display = 'none';
-        }
-    });
+            
+            // Links we can't place are left alone
+            if (!page) return;
+            
+            if (window.permissions.canAccessPage(page, user)) {
+                link.style.display = '';
+                link.style.visibility = 'visible';
+            } else {
+                link.style.display = 'none';
+            }
+        });
+    }
+    
+    filterLinks();
+    // The shop's own overrides may arrive after the cached/default matrix
+    window.addEventListener('permissions:loaded', filterLinks);
     
     console.log(`✅ Navigation filtered for role: ${user.role}`);
-    console.log(`👁️ Visible links: ${userNav.visible.join(', ')}`);
     
 })();
\ No newline at end of file
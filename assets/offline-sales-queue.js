@@ -0,0 +1,352 @@
+// ════════════════════════════════════════════════════════════════
+// DUKA POS - OFFLINE SALES QUEUE
+// Holds completed sales in IndexedDB while the till is offline and
+// replays them to Supabase when the connection comes back.
+//
+// Loaded in two places:
+//   • pos.html        — enqueue sales, show the pending counter,
+//                       flush on 'online' where Background Sync is missing
+//   • sw.js           — importScripts() it and flush on the 'sync' event
+//
+// Replay goes through the same process_checkout RPC as online sales, so
+// each sale lands atomically. Every queued sale carries a client-generated
+// UUID (sales.client_sale_id) and the RPC returns the existing sale for a
+// UUID it has already seen, so a replay that runs twice is harmless.
+//
+// Replays run as whoever is signed in at the time, not the session the
+// sale was queued under (sessions expire after 8 hours). A sale the
+// server refuses for want of a live session is parked as "needs sign-in"
+// and retried once a different session is available.
+// ════════════════════════════════════════════════════════════════
+
+(function () {
+    'use strict';
+
+    // `self` is window in pages and ServiceWorkerGlobalScope in sw.js
+    const root = self;
+
+    const DB_NAME    = 'duka-pos-offline';
+    const DB_VERSION = 2;
+    const STORE      = 'pending_sales';
+    const META       = 'meta';
+    const SYNC_TAG   = 'sync-pending-sales';
+    const LOCK_NAME  = 'duka-pos-sale-sync';
+
+    // ════════════════════════════════════════════════════════════
+    // INDEXEDDB HELPERS
+    // ════════════════════════════════════════════════════════════
+    let _dbPromise = null;
+
+    function openDb() {
+        if (_dbPromise) return _dbPromise;
+        _dbPromise = new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    const store = db.createObjectStore(STORE, { keyPath: 'client_sale_id' });
+                    store.createIndex('queued_at', 'queued_at');
+                }
+                if (!db.objectStoreNames.contains(META)) db.createObjectStore(META);
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror   = () => { _dbPromise = null; reject(req.error); };
+        });
+        return _dbPromise;
+    }
+
+    async function tx(mode, fn, storeName = STORE) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const t     = db.transaction(storeName, mode);
+            const store = t.objectStore(storeName);
+            let result;
+            const req = fn(store);
+            if (req) req.onsuccess = () => { result = req.result; };
+            t.oncomplete = () => resolve(result);
+            t.onerror    = () => reject(t.error);
+            t.onabort    = () => reject(t.error);
+        });
+    }
+
+    const putEntry    = entry => tx('readwrite', s => s.put(entry));
+    const deleteEntry = id    => tx('readwrite', s => s.delete(id));
+    const listEntries = ()    => tx('readonly',  s => s.index('queued_at').getAll());
+    const getMeta     = key          => tx('readonly',  s => s.get(key), META);
+    const putMeta     = (key, value) => tx('readwrite', s => s.put(value, key), META);
+
+    // ════════════════════════════════════════════════════════════
+    // SESSION — the service worker has no localStorage, so pages keep
+    // the current session token in IndexedDB for it
+    // ════════════════════════════════════════════════════════════
+    function pageSessionToken() {
+        return root.localStorage?.getItem('duka_session') || null;
+    }
+
+    async function rememberSession() {
+        const token = pageSessionToken();
+        if (!token) return;
+        try {
+            await putMeta('session_token', token);
+        } catch (err) {
+            console.warn('Session not saved for background sync:', err.message);
+        }
+    }
+
+    /** The page's live session, else the last one a page saved */
+    async function currentSessionToken() {
+        const token = pageSessionToken();
+        if (token) return token;
+        try {
+            return (await getMeta('session_token')) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // IDS
+    // ════════════════════════════════════════════════════════════
+    function generateSaleId() {
+        if (root.crypto?.randomUUID) return root.crypto.randomUUID();
+        // RFC 4122 v4 fallback for older WebViews
+        const b = new Uint8Array(16);
+        root.crypto.getRandomValues(b);
+        b[6] = (b[6] & 0x0f) | 0x40;
+        b[8] = (b[8] & 0x3f) | 0x80;
+        const h = Array.from(b, x => x.toString(16).padStart(2, '0')).join('');
+        return `${h.slice(0, 8)}-${h.slice(8, 12)}-${h.slice(12, 16)}-${h.slice(16, 20)}-${h.slice(20)}`;
+    }
+
+    /**
+     * True when an error came from the network rather than from Supabase
+     * (supabase-js surfaces fetch failures as "TypeError: Failed to fetch")
+     */
+    function isNetworkError(err) {
+        if (!err) return false;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+        const msg = String(err.message || err);
+        return /failed to fetch|networkerror|network request failed|load failed/i.test(msg);
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // ENQUEUE (page side)
+    // ════════════════════════════════════════════════════════════
+
+    /**
+     * Queue a sale for later replay.
+     * @param {object} payload
+     * @param {object} payload.sale    - sales row incl. client_sale_id, shop_id, user_id, created_at
+     * @param {Array}  payload.items   - sale_items rows (without sale_id)
+     * @param {Array}  [payload.payments] - [{ method, amount, reference }]
+     * @param {object} [payload.loyalty]  - { customer_id, points_redeemed }
+     */
+    async function enqueueSale(payload) {
+        try {
+            if (!payload?.sale?.client_sale_id) throw new Error('Queued sale needs a client_sale_id');
+            await rememberSession();
+
+            const entry = {
+                client_sale_id: payload.sale.client_sale_id,
+                queued_at:      new Date().toISOString(),
+                supabase_url:   root.DukaPOS?.SUPABASE_URL,
+                anon_key:       root.DukaPOS?.SUPABASE_ANON_KEY,
+                session_token:  pageSessionToken(),
+                sale:           payload.sale,
+                items:          payload.items || [],
+                payments:       payload.payments || [],
+                loyalty:        payload.loyalty || null,
+                attempts:       0,
+                last_error:     null,
+                needs_signin:   false
+            };
+
+            await putEntry(entry);
+            await registerBackgroundSync();
+            notifyChange();
+
+            console.log('📥 Sale queued for sync:', entry.client_sale_id);
+            return { success: true, data: entry };
+        } catch (err) {
+            console.error('enqueueSale failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function registerBackgroundSync() {
+        try {
+            if (typeof navigator === 'undefined' || !navigator.serviceWorker) return false;
+            const reg = await navigator.serviceWorker.ready;
+            if (!reg.sync) return false;
+            await reg.sync.register(SYNC_TAG);
+            return true;
+        } catch (err) {
+            console.warn('Background Sync unavailable — will flush on reconnect:', err.message);
+            return false;
+        }
+    }
+
+    /** count: everything queued; needsSignin: those parked until someone signs in again */
+    async function getPendingCount() {
+        try {
+            const entries = (await listEntries()) || [];
+            return { success: true, count: entries.length, needsSignin: entries.filter(e => e.needs_signin).length };
+        } catch (err) {
+            console.error('getPendingCount failed:', err);
+            return { success: false, error: err.message, count: 0, needsSignin: 0 };
+        }
+    }
+
+    async function getPendingSales() {
+        try {
+            return { success: true, data: (await listEntries()) || [] };
+        } catch (err) {
+            console.error('getPendingSales failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // REPLAY (page or service worker)
+    // Uses the PostgREST endpoints directly so it runs without
+    // supabase-js inside the service worker.
+    // ════════════════════════════════════════════════════════════
+    async function rest(entry, method, path, body, sessionToken, prefer) {
+        const headers = {
+            apikey:          entry.anon_key,
+            Authorization:   `Bearer ${entry.anon_key}`,
+            'Content-Type':  'application/json'
+        };
+        if (prefer) headers.Prefer = prefer;
+        // has_permission() in RLS resolves the cashier from this
+        if (sessionToken) headers['x-session-token'] = sessionToken;
+
+        const res  = await fetch(`${entry.supabase_url}/rest/v1/${path}`, {
+            method, headers, body: body ? JSON.stringify(body) : undefined
+        });
+        const text = await res.text();
+        if (!res.ok) {
+            const err = new Error(`${method} ${path.split('?')[0]} failed (${res.status}): ${text}`);
+            err.status = res.status;
+            throw err;
+        }
+        return text ? JSON.parse(text) : null;
+    }
+
+    async function replayEntry(entry, sessionToken) {
+        const { shop_id, user_id, ...sale } = entry.sale;
+        // p_offline: the goods already left the shop, so the oversell
+        // policy must not reject the sale now
+        const result = await rest(entry, 'POST', 'rpc/process_checkout', {
+            p_shop_id:  shop_id,
+            p_user_id:  user_id ?? null,
+            p_sale:     sale,
+            p_items:    entry.items,
+            p_payments: entry.payments || [],
+            p_loyalty:  entry.loyalty,
+            p_offline:  true
+        }, sessionToken);
+        await deleteEntry(entry.client_sale_id);
+        return result?.sale_id;
+    }
+
+    /** Refused for the session rather than the sale: expired, signed out or no permission (42501) */
+    function isSessionError(err) {
+        return err.status === 401 || err.status === 403 || /42501/.test(err.message);
+    }
+
+    async function park(entry, sessionToken) {
+        entry.needs_signin = true;
+        entry.signin_token = sessionToken;
+        await putEntry(entry);
+    }
+
+    async function _flush() {
+        const entries = (await listEntries()) || [];
+        const liveToken = await currentSessionToken();
+        let synced = 0, failed = 0, needsSignin = 0, sessionRefused = false;
+
+        for (const entry of entries) {
+            const sessionToken = liveToken || entry.session_token;
+            // The same session would only be refused again
+            if (sessionRefused || (entry.needs_signin && entry.signin_token === sessionToken)) {
+                if (!entry.needs_signin || entry.signin_token !== sessionToken) await park(entry, sessionToken);
+                needsSignin++;
+                continue;
+            }
+            try {
+                await replayEntry(entry, sessionToken);
+                synced++;
+            } catch (err) {
+                if (isNetworkError(err) || !err.status) {
+                    // Still offline — stop and let the next sync retry everything left
+                    return { success: false, retry: true, synced, failed, needsSignin, error: err.message };
+                }
+                entry.attempts   += 1;
+                entry.last_error  = err.message;
+                if (isSessionError(err)) {
+                    sessionRefused = true;
+                    needsSignin++;
+                    await park(entry, sessionToken);
+                    console.warn(`Queued sale ${entry.client_sale_id} needs a fresh sign-in:`, err.message);
+                    continue;
+                }
+                entry.needs_signin = false;
+                await putEntry(entry);
+                failed++;
+                console.error(`Queued sale ${entry.client_sale_id} rejected:`, err.message);
+            }
+        }
+        return { success: failed === 0 && needsSignin === 0, retry: false, synced, failed, needsSignin };
+    }
+
+    /**
+     * Replay every queued sale in order. Guarded by a Web Lock so the page
+     * and the service worker never replay the same queue at the same time.
+     */
+    async function flush() {
+        try {
+            const locks  = typeof navigator !== 'undefined' ? navigator.locks : null;
+            const result = locks
+                ? await locks.request(LOCK_NAME, _flush)
+                : await _flush();
+            if (result.synced) console.log(`✅ Synced ${result.synced} queued sale(s)`);
+            notifyChange();
+            return result;
+        } catch (err) {
+            console.error('Offline sale flush failed:', err);
+            return { success: false, retry: true, synced: 0, failed: 0, needsSignin: 0, error: err.message };
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // CHANGE NOTIFICATIONS
+    // Pages listen for 'duka:pending-sales'; the service worker
+    // forwards its own flush results with postMessage.
+    // ════════════════════════════════════════════════════════════
+    function notifyChange() {
+        if (typeof root.dispatchEvent !== 'function' || typeof CustomEvent === 'undefined') return;
+        if (typeof root.document === 'undefined') return;
+        root.dispatchEvent(new CustomEvent('duka:pending-sales'));
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // EXPOSE MODULE
+    // ────────────────────────────────────────────────────────────
+    root.offlineSalesQueue = {
+        SYNC_TAG,
+        generateSaleId,
+        isNetworkError,
+        enqueueSale,
+        getPendingCount,
+        getPendingSales,
+        registerBackgroundSync,
+        rememberSession,
+        flush
+    };
+
+    // Pages hand their session to the service worker as soon as they load
+    if (typeof root.document !== 'undefined') rememberSession();
+
+    console.log('📦 Offline sales queue loaded');
+})();
@@ -0,0 +1,264 @@
+// ════════════════════════════════════════════════════════════════
+// PAGE ACCESS GUARD & PERMISSION REGISTRY
+// ════════════════════════════════════════════════════════════════
+// Load in <head> on every signed-in page, before auth.js.
+//
+// One list of permissions decides which pages a role can open, which
+// nav links it sees and which till actions it can take. Shops change
+// the defaults per role from the Permissions tab in admin.html; those
+// overrides live in role_permissions, and the same keys are enforced
+// by RLS through has_permission() in the database.
+//
+// Usage:
+//   permissions.can('sales.void')          → true / false
+//   permissions.canAccessPage('admin.html')
+//   permissions.require('price.override', 'Price overrides')  → alerts
+//   <button data-permission="sales.void">  → hidden when not allowed
+// ════════════════════════════════════════════════════════════════
+
+(function () {
+    'use strict';
+
+    if (window.permissions) return;
+
+    const USER_KEY  = 'duka_user';
+    const CACHE_KEY = 'duka_permissions';
+
+    // Roles a shop can configure. Administrators always hold everything.
+    const ROLES = ['manager', 'cashier', 'supplier', 'customer'];
+
+    // ════════════════════════════════════════════════════════════
+    // REGISTRY — keep in sync with the permissions table seeded in
+    // supabase/migrations/20261019000800_permissions.sql
+    // ════════════════════════════════════════════════════════════
+    const PERMISSIONS = [
+        { key: 'sales.create',    category: 'Sales',     label: 'Ring up sales at the till',                    roles: ['manager', 'cashier'] },
+        { key: 'sales.void',      category: 'Sales',     label: 'Void whole sales',                             roles: ['manager'] },
+        { key: 'sales.return',    category: 'Sales',     label: 'Take returns and give refunds',                roles: ['manager'] },
+        { key: 'price.override',  category: 'Sales',     label: 'Override prices at the till',                  roles: ['manager'] },
+        { key: 'cash.movements',  category: 'Sales',     label: 'Record cash drops and payouts',                roles: ['manager', 'cashier'] },
+        { key: 'expenses.manage', category: 'Sales',     label: 'Record and edit expenses',                     roles: ['manager', 'cashier'] },
+        { key: 'promotions.manage', category: 'Sales',   label: 'Set up promotions and offers',                 roles: [] },
+        { key: 'products.view',   category: 'Inventory', label: 'View the product list',                        roles: ['manager', 'cashier'] },
+        { key: 'inventory.edit',  category: 'Inventory', label: 'Add, edit and delete products',                roles: ['manager'] },
+        { key: 'supply.manage',   category: 'Inventory', label: 'Raise and track supply requests',              roles: ['manager'] },
+        { key: 'stocktake.count', category: 'Inventory', label: 'Enter counts on a stocktake',                  roles: ['manager', 'cashier'] },
+        { key: 'suppliers.view',  category: 'Inventory', label: 'View suppliers, balances and debit notes',     roles: ['manager'] },
+        { key: 'supplier.portal', category: 'Inventory', label: 'Use the supplier portal (supplier logins)',    roles: ['supplier'] },
+        { key: 'customers.view',  category: 'Customers', label: 'View customers and their credit',              roles: ['manager', 'cashier', 'customer'] },
+        { key: 'customers.edit',  category: 'Customers', label: 'Add and edit customers',                       roles: ['manager', 'cashier'] },
+        { key: 'loyalty.manage',  category: 'Customers', label: 'Set up the loyalty programme',                 roles: [] },
+        { key: 'reports.view',    category: 'Reports',   label: 'View dashboard, analytics and reconciliation', roles: ['manager'] },
+        { key: 'users.manage',    category: 'Admin',     label: 'Manage users, shifts and permissions',         roles: [] }
+    ];
+
+    // Permission needed to open each page. Pages not listed are open to
+    // any signed-in user.
+    const PAGE_PERMISSIONS = {
+        'dashboard.html':       'reports.view',
+        'sales-analytics.html': 'reports.view',
+        'pos.html':             'sales.create',
+        'products.html':        'products.view',
+        'inventory.html':       'inventory.edit',
+        'stocktake.html':       'stocktake.count',
+        'customers.html':       'customers.view',
+        'suppliers.html':       'suppliers.view',
+        'supplier-portal.html': 'supplier.portal',
+        'supply-requests.html': 'supply.manage',
+        'admin.html':           'users.manage'
+    };
+
+    // First page in this list the user can open is their homepage
+    const HOMEPAGE_ORDER = ['dashboard.html', 'pos.html', 'products.html', 'customers.html', 'suppliers.html', 'supplier-portal.html'];
+
+    // ════════════════════════════════════════════════════════════
+    // STATE — overrides for the signed-in user's shop, cached so the
+    // guard can decide before the network answers (or while offline)
+    // ════════════════════════════════════════════════════════════
+    let overrides = {};   // { role: { key: boolean } }
+    let loadedShopId = null;
+
+    function readJSON(key) {
+        try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch { return null; }
+    }
+
+    function currentUser() {
+        return window.authModule?.getCurrentUser?.() || readJSON(USER_KEY);
+    }
+
+    function useCache(shopId) {
+        const cache = readJSON(CACHE_KEY);
+        if (cache && cache.shop_id === shopId) {
+            overrides = cache.overrides || {};
+            loadedShopId = shopId;
+        }
+    }
+
+    function defaultAllowed(role, key) {
+        const perm = PERMISSIONS.find(p => p.key === key);
+        return !!perm && perm.roles.includes(role);
+    }
+
+    function roleAllows(role, key) {
+        if (role === 'administrator') return true;
+        const override = overrides[role]?.[key];
+        return typeof override === 'boolean' ? override : defaultAllowed(role, key);
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // CHECKS
+    // ════════════════════════════════════════════════════════════
+    function can(key, user = currentUser()) {
+        if (!user) return false;
+        if (user.shop_id && loadedShopId !== user.shop_id) useCache(user.shop_id);
+        return roleAllows((user.role || '').trim().toLowerCase(), key);
+    }
+
+    function canAccessPage(page, user = currentUser()) {
+        const key = PAGE_PERMISSIONS[page];
+        return !key || can(key, user);
+    }
+
+    function homepageFor(user = currentUser()) {
+        return HOMEPAGE_ORDER.find(page => canAccessPage(page, user)) || 'login.html';
+    }
+
+    /** Shows a notice and returns false when the current user lacks `key` */
+    function require(key, actionLabel) {
+        if (can(key)) return true;
+        const perm = PERMISSIONS.find(p => p.key === key);
+        const message = `${actionLabel || perm?.label || key} is not allowed for your role. Ask an administrator.`;
+        if (window.posNotify) window.posNotify.warning(message, 'Permission Required');
+        else alert(`⚠️ Permission Required\n\n${message}`);
+        return false;
+    }
+
+    /** Hides every [data-permission] element the user can't use */
+    function applyVisibility(root = document) {
+        root.querySelectorAll('[data-permission]').forEach(el => {
+            const allowed = el.dataset.permission.split(/\s+/).some(key => can(key));
+            if (!allowed) {
+                el.style.display = 'none';
+                el.dataset.permissionHidden = '1';
+            } else if (el.dataset.permissionHidden) {
+                // Only un-hide what this function hid
+                el.style.display = '';
+                delete el.dataset.permissionHidden;
+            }
+        });
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // LOAD / SAVE — role_permissions for the current shop
+    // ════════════════════════════════════════════════════════════
+    async function waitForClient() {
+        for (let i = 0; i < 50 && !window.DukaPOS?.supabaseClient; i++) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        return window.DukaPOS?.supabaseClient || null;
+    }
+
+    async function load() {
+        try {
+            const user = currentUser();
+            if (!user?.shop_id) return { success: false, error: 'No user' };
+            const db = await waitForClient();
+            if (!db) throw new Error('Supabase client not ready');
+
+            const { data, error } = await db
+                .from('role_permissions')
+                .select('role, permission, allowed')
+                .eq('shop_id', user.shop_id);
+            if (error) throw error;
+
+            overrides = {};
+            (data || []).forEach(row => {
+                (overrides[row.role] = overrides[row.role] || {})[row.permission] = row.allowed;
+            });
+            loadedShopId = user.shop_id;
+            localStorage.setItem(CACHE_KEY, JSON.stringify({ shop_id: user.shop_id, overrides, loaded_at: Date.now() }));
+            window.dispatchEvent(new CustomEvent('permissions:loaded'));
+            return { success: true, data: overrides };
+        } catch (err) {
+            console.warn('Permissions not refreshed — using cached/default matrix:', err.message);
+            return { success: false, error: err.message };
+        }
+    }
+
+    /** Effective matrix for the admin editor: [{ ...perm, allowed: { role: bool } }] */
+    function getMatrix() {
+        return PERMISSIONS.map(perm => ({
+            ...perm,
+            allowed: Object.fromEntries(ROLES.map(role => [role, roleAllows(role, perm.key)]))
+        }));
+    }
+
+    /**
+     * Save the admin editor's matrix. Only cells that differ from the
+     * registry default are stored, so later changes to defaults still
+     * reach roles the shop never customised.
+     * @param {object} matrix - { role: { key: boolean } }
+     */
+    async function saveMatrix(matrix) {
+        try {
+            const user = currentUser();
+            const db = await waitForClient();
+            if (!user?.shop_id || !db) throw new Error('Not connected');
+
+            const rows = [];
+            ROLES.forEach(role => PERMISSIONS.forEach(perm => {
+                const allowed = !!matrix[role]?.[perm.key];
+                if (allowed !== defaultAllowed(role, perm.key)) {
+                    rows.push({ shop_id: user.shop_id, role, permission: perm.key, allowed, updated_at: new Date().toISOString() });
+                }
+            }));
+
+            const { error: delError } = await db.from('role_permissions').delete().eq('shop_id', user.shop_id);
+            if (delError) throw delError;
+            if (rows.length) {
+                const { error } = await db.from('role_permissions').insert(rows);
+                if (error) throw error;
+            }
+            await load();
+            return { success: true, data: rows.length };
+        } catch (err) {
+            console.error('saveMatrix failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // PAGE GUARD — runs as soon as this script loads
+    // ════════════════════════════════════════════════════════════
+    function currentPage() {
+        return window.location.pathname.split('/').pop() || 'index.html';
+    }
+
+    function guardPage() {
+        const user = currentUser();
+        if (!user) return;   // auth.js sends signed-out users to login
+        const page = currentPage();
+        if (canAccessPage(page, user)) return;
+        const home = homepageFor(user);
+        if (home === page) return;
+        console.warn(`🚫 ${user.role} cannot open ${page} — sending to ${home}`);
+        window.location.replace(home);
+    }
+
+    window.permissions = {
+        ROLES, PERMISSIONS, PAGE_PERMISSIONS,
+        can, canAccessPage, homepageFor, require, applyVisibility,
+        load, getMatrix, saveMatrix
+    };
+
+    guardPage();
+    // Re-check with the shop's latest overrides once the client is up
+    load().then(result => {
+        if (!result.success) return;
+        guardPage();
+        if (document.readyState !== 'loading') applyVisibility();
+    });
+    document.addEventListener('DOMContentLoaded', () => applyVisibility());
+
+    console.log('🛡️ Page access guard loaded');
+})();
@@ -0,0 +1,248 @@
+/**
+ * Promotions Module - offers worked out on the cart at the till
+ *
+ * The rules themselves live in the promotions table (see
+ * supabase/migrations/20261019002100_promotions.sql) and are edited in
+ * admin.html. The till keeps the last list it loaded on the device, so
+ * offers still apply while offline.
+ *
+ * evaluate() never stacks offers: the highest priority offer takes the
+ * units it uses first, and what is left over goes to the next. Lines whose
+ * price was overridden by hand are left out altogether. process_checkout
+ * checks what comes out against each offer's rule again.
+ */
+(function() {
+    'use strict';
+
+    const CACHE_KEY = 'duka_promotions';
+    const TYPES = {
+        buy_x_get_y:       { label: 'Buy X get Y',        icon: '🎁' },
+        bundle:            { label: 'Mix & match bundle', icon: '📦' },
+        category_discount: { label: 'Discount',           icon: '🏷️' },
+        quantity_tiers:    { label: 'Quantity pricing',   icon: '📶' }
+    };
+
+    let promotions = [];
+
+    function getShopId() {
+        const user = authModule.getCurrentUser();
+        if (!user?.shop_id) throw new Error('No shop_id found for current user. Please log in again.');
+        return user.shop_id;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // LOADING
+    // ════════════════════════════════════════════════════════════
+
+    /** Offers that are switched on and not over yet; falls back to the device copy */
+    async function load() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('promotions').select('*')
+                .eq('shop_id', getShopId()).eq('is_active', true)
+                .or(`ends_at.is.null,ends_at.gt.${new Date().toISOString()}`)
+                .order('priority', { ascending: false }).order('id');
+            if (error) throw error;
+            promotions = data || [];
+            localStorage.setItem(CACHE_KEY, JSON.stringify(promotions));
+            return { success: true, data: promotions };
+        } catch (err) {
+            console.warn('Promotions: using the copy on this device —', err.message);
+            try { promotions = JSON.parse(localStorage.getItem(CACHE_KEY)) || []; } catch (e) { promotions = []; }
+            return { success: false, error: err.message, data: promotions };
+        }
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // RULES
+    // ════════════════════════════════════════════════════════════
+    const minutes = t => { const [h, m] = String(t).split(':').map(Number); return h * 60 + (m || 0); };
+
+    /** Is the offer running at this moment (dates, weekdays and time of day)? */
+    function isLive(promo, at = new Date()) {
+        if (!promo.is_active) return false;
+        if (promo.starts_at && at < new Date(promo.starts_at)) return false;
+        if (promo.ends_at && at >= new Date(promo.ends_at)) return false;
+        if (promo.days_of_week?.length && !promo.days_of_week.map(Number).includes(at.getDay())) return false;
+        if (promo.time_from && promo.time_to) {
+            const now = at.getHours() * 60 + at.getMinutes();
+            const from = minutes(promo.time_from), to = minutes(promo.time_to);
+            // A window such as 22:00–02:00 runs past midnight
+            if (from <= to ? (now < from || now >= to) : (now < from && now >= to)) return false;
+        }
+        return true;
+    }
+
+    function appliesTo(promo, line) {
+        const ids  = (promo.product_ids || []).map(Number);
+        const cats = (promo.categories || []).map(c => String(c).toLowerCase());
+        if (!ids.length && !cats.length) return true;
+        return ids.includes(Number(line.id)) || (!!line.category && cats.includes(String(line.category).toLowerCase()));
+    }
+
+    // Each rule takes the free units it can use and returns [{ unit, discount }]
+    const RULES = {
+        buy_x_get_y(promo, units) {
+            const size = promo.buy_qty + promo.get_qty;
+            const pct  = Number(promo.get_discount_pct ?? 100) / 100;
+            const out  = [];
+            // Dearest first, so the units given away are the cheapest of each group
+            const pool = [...units].sort((a, b) => b.price - a.price);
+            for (let g = 0; g + size <= pool.length; g += size) {
+                pool.slice(g, g + size).forEach((u, i) => out.push({ unit: u, discount: i >= promo.buy_qty ? u.price * pct : 0 }));
+            }
+            return out;
+        },
+        bundle(promo, units) {
+            const size = promo.bundle_qty;
+            const out  = [];
+            const pool = [...units].sort((a, b) => b.price - a.price);
+            for (let g = 0; g + size <= pool.length; g += size) {
+                const group = pool.slice(g, g + size);
+                const full  = group.reduce((s, u) => s + u.price, 0);
+                const off   = full - Number(promo.bundle_price);
+                if (off <= 0) break;
+                group.forEach(u => out.push({ unit: u, discount: off * u.price / full }));
+            }
+            return out;
+        },
+        category_discount(promo, units) {
+            const value = Number(promo.discount_value);
+            return units.map(u => ({
+                unit: u,
+                discount: promo.discount_kind === 'amount' ? Math.min(value, u.price) : u.price * value / 100
+            }));
+        },
+        quantity_tiers(promo, units) {
+            const tiers = [...(promo.tiers || [])].sort((a, b) => b.min_qty - a.min_qty);
+            const byLine = {};
+            units.forEach(u => (byLine[u.line] = byLine[u.line] || []).push(u));
+            return Object.values(byLine).flatMap(lineUnits => {
+                const tier = tiers.find(t => lineUnits.length >= Number(t.min_qty));
+                return tier ? lineUnits.map(u => ({ unit: u, discount: u.price * Number(tier.percent) / 100 })) : [];
+            });
+        }
+    };
+
+    /**
+     * Work the offers out on a cart.
+     * @param {Array} lines - [{ id, category, price (charged unit price), quantity, overridden }]
+     * @param {Array} [offers] - defaults to the loaded promotions
+     * @param {Date}  [at]
+     * @returns {{ lines: Object<id, discount>, applied: [{ promotion_id, name, promo_type, units, amount, product_ids }], total }}
+     */
+    function evaluate(lines, offers = promotions, at = new Date()) {
+        // One entry per unit in the cart, so offers can share a line between them
+        let free = lines.flatMap((l, line) => l.overridden ? [] :
+            Array.from({ length: Math.max(0, Math.floor(l.quantity)) }, () => ({ line, id: l.id, price: Number(l.price) })));
+        const lineDiscounts = {};
+        const applied = [];
+
+        [...offers]
+            .filter(p => RULES[p.promo_type] && isLive(p, at))
+            .sort((a, b) => (b.priority || 0) - (a.priority || 0) || a.id - b.id)
+            .forEach(promo => {
+                const eligible = free.filter(u => appliesTo(promo, lines[u.line]));
+                if (!eligible.length) return;
+                const taken = RULES[promo.promo_type](promo, eligible);
+                if (!taken.length || !taken.some(t => t.discount > 0)) return;
+
+                // Round per line so the lines add up to exactly what the offer reports
+                const perLine = {};
+                taken.forEach(t => { perLine[t.unit.line] = (perLine[t.unit.line] || 0) + t.discount; });
+                let amount = 0;
+                Object.entries(perLine).forEach(([line, d]) => {
+                    const rounded = Math.round(d * 100) / 100;
+                    const id = lines[line].id;
+                    lineDiscounts[id] = Math.round(((lineDiscounts[id] || 0) + rounded) * 100) / 100;
+                    amount += rounded;
+                });
+                const used = new Set(taken.map(t => t.unit));
+                free = free.filter(u => !used.has(u));
+                applied.push({
+                    promotion_id: promo.id, name: promo.name, promo_type: promo.promo_type,
+                    units: used.size, amount: Math.round(amount * 100) / 100,
+                    product_ids: [...new Set(taken.map(t => t.unit.id))]
+                });
+            });
+
+        return {
+            lines: lineDiscounts,
+            applied,
+            total: Math.round(applied.reduce((s, a) => s + a.amount, 0) * 100) / 100
+        };
+    }
+
+    /** One-line description of an offer, for lists and the till */
+    function describe(p) {
+        const kes = n => `KES ${Number(n).toLocaleString('en-KE', { maximumFractionDigits: 2 })}`;
+        switch (p.promo_type) {
+            case 'buy_x_get_y':
+                return `Buy ${p.buy_qty} get ${p.get_qty} ${Number(p.get_discount_pct) >= 100 ? 'free' : `${Number(p.get_discount_pct)}% off`}`;
+            case 'bundle':
+                return `Any ${p.bundle_qty} for ${kes(p.bundle_price)}`;
+            case 'category_discount':
+                return p.discount_kind === 'amount' ? `${kes(p.discount_value)} off each` : `${Number(p.discount_value)}% off`;
+            case 'quantity_tiers':
+                return [...(p.tiers || [])].sort((a, b) => a.min_qty - b.min_qty)
+                    .map(t => `${t.min_qty}+ → ${Number(t.percent)}% off`).join(', ');
+        }
+        return '';
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // ADMIN
+    // ════════════════════════════════════════════════════════════
+    async function getAll() {
+        try {
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .from('promotions').select('*').eq('shop_id', getShopId())
+                .order('is_active', { ascending: false }).order('priority', { ascending: false }).order('id');
+            if (error) throw error;
+            return { success: true, data: data || [] };
+        } catch (err) {
+            console.error('promotions getAll failed:', err);
+            return { success: false, error: err.message, data: [] };
+        }
+    }
+
+    async function save(promo) {
+        try {
+            const { id, ...fields } = promo;
+            const row = { ...fields, updated_at: new Date().toISOString() };
+            const db = window.DukaPOS.supabaseClient.from('promotions');
+            const { data, error } = id
+                ? await db.update(row).eq('id', id).eq('shop_id', getShopId()).select().single()
+                : await db.insert([{ ...row, shop_id: getShopId(), created_by: authModule.getCurrentUser()?.id || null }]).select().single();
+            if (error) throw error;
+            return { success: true, data };
+        } catch (err) {
+            console.error('promotions save failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    async function setActive(id, isActive) {
+        return save({ id, is_active: isActive });
+    }
+
+    async function remove(id) {
+        try {
+            const { error } = await window.DukaPOS.supabaseClient
+                .from('promotions').delete().eq('id', id).eq('shop_id', getShopId());
+            if (error) throw error;
+            return { success: true };
+        } catch (err) {
+            console.error('promotions remove failed:', err);
+            return { success: false, error: err.message };
+        }
+    }
+
+    window.promotionsModule = {
+        TYPES, load, evaluate, isLive, describe,
+        getAll, save, setActive, remove,
+        getLoaded: () => promotions
+    };
+
+    console.log('✅ Promotions Module loaded');
+})();
@@ -22,6 +22,15 @@
         return shop.id;
     }
 
+    /**
+     * Cost of one sold unit — the snapshot taken at checkout. Lines sold
+     * before snapshots existed fall back to the product's current cost
+     * until backfillSaleItemCosts() fills them in.
+     */
+    function itemUnitCost(item) {
+        return Number(item.unit_cost ?? item.products?.cost ?? 0);
+    }
+
     /**
      * Get sales by cashier (filtered by current shop)
      */
@@ -74,18 +83,20 @@
             // Calculate profit for each sale
             const salesWithProfit = (data || []).map(sale => {
                 let totalCost = 0;
+                let unsnapshotted = 0;
                 let totalRevenue = sale.total_amount || 0;
 
                 if (sale.sale_items && Array.isArray(sale.sale_items)) {
                     sale.sale_items.forEach(item => {
-                        const cost = item.products?.cost || 0;
-                        totalCost += cost * item.quantity;
+                        totalCost += itemUnitCost(item) * item.quantity;
+                        if (item.unit_cost == null) unsnapshotted++;
                     });
                 }
 
                 return {
                     ...sale,
                     total_cost: totalCost,
+                    cost_unsnapshotted: unsnapshotted,
                     total_profit: totalRevenue - totalCost,
                     profit_margin: totalRevenue > 0 ? ((totalRevenue - totalCost) / totalRevenue * 100) : 0
                 };
@@ -142,7 +153,8 @@
                         total_profit: 0,
                         profit_margin: 0,
                         commission_rate: commissionRate,
-                        commission_amount: 0
+                        commission_amount: 0,
+                        cost_unsnapshotted: 0
                     };
                 }
 
@@ -152,6 +164,7 @@
                 cashier.total_revenue += sale.total_amount || 0;
                 cashier.total_cost += sale.total_cost || 0;
                 cashier.total_profit += sale.total_profit || 0;
+                cashier.cost_unsnapshotted += sale.cost_unsnapshotted || 0;
             });
 
             // Calculate commission and profit margin
@@ -216,6 +229,7 @@
                 total_revenue: sales.reduce((sum, s) => sum + (s.total_amount || 0), 0),
                 total_cost: sales.reduce((sum, s) => sum + (s.total_cost || 0), 0),
                 total_profit: sales.reduce((sum, s) => sum + (s.total_profit || 0), 0),
+                cost_unsnapshotted: sales.reduce((sum, s) => sum + (s.cost_unsnapshotted || 0), 0),
                 profit_margin: 0
             };
 
@@ -297,6 +311,7 @@
                 total_revenue: sales.reduce((sum, s) => sum + (s.total_amount || 0), 0),
                 total_cost: sales.reduce((sum, s) => sum + (s.total_cost || 0), 0),
                 total_profit: sales.reduce((sum, s) => sum + (s.total_profit || 0), 0),
+                cost_unsnapshotted: sales.reduce((sum, s) => sum + (s.cost_unsnapshotted || 0), 0),
                 profit_margin: 0,
                 average_transaction: 0,
                 payment_methods: {}
@@ -331,6 +346,34 @@
         }
     }
 
+    /**
+     * Fill unit_cost on sale lines recorded before cost snapshots, using
+     * each product's current cost. Those lines are marked estimated.
+     */
+    async function backfillSaleItemCosts() {
+        try {
+            const shopId = getCurrentShopId();
+
+            const { data, error } = await window.DukaPOS.supabaseClient
+                .rpc('backfill_sale_item_costs', { p_shop_id: shopId });
+
+            if (error) throw error;
+
+            console.log(`✅ Backfilled cost on ${data || 0} sale line(s)`);
+            return {
+                success: true,
+                data: data || 0
+            };
+
+        } catch (error) {
+            console.error('❌ Backfill sale item costs failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     // ────────────────────────────────────────────────────────────
     // EXPOSE MODULE
     // ────────────────────────────────────────────────────────────
@@ -341,6 +384,8 @@
         getDetailedCashierReport,
         calculateCommission,
         getSalesSummary,
+        itemUnitCost,
+        backfillSaleItemCosts,
         getCurrentShopId
     });
 
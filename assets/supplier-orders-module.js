@@ -218,8 +218,9 @@
                 await this.createNotification({
                     type: 'order_updated',
                     title: 'Order Status Updated',
-                    message: `Order status changed to ${status}`,
-                    order_id: orderId
+                    message: `Order ${data.order_number} status changed to ${status}`,
+                    order_id: orderId,
+                    shop_id: data.shop_id
                 });
 
                 return { success: true, data };
@@ -275,6 +276,73 @@
             }
         },
 
+        /**
+         * Receive a delivered order into stock: one stock lot per line at
+         * the ordered unit price less the line discount. Quantities default
+         * to what the supplier confirmed, else what was ordered.
+         * @param {Array} [receivedItems] - [{ id, received_quantity, batch_number?, expiry_date? }]
+         * @param {Object} [invoice] - { invoice_number?, invoice_date? } from the supplier's invoice;
+         *                             the due date follows from the supplier's payment terms
+         */
+        async receiveOrder(orderId, receivedItems = null, invoice = {}) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentUser = authModule.getCurrentUser();
+                const currentShop = await waitForShopContext();
+
+                const { data: items, error: itemsError } = await db
+                    .from('supplier_order_items')
+                    .select('*')
+                    .eq('order_id', orderId);
+
+                if (itemsError) throw itemsError;
+
+                const lines = (items || []).map(item => {
+                    const received = receivedItems?.find(r => r.id === item.id);
+                    const quantity = received
+                        ? Number(received.received_quantity) || 0
+                        : Number(item.confirmed_quantity ?? item.quantity) || 0;
+                    const unitCost = (Number(item.unit_price) || 0) * (1 - (Number(item.discount_rate) || 0) / 100);
+                    return {
+                        product_id: item.product_id,
+                        quantity,
+                        unit_cost: Math.round(unitCost * 10000) / 10000,
+                        batch_number: received?.batch_number || null,
+                        expiry_date: received?.expiry_date || null
+                    };
+                }).filter(line => line.product_id && line.quantity > 0);
+
+                if (!lines.length) throw new Error('No received quantities to book in');
+
+                const { data, error } = await db.rpc('receive_stock', {
+                    p_shop_id: currentShop.id,
+                    p_user_id: currentUser.id,
+                    p_source: 'supplier_order',
+                    p_source_id: orderId,
+                    p_lines: lines
+                });
+
+                if (error) throw error;
+
+                const now = new Date().toISOString();
+                await db
+                    .from('supplier_orders')
+                    .update({
+                        status: 'delivered', received_at: now, actual_delivery: now, updated_at: now,
+                        invoice_number: invoice.invoice_number || null,
+                        invoice_date: invoice.invoice_date || null
+                    })
+                    .eq('id', orderId);
+
+                return { success: true, data };
+            } catch (err) {
+                console.error('Receive order error:', err);
+                return { success: false, error: err.message, code: err.code || null };
+            }
+        },
+
         // ═══════════════════════════════════════════════════════════
         // ORDER MESSAGING
         // ═══════════════════════════════════════════════════════════
@@ -299,11 +367,19 @@
 
                 if (error) throw error;
 
+                // A supplier's message goes to the order's shop, the shop's to the supplier
+                const { data: order } = await db
+                    .from('supplier_orders')
+                    .select('shop_id, supplier_id, order_number')
+                    .eq('id', orderId)
+                    .single();
+
                 await this.createNotification({
                     type: 'message_received',
                     title: 'New Message',
-                    message: `New message on order`,
-                    order_id: orderId
+                    message: `New message on order ${order?.order_number || ''}`.trim(),
+                    order_id: orderId,
+                    ...(senderType === 'supplier' ? { shop_id: order?.shop_id } : { supplier_id: order?.supplier_id })
                 });
 
                 return { success: true, data };
@@ -476,13 +552,15 @@
                 if (!db) throw new Error('Supabase client not ready');
 
                 const currentUser = authModule.getCurrentUser();
-                const currentShop = await waitForShopContext();
+                // Supplier logins have no shop of their own — the update goes
+                // to the shop that owns the supplier record
+                const shopId = updateData.shop_id || (await waitForShopContext()).id;
 
                 const { data, error } = await db
                     .from('supplier_product_updates')
                     .insert({
                         supplier_id: updateData.supplier_id,
-                        shop_id: currentShop.id,
+                        shop_id: shopId,
                         submitted_by: currentUser.id,
                         update_type: updateData.update_type,
                         product_id: updateData.product_id,
@@ -505,6 +583,9 @@
             }
         },
 
+        /**
+         * @param {number|number[]} supplierId - one supplier, or all a portal login speaks for
+         */
         async getProductUpdates(supplierId, status = null) {
             try {
                 const db = getDB();
@@ -513,9 +594,10 @@
                 let query = db
                     .from('supplier_product_updates')
                     .select('*')
-                    .eq('supplier_id', supplierId)
                     .order('created_at', { ascending: false });
 
+                query = Array.isArray(supplierId) ? query.in('supplier_id', supplierId) : query.eq('supplier_id', supplierId);
+
                 if (status) query = query.eq('status', status);
 
                 const { data, error } = await query;
@@ -527,6 +609,79 @@
             }
         },
 
+        /**
+         * Supplier price changes for the current shop with their margin
+         * impact and the suggested selling price (price_update_queue).
+         * @param {string|null} status - 'pending' | 'approved' | 'rejected'; null for all
+         */
+        async getPriceUpdateQueue(status = 'pending') {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentShop = await waitForShopContext();
+                const { data, error } = await db.rpc('price_update_queue', {
+                    p_shop_id: currentShop.id,
+                    p_status: status
+                });
+
+                if (error) throw error;
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get price update queue error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Apply a supplier's new cost to the product, with the selling price
+         * the reviewer settled on (null keeps the current one)
+         */
+        async approveProductUpdate(updateId, newPrice = null, note = null) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const { data, error } = await db.rpc('approve_supplier_price_update', {
+                    p_update_id: updateId,
+                    p_new_price: newPrice,
+                    p_note: note
+                });
+
+                if (error) throw error;
+                return { success: true, data };
+            } catch (err) {
+                console.error('Approve product update error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        async rejectProductUpdate(updateId, reason) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const { data, error } = await db.rpc('reject_supplier_price_update', {
+                    p_update_id: updateId,
+                    p_reason: reason
+                });
+
+                if (error) throw error;
+
+                await this.createNotification({
+                    type: 'product_update_rejected',
+                    title: 'Price Update Declined',
+                    message: `Your price update for ${data.product_name || 'a product'} was declined${reason ? `: ${reason}` : ''}`,
+                    supplier_id: data.supplier_id
+                });
+
+                return { success: true, data };
+            } catch (err) {
+                console.error('Reject product update error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
         // ═══════════════════════════════════════════════════════════
         // PAYMENTS
         // ═══════════════════════════════════════════════════════════
@@ -545,6 +700,7 @@
                         shop_id: currentShop.id,
                         supplier_id: paymentData.supplier_id,
                         order_id: paymentData.order_id,
+                        request_id: paymentData.request_id,
                         invoice_number: paymentData.invoice_number,
                         payment_date: paymentData.payment_date,
                         amount: paymentData.amount,
@@ -604,12 +760,14 @@
 
                 if (!order) return;
 
-                const { data: payments } = await db
-                    .from('supplier_payments')
-                    .select('amount')
-                    .eq('order_id', orderId);
+                const [{ data: payments }, { data: credits }] = await Promise.all([
+                    db.from('supplier_payments').select('amount').eq('order_id', orderId),
+                    db.from('supplier_credit_notes').select('amount').eq('order_id', orderId)
+                ]);
 
-                const totalPaid   = payments?.reduce((sum, p) => sum + parseFloat(p.amount), 0) || 0;
+                // Credit notes against the order settle it just like payments
+                const totalPaid   = [...(payments || []), ...(credits || [])]
+                    .reduce((sum, p) => sum + parseFloat(p.amount), 0);
                 const orderTotal  = parseFloat(order.final_amount);
                 let paymentStatus = 'pending';
                 if (totalPaid >= orderTotal) paymentStatus = 'paid';
@@ -627,6 +785,272 @@
             }
         },
 
+        // ═══════════════════════════════════════════════════════════
+        // PAYABLES — what the shop owes each supplier
+        // Received orders and supply requests are the invoices; payments
+        // and credit notes settle them (see supplier_payables migration)
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Balance and 0-30 / 31-60 / 61-90 / 90+ aging per supplier, plus
+         * overdue and due-within-7-days totals
+         */
+        async getSupplierAging(asOf = null) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentShop = await waitForShopContext();
+                const params = { p_shop_id: currentShop.id };
+                if (asOf) params.p_as_of = asOf;
+
+                const { data, error } = await db.rpc('supplier_aging', params);
+                if (error) throw error;
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get supplier aging error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Unpaid invoices, oldest first. supplierId null = every supplier.
+         */
+        async getOpenInvoices(supplierId = null, asOf = null) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentShop = await waitForShopContext();
+                const params = { p_shop_id: currentShop.id, p_supplier_id: supplierId };
+                if (asOf) params.p_as_of = asOf;
+
+                const { data, error } = await db.rpc('supplier_open_items', params);
+                if (error) throw error;
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get open invoices error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Statement for a period: an opening row, then every invoice, payment
+         * and credit note with the running balance. from / to are YYYY-MM-DD.
+         */
+        async getSupplierStatement(supplierId, from, to) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const { data, error } = await db.rpc('supplier_statement', {
+                    p_supplier_id: supplierId,
+                    p_from: from,
+                    p_to: to
+                });
+                if (error) throw error;
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get supplier statement error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Credit note from a supplier — a return, short delivery or price
+         * correction. Naming order_id / request_id settles that invoice first.
+         */
+        async recordCreditNote(noteData) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentUser = authModule.getCurrentUser();
+                const currentShop = await waitForShopContext();
+
+                const { data, error } = await db
+                    .from('supplier_credit_notes')
+                    .insert({
+                        shop_id: currentShop.id,
+                        supplier_id: noteData.supplier_id,
+                        order_id: noteData.order_id || null,
+                        request_id: noteData.request_id || null,
+                        credit_number: noteData.credit_number || null,
+                        note_date: noteData.note_date || new Date().toISOString().slice(0, 10),
+                        amount: noteData.amount,
+                        reason: noteData.reason || null,
+                        created_by: currentUser.id
+                    })
+                    .select()
+                    .single();
+
+                if (error) throw error;
+
+                if (noteData.order_id) {
+                    await this.updateOrderPaymentStatus(noteData.order_id);
+                }
+
+                return { success: true, data };
+            } catch (err) {
+                console.error('Record credit note error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Credit terms for a supplier. New invoices fall due
+         * payment_terms_days after they're received.
+         */
+        async updatePaymentTerms(supplierId, terms) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const { data, error } = await db
+                    .from('suppliers')
+                    .update({
+                        payment_terms_days: terms.payment_terms_days,
+                        credit_limit: terms.credit_limit ?? null
+                    })
+                    .eq('id', supplierId)
+                    .select()
+                    .single();
+
+                if (error) throw error;
+                return { success: true, data };
+            } catch (err) {
+                console.error('Update payment terms error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        // ═══════════════════════════════════════════════════════════
+        // SUPPLIER PORTAL
+        // A supplier login speaks for one suppliers row per shop it
+        // serves (supplier_user_links); RLS hides everything else.
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Supplier records the signed-in portal login is linked to, each
+         * with the name of the shop it belongs to.
+         */
+        async getLinkedSuppliers() {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentUser = authModule.getCurrentUser();
+                const { data: links, error } = await db
+                    .from('supplier_user_links')
+                    .select('supplier_id, suppliers (id, name, shop_id, contact_person, phone, email)')
+                    .eq('user_id', currentUser.id);
+
+                if (error) throw error;
+
+                const suppliers = (links || []).map(l => l.suppliers).filter(Boolean);
+                const shopIds = [...new Set(suppliers.map(s => s.shop_id))];
+                let shops = [];
+                if (shopIds.length) {
+                    const { data } = await db.from('shops').select('id, shop_name').in('id', shopIds);
+                    shops = data || [];
+                }
+
+                return {
+                    success: true,
+                    data: suppliers.map(s => ({ ...s, shop_name: shops.find(sh => sh.id === s.shop_id)?.shop_name || `Shop #${s.shop_id}` }))
+                };
+            } catch (err) {
+                console.error('Get linked suppliers error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Purchase orders addressed to any of the given suppliers, across shops
+         */
+        async getPortalOrders(supplierIds, filters = {}) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+                if (!supplierIds?.length) return { success: true, data: [] };
+
+                let query = db
+                    .from('supplier_orders')
+                    .select('*, supplier_order_items (*)')
+                    .in('supplier_id', supplierIds)
+                    .order('created_at', { ascending: false });
+
+                if (filters.status) query = query.eq('status', filters.status);
+
+                const { data, error } = await query;
+                if (error) throw error;
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get portal orders error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Portal logins linked to the current shop's suppliers
+         */
+        async getSupplierLogins() {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const currentShop = await waitForShopContext();
+                const { data, error } = await db.rpc('supplier_logins', { p_shop_id: currentShop.id });
+
+                if (error) throw error;
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get supplier logins error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Give a supplier login (created at signup with the supplier role)
+         * access to one of this shop's suppliers in the portal
+         */
+        async linkSupplierLogin(supplierId, username) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const { data, error } = await db.rpc('link_supplier_login', {
+                    p_supplier_id: supplierId,
+                    p_username: username
+                });
+
+                if (error) throw error;
+                return { success: true, data };
+            } catch (err) {
+                console.error('Link supplier login error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        async unlinkSupplierLogin(supplierId, userId) {
+            try {
+                const db = getDB();
+                if (!db) throw new Error('Supabase client not ready');
+
+                const { error } = await db
+                    .from('supplier_user_links')
+                    .delete()
+                    .eq('supplier_id', supplierId)
+                    .eq('user_id', userId);
+
+                if (error) throw error;
+                return { success: true };
+            } catch (err) {
+                console.error('Unlink supplier login error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
         // ═══════════════════════════════════════════════════════════
         // NOTIFICATIONS
         // ═══════════════════════════════════════════════════════════
@@ -639,19 +1063,21 @@
                 let userIds = [];
 
                 if (notificationData.supplier_id) {
-                    const { data: supplierUsers } = await db
-                        .from('users')
-                        .select('id')
-                        .eq('role', 'supplier')
+                    // Portal logins linked to this supplier
+                    const { data: links } = await db
+                        .from('supplier_user_links')
+                        .select('user_id')
                         .eq('supplier_id', notificationData.supplier_id);
-                    userIds = supplierUsers?.map(u => u.id) || [];
+                    userIds = links?.map(l => l.user_id) || [];
                 } else {
-                    const currentShop = window.DukaPOS?.currentShop;
-                    if (currentShop) {
+                    const shopId = notificationData.shop_id
+                                || window.authModule?.getCurrentShop()?.id
+                                || window.DukaPOS?.currentShop?.id;
+                    if (shopId) {
                         const { data: adminUsers } = await db
                             .from('users')
                             .select('id')
-                            .eq('shop_id', currentShop.id)
+                            .eq('shop_id', shopId)
                             .in('role', ['admin', 'administrator', 'manager']);
                         userIds = adminUsers?.map(u => u.id) || [];
                     }
@@ -6,6 +6,11 @@
 (function() {
     'use strict';
 
+    // ── Supabase client helper (same as supplier-orders-module.js) ──
+    function getDB() {
+        return window.DukaPOS?.supabaseClient || window.supabase || null;
+    }
+
     const supplyRequestModule = {
         
         // ═══════════════════════════════════════════════════════════
@@ -13,12 +18,15 @@
         // ═══════════════════════════════════════════════════════════
 
         /**
-         * Create new supply request (Admin → Supplier)
+         * Create new supply request (Admin → Supplier).
+         * requestData.status 'draft' keeps it in the shop for review — the
+         * supplier isn't notified until it's sent.
          */
         async createSupplyRequest(requestData, items) {
             try {
                 const currentUser = authModule.getCurrentUser();
-                const currentShop = window.DukaPOS?.currentShop;
+                const currentShop = authModule.getCurrentShop?.() || window.DukaPOS?.currentShop;
+                const isDraft = requestData.status === 'draft';
                 
                 if (!currentShop) throw new Error('No shop context');
 
@@ -26,7 +34,7 @@
                 const requestNumber = await this.generateRequestNumber(currentShop.id);
 
                 // Insert request
-                const { data: request, error: requestError } = await window.supabase
+                const { data: request, error: requestError } = await getDB()
                     .from('supply_requests')
                     .insert({
                         shop_id: currentShop.id,
@@ -36,7 +44,7 @@
                         description: requestData.description,
                         urgency: requestData.urgency || 'normal',
                         required_by_date: requestData.required_by_date,
-                        status: 'pending',
+                        status: isDraft ? 'draft' : 'pending',
                         requested_by: currentUser.id,
                         admin_notes: requestData.admin_notes
                     })
@@ -57,7 +65,7 @@
                     estimated_subtotal: item.quantity * (item.unit_price || 0)
                 }));
 
-                const { error: itemsError } = await window.supabase
+                const { error: itemsError } = await getDB()
                     .from('supply_request_items')
                     .insert(requestItems);
 
@@ -67,16 +75,18 @@
                 await this.calculateRequestTotals(request.id);
 
                 // Create notification for supplier
-                await this.createSupplyRequestNotification(
-                    request.supplier_id,
-                    'new_supply_request',
-                    'New Supply Request',
-                    `You have a new supply request: ${request.title}`,
-                    request.id
-                );
+                if (!isDraft) {
+                    await this.createSupplyRequestNotification(
+                        request.supplier_id,
+                        'new_supply_request',
+                        'New Supply Request',
+                        `You have a new supply request: ${request.title}`,
+                        request.id
+                    );
+                }
 
                 // Log activity
-                await this.logActivity(request.id, 'Supply request created', 'status_change', currentUser.id, 'admin');
+                await this.logActivity(request.id, isDraft ? 'Draft supply request created' : 'Supply request created', 'status_change', currentUser.id, 'admin');
 
                 return { success: true, data: request };
             } catch (err) {
@@ -89,7 +99,7 @@
          * Generate unique request number
          */
         async generateRequestNumber(shopId) {
-            const { data } = await window.supabase
+            const { data } = await getDB()
                 .rpc('generate_supply_request_number', { shop_id_param: shopId });
             
             if (data) return data;
@@ -99,16 +109,92 @@
             return `SR-${shopId}-${timestamp}`;
         },
 
+        // ═══════════════════════════════════════════════════════════
+        // ADMIN: REORDER SUGGESTIONS
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Products due for reordering, from recent sales velocity and lead time
+         * (reorder_suggestions RPC). days = sales window, coverDays = how long
+         * each order should last once it arrives.
+         */
+        async getReorderSuggestions({ days = 30, coverDays = 14 } = {}) {
+            try {
+                const currentShop = authModule.getCurrentShop?.() || window.DukaPOS?.currentShop;
+                if (!currentShop) throw new Error('No shop context');
+
+                const { data, error } = await getDB()
+                    .rpc('reorder_suggestions', {
+                        p_shop_id: currentShop.id,
+                        p_days: days,
+                        p_cover_days: coverDays
+                    });
+
+                if (error) throw error;
+
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get reorder suggestions error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * One draft supply request per preferred supplier from the chosen
+         * suggestions: [{ product_id, name, barcode, supplier_id, supplier_name,
+         * quantity, unit_cost, stock, lead_time_days }]. Lines without a
+         * preferred supplier are skipped and returned in `unassigned`.
+         */
+        async generateDraftRequests(suggestions) {
+            const created = [];
+            const failed = [];
+            const unassigned = suggestions.filter(s => !s.supplier_id);
+
+            const bySupplier = new Map();
+            suggestions.filter(s => s.supplier_id && Number(s.quantity) > 0).forEach(s => {
+                if (!bySupplier.has(s.supplier_id)) bySupplier.set(s.supplier_id, []);
+                bySupplier.get(s.supplier_id).push(s);
+            });
+
+            const today = new Date().toISOString().slice(0, 10);
+
+            for (const [supplierId, lines] of bySupplier) {
+                const leadDays = Math.min(...lines.map(l => Number(l.lead_time_days) || 7));
+                const requiredBy = new Date(Date.now() + leadDays * 86400000).toISOString().slice(0, 10);
+
+                const result = await this.createSupplyRequest({
+                    supplier_id: supplierId,
+                    title: `Reorder — ${lines[0].supplier_name || 'Supplier #' + supplierId} — ${today}`,
+                    description: `${lines.length} item(s) suggested from recent sales velocity`,
+                    urgency: lines.some(l => Number(l.stock) <= 0) ? 'urgent' : 'normal',
+                    required_by_date: requiredBy,
+                    status: 'draft'
+                }, lines.map(l => ({
+                    product_id: l.product_id,
+                    product_name: l.name,
+                    sku: l.barcode,
+                    quantity: Number(l.quantity),
+                    unit_price: Number(l.unit_cost) || 0
+                })));
+
+                if (result.success) created.push(result.data);
+                else failed.push({ supplier_id: supplierId, supplier_name: lines[0].supplier_name, error: result.error });
+            }
+
+            return { success: failed.length === 0, data: { created, failed, unassigned } };
+        },
+
         // ═══════════════════════════════════════════════════════════
         // SUPPLIER: VIEW & RESPOND TO REQUESTS
         // ═══════════════════════════════════════════════════════════
 
         /**
          * Get all supply requests for supplier
+         * @param {number|number[]} supplierId - one supplier, or all a portal login speaks for
          */
         async getSupplierRequests(supplierId, filters = {}) {
             try {
-                let query = window.supabase
+                let query = getDB()
                     .from('supply_requests')
                     .select(`
                         *,
@@ -120,9 +206,10 @@
                             id, message, sender_type, is_read, created_at
                         )
                     `)
-                    .eq('supplier_id', supplierId)
                     .order('created_at', { ascending: false });
 
+                query = Array.isArray(supplierId) ? query.in('supplier_id', supplierId) : query.eq('supplier_id', supplierId);
+
                 if (filters.status) {
                     if (Array.isArray(filters.status)) {
                         query = query.in('status', filters.status);
@@ -149,7 +236,7 @@
             try {
                 const currentUser = authModule.getCurrentUser();
 
-                const { error } = await window.supabase
+                const { error } = await getDB()
                     .from('supply_requests')
                     .update({
                         status: 'accepted',
@@ -163,7 +250,7 @@
                 // Update item quantities if supplier confirms different amounts
                 if (acceptanceData.items && Array.isArray(acceptanceData.items)) {
                     for (const item of acceptanceData.items) {
-                        await window.supabase
+                        await getDB()
                             .from('supply_request_items')
                             .update({
                                 approved_quantity: item.approved_quantity,
@@ -194,7 +281,7 @@
             try {
                 const currentUser = authModule.getCurrentUser();
 
-                const { error } = await window.supabase
+                const { error } = await getDB()
                     .from('supply_requests')
                     .update({
                         status: 'rejected',
@@ -226,7 +313,7 @@
                 if (status === 'delivered') updateData.delivered_at = new Date().toISOString();
                 if (notes) updateData.supplier_notes = notes;
 
-                const { error } = await window.supabase
+                const { error } = await getDB()
                     .from('supply_requests')
                     .update(updateData)
                     .eq('id', requestId);
@@ -255,19 +342,19 @@
                 
                 // Upload to Supabase Storage
                 const fileName = `supply-requests/${requestId}/${Date.now()}-${file.name}`;
-                const { data: uploadData, error: uploadError } = await window.supabase.storage
+                const { data: uploadData, error: uploadError } = await getDB().storage
                     .from('supply-documents')
                     .upload(fileName, file);
 
                 if (uploadError) throw uploadError;
 
                 // Get public URL
-                const { data: { publicUrl } } = window.supabase.storage
+                const { data: { publicUrl } } = getDB().storage
                     .from('supply-documents')
                     .getPublicUrl(fileName);
 
                 // Save document record
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_request_documents')
                     .insert({
                         request_id: requestId,
@@ -306,7 +393,7 @@
          */
         async getRequestDocuments(requestId) {
             try {
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_request_documents')
                     .select('*')
                     .eq('request_id', requestId)
@@ -333,7 +420,7 @@
                 const currentUser = authModule.getCurrentUser();
 
                 // Create delivery record
-                const { data: delivery, error: deliveryError } = await window.supabase
+                const { data: delivery, error: deliveryError } = await getDB()
                     .from('supply_deliveries')
                     .insert({
                         request_id: requestId,
@@ -361,7 +448,7 @@
                 // Update item delivered quantities
                 if (deliveryData.items && Array.isArray(deliveryData.items)) {
                     for (const item of deliveryData.items) {
-                        await window.supabase
+                        await getDB()
                             .from('supply_request_items')
                             .update({
                                 delivered_quantity: item.delivered_quantity
@@ -381,14 +468,55 @@
         },
 
         /**
-         * Admin confirms receipt of items
+         * Admin confirms receipt of items and books them into stock.
+         * receiptData.items: [{ id, received_quantity, rejected_quantity?, unit_cost?, batch_number?, expiry_date?, notes }]
+         * — unit_cost defaults to the line's agreed unit_price. Rejected
+         * quantities are turned away at the door and never reach stock.
+         * The request is then matched and any debit note raised.
          */
         async confirmReceipt(requestId, receiptData) {
             try {
                 const currentUser = authModule.getCurrentUser();
+                const currentShop = authModule.getCurrentShop?.() || window.DukaPOS?.currentShop;
+
+                if (!currentShop) throw new Error('No shop context');
+
+                // Book the goods in first: one stock lot per line at the agreed
+                // price. The RPC refuses a second receipt of the same request.
+                if (receiptData.items && Array.isArray(receiptData.items)) {
+                    const { data: requestItems, error: itemsError } = await getDB()
+                        .from('supply_request_items')
+                        .select('id, product_id, unit_price')
+                        .eq('request_id', requestId);
+
+                    if (itemsError) throw itemsError;
+
+                    const lines = receiptData.items.map(item => {
+                        const line = requestItems.find(r => r.id === item.id);
+                        return {
+                            product_id: line?.product_id,
+                            quantity: Math.max((Number(item.received_quantity) || 0) - (Number(item.rejected_quantity) || 0), 0),
+                            unit_cost: Number(item.unit_cost ?? line?.unit_price) || 0,
+                            batch_number: item.batch_number || null,
+                            expiry_date: item.expiry_date || null
+                        };
+                    }).filter(line => line.product_id && line.quantity > 0);
+
+                    if (lines.length) {
+                        const { error: receiveError } = await getDB().rpc('receive_stock', {
+                            p_shop_id: currentShop.id,
+                            p_user_id: currentUser.id,
+                            p_source: 'supply_request',
+                            p_source_id: requestId,
+                            p_lines: lines
+                        });
+
+                        if (receiveError) throw receiveError;
+                    }
+                }
 
                 // Update delivery record
-                const { error: deliveryError } = await window.supabase
+                const { error: deliveryError } = await getDB()
                     .from('supply_deliveries')
                     .update({
                         received_by: currentUser.id,
@@ -402,7 +530,7 @@
                 if (deliveryError) throw deliveryError;
 
                 // Update request status
-                const { error: requestError } = await window.supabase
+                const { error: requestError } = await getDB()
                     .from('supply_requests')
                     .update({
                         status: 'received',
@@ -415,10 +543,11 @@
                 // Update received quantities
                 if (receiptData.items && Array.isArray(receiptData.items)) {
                     for (const item of receiptData.items) {
-                        await window.supabase
+                        await getDB()
                             .from('supply_request_items')
                             .update({
                                 received_quantity: item.received_quantity,
+                                rejected_quantity: Number(item.rejected_quantity) || 0,
                                 admin_notes: item.notes
                             })
                             .eq('id', item.id);
@@ -428,7 +557,9 @@
                 // Log activity
                 await this.logActivity(requestId, 'Items received and confirmed by admin', 'status_change', currentUser.id, 'admin');
 
-                return { success: true };
+                const match = await this.issueDebitNote(requestId);
+
+                return { success: true, data: { debit_note: match.data || null } };
             } catch (err) {
                 console.error('Confirm receipt error:', err);
                 return { success: false, error: err.message };
@@ -436,13 +567,16 @@
         },
 
         /**
-         * Create quality inspection record
+         * Create quality inspection record. inspectionData.rejected_quantity
+         * sends that many of the line back to the supplier — out of stock if
+         * already received — and re-runs the match.
          */
         async createQualityInspection(requestId, inspectionData) {
             try {
                 const currentUser = authModule.getCurrentUser();
+                const rejected = Number(inspectionData.rejected_quantity) || 0;
 
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_quality_inspections')
                     .insert({
                         request_id: requestId,
@@ -458,6 +592,7 @@
                         issues_found: inspectionData.issues_found,
                         defects_count: inspectionData.defects_count,
                         action_taken: inspectionData.action_taken,
+                        rejected_quantity: rejected,
                         notes: inspectionData.notes
                     })
                     .select()
@@ -465,8 +600,19 @@
 
                 if (error) throw error;
 
+                if (rejected > 0 && inspectionData.item_id) {
+                    const { error: rejectError } = await getDB().rpc('reject_supply_items', {
+                        p_item_id: inspectionData.item_id,
+                        p_quantity: rejected,
+                        p_note: inspectionData.issues_found || null
+                    });
+                    if (rejectError) throw rejectError;
+                }
+
                 await this.logActivity(requestId, 'Quality inspection completed', 'other', currentUser.id, 'admin');
 
+                if (rejected > 0) await this.issueDebitNote(requestId);
+
                 return { success: true, data };
             } catch (err) {
                 console.error('Create quality inspection error:', err);
@@ -481,7 +627,7 @@
             try {
                 const currentUser = authModule.getCurrentUser();
 
-                const { error } = await window.supabase
+                const { error } = await getDB()
                     .from('supply_requests')
                     .update({
                         status: 'completed',
@@ -501,6 +647,121 @@
             }
         },
 
+        // ═══════════════════════════════════════════════════════════
+        // THREE-WAY MATCH & DEBIT NOTES
+        // ═══════════════════════════════════════════════════════════
+
+        /**
+         * Ordered vs delivered vs received/accepted for each line, with
+         * shortages, overages, rejections and price differences
+         */
+        async getRequestMatch(requestId) {
+            try {
+                const { data, error } = await getDB()
+                    .rpc('supply_request_match', { p_request_id: requestId });
+
+                if (error) throw error;
+
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get request match error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Raise or refresh the request's debit note from the match and tell
+         * the supplier. data is null when every line agrees.
+         */
+        async issueDebitNote(requestId) {
+            try {
+                const currentUser = authModule.getCurrentUser();
+
+                const { data, error } = await getDB()
+                    .rpc('issue_supply_debit_note', { p_request_id: requestId });
+
+                if (error) throw error;
+
+                if (data && data.status === 'issued') {
+                    await this.createSupplyRequestNotification(
+                        data.supplier_id,
+                        'debit_note',
+                        'Debit Note Issued',
+                        `${data.note_number}: KES ${Number(data.amount).toLocaleString()} held back after checking your delivery`,
+                        requestId
+                    );
+                    await this.logActivity(requestId, `Debit note ${data.note_number} issued`, 'other', currentUser.id, 'admin');
+                }
+
+                return { success: true, data };
+            } catch (err) {
+                console.error('Issue debit note error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Debit notes with their lines, newest first.
+         * filters: { shop_id, supplier_id, status, request_id }
+         */
+        async getDebitNotes(filters = {}) {
+            try {
+                let query = getDB()
+                    .from('supply_debit_notes')
+                    .select(`
+                        *,
+                        supply_debit_note_lines (*),
+                        supply_requests (request_number, title),
+                        suppliers (name)
+                    `)
+                    .order('created_at', { ascending: false });
+
+                if (filters.shop_id)     query = query.eq('shop_id', filters.shop_id);
+                if (filters.supplier_id) query = query.eq('supplier_id', filters.supplier_id);
+                if (filters.request_id)  query = query.eq('request_id', filters.request_id);
+                if (filters.status) {
+                    query = Array.isArray(filters.status) ? query.in('status', filters.status) : query.eq('status', filters.status);
+                }
+
+                const { data, error } = await query;
+                if (error) throw error;
+
+                return { success: true, data: data || [] };
+            } catch (err) {
+                console.error('Get debit notes error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
+        /**
+         * Supplier answers a debit note ('acknowledged' | 'disputed'), or
+         * the shop withdraws it ('cancelled')
+         */
+        async respondToDebitNote(noteId, status, response = null) {
+            try {
+                const { data, error } = await getDB()
+                    .rpc('respond_supply_debit_note', {
+                        p_note_id: noteId,
+                        p_status: status,
+                        p_response: response
+                    });
+
+                if (error) throw error;
+
+                if (data?.request_id) {
+                    const currentUser = authModule.getCurrentUser();
+                    const label = { acknowledged: 'accepted by supplier', disputed: 'disputed by supplier', cancelled: 'withdrawn' }[status];
+                    await this.logActivity(data.request_id, `Debit note ${data.note_number} ${label}`, 'other', currentUser.id,
+                        status === 'cancelled' ? 'admin' : 'supplier');
+                }
+
+                return { success: true, data };
+            } catch (err) {
+                console.error('Respond to debit note error:', err);
+                return { success: false, error: err.message };
+            }
+        },
+
         // ═══════════════════════════════════════════════════════════
         // MESSAGING & COMMUNICATION
         // ═══════════════════════════════════════════════════════════
@@ -512,7 +773,7 @@
             try {
                 const currentUser = authModule.getCurrentUser();
 
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_request_messages')
                     .insert({
                         request_id: requestId,
@@ -539,7 +800,7 @@
          */
         async getMessages(requestId) {
             try {
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_request_messages')
                     .select('*')
                     .eq('request_id', requestId)
@@ -563,7 +824,7 @@
          */
         async logActivity(requestId, action, actionType, userId, userType) {
             try {
-                await window.supabase
+                await getDB()
                     .from('supply_request_activity')
                     .insert({
                         request_id: requestId,
@@ -585,7 +846,7 @@
          */
         async getActivityLog(requestId) {
             try {
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_request_activity')
                     .select('*')
                     .eq('request_id', requestId)
@@ -605,23 +866,22 @@
          */
         async createSupplyRequestNotification(supplierId, type, title, message, requestId) {
             try {
-                // Get supplier user accounts
-                const { data: supplierUsers } = await window.supabase
-                    .from('users')
-                    .select('id')
-                    .eq('role', 'supplier');
-                    // Add filter for specific supplier if needed
-
-                if (supplierUsers && supplierUsers.length > 0) {
-                    const notifications = supplierUsers.map(user => ({
-                        user_id: user.id,
+                // Portal logins linked to this supplier
+                const { data: links } = await getDB()
+                    .from('supplier_user_links')
+                    .select('user_id')
+                    .eq('supplier_id', supplierId);
+
+                if (links && links.length > 0) {
+                    const notifications = links.map(link => ({
+                        user_id: link.user_id,
                         notification_type: type,
                         title: title,
                         message: message,
                         related_order_id: requestId
                     }));
 
-                    await window.supabase
+                    await getDB()
                         .from('supplier_notifications')
                         .insert(notifications);
                 }
@@ -638,7 +898,7 @@
          */
         async calculateRequestTotals(requestId) {
             try {
-                const { data } = await window.supabase
+                const { data } = await getDB()
                     .rpc('calculate_supply_request_totals', { request_id_param: requestId });
 
                 return { success: true };
@@ -653,7 +913,7 @@
          */
         async getRequestById(requestId) {
             try {
-                const { data, error } = await window.supabase
+                const { data, error } = await getDB()
                     .from('supply_requests')
                     .select(`
                         *,
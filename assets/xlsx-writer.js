@@ -0,0 +1,396 @@
+// ════════════════════════════════════════════════════════════════
+// DUKA POS - XLSX WRITER
+// Builds .xlsx workbooks in the browser — no server, no libraries.
+// An .xlsx file is a ZIP of SpreadsheetML parts; entries are stored
+// uncompressed, which every spreadsheet app accepts and which keeps
+// this file small. Report sizes here are a few hundred KB at most.
+//
+// Usage:
+//   const wb = xlsxWriter.createWorkbook();
+//   const ws = wb.addSheet('Sales', { columns: [12, 30, 14], freezeRows: 1 });
+//   ws.addRow(['Date', 'Item', 'Amount'], { bold: true, fill: '4472C4', color: 'FFFFFF' });
+//   ws.addRow([new Date(), 'Sugar 1kg', { v: 180, style: { numFmt: '#,##0.00' } }]);
+//   ws.addRow(['TOTAL', '', { f: 'SUM(C2:C2)', v: 180 }], { bold: true });
+//   wb.download('Sales.xlsx');
+//
+// Style objects: { bold, italic, size, color, fill, border: 'thin'|'medium',
+//                  align: 'left'|'center'|'right', valign, wrap, numFmt }
+// Colours are RGB hex without '#'.
+// ════════════════════════════════════════════════════════════════
+
+(function () {
+    'use strict';
+
+    const MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+    const NS_REL  = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+    // Number formats Excel knows by id — anything else becomes a custom format (164+)
+    const BUILTIN_NUMFMTS = { 'General': 0, '0': 1, '0.00': 2, '#,##0': 3, '#,##0.00': 4, '0%': 9, '0.00%': 10 };
+    const DEFAULT_DATE_FMT = 'yyyy-mm-dd hh:mm';
+
+    // ════════════════════════════════════════════════════════════
+    // HELPERS
+    // ════════════════════════════════════════════════════════════
+    function esc(value) {
+        return String(value)
+            // Characters XML 1.0 cannot carry at all
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    function colLetter(index) {          // 0 → A, 25 → Z, 26 → AA
+        let s = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+        }
+        return s;
+    }
+
+    function cellRef(rowNum, colIndex) {
+        return colLetter(colIndex) + rowNum;
+    }
+
+    // Excel stores dates as days since 1899-12-30, in local wall-clock time
+    function dateSerial(d) {
+        const utc = Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(),
+            d.getHours(), d.getMinutes(), d.getSeconds(), d.getMilliseconds());
+        return (utc - Date.UTC(1899, 11, 30)) / 86400000;
+    }
+
+    function sheetName(name, taken) {
+        let base = String(name || 'Sheet').replace(/[\[\]:*?\/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+        let candidate = base;
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+            const suffix = ` (${n})`;
+            candidate = base.slice(0, 31 - suffix.length) + suffix;
+        }
+        taken.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // STYLES — every distinct style object becomes one cellXfs entry,
+    // sharing fonts / fills / borders / number formats where equal
+    // ════════════════════════════════════════════════════════════
+    function createStyleTable() {
+        const fonts   = ['<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>'];
+        const fills   = ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'];
+        const borders = ['<border><left/><right/><top/><bottom/><diagonal/></border>'];
+        const numFmts = [];                       // [{ id, code }]
+        const xfs     = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'];
+        const xfIndex = new Map([['{}', 0]]);
+
+        function intern(list, xml) {
+            let i = list.indexOf(xml);
+            if (i === -1) { list.push(xml); i = list.length - 1; }
+            return i;
+        }
+
+        function numFmtId(code) {
+            if (!code) return 0;
+            if (code in BUILTIN_NUMFMTS) return BUILTIN_NUMFMTS[code];
+            let fmt = numFmts.find(f => f.code === code);
+            if (!fmt) { fmt = { id: 164 + numFmts.length, code }; numFmts.push(fmt); }
+            return fmt.id;
+        }
+
+        function get(style) {
+            if (!style) return 0;
+            const key = JSON.stringify(style, Object.keys(style).sort());
+            if (xfIndex.has(key)) return xfIndex.get(key);
+
+            const fontId = intern(fonts, '<font>'
+                + (style.bold ? '<b/>' : '') + (style.italic ? '<i/>' : '')
+                + `<sz val="${style.size || 11}"/>`
+                + (style.color ? `<color rgb="FF${style.color}"/>` : '')
+                + '<name val="Calibri"/><family val="2"/></font>');
+            const fillId = style.fill
+                ? intern(fills, `<fill><patternFill patternType="solid"><fgColor rgb="FF${style.fill}"/><bgColor indexed="64"/></patternFill></fill>`)
+                : 0;
+            const side = style.border ? `style="${style.border}"><color auto="1"/>` : null;
+            const borderId = side
+                ? intern(borders, `<border><left ${side}</left><right ${side}</right><top ${side}</top><bottom ${side}</bottom><diagonal/></border>`)
+                : 0;
+            const fmtId = numFmtId(style.numFmt);
+
+            const align = (style.align || style.valign || style.wrap)
+                ? '<alignment'
+                    + (style.align  ? ` horizontal="${style.align}"` : '')
+                    + (style.valign ? ` vertical="${style.valign}"` : '')
+                    + (style.wrap   ? ' wrapText="1"' : '')
+                    + '/>'
+                : '';
+
+            xfs.push(`<xf numFmtId="${fmtId}" fontId="${fontId}" fillId="${fillId}" borderId="${borderId}" xfId="0"`
+                + ' applyNumberFormat="1" applyFont="1" applyFill="1" applyBorder="1"'
+                + (align ? ` applyAlignment="1">${align}</xf>` : '/>'));
+            xfIndex.set(key, xfs.length - 1);
+            return xfs.length - 1;
+        }
+
+        function toXml() {
+            return XML_HEAD + `<styleSheet xmlns="${NS_MAIN}">`
+                + (numFmts.length
+                    ? `<numFmts count="${numFmts.length}">${numFmts.map(f => `<numFmt numFmtId="${f.id}" formatCode="${esc(f.code)}"/>`).join('')}</numFmts>`
+                    : '')
+                + `<fonts count="${fonts.length}">${fonts.join('')}</fonts>`
+                + `<fills count="${fills.length}">${fills.join('')}</fills>`
+                + `<borders count="${borders.length}">${borders.join('')}</borders>`
+                + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+                + `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>`
+                + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+                + '</styleSheet>';
+        }
+
+        return { get, toXml };
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // SHEET
+    // ════════════════════════════════════════════════════════════
+    function createSheet(name, opts, styles) {
+        const rows   = [];                        // [{ cells: [xml], height }]
+        const merges = [];
+
+        function cellXml(ref, cell, rowStyle) {
+            const raw   = (cell !== null && typeof cell === 'object' && !(cell instanceof Date)) ? cell : { v: cell };
+            const style = (rowStyle || raw.style) ? { ...(rowStyle || {}), ...(raw.style || {}) } : null;
+            let v = raw.v;
+
+            if (raw.f) {
+                const cached = typeof v === 'number' && isFinite(v) ? `<v>${v}</v>` : '';
+                return `<c r="${ref}" s="${styles.get(style)}"><f>${esc(raw.f)}</f>${cached}</c>`;
+            }
+            if (v === null || v === undefined || v === '') {
+                return style ? `<c r="${ref}" s="${styles.get(style)}"/>` : '';
+            }
+            if (v instanceof Date) {
+                const s = styles.get({ ...(style || {}), numFmt: style?.numFmt || DEFAULT_DATE_FMT });
+                return `<c r="${ref}" s="${s}"><v>${dateSerial(v)}</v></c>`;
+            }
+            if (typeof v === 'number') {
+                if (!isFinite(v)) v = 0;
+                return `<c r="${ref}" s="${styles.get(style)}"><v>${v}</v></c>`;
+            }
+            if (typeof v === 'boolean') {
+                return `<c r="${ref}" s="${styles.get(style)}" t="b"><v>${v ? 1 : 0}</v></c>`;
+            }
+            return `<c r="${ref}" s="${styles.get(style)}" t="inlineStr"><is><t xml:space="preserve">${esc(v)}</t></is></c>`;
+        }
+
+        const sheet = {
+            name,
+
+            /** Row number the next addRow() will write (1-based, as in Excel) */
+            get nextRow() { return rows.length + 1; },
+
+            /**
+             * Append a row. Cells are plain values (string, number, boolean,
+             * Date, null) or { v, f, style }; rowStyle is merged under each
+             * cell's own style. Returns the Excel row number written.
+             */
+            addRow(cells, rowStyle, rowOpts = {}) {
+                const r = rows.length + 1;
+                rows.push({
+                    cells: (cells || []).map((c, i) => cellXml(cellRef(r, i), c, rowStyle)).join(''),
+                    height: rowOpts.height
+                });
+                return r;
+            },
+
+            addBlankRow() {
+                return sheet.addRow([]);
+            },
+
+            /** Merge a range, e.g. merge('A1:J1') */
+            merge(range) {
+                merges.push(range);
+            },
+
+            toXml(selected) {
+                const freeze = opts.freezeRows
+                    ? `<pane ySplit="${opts.freezeRows}" topLeftCell="A${opts.freezeRows + 1}" activePane="bottomLeft" state="frozen"/>`
+                    : '';
+                const cols = (opts.columns || []).length
+                    ? `<cols>${opts.columns.map((w, i) => `<col min="${i + 1}" max="${i + 1}" width="${w}" customWidth="1"/>`).join('')}</cols>`
+                    : '';
+                const data = rows.map((row, i) =>
+                    `<row r="${i + 1}"${row.height ? ` ht="${row.height}" customHeight="1"` : ''}>${row.cells}</row>`
+                ).join('');
+
+                return XML_HEAD + `<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_REL}">`
+                    + `<sheetViews><sheetView workbookViewId="0"${selected ? ' tabSelected="1"' : ''}>${freeze}</sheetView></sheetViews>`
+                    + '<sheetFormatPr defaultRowHeight="15"/>'
+                    + cols
+                    + `<sheetData>${data}</sheetData>`
+                    + (merges.length ? `<mergeCells count="${merges.length}">${merges.map(m => `<mergeCell ref="${m}"/>`).join('')}</mergeCells>` : '')
+                    + '</worksheet>';
+            }
+        };
+        return sheet;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // ZIP (stored, no compression)
+    // ════════════════════════════════════════════════════════════
+    const CRC_TABLE = (() => {
+        const t = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            t[n] = c >>> 0;
+        }
+        return t;
+    })();
+
+    function crc32(bytes) {
+        let c = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+        return (c ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function zip(files) {                     // files: [{ name, data: Uint8Array }]
+        const enc = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const chunks = [];
+        const central = [];
+        let offset = 0;
+
+        for (const file of files) {
+            const name = enc.encode(file.name);
+            const crc  = crc32(file.data);
+            const size = file.data.length;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);           // version needed
+            local.setUint16(6, 0x0800, true);       // UTF-8 names
+            local.setUint16(8, 0, true);            // stored
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, size, true);
+            local.setUint32(22, size, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+            chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);           // version made by
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, size, true);
+            entry.setUint32(24, size, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);      // remaining fields stay 0
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + size;
+        }
+
+        const centralSize = central.reduce((n, c) => n + c.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let pos = 0;
+        for (const p of parts) { out.set(p, pos); pos += p.length; }
+        return out;
+    }
+
+    // ════════════════════════════════════════════════════════════
+    // WORKBOOK
+    // ════════════════════════════════════════════════════════════
+    function createWorkbook() {
+        const styles = createStyleTable();
+        const sheets = [];
+        const taken  = new Set();
+
+        const wb = {
+            /**
+             * @param {string} name - trimmed to Excel's 31-char limit and de-duplicated
+             * @param {object} [opts] - { columns: [widths], freezeRows: n }
+             */
+            addSheet(name, opts = {}) {
+                const ws = createSheet(sheetName(name, taken), opts, styles);
+                sheets.push(ws);
+                return ws;
+            },
+
+            /** The workbook as .xlsx bytes */
+            toBytes() {
+                if (!sheets.length) wb.addSheet('Sheet1');
+                const enc = new TextEncoder();
+                const part = (name, xml) => ({ name, data: enc.encode(xml) });
+
+                // Sheet XML first — it registers the styles that styles.xml lists
+                const sheetParts = sheets.map((ws, i) => part(`xl/worksheets/sheet${i + 1}.xml`, ws.toXml(i === 0)));
+
+                return zip([
+                    part('[Content_Types].xml', XML_HEAD
+                        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                        + '<Default Extension="xml" ContentType="application/xml"/>'
+                        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+                        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+                        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+                        + '</Types>'),
+                    part('_rels/.rels', XML_HEAD
+                        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                        + `<Relationship Id="rId1" Type="${NS_REL}/officeDocument" Target="xl/workbook.xml"/>`
+                        + '</Relationships>'),
+                    part('xl/workbook.xml', XML_HEAD
+                        + `<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_REL}"><sheets>`
+                        + sheets.map((ws, i) => `<sheet name="${esc(ws.name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+                        + '</sheets></workbook>'),
+                    part('xl/_rels/workbook.xml.rels', XML_HEAD
+                        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="${NS_REL}/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+                        + `<Relationship Id="rId${sheets.length + 1}" Type="${NS_REL}/styles" Target="styles.xml"/>`
+                        + '</Relationships>'),
+                    part('xl/styles.xml', styles.toXml()),
+                    ...sheetParts
+                ]);
+            },
+
+            toBlob() {
+                return new Blob([wb.toBytes()], { type: MIME });
+            },
+
+            /** Save the workbook through a temporary download link */
+            download(fileName) {
+                const url = URL.createObjectURL(wb.toBlob());
+                const a = document.createElement('a');
+                a.href = url;
+                a.download = fileName;
+                document.body.appendChild(a);
+                a.click();
+                a.remove();
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+        };
+        return wb;
+    }
+
+    // ────────────────────────────────────────────────────────────
+    // EXPOSE MODULE
+    // ────────────────────────────────────────────────────────────
+    window.xlsxWriter = { createWorkbook, colLetter, cellRef, MIME };
+
+    console.log('✅ XLSX writer loaded');
+})();
@@ -0,0 +1,68 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Password hashing shared by auth-login and auth-account
+//
+// users.password_hash holds either
+//   • 'pbkdf2_sha256$<iterations>$<salt b64>$<hash b64>', or
+//   • a legacy unsalted SHA-256 hex digest (64 chars) from before
+//     20261019000400_login_security.sql, rewritten on the next sign-in
+// Only Edge Functions ever write it.
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const PBKDF2_ITERATIONS = 600_000;     // OWASP recommendation for PBKDF2-SHA256
+export const MIN_PASSWORD_LENGTH = 6;
+
+const enc = new TextEncoder();
+
+function toB64(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromB64(s: string): Uint8Array {
+  return Uint8Array.from(atob(s), c => c.charCodeAt(0));
+}
+
+export function toHex(bytes: Uint8Array): string {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare without leaking how many leading bytes matched
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const key  = await crypto.subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2_sha256$${PBKDF2_ITERATIONS}$${toB64(salt)}$${toB64(hash)}`;
+}
+
+function isLegacyHash(stored: string): boolean {
+  return /^[0-9a-f]{64}$/i.test(stored);
+}
+
+/** Returns { ok, upgrade } — upgrade is true when the stored hash should be rewritten */
+export async function verifyPassword(password: string, stored: string): Promise<{ ok: boolean; upgrade: boolean }> {
+  if (!stored) return { ok: false, upgrade: false };
+
+  if (isLegacyHash(stored)) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', enc.encode(password)));
+    return { ok: timingSafeEqual(enc.encode(toHex(digest)), enc.encode(stored.toLowerCase())), upgrade: true };
+  }
+
+  const [scheme, iter, saltB64, hashB64] = stored.split('$');
+  if (scheme !== 'pbkdf2_sha256' || !iter || !saltB64 || !hashB64) return { ok: false, upgrade: false };
+
+  const iterations = Number(iter);
+  const actual     = await pbkdf2(password, fromB64(saltB64), iterations);
+  const ok         = timingSafeEqual(actual, fromB64(hashB64));
+  return { ok, upgrade: ok && iterations < PBKDF2_ITERATIONS };
+}
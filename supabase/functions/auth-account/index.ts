@@ -0,0 +1,260 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Supabase Edge Function: auth-account
+// Place at: supabase/functions/auth-account/index.ts
+//
+// Everything that writes users.password_hash, so new passwords are PBKDF2
+// from the start (see ../_shared/password.ts) and the browser never sends
+// or reads a hash:
+//
+//   POST { action: 'signup', shop: {…}, user: {…} }
+//        new shop plus its administrator (signup.html, no session)
+//   POST { action: 'create_user', user: {…} }               x-session-token
+//        a user in the caller's shop; needs users.manage
+//   POST { action: 'set_password', user_id, password }      x-session-token
+//        the caller's own password, or anyone's in their shop with users.manage
+//
+// public.users can't be written from the browser for these columns
+// (20261019002300_users_lockdown.sql).
+//
+// Deploy:
+//   supabase functions deploy auth-account
+//
+// Auto-provided by Supabase (no action needed):
+//   SUPABASE_URL
+//   SUPABASE_SERVICE_ROLE_KEY
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { hashPassword, MIN_PASSWORD_LENGTH } from '../_shared/password.ts';
+
+// ── CORS headers — allow browser calls from any origin ───────────────────────
+const CORS = {
+  'Access-Control-Allow-Origin':  '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+const ROLES = ['administrator', 'manager', 'cashier', 'supplier', 'customer'];
+
+// ── Supabase admin client (bypasses RLS — safe in Edge Functions only) ────────
+// With a session token, has_permission() in the database sees the caller
+function supabaseAdmin(sessionToken?: string) {
+  return createClient(
+    Deno.env.get('SUPABASE_URL')             ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+    sessionToken ? { global: { headers: { 'x-session-token': sessionToken } } } : undefined,
+  );
+}
+
+class AccountError extends Error {
+  constructor(message: string, public status = 400) { super(message); }
+}
+
+function checkPassword(password: unknown): string {
+  const value = String(password ?? '');
+  if (value.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  return value;
+}
+
+function checkUsername(username: unknown): string {
+  const value = String(username ?? '').trim();
+  if (value.length < 3 || /\s/.test(value)) {
+    throw new AccountError('Username must be at least 3 characters, with no spaces');
+  }
+  return value;
+}
+
+async function usernameTaken(db: ReturnType<typeof supabaseAdmin>, username: string): Promise<boolean> {
+  const { data, error } = await db.from('users').select('id').eq('username', username).limit(1);
+  if (error) throw error;
+  return (data ?? []).length > 0;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CALLER — the signed-in user behind x-session-token
+// ═══════════════════════════════════════════════════════════════════════════
+interface Caller { id: number; shop_id: number; role: string; token: string }
+
+async function requireCaller(req: Request): Promise<Caller> {
+  const token = req.headers.get('x-session-token') ?? '';
+  if (!token) throw new AccountError('Sign in first', 401);
+
+  const db = supabaseAdmin();
+  const { data: session } = await db
+    .from('user_sessions').select('user_id, is_active, expires_at')
+    .eq('session_token', token).maybeSingle();
+  const live = session && session.is_active !== false
+    && (!session.expires_at || new Date(session.expires_at) > new Date());
+  if (!live) throw new AccountError('Your session has expired. Sign in again.', 401);
+
+  const { data: user } = await db
+    .from('users').select('id, shop_id, role, is_active').eq('id', session.user_id).maybeSingle();
+  if (!user || user.is_active === false) throw new AccountError('Your session has expired. Sign in again.', 401);
+
+  return { id: user.id, shop_id: user.shop_id, role: user.role, token };
+}
+
+async function callerCan(caller: Caller, key: string): Promise<boolean> {
+  const { data, error } = await supabaseAdmin(caller.token).rpc('has_permission', { p_key: key });
+  if (error) throw error;
+  return data === true;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ACTION: signup
+// ═══════════════════════════════════════════════════════════════════════════
+async function handleSignup(body: Record<string, any>): Promise<Response> {
+  const shop = body.shop ?? {};
+  const user = body.user ?? {};
+  const shopName = String(shop.shop_name ?? '').trim();
+  const shopCode = String(shop.shop_code ?? '').trim();
+  const fullName = String(user.full_name ?? '').trim();
+  const username = checkUsername(user.username);
+  const password = checkPassword(user.password);
+  if (!shopName || !shopCode || !fullName) throw new AccountError('Shop name, shop code and your name are required');
+
+  const db = supabaseAdmin();
+  const { data: existingShop, error: shopLookupErr } = await db.from('shops').select('id').eq('shop_code', shopCode).maybeSingle();
+  if (shopLookupErr) throw shopLookupErr;
+  if (existingShop) throw new AccountError('Shop code already taken. Please choose another.', 409);
+  if (await usernameTaken(db, username)) throw new AccountError('Username already taken. Please choose another.', 409);
+
+  const { data: newShop, error: shopErr } = await db.from('shops').insert([{
+    shop_name:  shopName,
+    shop_code:  shopCode,
+    owner_name: fullName,
+    email:      shop.email || null,
+    phone:      shop.phone || null,
+    address:    shop.address || null,
+    is_active:  true,
+  }]).select().single();
+  if (shopErr) throw shopErr;
+
+  const { data: newUser, error: userErr } = await db.from('users').insert([{
+    shop_id:             newShop.id,
+    username,
+    password_hash:       await hashPassword(password),
+    password_updated_at: new Date().toISOString(),
+    full_name:           fullName,
+    role:                'administrator',
+    email:               user.email || null,
+    phone:               user.phone || null,
+    is_active:           true,
+    created_by:          null,     // the shop owner isn't created by anyone
+  }]).select('id, username, full_name, role, email, phone, shop_id').single();
+  if (userErr) {
+    // No shop without an administrator to sign in to it
+    await db.from('shops').delete().eq('id', newShop.id);
+    throw userErr;
+  }
+
+  return jsonRes({ success: true, shop: newShop, user: newUser });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ACTION: create_user
+// ═══════════════════════════════════════════════════════════════════════════
+async function handleCreateUser(req: Request, body: Record<string, any>): Promise<Response> {
+  const caller = await requireCaller(req);
+  if (!(await callerCan(caller, 'users.manage'))) throw new AccountError('Your role cannot create users', 403);
+
+  const user = body.user ?? {};
+  const username = checkUsername(user.username);
+  const password = checkPassword(user.password);
+  const fullName = String(user.full_name ?? '').trim();
+  const role     = String(user.role ?? '').trim().toLowerCase();
+  if (!fullName) throw new AccountError('Full name is required');
+  if (!ROLES.includes(role)) throw new AccountError(`Unknown role ${role}`);
+
+  const db = supabaseAdmin();
+  if (await usernameTaken(db, username)) {
+    throw new AccountError('Username already exists. Please choose a different username.', 409);
+  }
+
+  const { data, error } = await db.from('users').insert([{
+    shop_id:             caller.shop_id,
+    username,
+    password_hash:       await hashPassword(password),
+    password_updated_at: new Date().toISOString(),
+    full_name:           fullName,
+    role,
+    email:               user.email || null,
+    phone:               user.phone || null,
+    is_active:           true,
+    created_by:          caller.id,
+  }]).select('id, username, full_name, role, email, phone, is_active, created_at, created_by, shop_id').single();
+  if (error) throw error;
+
+  return jsonRes({ success: true, user: data });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ACTION: set_password
+// ═══════════════════════════════════════════════════════════════════════════
+async function handleSetPassword(req: Request, body: Record<string, any>): Promise<Response> {
+  const caller   = await requireCaller(req);
+  const userId   = Number(body.user_id);
+  const password = checkPassword(body.password);
+
+  const db = supabaseAdmin();
+  const { data: target, error: targetErr } = await db.from('users').select('id, shop_id').eq('id', userId).maybeSingle();
+  if (targetErr) throw targetErr;
+  if (!target || target.shop_id !== caller.shop_id) throw new AccountError('Cannot update users from other shops', 403);
+  if (target.id !== caller.id && !(await callerCan(caller, 'users.manage'))) {
+    throw new AccountError('Your role cannot change other users\' passwords', 403);
+  }
+
+  const { error } = await db.from('users').update({
+    password_hash:       await hashPassword(password),
+    password_updated_at: new Date().toISOString(),
+    failed_login_count:  0,
+    locked_until:        null,
+  }).eq('id', target.id);
+  if (error) throw error;
+
+  return jsonRes({ success: true });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN HANDLER
+// ═══════════════════════════════════════════════════════════════════════════
+Deno.serve(async (req: Request) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS });
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      return jsonRes({ success: false, error: `Unknown: ${req.method}. Use POST { action, … }` }, 405);
+    }
+
+    let body: Record<string, any>;
+    try {
+      body = await req.json();
+    } catch {
+      return jsonRes({ success: false, error: 'Invalid JSON body' }, 400);
+    }
+
+    switch (body.action) {
+      case 'signup':       return await handleSignup(body);
+      case 'create_user':  return await handleCreateUser(req, body);
+      case 'set_password': return await handleSetPassword(req, body);
+      default:             return jsonRes({ success: false, error: `Unknown action: ${body.action}` }, 400);
+    }
+  } catch (err) {
+    if (err instanceof AccountError) return jsonRes({ success: false, error: err.message }, err.status);
+    console.error('Edge function unhandled error:', err);
+    return jsonRes({ success: false, error: (err as Error).message }, 500);
+  }
+});
+
+// ── Helper: JSON response ─────────────────────────────────────────────────────
+function jsonRes(data: unknown, status = 200): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...CORS },
+  });
+}
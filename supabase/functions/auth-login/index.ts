@@ -0,0 +1,232 @@
+// ═══════════════════════════════════════════════════════════════════════════
+// Supabase Edge Function: auth-login
+// Place at: supabase/functions/auth-login/index.ts
+//
+// Handles:
+//   POST  { username, password }  — verifies the password server-side and
+//                                   returns a new user_sessions token
+//
+// Passwords are stored as salted PBKDF2-SHA256 (see ../_shared/password.ts).
+// Accounts still holding the old unsalted SHA-256 hex digest are verified
+// against it once and rewritten to PBKDF2 in the same request.
+//
+// Throttling:
+//   • an account locks for LOCK_MINUTES after MAX_FAILURES bad passwords
+//   • an IP is refused for WINDOW_MINUTES after MAX_IP_FAILURES failures
+//
+// Deploy:
+//   supabase functions deploy auth-login
+//
+// Auto-provided by Supabase (no action needed):
+//   SUPABASE_URL
+//   SUPABASE_SERVICE_ROLE_KEY
+// ═══════════════════════════════════════════════════════════════════════════
+
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { hashPassword, toHex, verifyPassword } from '../_shared/password.ts';
+
+// ── CORS headers — allow browser calls from any origin ───────────────────────
+const CORS = {
+  'Access-Control-Allow-Origin':  '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+// ── Policy ───────────────────────────────────────────────────────────────────
+const MAX_FAILURES      = 5;
+const LOCK_MINUTES      = 15;
+const MAX_IP_FAILURES   = 20;
+const WINDOW_MINUTES    = 15;
+const SESSION_HOURS     = 8;
+
+// ── Supabase admin client (bypasses RLS — safe in Edge Functions only) ────────
+function supabaseAdmin() {
+  return createClient(
+    Deno.env.get('SUPABASE_URL')             ?? '',
+    Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? '',
+  );
+}
+
+// The caller's address for the per-IP limit. x-forwarded-for is whatever the
+// client sent with each proxy's view appended, so only the last hop — added by
+// the platform's own proxy — can't be forged by rotating the header.
+function clientIp(req: Request): string | null {
+  const hops = (req.headers.get('x-forwarded-for') ?? '').split(',').map((h) => h.trim()).filter(Boolean);
+  return hops[hops.length - 1] ?? req.headers.get('x-real-ip') ?? null;
+}
+
+// Spend the same time on unknown usernames as on real ones
+const DUMMY_HASH = hashPassword('dummy-password-for-timing');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ACTION: login
+// ═══════════════════════════════════════════════════════════════════════════
+async function handleLogin(req: Request): Promise<Response> {
+  let body: Record<string, unknown>;
+  try {
+    body = await req.json();
+  } catch {
+    return jsonRes({ success: false, error: 'Invalid JSON body' }, 400);
+  }
+
+  const username = String(body.username ?? '').trim();
+  const password = String(body.password ?? '');
+  if (!username || !password) {
+    return jsonRes({ success: false, error: 'Username and password are required' }, 400);
+  }
+
+  const db = supabaseAdmin();
+  const ip = clientIp(req);
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - WINDOW_MINUTES * 60_000).toISOString();
+
+  const record = (reason: string | null, success: boolean, userId: number | null = null) =>
+    db.from('login_attempts').insert([{ username, user_id: userId, ip, success, reason }]);
+
+  // ── Per-IP rate limit ──────────────────────────────────────────────────────
+  if (ip) {
+    const { count } = await db
+      .from('login_attempts')
+      .select('id', { count: 'exact', head: true })
+      .eq('ip', ip)
+      .eq('success', false)
+      .gte('attempted_at', windowStart);
+
+    if ((count ?? 0) >= MAX_IP_FAILURES) {
+      await record('rate_limited', false);
+      return jsonRes({
+        success: false,
+        error: `Too many failed sign-in attempts. Try again in ${WINDOW_MINUTES} minutes.`,
+        retry_after: WINDOW_MINUTES * 60,
+      }, 429);
+    }
+  }
+
+  // ── Look up the account ────────────────────────────────────────────────────
+  const { data: user, error: userErr } = await db
+    .from('users')
+    .select('*, shops(id, shop_name, shop_code, owner_name, is_active)')
+    .eq('username', username)
+    .maybeSingle();
+
+  if (userErr) {
+    console.error('users lookup error:', userErr.message);
+    return jsonRes({ success: false, error: 'Sign-in is temporarily unavailable' }, 500);
+  }
+
+  if (!user) {
+    await verifyPassword(password, await DUMMY_HASH);
+    await record('unknown_user', false);
+    return jsonRes({ success: false, error: 'Invalid username or password' }, 401);
+  }
+
+  // ── Lockout ────────────────────────────────────────────────────────────────
+  if (user.locked_until && new Date(user.locked_until) > now) {
+    const minutes = Math.ceil((new Date(user.locked_until).getTime() - now.getTime()) / 60_000);
+    await record('locked', false, user.id);
+    return jsonRes({
+      success: false,
+      error: `Account locked after repeated failed sign-ins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      retry_after: minutes * 60,
+    }, 423);
+  }
+
+  // ── Password ───────────────────────────────────────────────────────────────
+  const { ok, upgrade } = await verifyPassword(password, user.password_hash ?? '');
+
+  if (!ok) {
+    const failures = (user.failed_login_count ?? 0) + 1;
+    const lock     = failures >= MAX_FAILURES;
+    await db.from('users').update({
+      failed_login_count: lock ? 0 : failures,
+      locked_until:       lock ? new Date(now.getTime() + LOCK_MINUTES * 60_000).toISOString() : null,
+    }).eq('id', user.id);
+    await record('bad_password', false, user.id);
+
+    return jsonRes({
+      success: false,
+      error: lock
+        ? `Account locked after ${MAX_FAILURES} failed sign-ins. Try again in ${LOCK_MINUTES} minutes.`
+        : 'Invalid username or password',
+    }, lock ? 423 : 401);
+  }
+
+  // Checked only after the password so these don't reveal which usernames exist
+  if (!user.is_active) {
+    await record('inactive', false, user.id);
+    return jsonRes({ success: false, error: 'This account has been deactivated.' }, 403);
+  }
+  if (!user.shops || !user.shops.is_active) {
+    await record('inactive', false, user.id);
+    return jsonRes({ success: false, error: 'Shop is inactive. Please contact support.' }, 403);
+  }
+
+  // ── Success: reset counters, upgrade hash, open session ────────────────────
+  const loginTime = now.toISOString();
+  const userUpdate: Record<string, unknown> = { failed_login_count: 0, locked_until: null, last_login: loginTime };
+  if (upgrade) {
+    userUpdate.password_hash       = await hashPassword(password);
+    userUpdate.password_updated_at = loginTime;
+  }
+  const { error: updErr } = await db.from('users').update(userUpdate).eq('id', user.id);
+  if (updErr) console.error('users update error:', updErr.message);
+
+  const sessionToken = toHex(crypto.getRandomValues(new Uint8Array(32)));
+  const expiresAt    = new Date(now.getTime() + SESSION_HOURS * 3600_000).toISOString();
+
+  const { data: session, error: sessionErr } = await db
+    .from('user_sessions')
+    .insert([{ user_id: user.id, session_token: sessionToken, login_time: loginTime, is_active: true, expires_at: expiresAt }])
+    .select('id')
+    .single();
+
+  if (sessionErr) {
+    console.error('user_sessions insert error:', sessionErr.message);
+    return jsonRes({ success: false, error: 'Could not start a session' }, 500);
+  }
+
+  await db.from('activity_logs').insert([{
+    user_id: user.id, session_id: session.id, action_type: 'login',
+    action_details: { username: user.username, full_name: user.full_name, role: user.role, shop_name: user.shops.shop_name },
+  }]);
+  await record(null, true, user.id);
+
+  return jsonRes({
+    success:       true,
+    session_token: sessionToken,
+    expires_at:    expiresAt,
+    user: {
+      id: user.id, username: user.username, full_name: user.full_name,
+      role: user.role, email: user.email, shop_id: user.shop_id,
+    },
+    shop: user.shops,
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MAIN HANDLER
+// ═══════════════════════════════════════════════════════════════════════════
+Deno.serve(async (req: Request) => {
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS });
+  }
+
+  try {
+    if (req.method !== 'POST') {
+      return jsonRes({ success: false, error: `Unknown: ${req.method}. Use POST { username, password }` }, 405);
+    }
+    return await handleLogin(req);
+  } catch (err) {
+    console.error('Edge function unhandled error:', err);
+    return jsonRes({ success: false, error: (err as Error).message }, 500);
+  }
+});
+
+// ── Helper: JSON response ─────────────────────────────────────────────────────
+function jsonRes(data: unknown, status = 200): Response {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...CORS },
+  });
+}
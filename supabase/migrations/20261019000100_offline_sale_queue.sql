@@ -0,0 +1,14 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Offline sale queue — de-duplication key
+--
+-- pos.html generates a UUID for every sale (client_sale_id). Sales recorded
+-- while offline are replayed by sw.js (Background Sync) and may be replayed
+-- more than once; the unique index guarantees one sales row per UUID.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.sales
+  add column if not exists client_sale_id uuid;
+
+create unique index if not exists sales_client_sale_id_key
+  on public.sales (client_sale_id)
+  where client_sale_id is not null;
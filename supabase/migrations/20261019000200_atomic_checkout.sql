@@ -0,0 +1,204 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Atomic checkout — process_checkout()
+--
+-- Replaces the client-side sequence in pos.html:
+--   createSale (sales + sale_items) → updateInventory per item → updateCustomer
+-- with one transaction. Either the sale, its items, the stock decrements,
+-- the loyalty change and the payment record are all written, or none are.
+--
+-- Stock is decremented with UPDATE ... stock = stock - n, which row-locks the
+-- product, so two tills selling the last unit can no longer both succeed.
+--
+-- Call (supabase-js):
+--   db.rpc('process_checkout', { p_shop_id, p_user_id, p_sale, p_items,
+--                                p_payments, p_loyalty, p_offline })
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ── Per-shop oversell policy ────────────────────────────────────────────────
+--   block — reject the sale if any line exceeds stock on hand (default)
+--   allow — record the sale and let stock go negative
+alter table public.shops
+  add column if not exists oversell_policy text not null default 'block';
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'shops_oversell_policy_check') then
+    alter table public.shops
+      add constraint shops_oversell_policy_check check (oversell_policy in ('block', 'allow'));
+  end if;
+end $$;
+
+-- ── Payment record per sale ─────────────────────────────────────────────────
+create table if not exists public.sale_payments (
+  id          bigint generated by default as identity primary key,
+  sale_id     bigint not null references public.sales (id) on delete cascade,
+  shop_id     bigint not null references public.shops (id),
+  method      text   not null,
+  amount      numeric(12, 2) not null,
+  reference   text,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists sale_payments_sale_id_idx on public.sale_payments (sale_id);
+create index if not exists sale_payments_shop_created_idx on public.sale_payments (shop_id, created_at);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_checkout
+--   p_user_id   kept for the signature; the sale is the signed-in user's
+--               (session_user_id())
+--   p_sale      sales columns: total_amount, items_sold, payment_method,
+--               customer_id, discount_amount, points_redeemed,
+--               client_sale_id, created_at (offline replays only)
+--   p_items     [{ product_id, quantity, unit_price, listed_price,
+--                  price_overridden, override_reason }]
+--   p_payments  [{ method, amount, reference }] — defaults to one line for
+--               the whole total with p_sale.payment_method
+--   p_loyalty   { customer_id, points_earned, points_redeemed } or null
+--   p_offline   true when replaying a sale that already happened at the till
+--               while offline; such sales bypass the oversell check and keep
+--               their created_at (never later than now). Honoured only with
+--               a client_sale_id and created_at, as the offline queue sends.
+--
+-- Returns { sale_id, duplicate, stock: [{ product_id, stock }], loyalty_points }
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_checkout(
+  p_shop_id  bigint,
+  p_user_id  bigint,
+  p_sale     jsonb,
+  p_items    jsonb,
+  p_payments jsonb   default '[]'::jsonb,
+  p_loyalty  jsonb   default null,
+  p_offline  boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale      public.sales;
+  v_sale_id   public.sales.id%type;
+  v_user      bigint;
+  v_offline   boolean;
+  v_at        timestamptz;
+  v_policy    text;
+  v_line      record;
+  v_new_stock numeric;
+  v_stock     jsonb := '[]'::jsonb;
+  v_points    numeric;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Cannot check out an empty cart' using errcode = '22023';
+  end if;
+
+  v_sale := jsonb_populate_record(null::public.sales, p_sale);
+
+  -- The signed-in user records the sale, whatever p_user_id says. Only a
+  -- replay from a till's offline queue keeps the till's clock (never ahead
+  -- of ours) and the offline relaxations.
+  v_user := public.session_user_id();
+  if v_user is null then
+    raise exception 'Sign in to record a sale' using errcode = '42501';
+  end if;
+  v_offline := p_offline and v_sale.client_sale_id is not null and v_sale.created_at is not null;
+  v_at      := case when v_offline then least(v_sale.created_at, now()) else now() end;
+
+  -- ── Idempotency: a replayed client_sale_id returns the original sale ──────
+  if v_sale.client_sale_id is not null then
+    select id into v_sale_id
+      from public.sales
+     where client_sale_id = v_sale.client_sale_id and shop_id = p_shop_id;
+    if found then
+      return jsonb_build_object('sale_id', v_sale_id, 'duplicate', true, 'stock', '[]'::jsonb);
+    end if;
+  end if;
+
+  select oversell_policy into v_policy from public.shops where id = p_shop_id;
+  if not found then
+    raise exception 'Shop % not found', p_shop_id using errcode = 'P0002';
+  end if;
+
+  -- ── Sale header ──────────────────────────────────────────────────────────
+  insert into public.sales (
+    shop_id, user_id, total_amount, items_sold, payment_method, customer_id,
+    discount_amount, points_redeemed, client_sale_id, created_at
+  ) values (
+    p_shop_id, v_user, v_sale.total_amount, v_sale.items_sold, v_sale.payment_method,
+    v_sale.customer_id, coalesce(v_sale.discount_amount, 0), coalesce(v_sale.points_redeemed, 0),
+    v_sale.client_sale_id, v_at
+  )
+  returning id into v_sale_id;
+
+  -- ── Line items ───────────────────────────────────────────────────────────
+  insert into public.sale_items (
+    sale_id, shop_id, product_id, quantity, unit_price, listed_price,
+    price_overridden, override_reason
+  )
+  select v_sale_id, p_shop_id, i.product_id, i.quantity, i.unit_price,
+         coalesce(i.listed_price, i.unit_price), coalesce(i.price_overridden, false), i.override_reason
+    from jsonb_populate_recordset(null::public.sale_items, p_items) i;
+
+  -- ── Stock decrements (ordered by product id to avoid lock-order deadlocks)
+  for v_line in
+    select i.product_id, sum(i.quantity) as qty
+      from jsonb_populate_recordset(null::public.sale_items, p_items) i
+     group by i.product_id
+     order by i.product_id
+  loop
+    update public.products
+       set stock = stock - v_line.qty
+     where id = v_line.product_id
+       and shop_id = p_shop_id
+       and (v_offline or v_policy = 'allow' or stock >= v_line.qty)
+    returning stock into v_new_stock;
+
+    if not found then
+      select stock into v_new_stock from public.products
+       where id = v_line.product_id and shop_id = p_shop_id;
+      if not found then
+        raise exception 'Product % not found in this shop', v_line.product_id using errcode = 'P0002';
+      end if;
+      raise exception 'Insufficient stock for product %: % available, % requested',
+        v_line.product_id, v_new_stock, v_line.qty using errcode = 'P0001';
+    end if;
+
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  -- ── Loyalty points ───────────────────────────────────────────────────────
+  if p_loyalty is not null and p_loyalty ->> 'customer_id' is not null then
+    update public.customers
+       set loyalty_points = greatest(0,
+             coalesce(loyalty_points, 0)
+             - coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0)
+             + coalesce((p_loyalty ->> 'points_earned')::numeric, 0))
+     where id = (p_loyalty ->> 'customer_id')::bigint
+       and shop_id = p_shop_id
+       and (v_offline or coalesce(loyalty_points, 0) >= coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0))
+    returning loyalty_points into v_points;
+
+    if not found then
+      raise exception 'Customer % does not have enough loyalty points', p_loyalty ->> 'customer_id'
+        using errcode = 'P0001';
+    end if;
+  end if;
+
+  -- ── Payment record(s) ────────────────────────────────────────────────────
+  if p_payments is null or jsonb_array_length(p_payments) = 0 then
+    insert into public.sale_payments (sale_id, shop_id, method, amount)
+    values (v_sale_id, p_shop_id, coalesce(v_sale.payment_method, 'Cash'), v_sale.total_amount);
+  else
+    insert into public.sale_payments (sale_id, shop_id, method, amount, reference)
+    select v_sale_id, p_shop_id, p ->> 'method', (p ->> 'amount')::numeric, p ->> 'reference'
+      from jsonb_array_elements(p_payments) p;
+  end if;
+
+  return jsonb_build_object(
+    'sale_id',        v_sale_id,
+    'duplicate',      false,
+    'stock',          v_stock,
+    'loyalty_points', v_points
+  );
+end;
+$$;
+
+grant execute on function public.process_checkout(bigint, bigint, jsonb, jsonb, jsonb, jsonb, boolean)
+  to anon, authenticated;
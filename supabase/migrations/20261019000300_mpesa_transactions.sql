@@ -0,0 +1,42 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- M-Pesa Daraja transactions
+--
+-- One row per STK push sent from the till. assets/mpesa-backend.js inserts
+-- the row as 'pending' when Daraja accepts the push and the callback handler
+-- resolves it. The POS only reads status through the backend, so the table
+-- is service-role only (RLS on, no anon policies).
+--
+-- Status lifecycle:
+--   pending → success | failed | cancelled | timeout
+--   cancelled / timeout → success   (late callback: the customer paid after
+--                                    the cashier gave up; kept for reconciliation)
+-- ═══════════════════════════════════════════════════════════════════════════
+
+create table if not exists public.transactions (
+  id                   bigint generated by default as identity primary key,
+  shop_id              bigint references public.shops (id),
+  user_id              bigint,
+  checkout_request_id  text not null unique,
+  merchant_request_id  text,
+  client_sale_id       uuid,          -- sales.client_sale_id of the sale this paid for
+  phone                text not null,
+  amount               numeric(12, 2) not null,
+  account_reference    text,
+  status               text not null default 'pending'
+                       check (status in ('pending', 'success', 'underpaid', 'failed', 'cancelled', 'timeout')),
+  result_code          integer,
+  result_desc          text,
+  mpesa_receipt        text unique,
+  paid_amount          numeric(12, 2),
+  paid_phone           text,
+  transaction_date     timestamptz,
+  raw_callback         jsonb,
+  created_at           timestamptz not null default now(),
+  updated_at           timestamptz not null default now()
+);
+
+create index if not exists transactions_shop_created_idx on public.transactions (shop_id, created_at);
+create index if not exists transactions_client_sale_idx on public.transactions (client_sale_id);
+create index if not exists transactions_status_idx on public.transactions (status) where status = 'pending';
+
+alter table public.transactions enable row level security;
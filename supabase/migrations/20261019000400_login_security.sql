@@ -0,0 +1,33 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Server-verified login — used by supabase/functions/auth-login
+--
+-- users.password_hash now holds either
+--   • a legacy unsalted SHA-256 hex digest (64 chars), or
+--   • 'pbkdf2_sha256$<iterations>$<salt b64>$<hash b64>'
+-- The Edge Function rewrites legacy hashes to PBKDF2 on the next
+-- successful login; new accounts and password changes are PBKDF2 from the
+-- start (supabase/functions/auth-account). The browser can neither read nor
+-- write password_hash since 20261019002300_users_lockdown.sql.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ── Per-account lockout ─────────────────────────────────────────────────────
+alter table public.users add column if not exists failed_login_count  integer not null default 0;
+alter table public.users add column if not exists locked_until        timestamptz;
+alter table public.users add column if not exists password_updated_at timestamptz;
+
+-- ── Every attempt, for per-IP rate limiting and audit ───────────────────────
+create table if not exists public.login_attempts (
+  id            bigint generated by default as identity primary key,
+  username      text,
+  user_id       bigint references public.users (id) on delete set null,
+  ip            text,
+  success       boolean not null,
+  reason        text,               -- bad_password | unknown_user | locked | rate_limited | inactive
+  attempted_at  timestamptz not null default now()
+);
+
+create index if not exists login_attempts_ip_idx       on public.login_attempts (ip, attempted_at);
+create index if not exists login_attempts_username_idx on public.login_attempts (username, attempted_at);
+
+-- Written and read by the Edge Function's service role only
+alter table public.login_attempts enable row level security;
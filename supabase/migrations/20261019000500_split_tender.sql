@@ -0,0 +1,214 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Split tender — several payment lines per sale
+--
+-- A sale can now be paid part cash, part M-Pesa/card, with any remainder put
+-- on the customer's account. Every tender line is a sale_payments row;
+-- sales.payment_method holds the single method, or 'Split'.
+--
+-- process_checkout p_payments lines:
+--   { method, amount, reference?, tendered?, change?, due_date?, description? }
+--   • amounts must add up to the sale total
+--   • tendered / change record the cash handed over and the change given
+--   • method 'Credit' opens a customer_credits row for that amount
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ── Customer credit accounts (previously created by hand from customers.html)
+create table if not exists public.customer_credits (
+  id           bigserial primary key,
+  shop_id      bigint  not null,
+  customer_id  bigint  references public.customers (id) on delete set null,
+  amount       numeric not null default 0,
+  amount_paid  numeric not null default 0,
+  outstanding  numeric not null default 0,
+  description  text,
+  due_date     date,
+  status       text    not null default 'unpaid',
+  is_deleted   boolean not null default false,
+  created_at   timestamptz not null default now(),
+  updated_at   timestamptz not null default now()
+);
+
+alter table public.customer_credits
+  add column if not exists sale_id bigint references public.sales (id) on delete set null;
+
+create index if not exists customer_credits_sale_id_idx on public.customer_credits (sale_id);
+
+-- ── Cash handed over and change given, per tender line ──────────────────────
+alter table public.sale_payments add column if not exists tendered     numeric(12, 2);
+alter table public.sale_payments add column if not exists change_given numeric(12, 2) not null default 0;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_checkout — same signature as 20261019000200; now validates the
+-- tender lines against the total and opens credit for 'Credit' lines
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_checkout(
+  p_shop_id  bigint,
+  p_user_id  bigint,
+  p_sale     jsonb,
+  p_items    jsonb,
+  p_payments jsonb   default '[]'::jsonb,
+  p_loyalty  jsonb   default null,
+  p_offline  boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale      public.sales;
+  v_sale_id   public.sales.id%type;
+  v_user      bigint;
+  v_offline   boolean;
+  v_at        timestamptz;
+  v_policy    text;
+  v_line      record;
+  v_new_stock numeric;
+  v_stock     jsonb := '[]'::jsonb;
+  v_points    numeric;
+  v_payments  jsonb;
+  v_pay       record;
+  v_paid      numeric;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Cannot check out an empty cart' using errcode = '22023';
+  end if;
+
+  v_sale := jsonb_populate_record(null::public.sales, p_sale);
+
+  -- The signed-in user records the sale, whatever p_user_id says. Only a
+  -- replay from a till's offline queue keeps the till's clock (never ahead
+  -- of ours) and the offline relaxations.
+  v_user := public.session_user_id();
+  if v_user is null then
+    raise exception 'Sign in to record a sale' using errcode = '42501';
+  end if;
+  v_offline := p_offline and v_sale.client_sale_id is not null and v_sale.created_at is not null;
+  v_at      := case when v_offline then least(v_sale.created_at, now()) else now() end;
+
+  -- ── Idempotency: a replayed client_sale_id returns the original sale ──────
+  if v_sale.client_sale_id is not null then
+    select id into v_sale_id
+      from public.sales
+     where client_sale_id = v_sale.client_sale_id and shop_id = p_shop_id;
+    if found then
+      return jsonb_build_object('sale_id', v_sale_id, 'duplicate', true, 'stock', '[]'::jsonb);
+    end if;
+  end if;
+
+  select oversell_policy into v_policy from public.shops where id = p_shop_id;
+  if not found then
+    raise exception 'Shop % not found', p_shop_id using errcode = 'P0002';
+  end if;
+
+  -- ── Sale header ──────────────────────────────────────────────────────────
+  insert into public.sales (
+    shop_id, user_id, total_amount, items_sold, payment_method, customer_id,
+    discount_amount, points_redeemed, client_sale_id, created_at
+  ) values (
+    p_shop_id, v_user, v_sale.total_amount, v_sale.items_sold, v_sale.payment_method,
+    v_sale.customer_id, coalesce(v_sale.discount_amount, 0), coalesce(v_sale.points_redeemed, 0),
+    v_sale.client_sale_id, v_at
+  )
+  returning id into v_sale_id;
+
+  -- ── Line items ───────────────────────────────────────────────────────────
+  insert into public.sale_items (
+    sale_id, shop_id, product_id, quantity, unit_price, listed_price,
+    price_overridden, override_reason
+  )
+  select v_sale_id, p_shop_id, i.product_id, i.quantity, i.unit_price,
+         coalesce(i.listed_price, i.unit_price), coalesce(i.price_overridden, false), i.override_reason
+    from jsonb_populate_recordset(null::public.sale_items, p_items) i;
+
+  -- ── Stock decrements (ordered by product id to avoid lock-order deadlocks)
+  for v_line in
+    select i.product_id, sum(i.quantity) as qty
+      from jsonb_populate_recordset(null::public.sale_items, p_items) i
+     group by i.product_id
+     order by i.product_id
+  loop
+    update public.products
+       set stock = stock - v_line.qty
+     where id = v_line.product_id
+       and shop_id = p_shop_id
+       and (v_offline or v_policy = 'allow' or stock >= v_line.qty)
+    returning stock into v_new_stock;
+
+    if not found then
+      select stock into v_new_stock from public.products
+       where id = v_line.product_id and shop_id = p_shop_id;
+      if not found then
+        raise exception 'Product % not found in this shop', v_line.product_id using errcode = 'P0002';
+      end if;
+      raise exception 'Insufficient stock for product %: % available, % requested',
+        v_line.product_id, v_new_stock, v_line.qty using errcode = 'P0001';
+    end if;
+
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  -- ── Loyalty points ───────────────────────────────────────────────────────
+  if p_loyalty is not null and p_loyalty ->> 'customer_id' is not null then
+    update public.customers
+       set loyalty_points = greatest(0,
+             coalesce(loyalty_points, 0)
+             - coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0)
+             + coalesce((p_loyalty ->> 'points_earned')::numeric, 0))
+     where id = (p_loyalty ->> 'customer_id')::bigint
+       and shop_id = p_shop_id
+       and (v_offline or coalesce(loyalty_points, 0) >= coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0))
+    returning loyalty_points into v_points;
+
+    if not found then
+      raise exception 'Customer % does not have enough loyalty points', p_loyalty ->> 'customer_id'
+        using errcode = 'P0001';
+    end if;
+  end if;
+
+  -- ── Tender lines ─────────────────────────────────────────────────────────
+  -- No lines → one line for the whole total with the sale's payment_method
+  if p_payments is null or jsonb_array_length(p_payments) = 0 then
+    v_payments := jsonb_build_array(jsonb_build_object(
+      'method', coalesce(v_sale.payment_method, 'Cash'), 'amount', v_sale.total_amount));
+  else
+    v_payments := p_payments;
+  end if;
+
+  select coalesce(sum((p ->> 'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(v_payments) p;
+  if abs(v_paid - coalesce(v_sale.total_amount, 0)) > 0.01 then
+    raise exception 'Payments (%) do not add up to the sale total (%)', v_paid, v_sale.total_amount
+      using errcode = '22023';
+  end if;
+
+  for v_pay in select p from jsonb_array_elements(v_payments) p loop
+    insert into public.sale_payments (sale_id, shop_id, method, amount, reference, tendered, change_given)
+    values (
+      v_sale_id, p_shop_id, v_pay.p ->> 'method', (v_pay.p ->> 'amount')::numeric, v_pay.p ->> 'reference',
+      (v_pay.p ->> 'tendered')::numeric, coalesce((v_pay.p ->> 'change')::numeric, 0)
+    );
+
+    -- Amounts left on account become a customer_credits row the customer pays off later
+    if v_pay.p ->> 'method' = 'Credit' and (v_pay.p ->> 'amount')::numeric > 0 then
+      if v_sale.customer_id is null then
+        raise exception 'A customer is required to put a sale on credit' using errcode = '22023';
+      end if;
+      insert into public.customer_credits (
+        shop_id, customer_id, sale_id, amount, amount_paid, outstanding, description, due_date, status
+      ) values (
+        p_shop_id, v_sale.customer_id, v_sale_id, (v_pay.p ->> 'amount')::numeric, 0, (v_pay.p ->> 'amount')::numeric,
+        coalesce(v_pay.p ->> 'description', 'POS sale #' || v_sale_id), (v_pay.p ->> 'due_date')::date, 'unpaid'
+      );
+    end if;
+  end loop;
+
+  return jsonb_build_object(
+    'sale_id',        v_sale_id,
+    'duplicate',      false,
+    'stock',          v_stock,
+    'loyalty_points', v_points
+  );
+end;
+$$;
+
+grant execute on function public.process_checkout(bigint, bigint, jsonb, jsonb, jsonb, jsonb, boolean)
+  to anon, authenticated;
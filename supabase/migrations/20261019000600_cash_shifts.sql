@@ -0,0 +1,350 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Cash drawer shifts
+--
+-- A cashier opens a shift with a float, records cash drops (to the safe) and
+-- payouts (petty cash) while it runs, and closes it with a blind count — the
+-- till never shows the expected figures before the count is submitted.
+--
+-- Each sale is stamped with the cashier's shift that was open when it was
+-- rung up (sales.shift_id), and each void with the shift whose drawer paid
+-- it back (sales.void_shift_id), so a sale synced from the offline queue
+-- after its shift closed, or a void made in a later shift, still lands in
+-- the right report. cash_shift_report() is the X report (mid-shift);
+-- close_cash_shift() stamps the same figures plus the count and variance
+-- into cash_shifts.z_report.
+--
+-- The functions act for the user behind the request's x-session-token
+-- (session_user_id(), has_permission()): a cashier opens and closes their
+-- own drawer and sees its report once it is closed; users.manage closes
+-- anyone's in the same shop, and it or reports.view reads any report.
+-- The browser only reads cash_shifts; open_cash_shift() and
+-- close_cash_shift() write it.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+create table if not exists public.cash_shifts (
+  id             bigint generated by default as identity primary key,
+  shop_id        bigint not null references public.shops (id),
+  user_id        bigint not null references public.users (id),
+  session_id     bigint references public.user_sessions (id) on delete set null,
+  status         text   not null default 'open' check (status in ('open', 'closed')),
+  opening_float  numeric(12, 2) not null default 0,
+  opened_at      timestamptz not null default now(),
+  closed_at      timestamptz,
+  closed_by      bigint references public.users (id),
+  counted        jsonb,   -- { "Cash": 5230, "M-Pesa": 8100, "Card": 0 }
+  z_report       jsonb,   -- cash_shift_report() at close, plus counted / variance
+  notes          text
+);
+
+-- One open drawer per cashier per shop
+create unique index if not exists cash_shifts_one_open_idx
+  on public.cash_shifts (shop_id, user_id) where status = 'open';
+create index if not exists cash_shifts_shop_opened_idx on public.cash_shifts (shop_id, opened_at desc);
+
+alter table public.cash_shifts enable row level security;
+drop policy if exists cash_shifts_read on public.cash_shifts;
+create policy cash_shifts_read on public.cash_shifts for select using (true);
+
+create table if not exists public.cash_movements (
+  id          bigint generated by default as identity primary key,
+  shift_id    bigint not null references public.cash_shifts (id) on delete cascade,
+  shop_id     bigint not null references public.shops (id),
+  user_id     bigint references public.users (id),
+  kind        text   not null check (kind in ('drop', 'payout')),
+  amount      numeric(12, 2) not null check (amount > 0),
+  reason      text,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists cash_movements_shift_idx on public.cash_movements (shift_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- session_user_id — the users.id behind this request's live x-session-token
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.session_user_id()
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select s.user_id
+    from public.user_sessions s
+   where s.session_token = nullif(current_setting('request.headers', true)::json ->> 'x-session-token', '')
+     and coalesce(s.is_active, true)
+     and (s.expires_at is null or s.expires_at > now())
+   limit 1;
+$$;
+
+grant execute on function public.session_user_id() to anon, authenticated;
+
+alter table public.sales add column if not exists shift_id      bigint references public.cash_shifts (id) on delete set null;
+alter table public.sales add column if not exists void_shift_id bigint references public.cash_shifts (id) on delete set null;
+
+create index if not exists sales_shift_idx      on public.sales (shift_id);
+create index if not exists sales_void_shift_idx on public.sales (void_shift_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- sales_stamp_shift — fills shift_id / void_shift_id; the browser can't set
+-- either.
+--   insert  the cashier's shift that was open at created_at (the till's
+--           clock for sales synced from the offline queue)
+--   void    the voider's open shift, else the sale's own shift while it is
+--           still open; null when the money went back outside any drawer
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sales_stamp_shift()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.shift_id := (select c.id from public.cash_shifts c
+                      where c.shop_id = new.shop_id and c.user_id = new.user_id
+                        and c.opened_at <= coalesce(new.created_at, now())
+                        and (c.closed_at is null or c.closed_at >= coalesce(new.created_at, now()))
+                      order by c.opened_at desc
+                      limit 1);
+    new.void_shift_id := null;
+    return new;
+  end if;
+
+  new.shift_id := old.shift_id;
+  if not coalesce(new.is_voided, false) then
+    new.void_shift_id := null;
+  elsif coalesce(old.is_voided, false) then
+    new.void_shift_id := old.void_shift_id;
+  else
+    new.void_shift_id := coalesce(
+      (select c.id from public.cash_shifts c
+        where c.shop_id = new.shop_id and c.user_id = public.session_user_id() and c.status = 'open'),
+      (select c.id from public.cash_shifts c
+        where c.id = old.shift_id and c.status = 'open'));
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sales_stamp_shift on public.sales;
+
+-- Sales made before this migration: the shift whose window holds them
+update public.sales s
+   set shift_id = c.id
+  from public.cash_shifts c
+ where s.shift_id is null
+   and c.shop_id = s.shop_id and c.user_id = s.user_id
+   and s.created_at >= c.opened_at and s.created_at <= coalesce(c.closed_at, now());
+
+update public.sales
+   set void_shift_id = shift_id
+ where is_voided and void_shift_id is null;
+
+create trigger sales_stamp_shift
+  before insert or update on public.sales
+  for each row execute function public.sales_stamp_shift();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- open_cash_shift — returns the cashier's open shift, opening one if needed.
+-- p_shop_id / p_user_id must be the signed-in user and their shop.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.open_cash_shift(
+  p_shop_id        bigint,
+  p_user_id        bigint,
+  p_session_token  text,
+  p_opening_float  numeric default 0
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shift public.cash_shifts;
+begin
+  if p_user_id is distinct from public.session_user_id()
+     or not exists (select 1 from public.users me where me.id = p_user_id and me.shop_id = p_shop_id) then
+    raise exception 'You can only open your own shift' using errcode = '42501';
+  end if;
+  if not public.has_permission('sales.create') then
+    raise exception 'You do not have permission to open a till shift' using errcode = '42501';
+  end if;
+
+  select * into v_shift from public.cash_shifts
+   where shop_id = p_shop_id and user_id = p_user_id and status = 'open';
+  if found then
+    return to_jsonb(v_shift) || jsonb_build_object('existing', true);
+  end if;
+
+  if coalesce(p_opening_float, 0) < 0 then
+    raise exception 'Opening float cannot be negative' using errcode = '22023';
+  end if;
+
+  insert into public.cash_shifts (shop_id, user_id, session_id, opening_float)
+  values (
+    p_shop_id, p_user_id,
+    (select id from public.user_sessions where session_token = p_session_token and user_id = p_user_id limit 1),
+    coalesce(p_opening_float, 0)
+  )
+  returning * into v_shift;
+
+  return to_jsonb(v_shift) || jsonb_build_object('existing', false);
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- cash_shift_report — X report
+--   tenders    takings per payment method: payments of the shift's sales,
+--              less those of sales voided out of this drawer
+--   expected   what should be in the drawer / on the statement per tender;
+--              Cash = float + cash takings − drops − payouts.
+--              Credit is left out: nothing was collected.
+--   sales      count/total, plus count/total voided out of this drawer
+--   overrides  price-overridden lines and the amount given away
+-- The cashier reads their own shift once it is closed, so the count stays
+-- blind; users.manage or reports.view reads any in their shop, open or not.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.cash_shift_report(p_shift_id bigint)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_shift     public.cash_shifts;
+  v_tenders   jsonb;
+  v_expected  jsonb;
+  v_drops     numeric;
+  v_payouts   numeric;
+  v_sales     jsonb;
+  v_overrides jsonb;
+begin
+  select * into v_shift from public.cash_shifts where id = p_shift_id;
+  if not found
+     or not exists (select 1 from public.users me
+                     where me.id = public.session_user_id() and me.shop_id = v_shift.shop_id)
+     or ((v_shift.user_id is distinct from public.session_user_id() or v_shift.status = 'open')
+         and not public.has_permission('users.manage') and not public.has_permission('reports.view')) then
+    raise exception 'Shift % not found', p_shift_id using errcode = 'P0002';
+  end if;
+
+  select coalesce(jsonb_object_agg(t.method, t.amount), '{}'::jsonb) into v_tenders
+    from (select p.method, sum(case when s.shift_id = p_shift_id then p.amount else -p.amount end) as amount
+            from public.sale_payments p
+            join public.sales s on s.id = p.sale_id
+           where (s.shift_id = p_shift_id and s.void_shift_id is distinct from p_shift_id)
+              or (s.void_shift_id = p_shift_id and s.shift_id is distinct from p_shift_id)
+           group by p.method) t;
+
+  select coalesce(sum(amount) filter (where kind = 'drop'), 0),
+         coalesce(sum(amount) filter (where kind = 'payout'), 0)
+    into v_drops, v_payouts
+    from public.cash_movements where shift_id = p_shift_id;
+
+  select coalesce(jsonb_object_agg(key, value::numeric), '{}'::jsonb) into v_expected
+    from jsonb_each_text(v_tenders) where key <> 'Credit';
+  v_expected := v_expected || jsonb_build_object('Cash',
+    v_shift.opening_float + coalesce((v_tenders ->> 'Cash')::numeric, 0) - v_drops - v_payouts);
+
+  select jsonb_build_object(
+           'count',      count(*) filter (where shift_id = p_shift_id and void_shift_id is distinct from p_shift_id),
+           'total',      coalesce(sum(total_amount) filter (where shift_id = p_shift_id and void_shift_id is distinct from p_shift_id), 0),
+           'void_count', count(*) filter (where void_shift_id = p_shift_id),
+           'void_total', coalesce(sum(total_amount) filter (where void_shift_id = p_shift_id), 0))
+    into v_sales
+    from public.sales
+   where shift_id = p_shift_id or void_shift_id = p_shift_id;
+
+  select jsonb_build_object(
+           'count',  count(*),
+           'amount', coalesce(sum((i.listed_price - i.unit_price) * i.quantity), 0))
+    into v_overrides
+    from public.sale_items i
+    join public.sales s on s.id = i.sale_id
+   where s.shift_id = p_shift_id
+     and not coalesce(s.is_voided, false)
+     and i.price_overridden;
+
+  return jsonb_build_object(
+    'shift_id',      v_shift.id,
+    'user_id',       v_shift.user_id,
+    'opened_at',     v_shift.opened_at,
+    'closed_at',     v_shift.closed_at,
+    'opening_float', v_shift.opening_float,
+    'tenders',       v_tenders,
+    'drops',         v_drops,
+    'payouts',       v_payouts,
+    'expected',      v_expected,
+    'sales',         v_sales,
+    'overrides',     v_overrides,
+    'generated_at',  now()
+  );
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- close_cash_shift — Z report
+--   p_counted  { method: amount } from the blind count
+-- Returns the stored z_report with counted and variance (counted − expected).
+-- The cashier closes their own shift; users.manage closes any in their shop.
+-- p_user_id must be the signed-in user, who is recorded as closed_by.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.close_cash_shift(
+  p_shift_id  bigint,
+  p_user_id   bigint,
+  p_counted   jsonb,
+  p_notes     text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shift    public.cash_shifts;
+  v_report   jsonb;
+  v_variance jsonb;
+begin
+  select * into v_shift from public.cash_shifts where id = p_shift_id for update;
+  if not found
+     or not exists (select 1 from public.users me
+                     where me.id = public.session_user_id() and me.shop_id = v_shift.shop_id) then
+    raise exception 'Shift % not found', p_shift_id using errcode = 'P0002';
+  end if;
+  if p_user_id is distinct from public.session_user_id()
+     or (v_shift.user_id <> p_user_id and not public.has_permission('users.manage')) then
+    raise exception 'You can only close your own shift' using errcode = '42501';
+  end if;
+  if v_shift.status <> 'open' then
+    raise exception 'Shift % is already closed', p_shift_id using errcode = '22023';
+  end if;
+
+  update public.cash_shifts
+     set status = 'closed', closed_at = now(), closed_by = p_user_id
+   where id = p_shift_id;
+
+  v_report := public.cash_shift_report(p_shift_id);
+
+  select coalesce(jsonb_object_agg(m.method,
+           coalesce((p_counted ->> m.method)::numeric, 0) - coalesce((v_report -> 'expected' ->> m.method)::numeric, 0)),
+           '{}'::jsonb)
+    into v_variance
+    from (select jsonb_object_keys(v_report -> 'expected') as method
+          union
+          select jsonb_object_keys(coalesce(p_counted, '{}'::jsonb))) m;
+
+  v_report := v_report || jsonb_build_object(
+    'counted',        coalesce(p_counted, '{}'::jsonb),
+    'variance',       v_variance,
+    'total_variance', (select coalesce(sum(value::numeric), 0) from jsonb_each_text(v_variance)),
+    'notes',          p_notes
+  );
+
+  update public.cash_shifts
+     set counted = coalesce(p_counted, '{}'::jsonb), z_report = v_report, notes = p_notes
+   where id = p_shift_id;
+
+  return v_report;
+end;
+$$;
+
+grant execute on function public.open_cash_shift(bigint, bigint, text, numeric) to anon, authenticated;
+grant execute on function public.cash_shift_report(bigint)                     to anon, authenticated;
+grant execute on function public.close_cash_shift(bigint, bigint, jsonb, text)  to anon, authenticated;
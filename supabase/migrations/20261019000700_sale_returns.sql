@@ -0,0 +1,422 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Partial returns
+--
+-- A return takes back some lines / quantities of a past sale instead of
+-- voiding the whole thing. Each return is one sale_returns document with
+--   • sale_return_items    what came back, and whether it went back on the
+--                          shelf ('restock') or was written off ('damaged')
+--   • sale_return_refunds  how the money went back, per tender
+--
+-- Refunds are worked out on what the customer actually paid: line amounts
+-- are scaled by total_amount / items subtotal, so a loyalty discount on the
+-- original sale is shared across its lines.
+--
+-- Refund methods:
+--   'original'      split over the sale's own tender lines in proportion.
+--                   A Credit share reduces the customer's open balance for
+--                   that sale; anything already paid off comes back as Cash.
+--   'store_credit'  added to customers.store_credit, spendable at the till
+--                   as a 'Store Credit' tender line.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.customers add column if not exists store_credit numeric(12, 2) not null default 0;
+alter table public.sales     add column if not exists returned_amount numeric(12, 2) not null default 0;
+
+create table if not exists public.sale_returns (
+  id               bigint generated by default as identity primary key,
+  shop_id          bigint not null references public.shops (id),
+  sale_id          bigint not null references public.sales (id),
+  user_id          bigint references public.users (id),
+  customer_id      bigint references public.customers (id) on delete set null,
+  refund_method    text   not null check (refund_method in ('original', 'store_credit')),
+  refund_total     numeric(12, 2) not null default 0,
+  points_reversed  numeric not null default 0,
+  reason           text,
+  created_at       timestamptz not null default now()
+);
+
+create index if not exists sale_returns_sale_idx         on public.sale_returns (sale_id);
+create index if not exists sale_returns_shop_created_idx on public.sale_returns (shop_id, created_at desc);
+
+-- The drawer the refund came out of (see 20261019000600_cash_shifts.sql)
+alter table public.sale_returns add column if not exists shift_id bigint references public.cash_shifts (id) on delete set null;
+create index if not exists sale_returns_shift_idx on public.sale_returns (shift_id);
+
+create or replace function public.sale_returns_stamp_shift()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.shift_id := (select c.id from public.cash_shifts c
+                    where c.shop_id = new.shop_id and c.user_id = new.user_id and c.status = 'open');
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_returns_stamp_shift on public.sale_returns;
+create trigger sale_returns_stamp_shift
+  before insert on public.sale_returns
+  for each row execute function public.sale_returns_stamp_shift();
+
+create table if not exists public.sale_return_items (
+  id            bigint generated by default as identity primary key,
+  return_id     bigint not null references public.sale_returns (id) on delete cascade,
+  sale_item_id  bigint not null references public.sale_items (id),
+  product_id    bigint references public.products (id) on delete set null,
+  quantity      numeric not null check (quantity > 0),
+  amount        numeric(12, 2) not null,
+  disposition   text   not null default 'restock' check (disposition in ('restock', 'damaged'))
+);
+
+create index if not exists sale_return_items_sale_item_idx on public.sale_return_items (sale_item_id);
+
+create table if not exists public.sale_return_refunds (
+  id         bigint generated by default as identity primary key,
+  return_id  bigint not null references public.sale_returns (id) on delete cascade,
+  shop_id    bigint not null references public.shops (id),
+  method     text   not null,       -- Cash | M-Pesa | Card | Credit | Store Credit
+  amount     numeric(12, 2) not null
+);
+
+create index if not exists sale_return_refunds_return_idx on public.sale_return_refunds (return_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_sale_return
+--   p_items           [{ sale_item_id, quantity, disposition? }]
+--   p_refund_method   'original' | 'store_credit'
+--   p_points_per_kes  the till's earn rate, to work out points to take back
+--
+-- Returns { return_id, refund_total, refunds: [{ method, amount }],
+--           points_reversed, loyalty_points, store_credit,
+--           stock: [{ product_id, stock }] }
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_sale_return(
+  p_shop_id         bigint,
+  p_user_id         bigint,
+  p_sale_id         bigint,
+  p_items           jsonb,
+  p_refund_method   text    default 'original',
+  p_reason          text    default null,
+  p_points_per_kes  numeric default 1
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale       public.sales;
+  v_return_id  bigint;
+  v_factor     numeric;
+  v_line       record;
+  v_item       public.sale_items;
+  v_returned   numeric;
+  v_amount     numeric;
+  v_total      numeric := 0;
+  v_new_stock  numeric;
+  v_stock      jsonb := '[]'::jsonb;
+  v_earned     numeric;
+  v_points     numeric := 0;
+  v_balance    numeric;
+  v_credit     numeric;
+  v_refunds    jsonb := '{}'::jsonb;
+  v_pay        record;
+  v_paid       numeric;
+  v_left       numeric;
+  v_share      numeric;
+  v_cr         record;
+  v_take       numeric;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Select at least one item to return' using errcode = '22023';
+  end if;
+  if p_refund_method not in ('original', 'store_credit') then
+    raise exception 'Unknown refund method %', p_refund_method using errcode = '22023';
+  end if;
+
+  select * into v_sale from public.sales where id = p_sale_id and shop_id = p_shop_id for update;
+  if not found then
+    raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+  end if;
+  if coalesce(v_sale.is_voided, false) then
+    raise exception 'Sale % has been voided', p_sale_id using errcode = '22023';
+  end if;
+  if p_refund_method = 'store_credit' and v_sale.customer_id is null then
+    raise exception 'Store credit needs a customer on the sale' using errcode = '22023';
+  end if;
+
+  -- What was paid per KES of shelf price (loyalty discount spread over lines)
+  select coalesce(v_sale.total_amount, 0) / nullif(sum(unit_price * quantity), 0) into v_factor
+    from public.sale_items where sale_id = p_sale_id;
+  v_factor := coalesce(v_factor, 0);
+
+  insert into public.sale_returns (shop_id, sale_id, user_id, customer_id, refund_method, reason)
+  values (p_shop_id, p_sale_id, p_user_id, v_sale.customer_id, p_refund_method, nullif(trim(p_reason), ''))
+  returning id into v_return_id;
+
+  -- ── Lines ────────────────────────────────────────────────────────────────
+  for v_line in
+    select (l ->> 'sale_item_id')::bigint        as sale_item_id,
+           (l ->> 'quantity')::numeric           as quantity,
+           coalesce(l ->> 'disposition', 'restock') as disposition
+      from jsonb_array_elements(p_items) l
+     order by (l ->> 'sale_item_id')::bigint
+  loop
+    if coalesce(v_line.quantity, 0) <= 0 then continue; end if;
+
+    select * into v_item from public.sale_items where id = v_line.sale_item_id and sale_id = p_sale_id;
+    if not found then
+      raise exception 'Line % is not part of sale %', v_line.sale_item_id, p_sale_id using errcode = 'P0002';
+    end if;
+
+    select coalesce(sum(quantity), 0) into v_returned
+      from public.sale_return_items where sale_item_id = v_item.id;
+    if v_line.quantity > v_item.quantity - v_returned then
+      raise exception 'Only % of line % can still be returned', v_item.quantity - v_returned, v_item.id
+        using errcode = 'P0001';
+    end if;
+
+    v_amount := round(v_item.unit_price * v_line.quantity * v_factor, 2);
+    v_total  := v_total + v_amount;
+
+    insert into public.sale_return_items (return_id, sale_item_id, product_id, quantity, amount, disposition)
+    values (v_return_id, v_item.id, v_item.product_id, v_line.quantity, v_amount, v_line.disposition);
+
+    if v_line.disposition = 'restock' and v_item.product_id is not null then
+      update public.products set stock = stock + v_line.quantity
+       where id = v_item.product_id and shop_id = p_shop_id
+      returning stock into v_new_stock;
+      if found then
+        v_stock := v_stock || jsonb_build_object('product_id', v_item.product_id, 'stock', v_new_stock);
+      end if;
+    end if;
+  end loop;
+
+  if v_total <= 0 then
+    raise exception 'Nothing to refund' using errcode = '22023';
+  end if;
+
+  -- ── Loyalty: take back the share of points the returned goods earned ────
+  if v_sale.customer_id is not null and coalesce(v_sale.total_amount, 0) > 0 then
+    v_earned := floor(v_sale.total_amount * coalesce(p_points_per_kes, 0));
+    select v_earned - coalesce(sum(points_reversed), 0) into v_left
+      from public.sale_returns where sale_id = p_sale_id and id <> v_return_id;
+    v_points := greatest(0, least(v_left, floor(v_earned * v_total / v_sale.total_amount)));
+
+    update public.customers
+       set loyalty_points = greatest(0, coalesce(loyalty_points, 0) - v_points)
+     where id = v_sale.customer_id and shop_id = p_shop_id
+    returning loyalty_points into v_balance;
+  end if;
+
+  -- ── Refund ───────────────────────────────────────────────────────────────
+  if p_refund_method = 'store_credit' then
+    v_refunds := jsonb_build_object('Store Credit', v_total);
+  else
+    select coalesce(sum(amount), 0) into v_paid
+      from public.sale_payments where sale_id = p_sale_id and amount > 0;
+
+    if v_paid <= 0 then
+      v_refunds := jsonb_build_object(coalesce(nullif(v_sale.payment_method, 'Split'), 'Cash'), v_total);
+    else
+      v_left := v_total;
+      for v_pay in
+        select method, amount, row_number() over (order by id) as n, count(*) over () as cnt
+          from public.sale_payments where sale_id = p_sale_id and amount > 0
+      loop
+        -- Last line takes the rounding remainder
+        v_share := case when v_pay.n = v_pay.cnt then v_left else round(v_total * v_pay.amount / v_paid, 2) end;
+        v_left  := v_left - v_share;
+        v_refunds := v_refunds || jsonb_build_object(v_pay.method,
+          coalesce((v_refunds ->> v_pay.method)::numeric, 0) + v_share);
+      end loop;
+    end if;
+
+    -- A Credit share cancels what the customer still owes on this sale
+    v_credit := coalesce((v_refunds ->> 'Credit')::numeric, 0);
+    if v_credit > 0 then
+      v_left := v_credit;
+      for v_cr in
+        select id, outstanding from public.customer_credits
+         where sale_id = p_sale_id and shop_id = p_shop_id and not is_deleted and outstanding > 0
+         order by id
+         for update
+      loop
+        exit when v_left <= 0;
+        v_take := least(v_left, v_cr.outstanding);
+        update public.customer_credits
+           set amount      = amount - v_take,
+               outstanding = outstanding - v_take,
+               status      = case when outstanding - v_take <= 0 then 'paid' else status end,
+               updated_at  = now()
+         where id = v_cr.id;
+        v_left := v_left - v_take;
+      end loop;
+      v_refunds := v_refunds || jsonb_build_object('Credit', v_credit - v_left);
+      if v_left > 0 then
+        v_refunds := v_refunds || jsonb_build_object('Cash', coalesce((v_refunds ->> 'Cash')::numeric, 0) + v_left);
+      end if;
+    end if;
+  end if;
+
+  -- Store credit — refunded as such, or going back to where it was spent
+  if coalesce((v_refunds ->> 'Store Credit')::numeric, 0) > 0 then
+    update public.customers
+       set store_credit = store_credit + (v_refunds ->> 'Store Credit')::numeric
+     where id = v_sale.customer_id and shop_id = p_shop_id;
+  end if;
+
+  insert into public.sale_return_refunds (return_id, shop_id, method, amount)
+  select v_return_id, p_shop_id, key, value::numeric
+    from jsonb_each_text(v_refunds) where value::numeric > 0;
+
+  update public.sale_returns set refund_total = v_total, points_reversed = v_points where id = v_return_id;
+  update public.sales set returned_amount = returned_amount + v_total where id = p_sale_id;
+
+  return jsonb_build_object(
+    'return_id',       v_return_id,
+    'refund_total',    v_total,
+    'refunds',         (select coalesce(jsonb_agg(jsonb_build_object('method', method, 'amount', amount) order by id), '[]'::jsonb)
+                          from public.sale_return_refunds where return_id = v_return_id),
+    'points_reversed', v_points,
+    'loyalty_points',  v_balance,
+    'store_credit',    (select store_credit from public.customers where id = v_sale.customer_id),
+    'stock',           v_stock
+  );
+end;
+$$;
+
+grant execute on function public.process_sale_return(bigint, bigint, bigint, jsonb, text, text, numeric)
+  to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- 'Store Credit' tender lines draw down the customer's balance. Runs inside
+-- process_checkout's transaction, so an overdrawn balance aborts the sale.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sale_payments_store_credit()
+returns trigger
+language plpgsql
+as $$
+begin
+  update public.customers c
+     set store_credit = c.store_credit - new.amount
+    from public.sales s
+   where s.id = new.sale_id and c.id = s.customer_id and c.store_credit >= new.amount;
+
+  if not found then
+    raise exception 'Not enough store credit for this sale' using errcode = 'P0001';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_payments_store_credit on public.sale_payments;
+create trigger sale_payments_store_credit
+  before insert on public.sale_payments
+  for each row when (new.method = 'Store Credit' and new.amount > 0)
+  execute function public.sale_payments_store_credit();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- cash_shift_report — as in 20261019000600, plus refunds paid out of the
+-- shift's drawer. Refunds come off the expected figure for their
+-- tender; Credit and Store Credit are neither collected nor counted.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.cash_shift_report(p_shift_id bigint)
+returns jsonb
+language plpgsql
+stable
+as $$
+declare
+  v_shift     public.cash_shifts;
+  v_tenders   jsonb;
+  v_refunds   jsonb;
+  v_expected  jsonb;
+  v_drops     numeric;
+  v_payouts   numeric;
+  v_sales     jsonb;
+  v_returns   jsonb;
+  v_overrides jsonb;
+begin
+  select * into v_shift from public.cash_shifts where id = p_shift_id;
+  if not found
+     or not exists (select 1 from public.users me
+                     where me.id = public.session_user_id() and me.shop_id = v_shift.shop_id)
+     or ((v_shift.user_id is distinct from public.session_user_id() or v_shift.status = 'open')
+         and not public.has_permission('users.manage') and not public.has_permission('reports.view')) then
+    raise exception 'Shift % not found', p_shift_id using errcode = 'P0002';
+  end if;
+
+  select coalesce(jsonb_object_agg(t.method, t.amount), '{}'::jsonb) into v_tenders
+    from (select p.method, sum(case when s.shift_id = p_shift_id then p.amount else -p.amount end) as amount
+            from public.sale_payments p
+            join public.sales s on s.id = p.sale_id
+           where (s.shift_id = p_shift_id and s.void_shift_id is distinct from p_shift_id)
+              or (s.void_shift_id = p_shift_id and s.shift_id is distinct from p_shift_id)
+           group by p.method) t;
+
+  select coalesce(jsonb_object_agg(t.method, t.amount), '{}'::jsonb) into v_refunds
+    from (select f.method, sum(f.amount) as amount
+            from public.sale_return_refunds f
+            join public.sale_returns r on r.id = f.return_id
+           where r.shift_id = p_shift_id
+           group by f.method) t;
+
+  select coalesce(sum(amount) filter (where kind = 'drop'), 0),
+         coalesce(sum(amount) filter (where kind = 'payout'), 0)
+    into v_drops, v_payouts
+    from public.cash_movements where shift_id = p_shift_id;
+
+  select coalesce(jsonb_object_agg(m.method,
+           coalesce((v_tenders ->> m.method)::numeric, 0) - coalesce((v_refunds ->> m.method)::numeric, 0)),
+           '{}'::jsonb)
+    into v_expected
+    from (select jsonb_object_keys(v_tenders) as method
+          union
+          select jsonb_object_keys(v_refunds)) m
+   where m.method not in ('Credit', 'Store Credit');
+  v_expected := v_expected || jsonb_build_object('Cash',
+    v_shift.opening_float + coalesce((v_tenders ->> 'Cash')::numeric, 0)
+    - coalesce((v_refunds ->> 'Cash')::numeric, 0) - v_drops - v_payouts);
+
+  select jsonb_build_object(
+           'count',      count(*) filter (where shift_id = p_shift_id and void_shift_id is distinct from p_shift_id),
+           'total',      coalesce(sum(total_amount) filter (where shift_id = p_shift_id and void_shift_id is distinct from p_shift_id), 0),
+           'void_count', count(*) filter (where void_shift_id = p_shift_id),
+           'void_total', coalesce(sum(total_amount) filter (where void_shift_id = p_shift_id), 0))
+    into v_sales
+    from public.sales
+   where shift_id = p_shift_id or void_shift_id = p_shift_id;
+
+  select jsonb_build_object('count', count(*), 'total', coalesce(sum(refund_total), 0))
+    into v_returns
+    from public.sale_returns
+   where shift_id = p_shift_id;
+
+  select jsonb_build_object(
+           'count',  count(*),
+           'amount', coalesce(sum((i.listed_price - i.unit_price) * i.quantity), 0))
+    into v_overrides
+    from public.sale_items i
+    join public.sales s on s.id = i.sale_id
+   where s.shift_id = p_shift_id
+     and not coalesce(s.is_voided, false)
+     and i.price_overridden;
+
+  return jsonb_build_object(
+    'shift_id',      v_shift.id,
+    'user_id',       v_shift.user_id,
+    'opened_at',     v_shift.opened_at,
+    'closed_at',     v_shift.closed_at,
+    'opening_float', v_shift.opening_float,
+    'tenders',       v_tenders,
+    'refunds',       v_refunds,
+    'drops',         v_drops,
+    'payouts',       v_payouts,
+    'expected',      v_expected,
+    'sales',         v_sales,
+    'returns',       v_returns,
+    'overrides',     v_overrides,
+    'generated_at',  now()
+  );
+end;
+$$;
+
+grant execute on function public.cash_shift_report(bigint) to anon, authenticated;
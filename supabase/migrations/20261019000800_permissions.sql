@@ -0,0 +1,241 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Role permissions
+--
+-- permissions        the registry: one row per action, with the roles that
+--                    get it by default. Mirrors PERMISSIONS in
+--                    assets/page-access-guard.js — add new keys to both.
+-- role_permissions   a shop's overrides of those defaults, edited from the
+--                    Permissions tab in admin.html.
+--
+-- Administrators hold every permission and can't be overridden.
+--
+-- The app signs users in against its own users table, so auth.uid() is
+-- never set. Instead every request carries the user_sessions token in an
+-- x-session-token header (added in assets/script.js and by the offline
+-- sale replay) and has_permission() resolves the caller from it.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+create table if not exists public.permissions (
+  key            text primary key,
+  label          text not null,
+  category       text not null,
+  default_roles  text[] not null default '{}'
+);
+
+insert into public.permissions (key, label, category, default_roles) values
+  ('sales.create',    'Ring up sales at the till',                      'Sales',     '{manager,cashier}'),
+  ('sales.void',      'Void whole sales',                               'Sales',     '{manager}'),
+  ('sales.return',    'Take returns and give refunds',                  'Sales',     '{manager}'),
+  ('price.override',  'Override prices at the till',                    'Sales',     '{manager}'),
+  ('cash.movements',  'Record cash drops and payouts',                  'Sales',     '{manager,cashier}'),
+  ('expenses.manage', 'Record and edit expenses',                       'Sales',     '{manager,cashier}'),
+  ('products.view',   'View the product list',                          'Inventory', '{manager,cashier}'),
+  ('inventory.edit',  'Add, edit and delete products',                  'Inventory', '{manager}'),
+  ('supply.manage',   'Raise and track supply requests',                'Inventory', '{manager}'),
+  ('suppliers.view',  'Open the supplier portal',                       'Inventory', '{manager,supplier}'),
+  ('customers.view',  'View customers and their credit',                'Customers', '{manager,cashier,customer}'),
+  ('customers.edit',  'Add and edit customers',                         'Customers', '{manager,cashier}'),
+  ('reports.view',    'View dashboard, analytics and reconciliation',   'Reports',   '{manager}'),
+  ('users.manage',    'Manage users, shifts and permissions',           'Admin',     '{}')
+on conflict (key) do update
+  set label = excluded.label, category = excluded.category, default_roles = excluded.default_roles;
+
+create table if not exists public.role_permissions (
+  shop_id     bigint not null references public.shops (id) on delete cascade,
+  role        text   not null,
+  permission  text   not null references public.permissions (key) on delete cascade,
+  allowed     boolean not null,
+  updated_at  timestamptz not null default now(),
+  primary key (shop_id, role, permission)
+);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- has_permission — does the user behind this request's session hold p_key?
+-- security definer so it can read users / user_sessions under any policy.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.has_permission(p_key text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  with caller as (
+    select u.id, u.role, u.shop_id
+      from public.user_sessions s
+      join public.users u on u.id = s.user_id
+     where s.session_token = nullif(current_setting('request.headers', true)::json ->> 'x-session-token', '')
+       and coalesce(s.is_active, true)
+       and (s.expires_at is null or s.expires_at > now())
+       and coalesce(u.is_active, true)
+     limit 1
+  )
+  select coalesce((
+    select case
+             when c.role = 'administrator' then true
+             else coalesce(
+               (select rp.allowed from public.role_permissions rp
+                 where rp.shop_id = c.shop_id and rp.role = c.role and rp.permission = p_key),
+               (select c.role = any (p.default_roles) from public.permissions p where p.key = p_key),
+               false)
+           end
+      from caller c), false);
+$$;
+
+grant execute on function public.has_permission(text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Row level security
+--
+-- Each table keeps (or gets) a permissive shop_rls policy, and restrictive
+-- policies on top so an insert / delete also needs the permission. Updates
+-- that only some columns make sensitive (voiding a sale, editing a product
+-- rather than moving its stock) are checked by triggers below instead,
+-- since a policy can't see which columns changed. Which shop's rows a
+-- caller reaches is limited separately, by the restrictive shop_scope
+-- policies of 20261019002400_shop_scope.sql.
+--
+-- Service-role calls (Edge Functions) and security definer functions
+-- bypass all of this, as before.
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['sales', 'sale_items', 'sale_payments', 'sale_returns', 'sale_return_items',
+                           'sale_return_refunds', 'products', 'cash_movements', 'expenses', 'role_permissions']
+  loop
+    if not exists (select 1 from pg_policies
+                    where schemaname = 'public' and tablename = t and permissive = 'PERMISSIVE') then
+      execute format('create policy shop_rls on public.%I using (true) with check (true)', t);
+    end if;
+    execute format('alter table public.%I enable row level security', t);
+  end loop;
+end;
+$$;
+
+drop policy if exists perm_sales_insert on public.sales;
+create policy perm_sales_insert on public.sales
+  as restrictive for insert with check (public.has_permission('sales.create'));
+
+drop policy if exists perm_sale_items_insert on public.sale_items;
+create policy perm_sale_items_insert on public.sale_items
+  as restrictive for insert with check (
+    public.has_permission('sales.create')
+    and (not coalesce(price_overridden, false) or public.has_permission('price.override')));
+
+-- Tender lines are written with their sale and never changed afterwards
+drop policy if exists perm_sale_payments_insert on public.sale_payments;
+create policy perm_sale_payments_insert on public.sale_payments
+  as restrictive for insert with check (public.has_permission('sales.create'));
+revoke update, delete on public.sale_payments from anon, authenticated;
+
+drop policy if exists perm_sale_returns_insert on public.sale_returns;
+create policy perm_sale_returns_insert on public.sale_returns
+  as restrictive for insert with check (public.has_permission('sales.return'));
+
+-- Return lines and refunds are written with their return and never changed.
+-- sale_return_items has no shop_id, so it follows its return's shop.
+drop policy if exists perm_sale_return_items_insert on public.sale_return_items;
+create policy perm_sale_return_items_insert on public.sale_return_items
+  as restrictive for insert with check (public.has_permission('sales.return'));
+drop policy if exists sale_return_items_shop on public.sale_return_items;
+create policy sale_return_items_shop on public.sale_return_items
+  as restrictive using (exists (select 1 from public.sale_returns r where r.id = return_id))
+  with check (exists (select 1 from public.sale_returns r where r.id = return_id));
+revoke update, delete on public.sale_return_items from anon, authenticated;
+
+drop policy if exists perm_sale_return_refunds_insert on public.sale_return_refunds;
+create policy perm_sale_return_refunds_insert on public.sale_return_refunds
+  as restrictive for insert with check (public.has_permission('sales.return'));
+revoke update, delete on public.sale_return_refunds from anon, authenticated;
+
+drop policy if exists perm_products_insert on public.products;
+create policy perm_products_insert on public.products
+  as restrictive for insert with check (public.has_permission('inventory.edit'));
+
+drop policy if exists perm_products_delete on public.products;
+create policy perm_products_delete on public.products
+  as restrictive for delete using (public.has_permission('inventory.edit'));
+
+drop policy if exists perm_cash_movements_insert on public.cash_movements;
+create policy perm_cash_movements_insert on public.cash_movements
+  as restrictive for insert with check (public.has_permission('cash.movements'));
+
+drop policy if exists perm_expenses_insert on public.expenses;
+create policy perm_expenses_insert on public.expenses
+  as restrictive for insert with check (public.has_permission('expenses.manage'));
+
+drop policy if exists perm_expenses_update on public.expenses;
+create policy perm_expenses_update on public.expenses
+  as restrictive for update using (public.has_permission('expenses.manage'));
+
+drop policy if exists perm_expenses_delete on public.expenses;
+create policy perm_expenses_delete on public.expenses
+  as restrictive for delete using (public.has_permission('expenses.manage'));
+
+-- The registry itself is read-only from the browser
+alter table public.permissions enable row level security;
+drop policy if exists permissions_read on public.permissions;
+create policy permissions_read on public.permissions for select using (true);
+
+drop policy if exists perm_role_permissions_insert on public.role_permissions;
+create policy perm_role_permissions_insert on public.role_permissions
+  as restrictive for insert with check (public.has_permission('users.manage'));
+
+drop policy if exists perm_role_permissions_update on public.role_permissions;
+create policy perm_role_permissions_update on public.role_permissions
+  as restrictive for update using (public.has_permission('users.manage'));
+
+drop policy if exists perm_role_permissions_delete on public.role_permissions;
+create policy perm_role_permissions_delete on public.role_permissions
+  as restrictive for delete using (public.has_permission('users.manage'));
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Column-sensitive update guards. Only requests made as anon/authenticated
+-- are checked; security definer functions run as their owner.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sales_guard_void()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and coalesce(new.is_voided, false) and not coalesce(old.is_voided, false)
+     and not public.has_permission('sales.void') then
+    raise exception 'You do not have permission to void sales' using errcode = '42501';
+  end if;
+  -- Returned goods are back on the shelf already; voiding would restock them twice
+  if coalesce(new.is_voided, false) and not coalesce(old.is_voided, false)
+     and coalesce(old.returned_amount, 0) > 0 then
+    raise exception 'Sale % has returns — return the remaining items instead of voiding it', old.id
+      using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sales_guard_void on public.sales;
+create trigger sales_guard_void
+  before update on public.sales
+  for each row execute function public.sales_guard_void();
+
+-- Stock moves with sales, voids and returns; any other change is catalogue editing
+create or replace function public.products_guard_edit()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and (to_jsonb(new) - 'stock' - 'updated_at') is distinct from (to_jsonb(old) - 'stock' - 'updated_at')
+     and not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to edit products' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists products_guard_edit on public.products;
+create trigger products_guard_edit
+  before update on public.products
+  for each row execute function public.products_guard_edit();
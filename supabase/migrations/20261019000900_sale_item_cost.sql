@@ -0,0 +1,74 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Unit cost snapshot on sale_items
+--
+-- Profit used to be worked out from products.cost at report time, so a
+-- supplier price change quietly rewrote the margin (and commission) of
+-- every past sale. Each line now keeps the cost it was sold at.
+--
+-- unit_cost            products.cost when the line was written. Filled by a
+--                      trigger, so checkout, the offline replay and any
+--                      direct insert all get it without sending it.
+-- unit_cost_estimated  true for lines sold before this column existed and
+--                      filled later by backfill_sale_item_costs() from the
+--                      cost at backfill time — reports flag these.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.sale_items add column if not exists unit_cost numeric(12, 2);
+alter table public.sale_items add column if not exists unit_cost_estimated boolean not null default false;
+
+create or replace function public.sale_items_snapshot_cost()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.unit_cost is null and new.product_id is not null then
+    select p.cost into new.unit_cost
+      from public.products p
+     where p.id = new.product_id;
+  end if;
+  new.unit_cost := coalesce(new.unit_cost, 0);
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_items_snapshot_cost on public.sale_items;
+create trigger sale_items_snapshot_cost
+  before insert on public.sale_items
+  for each row execute function public.sale_items_snapshot_cost();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- backfill_sale_item_costs — fill unit_cost on older lines of one shop from
+-- the product's current cost, marking them estimated. Lines that already
+-- have a snapshot are never touched. Returns the number of lines filled.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.backfill_sale_item_costs(p_shop_id bigint)
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  if current_user in ('anon', 'authenticated') then
+    if not exists (select 1 from public.users me
+                    where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+      raise exception 'You can only backfill costs for your own shop' using errcode = '42501';
+    end if;
+    if not public.has_permission('inventory.edit') then
+      raise exception 'You do not have permission to backfill costs' using errcode = '42501';
+    end if;
+  end if;
+
+  update public.sale_items si
+     set unit_cost = coalesce(p.cost, 0),
+         unit_cost_estimated = true
+    from public.products p
+   where si.shop_id = p_shop_id
+     and si.unit_cost is null
+     and p.id = si.product_id;
+  get diagnostics v_count = row_count;
+
+  return v_count;
+end;
+$$;
+
+grant execute on function public.backfill_sale_item_costs(bigint) to anon, authenticated;
@@ -0,0 +1,473 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Stock lots and inventory costing
+--
+-- Every goods-received event (a confirmed supply request, a received
+-- supplier order) creates one stock_lots row per product with the quantity
+-- and the unit cost actually paid. Sales draw lots down oldest first and
+-- stock_lot_consumptions records which lots each sale line used.
+--
+-- Costing method, per shop (shops.costing_method):
+--   fifo     a sale line costs what its consumed lots cost (default)
+--   average  a sale line costs the product's moving average, kept in
+--            products.avg_cost and re-weighted on every receipt
+--
+-- Lots are consumed under both methods, so a shop can switch at any time
+-- and the valuation stays meaningful. The cost a line ends up with is
+-- written to sale_items.unit_cost (see 20261019000900_sale_item_cost.sql).
+--
+-- Stock that existed before this migration is seeded as one 'opening' lot
+-- per product at products.cost. Stock added outside a receipt (the product
+-- form) has no lot and is valued at the product's cost as "untracked".
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.shops
+  add column if not exists costing_method text not null default 'fifo';
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'shops_costing_method_check') then
+    alter table public.shops
+      add constraint shops_costing_method_check check (costing_method in ('fifo', 'average'));
+  end if;
+end $$;
+
+alter table public.products        add column if not exists avg_cost numeric(12, 4);
+alter table public.supplier_orders add column if not exists received_at timestamptz;
+
+update public.products set avg_cost = coalesce(cost, 0) where avg_cost is null;
+
+create table if not exists public.stock_lots (
+  id             bigint generated by default as identity primary key,
+  shop_id        bigint not null references public.shops (id),
+  product_id     bigint not null references public.products (id) on delete cascade,
+  source         text   not null check (source in ('opening', 'supply_request', 'supplier_order', 'return')),
+  source_id      bigint,                 -- supply_requests.id / supplier_orders.id / sale_returns.id
+  received_qty   numeric not null check (received_qty > 0),
+  remaining_qty  numeric not null check (remaining_qty >= 0),
+  unit_cost      numeric(12, 4) not null default 0,
+  received_by    bigint references public.users (id),
+  received_at    timestamptz not null default now()
+);
+
+create index if not exists stock_lots_open_idx   on public.stock_lots (shop_id, product_id, received_at, id) where remaining_qty > 0;
+create index if not exists stock_lots_source_idx on public.stock_lots (source, source_id);
+
+create table if not exists public.stock_lot_consumptions (
+  id            bigint generated by default as identity primary key,
+  shop_id       bigint not null references public.shops (id),
+  lot_id        bigint not null references public.stock_lots (id) on delete cascade,
+  sale_item_id  bigint not null references public.sale_items (id) on delete cascade,
+  quantity      numeric not null check (quantity > 0),
+  unit_cost     numeric(12, 4) not null,
+  reversed_at   timestamptz,             -- set when the sale is voided and the lot refilled
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists stock_lot_consumptions_item_idx on public.stock_lot_consumptions (sale_item_id);
+
+-- Seed opening lots for stock already on the shelf
+insert into public.stock_lots (shop_id, product_id, source, received_qty, remaining_qty, unit_cost)
+select p.shop_id, p.id, 'opening', p.stock, p.stock, coalesce(p.cost, 0)
+  from public.products p
+ where coalesce(p.stock, 0) > 0
+   and not exists (select 1 from public.stock_lots l where l.product_id = p.id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- add_stock_lot — one lot in, moving average re-weighted. Call it BEFORE
+-- products.stock is increased so the average weighs the old stock only.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.add_stock_lot(
+  p_shop_id    bigint,
+  p_product_id bigint,
+  p_quantity   numeric,
+  p_unit_cost  numeric,
+  p_source     text,
+  p_source_id  bigint,
+  p_user_id    bigint
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_lot_id bigint;
+begin
+  update public.products
+     set avg_cost = case
+           when greatest(stock, 0) + p_quantity > 0
+             then round((greatest(stock, 0) * coalesce(avg_cost, cost, 0) + p_quantity * p_unit_cost)
+                        / (greatest(stock, 0) + p_quantity), 4)
+           else p_unit_cost
+         end
+   where id = p_product_id and shop_id = p_shop_id;
+
+  insert into public.stock_lots (shop_id, product_id, source, source_id, received_qty, remaining_qty, unit_cost, received_by)
+  values (p_shop_id, p_product_id, p_source, p_source_id, p_quantity, p_quantity, coalesce(p_unit_cost, 0), p_user_id)
+  returning id into v_lot_id;
+
+  return v_lot_id;
+end;
+$$;
+
+revoke execute on function public.add_stock_lot(bigint, bigint, numeric, numeric, text, bigint, bigint) from public, anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- receive_stock — book a goods-received event: lots + stock, in one go.
+--   p_source  'supply_request' | 'supplier_order'
+--   p_lines   [{ product_id, quantity, unit_cost }]
+-- A source document can only be received once, into the caller's own shop.
+-- The lots are received_by the signed-in user (p_user_id is not trusted).
+-- Returns { lots, stock: [{ product_id, stock }] }.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.receive_stock(
+  p_shop_id    bigint,
+  p_user_id    bigint,
+  p_source     text,
+  p_source_id  bigint,
+  p_lines      jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line       record;
+  v_new_stock  numeric;
+  v_lots       integer := 0;
+  v_stock      jsonb := '[]'::jsonb;
+begin
+  if not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to receive stock' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only receive stock into your own shop' using errcode = '42501';
+  end if;
+  if p_source not in ('supply_request', 'supplier_order') or p_source_id is null then
+    raise exception 'Unknown receipt source %', p_source using errcode = '22023';
+  end if;
+  if p_lines is null or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Nothing to receive' using errcode = '22023';
+  end if;
+  if not (p_source = 'supply_request'
+            and exists (select 1 from public.supply_requests where id = p_source_id and shop_id = p_shop_id))
+     and not (p_source = 'supplier_order'
+            and exists (select 1 from public.supplier_orders where id = p_source_id and shop_id = p_shop_id)) then
+    raise exception 'That % is not in this shop', replace(p_source, '_', ' ') using errcode = 'P0002';
+  end if;
+
+  -- One receipt per document; the lock makes a double-click wait, then fail
+  perform pg_advisory_xact_lock(hashtextextended(p_source || ':' || p_source_id, 0));
+  if exists (select 1 from public.stock_lots
+              where shop_id = p_shop_id and source = p_source and source_id = p_source_id) then
+    raise exception 'This delivery has already been received' using errcode = '23505';
+  end if;
+
+  for v_line in
+    select (l ->> 'product_id')::bigint  as product_id,
+           (l ->> 'quantity')::numeric   as quantity,
+           coalesce((l ->> 'unit_cost')::numeric, 0) as unit_cost
+      from jsonb_array_elements(p_lines) l
+     order by (l ->> 'product_id')::bigint
+  loop
+    if v_line.product_id is null or coalesce(v_line.quantity, 0) <= 0 then continue; end if;
+
+    if not exists (select 1 from public.products where id = v_line.product_id and shop_id = p_shop_id) then
+      raise exception 'Product % is not in this shop', v_line.product_id using errcode = 'P0002';
+    end if;
+
+    perform public.add_stock_lot(p_shop_id, v_line.product_id, v_line.quantity, v_line.unit_cost,
+                                 p_source, p_source_id, public.session_user_id());
+    v_lots := v_lots + 1;
+
+    update public.products set stock = stock + v_line.quantity
+     where id = v_line.product_id and shop_id = p_shop_id
+    returning stock into v_new_stock;
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  return jsonb_build_object('lots', v_lots, 'stock', v_stock);
+end;
+$$;
+
+grant execute on function public.receive_stock(bigint, bigint, text, bigint, jsonb) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Sale lines: cost snapshot by costing method, then lot consumption
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sale_items_snapshot_cost()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.unit_cost is null and new.product_id is not null then
+    select case when s.costing_method = 'average' then coalesce(p.avg_cost, p.cost) else p.cost end
+      into new.unit_cost
+      from public.products p
+      join public.shops s on s.id = p.shop_id
+     where p.id = new.product_id;
+  end if;
+  new.unit_cost := coalesce(new.unit_cost, 0);
+  return new;
+end;
+$$;
+
+-- FIFO: the line costs what its lots cost; anything sold beyond the lots
+-- on hand (offline or oversold) keeps the snapshot cost set above
+create or replace function public.sale_items_consume_lots()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_method text;
+  v_left   numeric := new.quantity;
+  v_take   numeric;
+  v_cost   numeric := 0;
+  v_lot    record;
+begin
+  if new.product_id is null or coalesce(new.quantity, 0) <= 0 then
+    return null;
+  end if;
+
+  for v_lot in
+    select id, remaining_qty, unit_cost
+      from public.stock_lots
+     where shop_id = new.shop_id and product_id = new.product_id and remaining_qty > 0
+     order by received_at, id
+       for update
+  loop
+    exit when v_left <= 0;
+    v_take := least(v_left, v_lot.remaining_qty);
+
+    update public.stock_lots set remaining_qty = remaining_qty - v_take where id = v_lot.id;
+    insert into public.stock_lot_consumptions (shop_id, lot_id, sale_item_id, quantity, unit_cost)
+    values (new.shop_id, v_lot.id, new.id, v_take, v_lot.unit_cost);
+
+    v_cost := v_cost + v_take * v_lot.unit_cost;
+    v_left := v_left - v_take;
+  end loop;
+
+  select costing_method into v_method from public.shops where id = new.shop_id;
+  if coalesce(v_method, 'fifo') = 'fifo' and v_left < new.quantity then
+    v_cost := v_cost + v_left * new.unit_cost;
+    update public.sale_items set unit_cost = round(v_cost / new.quantity, 2) where id = new.id;
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists sale_items_consume_lots on public.sale_items;
+create trigger sale_items_consume_lots
+  after insert on public.sale_items
+  for each row execute function public.sale_items_consume_lots();
+
+-- A voided sale puts its units back into the lots they came from
+create or replace function public.sales_void_restore_lots()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if coalesce(new.is_voided, false) and not coalesce(old.is_voided, false) then
+    update public.stock_lots l
+       set remaining_qty = l.remaining_qty + c.quantity
+      from (select c.lot_id, sum(c.quantity) as quantity
+              from public.stock_lot_consumptions c
+              join public.sale_items si on si.id = c.sale_item_id
+             where si.sale_id = new.id and c.reversed_at is null
+             group by c.lot_id) c
+     where l.id = c.lot_id;
+
+    update public.stock_lot_consumptions
+       set reversed_at = now()
+     where reversed_at is null
+       and sale_item_id in (select id from public.sale_items where sale_id = new.id);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sales_void_restore_lots on public.sales;
+create trigger sales_void_restore_lots
+  after update of is_voided on public.sales
+  for each row execute function public.sales_void_restore_lots();
+
+-- Restocked returns come back as a lot at the cost they were sold at.
+-- process_sale_return inserts the return line before it adds the stock.
+create or replace function public.sale_return_items_restock_lot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_return public.sale_returns%rowtype;
+begin
+  if new.disposition <> 'restock' or new.product_id is null then
+    return null;
+  end if;
+  select * into v_return from public.sale_returns where id = new.return_id;
+  perform public.add_stock_lot(v_return.shop_id, new.product_id, new.quantity,
+                               (select coalesce(unit_cost, 0) from public.sale_items where id = new.sale_item_id),
+                               'return', v_return.id, v_return.user_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists sale_return_items_restock_lot on public.sale_return_items;
+create trigger sale_return_items_restock_lot
+  after insert on public.sale_return_items
+  for each row execute function public.sale_return_items_restock_lot();
+
+-- New products created with stock get their opening lot
+create or replace function public.products_opening_lot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products set avg_cost = coalesce(new.cost, 0) where id = new.id and avg_cost is null;
+  if coalesce(new.stock, 0) > 0 then
+    insert into public.stock_lots (shop_id, product_id, source, received_qty, remaining_qty, unit_cost)
+    values (new.shop_id, new.id, 'opening', new.stock, new.stock, coalesce(new.cost, 0));
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists products_opening_lot on public.products;
+create trigger products_opening_lot
+  after insert on public.products
+  for each row execute function public.products_opening_lot();
+
+-- avg_cost is kept by the database like stock, so it isn't catalogue editing
+create or replace function public.products_guard_edit()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and (to_jsonb(new) - 'stock' - 'avg_cost' - 'updated_at') is distinct from (to_jsonb(old) - 'stock' - 'avg_cost' - 'updated_at')
+     and not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to edit products' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- set_costing_method — switch a shop between 'fifo' and 'average'
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.set_costing_method(p_shop_id bigint, p_method text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to change the costing method' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only change your own shop''s costing method' using errcode = '42501';
+  end if;
+  update public.shops set costing_method = p_method where id = p_shop_id;
+  return p_method;
+end;
+$$;
+
+grant execute on function public.set_costing_method(bigint, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- stock_valuation — value of stock on hand per product.
+--   fifo     the newest lots make up what's on the shelf (the oldest were
+--            sold first); stock beyond the lots is valued at products.cost
+--   average  on hand × products.avg_cost
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.stock_valuation(p_shop_id bigint)
+returns table (
+  product_id     bigint,
+  name           text,
+  category       text,
+  on_hand        numeric,
+  lot_qty        numeric,
+  untracked_qty  numeric,
+  unit_cost      numeric,
+  value          numeric,
+  method         text
+)
+language sql
+stable
+as $$
+  with shop as (
+    select coalesce(costing_method, 'fifo') as method from public.shops where id = p_shop_id
+  ),
+  prod as (
+    select p.id, p.name::text as name, p.category::text as category,
+           greatest(coalesce(p.stock, 0), 0)::numeric as on_hand,
+           coalesce(p.cost, 0)::numeric as cost,
+           coalesce(p.avg_cost, p.cost, 0)::numeric as avg_cost
+      from public.products p
+     where p.shop_id = p_shop_id
+  ),
+  lots as (
+    select l.product_id, l.remaining_qty, l.unit_cost,
+           sum(l.remaining_qty) over (partition by l.product_id order by l.received_at desc, l.id desc)
+             - l.remaining_qty as newer_qty
+      from public.stock_lots l
+     where l.shop_id = p_shop_id and l.remaining_qty > 0
+  ),
+  fifo as (
+    select pr.id,
+           coalesce(sum(l.remaining_qty), 0) as lot_qty,
+           coalesce(sum(l.unit_cost * greatest(least(l.remaining_qty, pr.on_hand - l.newer_qty), 0)), 0) as lot_value
+      from prod pr
+      left join lots l on l.product_id = pr.id
+     group by pr.id
+  ),
+  valued as (
+    select pr.*, f.lot_qty, greatest(pr.on_hand - f.lot_qty, 0) as untracked_qty, s.method,
+           case when s.method = 'average' then pr.on_hand * pr.avg_cost
+                else f.lot_value + greatest(pr.on_hand - f.lot_qty, 0) * pr.cost
+           end as value
+      from prod pr
+      join fifo f on f.id = pr.id
+     cross join shop s
+  )
+  select v.id, v.name, v.category, v.on_hand, v.lot_qty, v.untracked_qty,
+         case when v.method = 'average' then v.avg_cost
+              when v.on_hand > 0 then round(v.value / v.on_hand, 4)
+              else v.cost
+         end,
+         round(v.value, 2), v.method
+    from valued v
+   order by v.value desc, v.name;
+$$;
+
+grant execute on function public.stock_valuation(bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Row level security — lots are written only by the functions above
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['stock_lots', 'stock_lot_consumptions']
+  loop
+    if not exists (select 1 from pg_policies
+                    where schemaname = 'public' and tablename = t and permissive = 'PERMISSIVE') then
+      execute format('create policy shop_rls on public.%I for select using (true)', t);
+    end if;
+    execute format('alter table public.%I enable row level security', t);
+  end loop;
+end;
+$$;
@@ -0,0 +1,428 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Stock movement ledger
+--
+-- Every change to products.stock — whoever makes it — writes one
+-- stock_movements row with the quantities before and after. A trigger on
+-- products does the writing, so checkout, returns, receipts, the offline
+-- replay and a manual edit on the product form are all covered, and
+-- stock always equals the sum of a product's movements.
+--
+-- Why the stock moved comes from a per-transaction "stock context":
+--   duka.stock_reason    sale | void | return | receipt | adjustment |
+--                        transfer | damage
+--   duka.stock_ref_type  the document behind it (sale, sale_return,
+--                        supply_request, supplier_order, stocktake, …)
+--   duka.stock_ref_id    that document's id
+--   duka.stock_note      free text
+-- set with set_stock_context(). The checkout and return RPCs get theirs
+-- from triggers on the lines they insert just before moving stock;
+-- adjust_stock(), receive_stock() and void_sale() set it themselves. A
+-- change made with no context (the product form) is recorded as an
+-- 'adjustment'.
+--
+-- The user is session_user_id() (20261019000600_cash_shifts.sql), from the
+-- x-session-token header as in has_permission().
+-- ═══════════════════════════════════════════════════════════════════════════
+
+create table if not exists public.stock_movements (
+  id          bigint generated by default as identity primary key,
+  shop_id     bigint not null references public.shops (id),
+  product_id  bigint not null references public.products (id) on delete cascade,
+  reason      text   not null check (reason in ('sale', 'void', 'return', 'receipt', 'adjustment', 'transfer', 'damage')),
+  qty_change  numeric not null,
+  qty_before  numeric not null,
+  qty_after   numeric not null,
+  ref_type    text,
+  ref_id      bigint,
+  note        text,
+  user_id     bigint references public.users (id) on delete set null,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists stock_movements_product_idx on public.stock_movements (product_id, created_at desc);
+create index if not exists stock_movements_shop_idx    on public.stock_movements (shop_id, created_at desc);
+create index if not exists stock_movements_ref_idx     on public.stock_movements (ref_type, ref_id);
+
+-- Opening balance, so the ledger adds up to today's stock from day one
+insert into public.stock_movements (shop_id, product_id, reason, qty_change, qty_before, qty_after, note)
+select p.shop_id, p.id, 'adjustment', p.stock, 0, p.stock, 'Opening balance'
+  from public.products p
+ where coalesce(p.stock, 0) <> 0
+   and not exists (select 1 from public.stock_movements m where m.product_id = p.id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- set_stock_context — label the stock changes made later in this
+-- transaction (set_config … true). Settings made inside a function that
+-- has a SET clause end when that function returns, so the triggers below
+-- that label a later statement of their caller must not have one.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.set_stock_context(
+  p_reason   text,
+  p_ref_type text default null,
+  p_ref_id   bigint default null,
+  p_note     text default null
+)
+returns void
+language sql
+as $$
+  select set_config('duka.stock_reason',   coalesce(p_reason, ''), true),
+         set_config('duka.stock_ref_type', coalesce(p_ref_type, ''), true),
+         set_config('duka.stock_ref_id',   coalesce(p_ref_id::text, ''), true),
+         set_config('duka.stock_note',     coalesce(p_note, ''), true);
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- The ledger trigger
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.products_log_stock_movement()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_before numeric := case when tg_op = 'INSERT' then 0 else coalesce(old.stock, 0) end;
+  v_after  numeric := coalesce(new.stock, 0);
+  v_reason text    := nullif(current_setting('duka.stock_reason', true), '');
+begin
+  if v_after = v_before then
+    return null;
+  end if;
+
+  insert into public.stock_movements (shop_id, product_id, reason, qty_change, qty_before, qty_after,
+                                      ref_type, ref_id, note, user_id)
+  values (new.shop_id, new.id, coalesce(v_reason, 'adjustment'), v_after - v_before, v_before, v_after,
+          nullif(current_setting('duka.stock_ref_type', true), ''),
+          nullif(current_setting('duka.stock_ref_id', true), '')::bigint,
+          coalesce(nullif(current_setting('duka.stock_note', true), ''),
+                   case when tg_op = 'INSERT' then 'Opening stock' end),
+          public.session_user_id());
+  return null;
+end;
+$$;
+
+drop trigger if exists products_log_stock_movement on public.products;
+create trigger products_log_stock_movement
+  after insert or update of stock on public.products
+  for each row execute function public.products_log_stock_movement();
+
+-- Checkout inserts its sale_items, then decrements stock
+create or replace function public.sale_items_stock_context()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform public.set_stock_context('sale', 'sale', new.sale_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists sale_items_stock_context on public.sale_items;
+create trigger sale_items_stock_context
+  after insert on public.sale_items
+  for each row execute function public.sale_items_stock_context();
+
+-- process_sale_return inserts each return line, then restocks it
+create or replace function public.sale_return_items_stock_context()
+returns trigger
+language plpgsql
+as $$
+begin
+  perform public.set_stock_context('return', 'sale_return', new.return_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists sale_return_items_stock_context on public.sale_return_items;
+create trigger sale_return_items_stock_context
+  after insert on public.sale_return_items
+  for each row execute function public.sale_return_items_stock_context();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- products_guard_edit — as in 20261019001000, and stock (with avg_cost)
+-- only moves from the browser inside a labelled change (checkout, returns,
+-- adjust_stock()) or with inventory.edit (the product form). A context
+-- lasts one transaction, so a plain PATCH of products.stock never has one.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.products_guard_edit()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') or public.has_permission('inventory.edit') then
+    return new;
+  end if;
+  if (to_jsonb(new) - 'stock' - 'avg_cost' - 'updated_at') is distinct from (to_jsonb(old) - 'stock' - 'avg_cost' - 'updated_at') then
+    raise exception 'You do not have permission to edit products' using errcode = '42501';
+  end if;
+  if (new.stock, new.avg_cost) is distinct from (old.stock, old.avg_cost)
+     and nullif(current_setting('duka.stock_reason', true), '') is null then
+    raise exception 'You do not have permission to change stock' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- adjust_stock — the one way the browser changes stock directly
+--   p_delta   signed quantity; a decrease stops at zero, as before
+--   p_reason  adjustment | transfer | damage (a void restocks through
+--             void_sale() below)
+-- Only in the caller's own shop; the ledger records the signed-in user.
+-- Returns the new stock.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.adjust_stock(
+  p_shop_id    bigint,
+  p_product_id bigint,
+  p_delta      numeric,
+  p_reason     text default 'adjustment',
+  p_ref_type   text default null,
+  p_ref_id     bigint default null,
+  p_note       text default null
+)
+returns numeric
+language plpgsql
+as $$
+declare
+  v_stock numeric;
+begin
+  if p_reason not in ('adjustment', 'transfer', 'damage') then
+    raise exception 'Stock cannot be adjusted with reason %', p_reason using errcode = '22023';
+  end if;
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to adjust stock' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only adjust stock in your own shop' using errcode = '42501';
+  end if;
+
+  perform public.set_stock_context(p_reason, p_ref_type, p_ref_id, p_note);
+
+  update public.products
+     set stock = case when p_delta < 0 then greatest(stock + p_delta, 0) else stock + p_delta end
+   where id = p_product_id and shop_id = p_shop_id
+  returning stock into v_stock;
+
+  if not found then
+    raise exception 'Product % not found', p_product_id using errcode = 'P0002';
+  end if;
+
+  perform public.set_stock_context(null);
+  return v_stock;
+end;
+$$;
+
+grant execute on function public.adjust_stock(bigint, bigint, numeric, text, text, bigint, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- void_sale — void a whole sale and put its units back, in one transaction
+--   p_reason  why, shown on the void list
+-- The sale row is locked first, so a second void of the same sale waits and
+-- then fails; each product is restocked once by the quantity on its lines.
+-- Lots are refilled by sales_void_restore_lots (20261019001000).
+-- Returns { sale_id, stock: [{ product_id, stock }] }.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.void_sale(
+  p_shop_id  bigint,
+  p_sale_id  bigint,
+  p_reason   text
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale   record;
+  v_stock  jsonb;
+begin
+  if not public.has_permission('sales.void') then
+    raise exception 'You do not have permission to void sales' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only void sales in your own shop' using errcode = '42501';
+  end if;
+  if nullif(trim(p_reason), '') is null then
+    raise exception 'Give a reason for the void' using errcode = '22023';
+  end if;
+
+  select id, is_voided into v_sale
+    from public.sales
+   where id = p_sale_id and shop_id = p_shop_id
+   for update;
+  if not found then
+    raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+  end if;
+  if coalesce(v_sale.is_voided, false) then
+    raise exception 'Sale % has already been voided', p_sale_id using errcode = '22023';
+  end if;
+
+  perform public.set_stock_context('void', 'sale', p_sale_id, trim(p_reason));
+
+  update public.sales
+     set is_voided = true, void_reason = trim(p_reason), voided_at = now()
+   where id = p_sale_id;
+
+  with restocked as (
+    update public.products p
+       set stock = p.stock + l.quantity
+      from (select product_id, sum(quantity) as quantity
+              from public.sale_items
+             where sale_id = p_sale_id and product_id is not null
+             group by product_id) l
+     where p.id = l.product_id and p.shop_id = p_shop_id
+    returning p.id, p.stock
+  )
+  select coalesce(jsonb_agg(jsonb_build_object('product_id', id, 'stock', stock)), '[]'::jsonb)
+    into v_stock
+    from restocked;
+
+  perform public.set_stock_context(null);
+  return jsonb_build_object('sale_id', p_sale_id, 'stock', v_stock);
+end;
+$$;
+
+grant execute on function public.void_sale(bigint, bigint, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- sales_guard_void — as in 20261019000800, and the browser can only void a
+-- sale through void_sale(), which restocks it in the same transaction. A
+-- stock context lasts one transaction, so a plain PATCH never has one.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sales_guard_void()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and coalesce(new.is_voided, false) and not coalesce(old.is_voided, false) then
+    if not public.has_permission('sales.void') then
+      raise exception 'You do not have permission to void sales' using errcode = '42501';
+    end if;
+    if current_setting('duka.stock_reason', true) is distinct from 'void' then
+      raise exception 'Void sales with void_sale()' using errcode = '42501';
+    end if;
+  end if;
+  -- Returned goods are back on the shelf already; voiding would restock them twice
+  if coalesce(new.is_voided, false) and not coalesce(old.is_voided, false)
+     and coalesce(old.returned_amount, 0) > 0 then
+    raise exception 'Sale % has returns — return the remaining items instead of voiding it', old.id
+      using errcode = '22023';
+  end if;
+  return new;
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- receive_stock — as in 20261019001000, now labelling its movements
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.receive_stock(
+  p_shop_id    bigint,
+  p_user_id    bigint,
+  p_source     text,
+  p_source_id  bigint,
+  p_lines      jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line       record;
+  v_new_stock  numeric;
+  v_lots       integer := 0;
+  v_stock      jsonb := '[]'::jsonb;
+begin
+  if not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to receive stock' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only receive stock into your own shop' using errcode = '42501';
+  end if;
+  if p_source not in ('supply_request', 'supplier_order') or p_source_id is null then
+    raise exception 'Unknown receipt source %', p_source using errcode = '22023';
+  end if;
+  if p_lines is null or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Nothing to receive' using errcode = '22023';
+  end if;
+  if not (p_source = 'supply_request'
+            and exists (select 1 from public.supply_requests where id = p_source_id and shop_id = p_shop_id))
+     and not (p_source = 'supplier_order'
+            and exists (select 1 from public.supplier_orders where id = p_source_id and shop_id = p_shop_id)) then
+    raise exception 'That % is not in this shop', replace(p_source, '_', ' ') using errcode = 'P0002';
+  end if;
+
+  -- One receipt per document; the lock makes a double-click wait, then fail
+  perform pg_advisory_xact_lock(hashtextextended(p_source || ':' || p_source_id, 0));
+  if exists (select 1 from public.stock_lots
+              where shop_id = p_shop_id and source = p_source and source_id = p_source_id) then
+    raise exception 'This delivery has already been received' using errcode = '23505';
+  end if;
+
+  perform public.set_stock_context('receipt', p_source, p_source_id);
+
+  for v_line in
+    select (l ->> 'product_id')::bigint  as product_id,
+           (l ->> 'quantity')::numeric   as quantity,
+           coalesce((l ->> 'unit_cost')::numeric, 0) as unit_cost
+      from jsonb_array_elements(p_lines) l
+     order by (l ->> 'product_id')::bigint
+  loop
+    if v_line.product_id is null or coalesce(v_line.quantity, 0) <= 0 then continue; end if;
+
+    if not exists (select 1 from public.products where id = v_line.product_id and shop_id = p_shop_id) then
+      raise exception 'Product % is not in this shop', v_line.product_id using errcode = 'P0002';
+    end if;
+
+    perform public.add_stock_lot(p_shop_id, v_line.product_id, v_line.quantity, v_line.unit_cost,
+                                 p_source, p_source_id, public.session_user_id());
+    v_lots := v_lots + 1;
+
+    update public.products set stock = stock + v_line.quantity
+     where id = v_line.product_id and shop_id = p_shop_id
+    returning stock into v_new_stock;
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  return jsonb_build_object('lots', v_lots, 'stock', v_stock);
+end;
+$$;
+
+grant execute on function public.receive_stock(bigint, bigint, text, bigint, jsonb) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- stock_reconciliation — products whose stock doesn't match their ledger
+-- (a change made with the trigger disabled, or a restore from backup)
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.stock_reconciliation(p_shop_id bigint)
+returns table (
+  product_id      bigint,
+  name            text,
+  stock           numeric,
+  ledger_qty      numeric,
+  difference      numeric,
+  last_movement   timestamptz
+)
+language sql
+stable
+as $$
+  select p.id, p.name::text, coalesce(p.stock, 0)::numeric,
+         coalesce(m.total, 0), coalesce(p.stock, 0) - coalesce(m.total, 0), m.last_at
+    from public.products p
+    left join (select product_id, sum(qty_change) as total, max(created_at) as last_at
+                 from public.stock_movements
+                where shop_id = p_shop_id
+                group by product_id) m on m.product_id = p.id
+   where p.shop_id = p_shop_id
+     and coalesce(p.stock, 0) <> coalesce(m.total, 0)
+   order by abs(coalesce(p.stock, 0) - coalesce(m.total, 0)) desc, p.name;
+$$;
+
+grant execute on function public.stock_reconciliation(bigint) to anon, authenticated;
+
+-- The ledger is written only by the trigger
+alter table public.stock_movements enable row level security;
+drop policy if exists stock_movements_read on public.stock_movements;
+create policy stock_movements_read on public.stock_movements for select using (true);
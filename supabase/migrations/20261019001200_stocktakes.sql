@@ -0,0 +1,386 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Stocktakes (physical counts)
+--
+-- Starting a stocktake freezes every in-scope product's stock as its
+-- expected quantity. Staff then count on their phones, each count line
+-- tagged with the section (shelf, aisle, store room) it was counted in;
+-- a product counted in several sections, or by several people, is the sum
+-- of its lines. The shop keeps trading while the count runs.
+--
+-- Posting applies counted − expected to the live stock rather than
+-- overwriting it, so sales made during the count aren't lost. Every
+-- adjustment goes through the stock movement ledger as an 'adjustment'
+-- with ref_type 'stocktake' and the posting reason as its note.
+--
+-- Only one stocktake per shop can be counting at a time. The browser
+-- reads these tables; all writes go through the functions below, which
+-- only touch the caller's own shop and record the signed-in user
+-- (session_user_id()) as starter, counter and poster — the p_user_id
+-- arguments are not trusted. Counting needs its own stocktake.count
+-- permission, so everyone who can look up a product can't also feed the
+-- numbers a posting trusts.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+insert into public.permissions (key, label, category, default_roles) values
+  ('stocktake.count', 'Enter counts on a stocktake', 'Inventory', '{manager,cashier}')
+on conflict (key) do update
+  set label = excluded.label, category = excluded.category, default_roles = excluded.default_roles;
+
+create table if not exists public.stocktakes (
+  id              bigint generated by default as identity primary key,
+  shop_id         bigint not null references public.shops (id),
+  name            text   not null,
+  category        text,                                   -- null = whole shop
+  status          text   not null default 'counting' check (status in ('counting', 'posted', 'cancelled')),
+  started_by      bigint references public.users (id) on delete set null,
+  started_at      timestamptz not null default now(),
+  posted_by       bigint references public.users (id) on delete set null,
+  posted_at       timestamptz,
+  reason          text,
+  adjusted_lines  integer not null default 0,
+  variance_qty    numeric not null default 0,
+  variance_value  numeric(14, 2) not null default 0
+);
+
+create unique index if not exists stocktakes_one_counting
+  on public.stocktakes (shop_id) where status = 'counting';
+create index if not exists stocktakes_shop_idx on public.stocktakes (shop_id, started_at desc);
+
+create table if not exists public.stocktake_items (
+  id            bigint generated by default as identity primary key,
+  stocktake_id  bigint not null references public.stocktakes (id) on delete cascade,
+  shop_id       bigint not null references public.shops (id),
+  product_id    bigint not null references public.products (id) on delete cascade,
+  expected_qty  numeric not null,
+  unit_cost     numeric(12, 4) not null default 0,
+  counted_qty   numeric,                                  -- set when posted
+  adjusted      boolean not null default false,
+  unique (stocktake_id, product_id)
+);
+
+create table if not exists public.stocktake_counts (
+  id            bigint generated by default as identity primary key,
+  stocktake_id  bigint not null references public.stocktakes (id) on delete cascade,
+  shop_id       bigint not null references public.shops (id),
+  product_id    bigint not null references public.products (id) on delete cascade,
+  section       text,
+  quantity      numeric not null check (quantity >= 0),
+  counted_by    bigint references public.users (id) on delete set null,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists stocktake_counts_idx on public.stocktake_counts (stocktake_id, product_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- start_stocktake — open a count for the whole shop or one category.
+-- Returns the new stocktake's id.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.start_stocktake(
+  p_shop_id   bigint,
+  p_user_id   bigint,
+  p_name      text,
+  p_category  text default null
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id bigint;
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to start a stocktake' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only start a stocktake in your own shop' using errcode = '42501';
+  end if;
+  if exists (select 1 from public.stocktakes where shop_id = p_shop_id and status = 'counting') then
+    raise exception 'A stocktake is already in progress' using errcode = '23505';
+  end if;
+
+  insert into public.stocktakes (shop_id, name, category, started_by)
+  values (p_shop_id, coalesce(nullif(trim(p_name), ''), 'Stocktake ' || to_char(now(), 'YYYY-MM-DD')),
+          nullif(trim(p_category), ''), public.session_user_id())
+  returning id into v_id;
+
+  insert into public.stocktake_items (stocktake_id, shop_id, product_id, expected_qty, unit_cost)
+  select v_id, p.shop_id, p.id, coalesce(p.stock, 0), coalesce(p.avg_cost, p.cost, 0)
+    from public.products p
+   where p.shop_id = p_shop_id
+     and (nullif(trim(p_category), '') is null or p.category = trim(p_category));
+
+  return v_id;
+end;
+$$;
+
+grant execute on function public.start_stocktake(bigint, bigint, text, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- record_stocktake_count — add one count line. A product outside the
+-- stocktake's scope joins it, expected at its stock right now.
+-- Returns the product's counted total so far.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.record_stocktake_count(
+  p_stocktake_id  bigint,
+  p_product_id    bigint,
+  p_quantity      numeric,
+  p_section       text,
+  p_user_id       bigint
+)
+returns numeric
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shop_id bigint;
+  v_total   numeric;
+begin
+  if not public.has_permission('stocktake.count') then
+    raise exception 'You do not have permission to count stock' using errcode = '42501';
+  end if;
+  if coalesce(p_quantity, -1) < 0 then
+    raise exception 'Count must be zero or more' using errcode = '22023';
+  end if;
+
+  select shop_id into v_shop_id
+    from public.stocktakes
+   where id = p_stocktake_id and status = 'counting';
+  if v_shop_id is null then
+    raise exception 'This stocktake is no longer counting' using errcode = '22023';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = v_shop_id) then
+    raise exception 'You can only count stock in your own shop' using errcode = '42501';
+  end if;
+
+  insert into public.stocktake_items (stocktake_id, shop_id, product_id, expected_qty, unit_cost)
+  select p_stocktake_id, p.shop_id, p.id, coalesce(p.stock, 0), coalesce(p.avg_cost, p.cost, 0)
+    from public.products p
+   where p.id = p_product_id and p.shop_id = v_shop_id
+  on conflict (stocktake_id, product_id) do nothing;
+
+  if not exists (select 1 from public.stocktake_items where stocktake_id = p_stocktake_id and product_id = p_product_id) then
+    raise exception 'Product % is not in this shop', p_product_id using errcode = 'P0002';
+  end if;
+
+  insert into public.stocktake_counts (stocktake_id, shop_id, product_id, section, quantity, counted_by)
+  values (p_stocktake_id, v_shop_id, p_product_id, nullif(trim(p_section), ''), p_quantity, public.session_user_id());
+
+  select sum(quantity) into v_total
+    from public.stocktake_counts
+   where stocktake_id = p_stocktake_id and product_id = p_product_id;
+  return v_total;
+end;
+$$;
+
+grant execute on function public.record_stocktake_count(bigint, bigint, numeric, text, bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- delete_stocktake_count — take back a count line while still counting.
+-- Counters can remove their own lines; inventory.edit can remove any.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.delete_stocktake_count(p_count_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count record;
+begin
+  select c.*, s.status into v_count
+    from public.stocktake_counts c
+    join public.stocktakes s on s.id = c.stocktake_id
+   where c.id = p_count_id
+     and c.shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id());
+  if not found then
+    raise exception 'Count line % not found', p_count_id using errcode = 'P0002';
+  end if;
+  if v_count.status <> 'counting' then
+    raise exception 'This stocktake is no longer counting' using errcode = '22023';
+  end if;
+  if v_count.counted_by is distinct from public.session_user_id()
+     and not public.has_permission('inventory.edit') then
+    raise exception 'You can only remove your own counts' using errcode = '42501';
+  end if;
+
+  delete from public.stocktake_counts where id = p_count_id;
+end;
+$$;
+
+grant execute on function public.delete_stocktake_count(bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- stocktake_variances — one row per product in the stocktake. counted_qty
+-- is null for a product nobody has counted yet. Values use the unit cost
+-- frozen when the product joined the stocktake. Only the caller's own
+-- shop's stocktakes return rows.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.stocktake_variances(p_stocktake_id bigint)
+returns table (
+  product_id      bigint,
+  name            text,
+  category        text,
+  barcode         text,
+  expected_qty    numeric,
+  counted_qty     numeric,
+  variance_qty    numeric,
+  unit_cost       numeric,
+  variance_value  numeric,
+  sections        text,
+  count_lines     integer,
+  adjusted        boolean
+)
+language sql
+stable
+as $$
+  select i.product_id, p.name::text, p.category::text, p.barcode::text,
+         i.expected_qty,
+         coalesce(i.counted_qty, c.total),
+         coalesce(i.counted_qty, c.total) - i.expected_qty,
+         i.unit_cost,
+         round((coalesce(i.counted_qty, c.total) - i.expected_qty) * i.unit_cost, 2),
+         c.sections,
+         coalesce(c.lines, 0)::integer,
+         i.adjusted
+    from public.stocktake_items i
+    join public.products p on p.id = i.product_id
+    left join (select product_id, sum(quantity) as total, count(*) as lines,
+                      string_agg(distinct section, ', ') as sections
+                 from public.stocktake_counts
+                where stocktake_id = p_stocktake_id
+                group by product_id) c on c.product_id = i.product_id
+   where i.stocktake_id = p_stocktake_id
+     and i.shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id())
+   order by abs(coalesce((coalesce(i.counted_qty, c.total) - i.expected_qty) * i.unit_cost, 0)) desc, p.name;
+$$;
+
+grant execute on function public.stocktake_variances(bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- post_stocktake — apply the approved variances in one transaction and
+-- close the stocktake.
+--   p_product_ids         approved lines; null approves every counted line
+--   p_uncounted_as_zero   treat approved products nobody counted as 0
+--                         (otherwise they are left alone)
+-- Returns { adjusted_lines, variance_qty, variance_value }.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.post_stocktake(
+  p_stocktake_id       bigint,
+  p_user_id            bigint,
+  p_reason             text,
+  p_product_ids        bigint[] default null,
+  p_uncounted_as_zero  boolean default false
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_take   record;
+  v_line   record;
+  v_lines  integer := 0;
+  v_qty    numeric := 0;
+  v_value  numeric := 0;
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to post a stocktake' using errcode = '42501';
+  end if;
+  if nullif(trim(p_reason), '') is null then
+    raise exception 'Give a reason for the adjustments' using errcode = '22023';
+  end if;
+
+  select * into v_take from public.stocktakes
+   where id = p_stocktake_id
+     and shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id())
+     for update;
+  if not found then
+    raise exception 'Stocktake % not found', p_stocktake_id using errcode = 'P0002';
+  end if;
+  if v_take.status <> 'counting' then
+    raise exception 'This stocktake has already been %', v_take.status using errcode = '22023';
+  end if;
+
+  perform public.set_stock_context('adjustment', 'stocktake', p_stocktake_id, trim(p_reason));
+
+  for v_line in
+    select v.product_id, v.expected_qty, v.unit_cost,
+           coalesce(v.counted_qty, case when p_uncounted_as_zero then 0 end) as counted_qty
+      from public.stocktake_variances(p_stocktake_id) v
+     where p_product_ids is null or v.product_id = any (p_product_ids)
+     order by v.product_id
+  loop
+    if v_line.counted_qty is null then continue; end if;
+
+    update public.stocktake_items
+       set counted_qty = v_line.counted_qty,
+           adjusted    = v_line.counted_qty <> v_line.expected_qty
+     where stocktake_id = p_stocktake_id and product_id = v_line.product_id;
+
+    if v_line.counted_qty = v_line.expected_qty then continue; end if;
+
+    update public.products
+       set stock = greatest(coalesce(stock, 0) + (v_line.counted_qty - v_line.expected_qty), 0)
+     where id = v_line.product_id and shop_id = v_take.shop_id;
+
+    v_lines := v_lines + 1;
+    v_qty   := v_qty + (v_line.counted_qty - v_line.expected_qty);
+    v_value := v_value + round((v_line.counted_qty - v_line.expected_qty) * v_line.unit_cost, 2);
+  end loop;
+
+  update public.stocktakes
+     set status = 'posted', posted_by = public.session_user_id(), posted_at = now(), reason = trim(p_reason),
+         adjusted_lines = v_lines, variance_qty = v_qty, variance_value = v_value
+   where id = p_stocktake_id;
+
+  return jsonb_build_object('adjusted_lines', v_lines, 'variance_qty', v_qty, 'variance_value', v_value);
+end;
+$$;
+
+grant execute on function public.post_stocktake(bigint, bigint, text, bigint[], boolean) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- cancel_stocktake — abandon a count without touching stock
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.cancel_stocktake(p_stocktake_id bigint)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to cancel a stocktake' using errcode = '42501';
+  end if;
+  update public.stocktakes set status = 'cancelled'
+   where id = p_stocktake_id and status = 'counting'
+     and shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id());
+  if not found then
+    raise exception 'This stocktake is no longer counting' using errcode = '22023';
+  end if;
+end;
+$$;
+
+grant execute on function public.cancel_stocktake(bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Row level security — read-only from the browser
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['stocktakes', 'stocktake_items', 'stocktake_counts']
+  loop
+    if not exists (select 1 from pg_policies
+                    where schemaname = 'public' and tablename = t and permissive = 'PERMISSIVE') then
+      execute format('create policy shop_rls on public.%I for select using (true)', t);
+    end if;
+    execute format('alter table public.%I enable row level security', t);
+  end loop;
+end;
+$$;
@@ -0,0 +1,110 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Reorder points and suggestions
+--
+-- products.reorder_point          reorder when stock falls to this; null lets
+--                                 the engine work it out from sales velocity
+-- products.reorder_qty            smallest quantity worth ordering
+-- products.preferred_supplier_id  whose supply request the line goes on
+-- products.lead_time_days         overrides the supplier's lead time
+-- suppliers.lead_time_days        days from request to goods on the shelf
+--
+-- reorder_suggestions() turns recent sales into a quantity per product:
+--   velocity       units sold per day over the last p_days (voids excluded)
+--   reorder point  the product's own, else velocity × lead time
+--   suggestion     enough to cover lead time + p_cover_days at that
+--                  velocity, less stock and anything already on order,
+--                  and never below reorder_qty
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.products  add column if not exists reorder_point numeric check (reorder_point >= 0);
+alter table public.products  add column if not exists reorder_qty   numeric check (reorder_qty >= 0);
+alter table public.products  add column if not exists preferred_supplier_id bigint references public.suppliers (id) on delete set null;
+alter table public.products  add column if not exists lead_time_days integer check (lead_time_days >= 0);
+alter table public.suppliers add column if not exists lead_time_days integer not null default 7 check (lead_time_days >= 0);
+
+create index if not exists products_preferred_supplier_idx on public.products (preferred_supplier_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- reorder_suggestions — products at or below their reorder point, most
+-- urgent (fewest days of cover) first
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.reorder_suggestions(
+  p_shop_id     bigint,
+  p_days        integer default 30,
+  p_cover_days  integer default 14
+)
+returns table (
+  product_id      bigint,
+  name            text,
+  category        text,
+  barcode         text,
+  supplier_id     bigint,
+  supplier_name   text,
+  stock           numeric,
+  sold_qty        numeric,
+  daily_velocity  numeric,
+  days_of_cover   numeric,
+  lead_time_days  integer,
+  reorder_point   numeric,
+  on_order        numeric,
+  suggested_qty   numeric,
+  unit_cost       numeric
+)
+language plpgsql
+stable
+as $$
+begin
+  return query
+  with sold as (
+    select si.product_id, sum(si.quantity)::numeric as qty
+      from public.sale_items si
+      join public.sales s on s.id = si.sale_id
+     where si.shop_id = p_shop_id
+       and not coalesce(s.is_voided, false)
+       and s.created_at >= now() - make_interval(days => greatest(p_days, 1))
+     group by si.product_id
+  ),
+  ordered as (
+    select ri.product_id, sum(coalesce(ri.approved_quantity, ri.requested_quantity))::numeric as qty
+      from public.supply_request_items ri
+      join public.supply_requests r on r.id = ri.request_id
+     where r.shop_id = p_shop_id
+       and r.status in ('draft', 'pending', 'accepted', 'shipped', 'delivered')
+     group by ri.product_id
+  ),
+  base as (
+    select p.id, p.name::text as name, p.category::text as category, p.barcode::text as barcode,
+           p.preferred_supplier_id, sup.name::text as supplier_name,
+           coalesce(p.stock, 0)::numeric as stock,
+           coalesce(sold.qty, 0) as sold_qty,
+           coalesce(sold.qty, 0) / greatest(p_days, 1) as velocity,
+           coalesce(p.lead_time_days, sup.lead_time_days, 7) as lead_time,
+           p.reorder_point, coalesce(p.reorder_qty, 0) as reorder_qty,
+           coalesce(ordered.qty, 0) as on_order,
+           coalesce(p.avg_cost, p.cost, 0)::numeric as unit_cost
+      from public.products p
+      left join public.suppliers sup on sup.id = p.preferred_supplier_id
+      left join sold    on sold.product_id = p.id
+      left join ordered on ordered.product_id = p.id
+     where p.shop_id = p_shop_id
+  ),
+  points as (
+    select b.*, coalesce(b.reorder_point, ceil(b.velocity * b.lead_time)) as point
+      from base b
+  )
+  select pt.id, pt.name, pt.category, pt.barcode, pt.preferred_supplier_id, pt.supplier_name,
+         pt.stock, pt.sold_qty, round(pt.velocity, 2),
+         case when pt.velocity > 0 then round(pt.stock / pt.velocity, 1) end,
+         pt.lead_time, pt.point, pt.on_order,
+         greatest(pt.reorder_qty,
+                  ceil(pt.velocity * (pt.lead_time + greatest(p_cover_days, 0))) - pt.stock - pt.on_order,
+                  1),
+         pt.unit_cost
+    from points pt
+   where pt.stock + pt.on_order <= pt.point
+     and (pt.velocity > 0 or pt.reorder_point is not null)
+   order by case when pt.velocity > 0 then pt.stock / pt.velocity else 0 end, pt.name;
+end;
+$$;
+
+grant execute on function public.reorder_suggestions(bigint, integer, integer) to anon, authenticated;
@@ -0,0 +1,438 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Batch / lot numbers and expiry per stock receipt
+--
+-- Each stock lot (20261019001000_stock_lots.sql) now carries the supplier's
+-- batch number and its own expiry date, so three deliveries of one product
+-- can expire on three different days.
+--
+-- Depletion is FEFO: a sale takes from the lot that expires first. Lots
+-- already past their date come last — they should be written off, not sold.
+-- Under FIFO costing the line therefore costs what the lots it actually
+-- took cost.
+--
+-- products.expiry_date / batch_number stay as a summary of the next batch
+-- to expire, kept by a trigger, so the existing expiry badges and the POS
+-- banner keep working. Products with no lots keep whatever the form set.
+--
+-- Expired or damaged batches are written off through write_off_lots():
+-- the lot is reduced, a stock_write_offs row records the loss at the lot's
+-- cost, and the stock movement is booked as 'expiry' or 'damage'.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.stock_lots add column if not exists batch_number    text;
+alter table public.stock_lots add column if not exists expiry_date     date;
+alter table public.stock_lots add column if not exists written_off_qty numeric not null default 0;
+
+create index if not exists stock_lots_expiry_idx on public.stock_lots (shop_id, expiry_date) where remaining_qty > 0;
+
+-- Opening lots take the batch and expiry the product carried
+update public.stock_lots l
+   set batch_number = p.batch_number, expiry_date = p.expiry_date
+  from public.products p
+ where p.id = l.product_id
+   and l.source = 'opening'
+   and l.batch_number is null and l.expiry_date is null;
+
+-- Write-offs of expired stock get their own movement reason
+alter table public.stock_movements drop constraint if exists stock_movements_reason_check;
+alter table public.stock_movements add constraint stock_movements_reason_check
+  check (reason in ('sale', 'void', 'return', 'receipt', 'adjustment', 'transfer', 'damage', 'expiry'));
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- add_stock_lot — as before, plus batch number and expiry
+-- ═══════════════════════════════════════════════════════════════════════════
+drop function if exists public.add_stock_lot(bigint, bigint, numeric, numeric, text, bigint, bigint);
+
+create or replace function public.add_stock_lot(
+  p_shop_id      bigint,
+  p_product_id   bigint,
+  p_quantity     numeric,
+  p_unit_cost    numeric,
+  p_source       text,
+  p_source_id    bigint,
+  p_user_id      bigint,
+  p_batch_number text default null,
+  p_expiry_date  date default null
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_lot_id bigint;
+begin
+  update public.products
+     set avg_cost = case
+           when greatest(stock, 0) + p_quantity > 0
+             then round((greatest(stock, 0) * coalesce(avg_cost, cost, 0) + p_quantity * p_unit_cost)
+                        / (greatest(stock, 0) + p_quantity), 4)
+           else p_unit_cost
+         end
+   where id = p_product_id and shop_id = p_shop_id;
+
+  insert into public.stock_lots (shop_id, product_id, source, source_id, received_qty, remaining_qty, unit_cost,
+                                 received_by, batch_number, expiry_date)
+  values (p_shop_id, p_product_id, p_source, p_source_id, p_quantity, p_quantity, coalesce(p_unit_cost, 0),
+          p_user_id, nullif(trim(p_batch_number), ''), p_expiry_date)
+  returning id into v_lot_id;
+
+  return v_lot_id;
+end;
+$$;
+
+revoke execute on function public.add_stock_lot(bigint, bigint, numeric, numeric, text, bigint, bigint, text, date) from public, anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- receive_stock — lines may now carry batch_number and expiry_date
+--   p_lines  [{ product_id, quantity, unit_cost, batch_number?, expiry_date? }]
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.receive_stock(
+  p_shop_id    bigint,
+  p_user_id    bigint,
+  p_source     text,
+  p_source_id  bigint,
+  p_lines      jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_line       record;
+  v_new_stock  numeric;
+  v_lots       integer := 0;
+  v_stock      jsonb := '[]'::jsonb;
+begin
+  if not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to receive stock' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me
+                  where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only receive stock into your own shop' using errcode = '42501';
+  end if;
+  if p_source not in ('supply_request', 'supplier_order') or p_source_id is null then
+    raise exception 'Unknown receipt source %', p_source using errcode = '22023';
+  end if;
+  if p_lines is null or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Nothing to receive' using errcode = '22023';
+  end if;
+  if not (p_source = 'supply_request'
+            and exists (select 1 from public.supply_requests where id = p_source_id and shop_id = p_shop_id))
+     and not (p_source = 'supplier_order'
+            and exists (select 1 from public.supplier_orders where id = p_source_id and shop_id = p_shop_id)) then
+    raise exception 'That % is not in this shop', replace(p_source, '_', ' ') using errcode = 'P0002';
+  end if;
+
+  -- One receipt per document; the lock makes a double-click wait, then fail
+  perform pg_advisory_xact_lock(hashtextextended(p_source || ':' || p_source_id, 0));
+  if exists (select 1 from public.stock_lots
+              where shop_id = p_shop_id and source = p_source and source_id = p_source_id) then
+    raise exception 'This delivery has already been received' using errcode = '23505';
+  end if;
+
+  perform public.set_stock_context('receipt', p_source, p_source_id);
+
+  for v_line in
+    select (l ->> 'product_id')::bigint  as product_id,
+           (l ->> 'quantity')::numeric   as quantity,
+           coalesce((l ->> 'unit_cost')::numeric, 0) as unit_cost,
+           l ->> 'batch_number'          as batch_number,
+           nullif(l ->> 'expiry_date', '')::date as expiry_date
+      from jsonb_array_elements(p_lines) l
+     order by (l ->> 'product_id')::bigint
+  loop
+    if v_line.product_id is null or coalesce(v_line.quantity, 0) <= 0 then continue; end if;
+
+    if not exists (select 1 from public.products where id = v_line.product_id and shop_id = p_shop_id) then
+      raise exception 'Product % is not in this shop', v_line.product_id using errcode = 'P0002';
+    end if;
+
+    perform public.add_stock_lot(p_shop_id, v_line.product_id, v_line.quantity, v_line.unit_cost,
+                                 p_source, p_source_id, public.session_user_id(), v_line.batch_number, v_line.expiry_date);
+    v_lots := v_lots + 1;
+
+    update public.products set stock = stock + v_line.quantity
+     where id = v_line.product_id and shop_id = p_shop_id
+    returning stock into v_new_stock;
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  return jsonb_build_object('lots', v_lots, 'stock', v_stock);
+end;
+$$;
+
+grant execute on function public.receive_stock(bigint, bigint, text, bigint, jsonb) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- FEFO consumption — unexpired lots by expiry date, undated lots after
+-- them, expired lots last
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sale_items_consume_lots()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_method text;
+  v_left   numeric := new.quantity;
+  v_take   numeric;
+  v_cost   numeric := 0;
+  v_lot    record;
+begin
+  if new.product_id is null or coalesce(new.quantity, 0) <= 0 then
+    return null;
+  end if;
+
+  for v_lot in
+    select id, remaining_qty, unit_cost
+      from public.stock_lots
+     where shop_id = new.shop_id and product_id = new.product_id and remaining_qty > 0
+     order by coalesce(expiry_date < current_date, false), expiry_date nulls last, received_at, id
+       for update
+  loop
+    exit when v_left <= 0;
+    v_take := least(v_left, v_lot.remaining_qty);
+
+    update public.stock_lots set remaining_qty = remaining_qty - v_take where id = v_lot.id;
+    insert into public.stock_lot_consumptions (shop_id, lot_id, sale_item_id, quantity, unit_cost)
+    values (new.shop_id, v_lot.id, new.id, v_take, v_lot.unit_cost);
+
+    v_cost := v_cost + v_take * v_lot.unit_cost;
+    v_left := v_left - v_take;
+  end loop;
+
+  select costing_method into v_method from public.shops where id = new.shop_id;
+  if coalesce(v_method, 'fifo') = 'fifo' and v_left < new.quantity then
+    v_cost := v_cost + v_left * new.unit_cost;
+    update public.sale_items set unit_cost = round(v_cost / new.quantity, 2) where id = new.id;
+  end if;
+
+  return null;
+end;
+$$;
+
+-- A restocked return goes back under the batch it was sold from
+create or replace function public.sale_return_items_restock_lot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_return public.sale_returns%rowtype;
+  v_from   record;
+begin
+  if new.disposition <> 'restock' or new.product_id is null then
+    return null;
+  end if;
+  select * into v_return from public.sale_returns where id = new.return_id;
+  select l.batch_number, l.expiry_date into v_from
+    from public.stock_lot_consumptions c
+    join public.stock_lots l on l.id = c.lot_id
+   where c.sale_item_id = new.sale_item_id
+   order by l.expiry_date desc nulls last, c.id desc
+   limit 1;
+  perform public.add_stock_lot(v_return.shop_id, new.product_id, new.quantity,
+                               (select coalesce(unit_cost, 0) from public.sale_items where id = new.sale_item_id),
+                               'return', v_return.id, v_return.user_id, v_from.batch_number, v_from.expiry_date);
+  return null;
+end;
+$$;
+
+-- New products created with stock: the opening lot takes the form's batch and expiry
+create or replace function public.products_opening_lot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.products set avg_cost = coalesce(new.cost, 0) where id = new.id and avg_cost is null;
+  if coalesce(new.stock, 0) > 0 then
+    insert into public.stock_lots (shop_id, product_id, source, received_qty, remaining_qty, unit_cost,
+                                   batch_number, expiry_date)
+    values (new.shop_id, new.id, 'opening', new.stock, new.stock, coalesce(new.cost, 0),
+            new.batch_number, new.expiry_date);
+  end if;
+  return null;
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- products.expiry_date / batch_number follow the next open batch to expire
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.stock_lots_sync_product_expiry()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_product_id bigint := case when tg_op = 'DELETE' then old.product_id else new.product_id end;
+  v_next       record;
+begin
+  if not exists (select 1 from public.stock_lots where product_id = v_product_id and remaining_qty > 0) then
+    return null;
+  end if;
+
+  select batch_number, expiry_date into v_next
+    from public.stock_lots
+   where product_id = v_product_id and remaining_qty > 0
+   order by expiry_date nulls last, received_at, id
+   limit 1;
+
+  update public.products
+     set expiry_date = v_next.expiry_date, batch_number = coalesce(v_next.batch_number, batch_number)
+   where id = v_product_id
+     and (expiry_date is distinct from v_next.expiry_date
+          or (v_next.batch_number is not null and batch_number is distinct from v_next.batch_number));
+  return null;
+end;
+$$;
+
+drop trigger if exists stock_lots_sync_product_expiry on public.stock_lots;
+create trigger stock_lots_sync_product_expiry
+  after insert or delete or update of remaining_qty, expiry_date, batch_number on public.stock_lots
+  for each row execute function public.stock_lots_sync_product_expiry();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Write-offs
+-- ═══════════════════════════════════════════════════════════════════════════
+create table if not exists public.stock_write_offs (
+  id          bigint generated by default as identity primary key,
+  shop_id     bigint not null references public.shops (id),
+  lot_id      bigint not null references public.stock_lots (id) on delete cascade,
+  product_id  bigint not null references public.products (id) on delete cascade,
+  quantity    numeric not null check (quantity > 0),
+  unit_cost   numeric(12, 4) not null,
+  value       numeric(14, 2) not null,
+  reason      text   not null check (reason in ('expired', 'damaged')),
+  note        text,
+  user_id     bigint references public.users (id) on delete set null,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists stock_write_offs_shop_idx on public.stock_write_offs (shop_id, created_at desc);
+
+-- write_off_lots — take batches off the shelf in one transaction.
+--   p_lines   [{ lot_id, quantity? }] — quantity defaults to all that's left
+--   p_reason  'expired' | 'damaged'
+-- Only batches of the caller's own shop; any other lot_id is "not found".
+-- Returns { lines, quantity, value }.
+create or replace function public.write_off_lots(
+  p_lines   jsonb,
+  p_reason  text default 'expired',
+  p_note    text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shop   bigint := (select me.shop_id from public.users me where me.id = public.session_user_id());
+  v_line   record;
+  v_lot    public.stock_lots%rowtype;
+  v_qty    numeric;
+  v_id     bigint;
+  v_lines  integer := 0;
+  v_total  numeric := 0;
+  v_value  numeric := 0;
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to write off stock' using errcode = '42501';
+  end if;
+  if p_reason not in ('expired', 'damaged') then
+    raise exception 'Unknown write-off reason %', p_reason using errcode = '22023';
+  end if;
+  if p_lines is null or jsonb_array_length(p_lines) = 0 then
+    raise exception 'Nothing to write off' using errcode = '22023';
+  end if;
+
+  for v_line in
+    select (l ->> 'lot_id')::bigint as lot_id, (l ->> 'quantity')::numeric as quantity
+      from jsonb_array_elements(p_lines) l
+     order by (l ->> 'lot_id')::bigint
+  loop
+    select * into v_lot from public.stock_lots where id = v_line.lot_id and shop_id = v_shop for update;
+    if not found then
+      raise exception 'Batch % not found', v_line.lot_id using errcode = 'P0002';
+    end if;
+
+    v_qty := coalesce(v_line.quantity, v_lot.remaining_qty);
+    if v_qty <= 0 then continue; end if;
+    if v_qty > v_lot.remaining_qty then
+      raise exception 'Only % left in batch %', v_lot.remaining_qty, coalesce(v_lot.batch_number, v_lot.id::text)
+        using errcode = '22023';
+    end if;
+
+    update public.stock_lots
+       set remaining_qty = remaining_qty - v_qty, written_off_qty = written_off_qty + v_qty
+     where id = v_lot.id;
+
+    insert into public.stock_write_offs (shop_id, lot_id, product_id, quantity, unit_cost, value, reason, note, user_id)
+    values (v_lot.shop_id, v_lot.id, v_lot.product_id, v_qty, v_lot.unit_cost, round(v_qty * v_lot.unit_cost, 2),
+            p_reason, nullif(trim(p_note), ''), public.session_user_id())
+    returning id into v_id;
+
+    perform public.set_stock_context(case when p_reason = 'expired' then 'expiry' else 'damage' end,
+                                     'stock_write_off', v_id,
+                                     coalesce(nullif(trim(p_note), ''), 'Batch ' || coalesce(v_lot.batch_number, '#' || v_lot.id)));
+    update public.products set stock = greatest(coalesce(stock, 0) - v_qty, 0)
+     where id = v_lot.product_id and shop_id = v_lot.shop_id;
+
+    v_lines := v_lines + 1;
+    v_total := v_total + v_qty;
+    v_value := v_value + round(v_qty * v_lot.unit_cost, 2);
+  end loop;
+
+  return jsonb_build_object('lines', v_lines, 'quantity', v_total, 'value', v_value);
+end;
+$$;
+
+grant execute on function public.write_off_lots(jsonb, text, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- expiring_batches — open batches expired or expiring within p_days,
+-- soonest first
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.expiring_batches(p_shop_id bigint, p_days integer default 90)
+returns table (
+  lot_id         bigint,
+  product_id     bigint,
+  name           text,
+  category       text,
+  batch_number   text,
+  expiry_date    date,
+  days_left      integer,
+  remaining_qty  numeric,
+  unit_cost      numeric,
+  value          numeric,
+  source         text,
+  received_at    timestamptz
+)
+language sql
+stable
+as $$
+  select l.id, l.product_id, p.name::text, p.category::text, l.batch_number, l.expiry_date,
+         (l.expiry_date - current_date)::integer,
+         l.remaining_qty, l.unit_cost, round(l.remaining_qty * l.unit_cost, 2),
+         l.source, l.received_at
+    from public.stock_lots l
+    join public.products p on p.id = l.product_id
+   where l.shop_id = p_shop_id
+     and l.remaining_qty > 0
+     and l.expiry_date is not null
+     and l.expiry_date <= current_date + greatest(p_days, 0)
+   order by l.expiry_date, l.remaining_qty * l.unit_cost desc;
+$$;
+
+grant execute on function public.expiring_batches(bigint, integer) to anon, authenticated;
+
+-- Write-offs are recorded only by write_off_lots()
+alter table public.stock_write_offs enable row level security;
+drop policy if exists stock_write_offs_read on public.stock_write_offs;
+create policy stock_write_offs_read on public.stock_write_offs for select using (true);
@@ -0,0 +1,351 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Supplier accounts payable
+--
+-- What the shop owes each supplier, built from the documents that already
+-- exist rather than a second set of books:
+--
+--   + supplier orders     final_amount, once received
+--   + supply requests     agreed price × quantity, once received
+--   − supplier payments   (supplier_payments, recorded from the portal)
+--   − credit notes        returns, short deliveries, price corrections
+--
+-- A received document becomes an invoice: invoice_date defaults to the day
+-- it was received and due_date to that plus the supplier's credit terms
+-- (suppliers.payment_terms_days). Both can be edited to match the paper
+-- invoice.
+--
+-- supplier_ledger         every entry, signed: + owed, − settled
+-- supplier_open_items()   what is still unpaid on each invoice. Payments and
+--                         credits naming an invoice settle it first; the
+--                         rest settle the oldest invoices first.
+-- supplier_aging()        per supplier: balance, 0-30 / 31-60 / 61-90 / 90+
+--                         by invoice age, overdue and due within 7 days
+-- supplier_statement()    dated entries with a running balance
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.suppliers add column if not exists payment_terms_days integer not null default 30 check (payment_terms_days >= 0);
+alter table public.suppliers add column if not exists credit_limit       numeric check (credit_limit >= 0);
+
+alter table public.supplier_orders add column if not exists invoice_number text;
+alter table public.supplier_orders add column if not exists invoice_date   date;
+alter table public.supplier_orders add column if not exists due_date       date;
+
+alter table public.supply_requests add column if not exists invoice_number text;
+alter table public.supply_requests add column if not exists invoice_date   date;
+alter table public.supply_requests add column if not exists due_date       date;
+
+alter table public.supplier_payments add column if not exists request_id bigint references public.supply_requests (id) on delete set null;
+
+create table if not exists public.supplier_credit_notes (
+  id             bigserial primary key,
+  shop_id        bigint  not null references public.shops (id) on delete cascade,
+  supplier_id    bigint  not null references public.suppliers (id) on delete cascade,
+  order_id       bigint  references public.supplier_orders (id) on delete set null,
+  request_id     bigint  references public.supply_requests (id) on delete set null,
+  credit_number  text,
+  note_date      date    not null default current_date,
+  amount         numeric not null check (amount > 0),
+  reason         text,
+  created_by     bigint  references public.users (id),
+  created_at     timestamptz not null default now()
+);
+
+create index if not exists supplier_credit_notes_supplier_idx on public.supplier_credit_notes (shop_id, supplier_id, note_date);
+create index if not exists supplier_payments_supplier_idx     on public.supplier_payments (shop_id, supplier_id, payment_date);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Invoice and due dates — set when goods are received, unless already given
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.supplier_document_due_date()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.invoice_date is null and new.received_at is not null then
+    new.invoice_date := new.received_at::date;
+  end if;
+  if new.due_date is null and new.invoice_date is not null then
+    new.due_date := new.invoice_date + coalesce(
+      (select s.payment_terms_days from public.suppliers s where s.id = new.supplier_id), 30);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists supplier_orders_due_date on public.supplier_orders;
+create trigger supplier_orders_due_date
+  before insert or update of received_at, invoice_date, due_date on public.supplier_orders
+  for each row execute function public.supplier_document_due_date();
+
+drop trigger if exists supply_requests_due_date on public.supply_requests;
+create trigger supply_requests_due_date
+  before insert or update of received_at, invoice_date, due_date on public.supply_requests
+  for each row execute function public.supplier_document_due_date();
+
+-- Documents already received become invoices dated the day they arrived
+update public.supplier_orders set invoice_date = received_at::date where received_at is not null and invoice_date is null;
+update public.supply_requests set invoice_date = received_at::date where received_at is not null and invoice_date is null;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- supplier_payables — received documents, i.e. the supplier's invoices
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace view public.supplier_payables
+with (security_invoker = true)
+as
+  select 'supplier_order'::text as doc_type, o.id as doc_id, o.shop_id, o.supplier_id,
+         coalesce(o.invoice_number, o.order_number)::text as reference,
+         o.invoice_date, o.due_date, coalesce(o.final_amount, 0)::numeric as amount
+    from public.supplier_orders o
+   where o.invoice_date is not null and o.supplier_id is not null
+  union all
+  select 'supply_request', r.id, r.shop_id, r.supplier_id,
+         coalesce(r.invoice_number, r.request_number)::text,
+         r.invoice_date, r.due_date,
+         coalesce((select sum(coalesce(i.received_quantity, i.approved_quantity, i.requested_quantity) * coalesce(i.unit_price, 0))
+                     from public.supply_request_items i
+                    where i.request_id = r.id), 0)::numeric
+    from public.supply_requests r
+   where r.invoice_date is not null and r.supplier_id is not null;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- supplier_ledger — invoices (+), payments and credit notes (−)
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace view public.supplier_ledger
+with (security_invoker = true)
+as
+  select d.shop_id, d.supplier_id, d.invoice_date as entry_date, d.doc_type as kind, d.doc_id as entry_id,
+         d.reference, d.due_date, d.amount,
+         null::text as applies_to_type, null::bigint as applies_to_id, null::text as note,
+         0 as sort_order
+    from public.supplier_payables d
+  union all
+  select p.shop_id, p.supplier_id, p.payment_date::date, 'payment', p.id,
+         coalesce(p.reference_number, p.invoice_number)::text, null::date, -p.amount,
+         case when p.order_id is not null then 'supplier_order' when p.request_id is not null then 'supply_request' end,
+         coalesce(p.order_id, p.request_id),
+         concat_ws(' · ', p.payment_method, p.notes),
+         1
+    from public.supplier_payments p
+  union all
+  select c.shop_id, c.supplier_id, c.note_date, 'credit_note', c.id,
+         c.credit_number, null::date, -c.amount,
+         case when c.order_id is not null then 'supplier_order' when c.request_id is not null then 'supply_request' end,
+         coalesce(c.order_id, c.request_id),
+         c.reason,
+         2
+    from public.supplier_credit_notes c;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- supplier_open_items — unpaid invoices as at p_as_of
+--
+-- Settlements naming an invoice go to it first. Everything else — payments
+-- on account, prepayments against orders not yet received, overpayments —
+-- forms a pool that clears the oldest invoices first.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.supplier_open_items(
+  p_shop_id      bigint,
+  p_supplier_id  bigint default null,
+  p_as_of        date   default current_date
+)
+returns table (
+  supplier_id   bigint,
+  doc_type      text,
+  doc_id        bigint,
+  reference     text,
+  invoice_date  date,
+  due_date      date,
+  amount        numeric,
+  open_amount   numeric,
+  age_days      integer,
+  days_overdue  integer
+)
+language sql
+stable
+as $$
+  with entries as (
+    select * from public.supplier_ledger l
+     where l.shop_id = p_shop_id
+       and (p_supplier_id is null or l.supplier_id = p_supplier_id)
+       and l.entry_date <= p_as_of
+  ),
+  docs as (
+    select e.supplier_id, e.kind as doc_type, e.entry_id as doc_id, e.reference, e.entry_date as invoice_date,
+           e.due_date, e.amount,
+           e.amount + coalesce((select sum(s.amount) from entries s
+                                 where s.applies_to_type = e.kind and s.applies_to_id = e.entry_id), 0) as after_linked
+      from entries e
+     where e.sort_order = 0
+  ),
+  pool as (
+    select x.supplier_id, sum(x.amount) as amount
+      from (
+        select s.supplier_id, -s.amount as amount
+          from entries s
+         where s.sort_order > 0
+           and not exists (select 1 from docs d where d.doc_type = s.applies_to_type and d.doc_id = s.applies_to_id)
+        union all
+        select d.supplier_id, -d.after_linked from docs d where d.after_linked < 0
+      ) x
+     group by x.supplier_id
+  ),
+  ranked as (
+    select d.*, greatest(d.after_linked, 0) as open_before,
+           sum(greatest(d.after_linked, 0)) over (partition by d.supplier_id
+                                                  order by d.invoice_date, d.doc_type, d.doc_id) as running
+      from docs d
+  ),
+  settled as (
+    select r.*, least(greatest(r.running - coalesce(p.amount, 0), 0), r.open_before) as still_open
+      from ranked r
+      left join pool p on p.supplier_id = r.supplier_id
+  )
+  select s.supplier_id, s.doc_type, s.doc_id, s.reference, s.invoice_date, s.due_date, s.amount,
+         round(s.still_open, 2),
+         (p_as_of - s.invoice_date),
+         case when s.due_date < p_as_of then p_as_of - s.due_date else 0 end
+    from settled s
+   where s.still_open > 0.005
+   order by s.supplier_id, s.invoice_date, s.doc_id;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- supplier_aging — one row per supplier with a balance or open invoices
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.supplier_aging(
+  p_shop_id  bigint,
+  p_as_of    date default current_date
+)
+returns table (
+  supplier_id         bigint,
+  supplier_name       text,
+  payment_terms_days  integer,
+  credit_limit        numeric,
+  balance             numeric,
+  age_0_30            numeric,
+  age_31_60           numeric,
+  age_61_90           numeric,
+  age_90_plus         numeric,
+  overdue             numeric,
+  due_soon            numeric,
+  next_due_date       date,
+  open_invoices       integer
+)
+language sql
+stable
+as $$
+  with items as (
+    select * from public.supplier_open_items(p_shop_id, null, p_as_of)
+  ),
+  balances as (
+    select l.supplier_id, sum(l.amount) as balance
+      from public.supplier_ledger l
+     where l.shop_id = p_shop_id and l.entry_date <= p_as_of
+     group by l.supplier_id
+  )
+  select s.id, s.name::text, s.payment_terms_days, s.credit_limit,
+         round(coalesce(b.balance, 0), 2),
+         coalesce(sum(i.open_amount) filter (where i.age_days <= 30), 0),
+         coalesce(sum(i.open_amount) filter (where i.age_days between 31 and 60), 0),
+         coalesce(sum(i.open_amount) filter (where i.age_days between 61 and 90), 0),
+         coalesce(sum(i.open_amount) filter (where i.age_days > 90), 0),
+         coalesce(sum(i.open_amount) filter (where i.due_date < p_as_of), 0),
+         coalesce(sum(i.open_amount) filter (where i.due_date between p_as_of and p_as_of + 7), 0),
+         min(i.due_date) filter (where i.due_date >= p_as_of),
+         count(i.doc_id)::integer
+    from public.suppliers s
+    left join balances b on b.supplier_id = s.id
+    left join items i    on i.supplier_id = s.id
+   where s.shop_id = p_shop_id
+   group by s.id, s.name, s.payment_terms_days, s.credit_limit, b.balance
+  having round(coalesce(b.balance, 0), 2) <> 0 or count(i.doc_id) > 0
+   order by coalesce(sum(i.open_amount) filter (where i.due_date < p_as_of), 0) desc, s.name;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- supplier_statement — opening balance, then each entry in the period with
+-- the balance after it
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.supplier_statement(
+  p_supplier_id  bigint,
+  p_from         date,
+  p_to           date default current_date
+)
+returns table (
+  entry_date  date,
+  kind        text,
+  entry_id    bigint,
+  reference   text,
+  note        text,
+  due_date    date,
+  charge      numeric,
+  settlement  numeric,
+  balance     numeric
+)
+language sql
+stable
+as $$
+  with opening as (
+    select coalesce(sum(l.amount), 0) as amount
+      from public.supplier_ledger l
+     where l.supplier_id = p_supplier_id and l.entry_date < p_from
+  ),
+  period as (
+    select l.*, row_number() over (order by l.entry_date, l.sort_order, l.entry_id) as seq
+      from public.supplier_ledger l
+     where l.supplier_id = p_supplier_id and l.entry_date between p_from and p_to
+  )
+  select x.entry_date, x.kind, x.entry_id, x.reference, x.note, x.due_date, x.charge, x.settlement, x.balance
+    from (
+      select 0::bigint as seq, p_from as entry_date, 'opening'::text as kind, null::bigint as entry_id,
+             null::text as reference, 'Balance brought forward'::text as note, null::date as due_date,
+             null::numeric as charge, null::numeric as settlement, round(o.amount, 2) as balance
+        from opening o
+      union all
+      select p.seq, p.entry_date, p.kind, p.entry_id, p.reference, p.note, p.due_date,
+             case when p.amount > 0 then p.amount end,
+             case when p.amount < 0 then -p.amount end,
+             round(o.amount + sum(p.amount) over (order by p.seq), 2)
+        from period p, opening o
+    ) x
+   order by x.seq;
+$$;
+
+grant select on public.supplier_payables, public.supplier_ledger to anon, authenticated;
+grant execute on function public.supplier_open_items(bigint, bigint, date) to anon, authenticated;
+grant execute on function public.supplier_aging(bigint, date)              to anon, authenticated;
+grant execute on function public.supplier_statement(bigint, date, date)    to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Row level security — anyone in the shop can read; recording payments and
+-- credit notes needs supply.manage
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['supplier_payments', 'supplier_credit_notes']
+  loop
+    if not exists (select 1 from pg_policies
+                    where schemaname = 'public' and tablename = t and permissive = 'PERMISSIVE') then
+      execute format('create policy shop_rls on public.%I using (true) with check (true)', t);
+    end if;
+    execute format('alter table public.%I enable row level security', t);
+  end loop;
+end;
+$$;
+
+drop policy if exists perm_supplier_payments_write on public.supplier_payments;
+create policy perm_supplier_payments_write on public.supplier_payments
+  as restrictive for insert with check (public.has_permission('supply.manage'));
+
+drop policy if exists perm_supplier_payments_delete on public.supplier_payments;
+create policy perm_supplier_payments_delete on public.supplier_payments
+  as restrictive for delete using (public.has_permission('supply.manage'));
+
+drop policy if exists perm_supplier_credit_notes_write on public.supplier_credit_notes;
+create policy perm_supplier_credit_notes_write on public.supplier_credit_notes
+  as restrictive for insert with check (public.has_permission('supply.manage'));
+
+drop policy if exists perm_supplier_credit_notes_delete on public.supplier_credit_notes;
+create policy perm_supplier_credit_notes_delete on public.supplier_credit_notes
+  as restrictive for delete using (public.has_permission('supply.manage'));
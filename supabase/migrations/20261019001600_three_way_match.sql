@@ -0,0 +1,417 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Three-way match: supply request ↔ delivery ↔ receipt
+--
+-- Each supply_request_items line already carries the three figures, they
+-- were just never compared:
+--
+--   ordered    approved_quantity (else requested_quantity), and the price
+--              the shop asked at — ordered_unit_price, kept from insert
+--              because the supplier's acceptance overwrites unit_price
+--   delivered  delivered_quantity from the supplier's delivery note, at
+--              unit_price — this is what the supplier bills
+--   received   received_quantity counted in by the shop, less
+--              rejected_quantity turned away at the door or failed at
+--              inspection
+--
+-- supply_request_match() lines them up. Anything the shop won't pay for —
+-- billed but never arrived, rejected, or charged above the ordered price —
+-- goes on a debit note (supply_debit_notes) raised by
+-- issue_supply_debit_note(), which the supplier sees and answers in the
+-- portal. Short deliveries against the order and over-deliveries are listed
+-- on the note for the record but carry no amount.
+--
+-- The supplier's invoice for a request (supplier_payables) is now what they
+-- delivered, not what the shop counted, and debit notes join the payables
+-- ledger — so invoice less debit note is what the shop actually owes.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.supply_request_items add column if not exists ordered_unit_price numeric;
+alter table public.supply_request_items add column if not exists rejected_quantity  numeric not null default 0 check (rejected_quantity >= 0);
+alter table public.supply_quality_inspections add column if not exists rejected_quantity numeric not null default 0 check (rejected_quantity >= 0);
+
+update public.supply_request_items set ordered_unit_price = unit_price where ordered_unit_price is null;
+
+create or replace function public.supply_request_items_ordered_price()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.ordered_unit_price := coalesce(new.ordered_unit_price, new.unit_price);
+  return new;
+end;
+$$;
+
+drop trigger if exists supply_request_items_ordered_price on public.supply_request_items;
+create trigger supply_request_items_ordered_price
+  before insert on public.supply_request_items
+  for each row execute function public.supply_request_items_ordered_price();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Debit notes
+-- ═══════════════════════════════════════════════════════════════════════════
+create table if not exists public.supply_debit_notes (
+  id                 bigint generated by default as identity primary key,
+  shop_id            bigint  not null references public.shops (id) on delete cascade,
+  supplier_id        bigint  references public.suppliers (id) on delete set null,
+  request_id         bigint  not null unique references public.supply_requests (id) on delete cascade,
+  note_number        text    not null,
+  note_date          date    not null default current_date,
+  amount             numeric(14, 2) not null default 0 check (amount >= 0),
+  status             text    not null default 'issued'
+                     check (status in ('issued', 'acknowledged', 'disputed', 'cancelled')),
+  supplier_response  text,
+  responded_by       bigint  references public.users (id) on delete set null,
+  responded_at       timestamptz,
+  issued_by          bigint  references public.users (id) on delete set null,
+  created_at         timestamptz not null default now(),
+  updated_at         timestamptz not null default now()
+);
+
+create table if not exists public.supply_debit_note_lines (
+  id              bigint generated by default as identity primary key,
+  note_id         bigint  not null references public.supply_debit_notes (id) on delete cascade,
+  item_id         bigint  references public.supply_request_items (id) on delete set null,
+  product_id      bigint  references public.products (id) on delete set null,
+  product_name    text,
+  issue           text    not null check (issue in ('shortage', 'rejected', 'price', 'short_delivery', 'overage')),
+  quantity        numeric not null default 0,
+  unit_price      numeric not null default 0,
+  expected_price  numeric,
+  amount          numeric(14, 2) not null default 0
+);
+
+create index if not exists supply_debit_notes_supplier_idx on public.supply_debit_notes (shop_id, supplier_id, status);
+create index if not exists supply_debit_note_lines_note_idx on public.supply_debit_note_lines (note_id);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- supply_request_match — one row per line with the three figures and what
+-- doesn't agree
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.supply_request_match(p_request_id bigint)
+returns table (
+  item_id          bigint,
+  product_id       bigint,
+  product_name     text,
+  ordered_qty      numeric,
+  delivered_qty    numeric,
+  received_qty     numeric,
+  rejected_qty     numeric,
+  accepted_qty     numeric,
+  ordered_price    numeric,
+  billed_price     numeric,
+  short_delivery   numeric,   -- ordered but not sent (backorder, not billed)
+  overage          numeric,   -- received beyond what was ordered
+  shortage         numeric,   -- billed but never arrived
+  price_variance   numeric,   -- billed unit price less ordered
+  debit_amount     numeric,
+  matched          boolean
+)
+language sql
+stable
+as $$
+  with lines as (
+    select i.id, i.product_id, i.product_name::text as product_name,
+           coalesce(i.approved_quantity, i.requested_quantity, 0)::numeric as ordered,
+           coalesce(i.delivered_quantity, i.approved_quantity, i.requested_quantity, 0)::numeric as delivered,
+           coalesce(i.received_quantity, 0)::numeric as received,
+           least(coalesce(i.rejected_quantity, 0), coalesce(i.received_quantity, 0))::numeric as rejected,
+           coalesce(i.ordered_unit_price, i.unit_price, 0)::numeric as ordered_price,
+           coalesce(i.unit_price, 0)::numeric as billed_price
+      from public.supply_request_items i
+     where i.request_id = p_request_id
+  ),
+  figures as (
+    select l.*,
+           l.received - l.rejected as accepted,
+           greatest(l.ordered - l.delivered, 0) as short_delivery,
+           greatest(l.received - l.ordered, 0) as overage,
+           greatest(l.delivered - l.received, 0) as shortage,
+           l.billed_price - l.ordered_price as price_variance
+      from lines l
+  )
+  select f.id, f.product_id, f.product_name, f.ordered, f.delivered, f.received, f.rejected, f.accepted,
+         f.ordered_price, f.billed_price, f.short_delivery, f.overage, f.shortage, f.price_variance,
+         round((f.shortage + f.rejected) * f.billed_price + f.accepted * greatest(f.price_variance, 0), 2),
+         f.short_delivery = 0 and f.overage = 0 and f.shortage = 0 and f.rejected = 0 and f.price_variance = 0
+    from figures f
+   order by f.id;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- issue_supply_debit_note — (re)write the request's debit note from the
+-- match. A note the supplier has already answered is left alone; one with
+-- nothing left to flag is cancelled. Returns the note, or null.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.issue_supply_debit_note(p_request_id bigint)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_request  public.supply_requests%rowtype;
+  v_note     public.supply_debit_notes%rowtype;
+  v_amount   numeric;
+  v_flags    integer;
+begin
+  if not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to raise debit notes' using errcode = '42501';
+  end if;
+
+  select * into v_request from public.supply_requests
+   where id = p_request_id
+     and shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id());
+  if not found then
+    raise exception 'Supply request % not found', p_request_id using errcode = 'P0002';
+  end if;
+  if v_request.received_at is null then
+    raise exception 'Supply request % has not been received yet', coalesce(v_request.request_number, p_request_id::text)
+      using errcode = '22023';
+  end if;
+
+  select * into v_note from public.supply_debit_notes where request_id = p_request_id for update;
+  if found and v_note.status in ('acknowledged', 'disputed') then
+    return to_jsonb(v_note);
+  end if;
+
+  select coalesce(sum(m.debit_amount), 0), count(*) filter (where not m.matched)
+    into v_amount, v_flags
+    from public.supply_request_match(p_request_id) m;
+
+  if v_flags = 0 then
+    if v_note.id is not null then
+      update public.supply_debit_notes set status = 'cancelled', amount = 0, updated_at = now()
+       where id = v_note.id returning * into v_note;
+      delete from public.supply_debit_note_lines where note_id = v_note.id;
+      return to_jsonb(v_note);
+    end if;
+    return null;
+  end if;
+
+  if v_note.id is null then
+    insert into public.supply_debit_notes (shop_id, supplier_id, request_id, note_number, amount, issued_by)
+    values (v_request.shop_id, v_request.supplier_id, p_request_id,
+            'DN-' || coalesce(v_request.request_number, p_request_id::text),
+            v_amount, public.session_user_id())
+    returning * into v_note;
+  else
+    update public.supply_debit_notes
+       set amount = v_amount, status = 'issued', note_date = current_date,
+           issued_by = public.session_user_id(), updated_at = now()
+     where id = v_note.id
+    returning * into v_note;
+    delete from public.supply_debit_note_lines where note_id = v_note.id;
+  end if;
+
+  insert into public.supply_debit_note_lines (note_id, item_id, product_id, product_name, issue, quantity, unit_price, expected_price, amount)
+  select v_note.id, m.item_id, m.product_id, m.product_name, x.issue, x.quantity, m.billed_price, x.expected, x.amount
+    from public.supply_request_match(p_request_id) m
+   cross join lateral (values
+     ('shortage',       m.shortage,       null::numeric,   round(m.shortage * m.billed_price, 2)),
+     ('rejected',       m.rejected_qty,   null::numeric,   round(m.rejected_qty * m.billed_price, 2)),
+     ('price',          m.accepted_qty,   m.ordered_price, round(m.accepted_qty * greatest(m.price_variance, 0), 2)),
+     ('short_delivery', m.short_delivery, null::numeric,   0::numeric),
+     ('overage',        m.overage,        null::numeric,   0::numeric)
+   ) as x(issue, quantity, expected, amount)
+   where (x.issue = 'price' and m.price_variance <> 0 and m.accepted_qty > 0)
+      or (x.issue <> 'price' and x.quantity > 0);
+
+  return to_jsonb(v_note);
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- reject_supply_items — goods failed inspection after they were booked in:
+-- they go back to the supplier, out of the request's own stock lots
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.reject_supply_items(
+  p_item_id   bigint,
+  p_quantity  numeric,
+  p_note      text default null
+)
+returns numeric
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_item     public.supply_request_items%rowtype;
+  v_request  public.supply_requests%rowtype;
+  v_left     numeric;
+  v_take     numeric;
+  v_lot      record;
+begin
+  if not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to reject deliveries' using errcode = '42501';
+  end if;
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'Quantity must be greater than zero' using errcode = '22023';
+  end if;
+
+  select i.* into v_item
+    from public.supply_request_items i
+    join public.supply_requests r on r.id = i.request_id
+   where i.id = p_item_id
+     and r.shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id())
+     for update of i;
+  if not found then
+    raise exception 'Supply request line % not found', p_item_id using errcode = 'P0002';
+  end if;
+  select * into v_request from public.supply_requests where id = v_item.request_id;
+
+  if p_quantity > coalesce(v_item.received_quantity, 0) - v_item.rejected_quantity then
+    raise exception 'Only % of % were accepted', coalesce(v_item.received_quantity, 0) - v_item.rejected_quantity,
+      coalesce(v_item.product_name, 'this line') using errcode = '22023';
+  end if;
+
+  update public.supply_request_items set rejected_quantity = rejected_quantity + p_quantity where id = p_item_id;
+
+  -- Take them back out of what this request put on the shelf
+  if v_item.product_id is not null then
+    v_left := p_quantity;
+    for v_lot in
+      select id, remaining_qty from public.stock_lots
+       where source = 'supply_request' and source_id = v_item.request_id
+         and product_id = v_item.product_id and remaining_qty > 0
+       order by id
+       for update
+    loop
+      exit when v_left <= 0;
+      v_take := least(v_left, v_lot.remaining_qty);
+      update public.stock_lots set remaining_qty = remaining_qty - v_take where id = v_lot.id;
+      v_left := v_left - v_take;
+    end loop;
+
+    perform public.set_stock_context('adjustment', 'supply_request', v_item.request_id,
+                                     coalesce(nullif(trim(p_note), ''), 'Rejected at inspection'));
+    update public.products set stock = greatest(coalesce(stock, 0) - p_quantity, 0)
+     where id = v_item.product_id and shop_id = v_request.shop_id;
+  end if;
+
+  return v_item.rejected_quantity + p_quantity;
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- respond_supply_debit_note — the supplier accepts or disputes a note;
+-- the shop can also withdraw one. Only notes of the caller's own shop.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.respond_supply_debit_note(
+  p_note_id   bigint,
+  p_status    text,
+  p_response  text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_note public.supply_debit_notes%rowtype;
+begin
+  if p_status not in ('acknowledged', 'disputed', 'cancelled') then
+    raise exception 'Unknown response %', p_status using errcode = '22023';
+  end if;
+  if p_status = 'cancelled' and not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to withdraw debit notes' using errcode = '42501';
+  end if;
+  if p_status <> 'cancelled' and not public.has_permission('suppliers.view') then
+    raise exception 'You do not have permission to answer debit notes' using errcode = '42501';
+  end if;
+  if p_status = 'disputed' and nullif(trim(p_response), '') is null then
+    raise exception 'Say what is wrong with the note' using errcode = '22023';
+  end if;
+
+  update public.supply_debit_notes
+     set status = p_status,
+         supplier_response = case when p_status = 'cancelled' then supplier_response
+                                  else nullif(trim(p_response), '') end,
+         responded_by = case when p_status = 'cancelled' then responded_by else public.session_user_id() end,
+         responded_at = case when p_status = 'cancelled' then responded_at else now() end,
+         updated_at = now()
+   where id = p_note_id and status <> 'cancelled'
+     and shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id())
+  returning * into v_note;
+
+  if not found then
+    raise exception 'Debit note % not found or already withdrawn', p_note_id using errcode = 'P0002';
+  end if;
+  return to_jsonb(v_note);
+end;
+$$;
+
+grant execute on function public.supply_request_match(bigint)                   to anon, authenticated;
+grant execute on function public.issue_supply_debit_note(bigint)                to anon, authenticated;
+grant execute on function public.reject_supply_items(bigint, numeric, text)     to anon, authenticated;
+grant execute on function public.respond_supply_debit_note(bigint, text, text)  to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Payables: bill what was delivered, and let debit notes settle it
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace view public.supplier_payables
+with (security_invoker = true)
+as
+  select 'supplier_order'::text as doc_type, o.id as doc_id, o.shop_id, o.supplier_id,
+         coalesce(o.invoice_number, o.order_number)::text as reference,
+         o.invoice_date, o.due_date, coalesce(o.final_amount, 0)::numeric as amount
+    from public.supplier_orders o
+   where o.invoice_date is not null and o.supplier_id is not null
+  union all
+  select 'supply_request', r.id, r.shop_id, r.supplier_id,
+         coalesce(r.invoice_number, r.request_number)::text,
+         r.invoice_date, r.due_date,
+         coalesce((select sum(coalesce(i.delivered_quantity, i.received_quantity, i.approved_quantity, i.requested_quantity)
+                              * coalesce(i.unit_price, 0))
+                     from public.supply_request_items i
+                    where i.request_id = r.id), 0)::numeric
+    from public.supply_requests r
+   where r.invoice_date is not null and r.supplier_id is not null;
+
+create or replace view public.supplier_ledger
+with (security_invoker = true)
+as
+  select d.shop_id, d.supplier_id, d.invoice_date as entry_date, d.doc_type as kind, d.doc_id as entry_id,
+         d.reference, d.due_date, d.amount,
+         null::text as applies_to_type, null::bigint as applies_to_id, null::text as note,
+         0 as sort_order
+    from public.supplier_payables d
+  union all
+  select p.shop_id, p.supplier_id, p.payment_date::date, 'payment', p.id,
+         coalesce(p.reference_number, p.invoice_number)::text, null::date, -p.amount,
+         case when p.order_id is not null then 'supplier_order' when p.request_id is not null then 'supply_request' end,
+         coalesce(p.order_id, p.request_id),
+         concat_ws(' · ', p.payment_method, p.notes),
+         1
+    from public.supplier_payments p
+  union all
+  select c.shop_id, c.supplier_id, c.note_date, 'credit_note', c.id,
+         c.credit_number, null::date, -c.amount,
+         case when c.order_id is not null then 'supplier_order' when c.request_id is not null then 'supply_request' end,
+         coalesce(c.order_id, c.request_id),
+         c.reason,
+         2
+    from public.supplier_credit_notes c
+  union all
+  select n.shop_id, n.supplier_id, n.note_date, 'debit_note', n.id,
+         n.note_number, null::date, -n.amount,
+         'supply_request', n.request_id,
+         case when n.status = 'disputed' then 'Disputed: ' || coalesce(n.supplier_response, '') else 'Three-way match' end,
+         3
+    from public.supply_debit_notes n
+   where n.status <> 'cancelled' and n.amount > 0 and n.supplier_id is not null;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Row level security — read-only; written through the functions above
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['supply_debit_notes', 'supply_debit_note_lines']
+  loop
+    execute format('alter table public.%I enable row level security', t);
+    execute format('drop policy if exists %I on public.%I', t || '_read', t);
+    execute format('create policy %I on public.%I for select using (true)', t || '_read', t);
+  end loop;
+end;
+$$;
@@ -0,0 +1,361 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Supplier portal with scoped supplier logins
+--
+-- A supplier login is a users row with role 'supplier'. supplier_user_links
+-- ties it to the suppliers rows it speaks for — one per shop it serves, so
+-- a single login can work for several shops.
+--
+-- session_supplier_ids() is null for everyone else. For a supplier session
+-- it is the linked supplier ids (empty when not linked yet), and the
+-- restrictive supplier_scope policies below hide every request, order,
+-- message, document, price update, debit note and product belonging to
+-- anyone else.
+-- Staff sessions (session_is_staff()) are unaffected; a request with no
+-- session at all sees none of these rows.
+--
+-- Suppliers may move their own requests and orders along (accept, reject,
+-- ship, deliver) but not re-address them, re-price an order or touch the
+-- shop's receiving and payment fields — guarded by a trigger, since a
+-- policy can't see which columns changed.
+--
+-- The supplier-facing pages move to supplier-portal.html (new
+-- supplier.portal permission); suppliers.html becomes the shop's own
+-- supplier page, so suppliers.view is now a manager permission.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+create table if not exists public.supplier_user_links (
+  user_id      bigint not null references public.users (id) on delete cascade,
+  supplier_id  bigint not null references public.suppliers (id) on delete cascade,
+  linked_by    bigint references public.users (id) on delete set null,
+  created_at   timestamptz not null default now(),
+  primary key (user_id, supplier_id)
+);
+
+create index if not exists supplier_user_links_supplier_idx on public.supplier_user_links (supplier_id);
+
+-- Logins already pointed at a supplier through users.supplier_id keep it
+do $$
+begin
+  if exists (select 1 from information_schema.columns
+              where table_schema = 'public' and table_name = 'users' and column_name = 'supplier_id') then
+    execute $sql$
+      insert into public.supplier_user_links (user_id, supplier_id)
+      select u.id, u.supplier_id
+        from public.users u
+        join public.suppliers s on s.id = u.supplier_id
+       where u.role = 'supplier'
+      on conflict do nothing
+    $sql$;
+  end if;
+end;
+$$;
+
+insert into public.permissions (key, label, category, default_roles) values
+  ('suppliers.view',  'View suppliers, balances and debit notes',       'Inventory', '{manager}'),
+  ('supplier.portal', 'Use the supplier portal (supplier logins)',      'Inventory', '{supplier}')
+on conflict (key) do update
+  set label = excluded.label, category = excluded.category, default_roles = excluded.default_roles;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- session_supplier_ids — suppliers the caller speaks for; null if the
+-- caller isn't a supplier login
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.session_supplier_ids()
+returns bigint[]
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case when u.role = 'supplier'
+              then coalesce((select array_agg(l.supplier_id) from public.supplier_user_links l where l.user_id = u.id),
+                            '{}'::bigint[])
+         end
+    from public.users u
+   where u.id = public.session_user_id();
+$$;
+
+grant execute on function public.session_supplier_ids() to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- session_is_staff — the request carries a signed-in session that isn't a
+-- supplier login. False without a session, so the supplier_scope policies
+-- below never open up to an anonymous request.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.session_is_staff()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.session_user_id() is not null and public.session_supplier_ids() is null;
+$$;
+
+grant execute on function public.session_is_staff() to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Row level security
+--
+-- Tables without a permissive policy get the usual open shop_rls first,
+-- so turning RLS on doesn't lock staff out. Tables a deployment never
+-- created (older schemas lack some of the supply tables) are skipped.
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['suppliers', 'supply_requests', 'supply_request_items', 'supply_request_messages',
+                           'supply_request_documents', 'supply_request_activity', 'supply_deliveries',
+                           'supplier_orders', 'supplier_order_items', 'order_messages',
+                           'supplier_product_updates', 'supplier_payments', 'supplier_user_links']
+  loop
+    continue when to_regclass(format('public.%I', t)) is null;
+    if not exists (select 1 from pg_policies
+                    where schemaname = 'public' and tablename = t and permissive = 'PERMISSIVE') then
+      execute format('create policy shop_rls on public.%I using (true) with check (true)', t);
+    end if;
+    execute format('alter table public.%I enable row level security', t);
+  end loop;
+end;
+$$;
+
+-- Tables that name the supplier directly
+do $$
+declare
+  t   text;
+  col text;
+begin
+  for t, col in
+    select * from (values ('suppliers', 'id'), ('supply_requests', 'supplier_id'), ('supplier_orders', 'supplier_id'),
+                          ('supplier_product_updates', 'supplier_id'), ('supplier_payments', 'supplier_id'),
+                          ('supply_debit_notes', 'supplier_id'), ('supplier_user_links', 'supplier_id')) v(t, col)
+  loop
+    continue when to_regclass(format('public.%I', t)) is null;
+    execute format('drop policy if exists supplier_scope on public.%I', t);
+    execute format($p$create policy supplier_scope on public.%I as restrictive
+                        using (public.session_is_staff() or %I = any (public.session_supplier_ids()))
+                        with check (public.session_is_staff() or %I = any (public.session_supplier_ids()))$p$,
+                   t, col, col);
+  end loop;
+end;
+$$;
+
+-- Tables that hang off a supply request
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['supply_request_items', 'supply_request_messages', 'supply_request_documents',
+                           'supply_request_activity', 'supply_deliveries']
+  loop
+    continue when to_regclass(format('public.%I', t)) is null;
+    execute format('drop policy if exists supplier_scope on public.%I', t);
+    execute format($p$create policy supplier_scope on public.%I as restrictive
+                        using (public.session_is_staff() or exists (
+                          select 1 from public.supply_requests r
+                           where r.id = request_id and r.supplier_id = any (public.session_supplier_ids())))
+                        with check (public.session_is_staff() or exists (
+                          select 1 from public.supply_requests r
+                           where r.id = request_id and r.supplier_id = any (public.session_supplier_ids())))$p$, t);
+  end loop;
+end;
+$$;
+
+-- … and off a supplier order
+do $$
+declare
+  t text;
+begin
+  foreach t in array array['supplier_order_items', 'order_messages']
+  loop
+    continue when to_regclass(format('public.%I', t)) is null;
+    execute format('drop policy if exists supplier_scope on public.%I', t);
+    execute format($p$create policy supplier_scope on public.%I as restrictive
+                        using (public.session_is_staff() or exists (
+                          select 1 from public.supplier_orders o
+                           where o.id = order_id and o.supplier_id = any (public.session_supplier_ids())))
+                        with check (public.session_is_staff() or exists (
+                          select 1 from public.supplier_orders o
+                           where o.id = order_id and o.supplier_id = any (public.session_supplier_ids())))$p$, t);
+  end loop;
+end;
+$$;
+
+drop policy if exists supplier_scope on public.supply_debit_note_lines;
+create policy supplier_scope on public.supply_debit_note_lines as restrictive
+  using (public.session_is_staff() or exists (
+    select 1 from public.supply_debit_notes n
+     where n.id = note_id and n.supplier_id = any (public.session_supplier_ids())));
+
+-- Suppliers only see the products they supply — the ones they can send
+-- price updates for
+drop policy if exists supplier_scope on public.products;
+create policy supplier_scope on public.products as restrictive
+  using (public.session_is_staff() or preferred_supplier_id = any (public.session_supplier_ids()));
+
+-- Suppliers read their links but only the shop makes them
+drop policy if exists perm_supplier_user_links_write on public.supplier_user_links;
+create policy perm_supplier_user_links_write on public.supplier_user_links
+  as restrictive for insert with check (public.has_permission('supply.manage'));
+
+drop policy if exists perm_supplier_user_links_delete on public.supplier_user_links;
+create policy perm_supplier_user_links_delete on public.supplier_user_links
+  as restrictive for delete using (public.has_permission('supply.manage'));
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- What a supplier may change on a request or order
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.guard_supplier_document_update()
+returns trigger
+language plpgsql
+as $$
+begin
+  if public.session_supplier_ids() is null then
+    return new;
+  end if;
+
+  if new.shop_id is distinct from old.shop_id or new.supplier_id is distinct from old.supplier_id
+     or new.received_at is distinct from old.received_at
+     or new.invoice_date is distinct from old.invoice_date or new.due_date is distinct from old.due_date then
+    raise exception 'Suppliers cannot re-address a document or change how it was received' using errcode = '42501';
+  end if;
+
+  if new.status is distinct from old.status
+     and new.status not in ('accepted', 'rejected', 'processing', 'shipped', 'delivered') then
+    raise exception 'Suppliers cannot set a document to %', new.status using errcode = '42501';
+  end if;
+
+  if tg_table_name = 'supplier_orders'
+     and (new.final_amount is distinct from old.final_amount
+          or new.total_amount is distinct from old.total_amount
+          or new.payment_status is distinct from old.payment_status) then
+    raise exception 'Suppliers cannot change an order''s amounts or payment status' using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists supply_requests_supplier_guard on public.supply_requests;
+create trigger supply_requests_supplier_guard
+  before update on public.supply_requests
+  for each row execute function public.guard_supplier_document_update();
+
+drop trigger if exists supplier_orders_supplier_guard on public.supplier_orders;
+create trigger supplier_orders_supplier_guard
+  before update on public.supplier_orders
+  for each row execute function public.guard_supplier_document_update();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Debit notes are answered by the supplier they were raised against, and
+-- withdrawn only by the shop that raised them
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.respond_supply_debit_note(
+  p_note_id   bigint,
+  p_status    text,
+  p_response  text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_note public.supply_debit_notes%rowtype;
+begin
+  if p_status not in ('acknowledged', 'disputed', 'cancelled') then
+    raise exception 'Unknown response %', p_status using errcode = '22023';
+  end if;
+  if p_status = 'cancelled' and not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to withdraw debit notes' using errcode = '42501';
+  end if;
+  if p_status <> 'cancelled' and not public.has_permission('supplier.portal') then
+    raise exception 'Only the supplier can answer a debit note' using errcode = '42501';
+  end if;
+  if p_status = 'disputed' and nullif(trim(p_response), '') is null then
+    raise exception 'Say what is wrong with the note' using errcode = '22023';
+  end if;
+
+  update public.supply_debit_notes
+     set status = p_status,
+         supplier_response = case when p_status = 'cancelled' then supplier_response
+                                  else nullif(trim(p_response), '') end,
+         responded_by = case when p_status = 'cancelled' then responded_by else public.session_user_id() end,
+         responded_at = case when p_status = 'cancelled' then responded_at else now() end,
+         updated_at = now()
+   where id = p_note_id and status <> 'cancelled'
+     and case when p_status = 'cancelled'
+              then shop_id = (select me.shop_id from public.users me where me.id = public.session_user_id())
+              else supplier_id = any (coalesce(public.session_supplier_ids(), '{}'))
+         end
+  returning * into v_note;
+
+  if not found then
+    raise exception 'Debit note % not found or already withdrawn', p_note_id using errcode = 'P0002';
+  end if;
+  return to_jsonb(v_note);
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Portal logins — the shop links a supplier login (from any shop) to one
+-- of its suppliers
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.supplier_logins(p_shop_id bigint)
+returns table (
+  supplier_id  bigint,
+  user_id      bigint,
+  username     text,
+  full_name    text,
+  linked_at    timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select l.supplier_id, u.id, u.username::text, u.full_name::text, l.created_at
+    from public.supplier_user_links l
+    join public.suppliers s on s.id = l.supplier_id
+    join public.users u     on u.id = l.user_id
+   where s.shop_id = p_shop_id
+     and public.has_permission('suppliers.view')
+   order by l.supplier_id, u.full_name;
+$$;
+
+create or replace function public.link_supplier_login(p_supplier_id bigint, p_username text)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user public.users%rowtype;
+begin
+  if not public.has_permission('supply.manage') then
+    raise exception 'You do not have permission to manage supplier logins' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.suppliers s join public.users me on me.id = public.session_user_id()
+                  where s.id = p_supplier_id and s.shop_id = me.shop_id) then
+    raise exception 'Supplier % is not one of your shop''s suppliers', p_supplier_id using errcode = 'P0002';
+  end if;
+
+  select * into v_user from public.users where lower(username) = lower(trim(p_username)) limit 1;
+  if not found then
+    raise exception 'No login called %', p_username using errcode = 'P0002';
+  end if;
+  if v_user.role <> 'supplier' then
+    raise exception '% is not a supplier login', p_username using errcode = '22023';
+  end if;
+
+  insert into public.supplier_user_links (user_id, supplier_id, linked_by)
+  values (v_user.id, p_supplier_id, public.session_user_id())
+  on conflict do nothing;
+
+  return v_user.id;
+end;
+$$;
+
+grant execute on function public.supplier_logins(bigint)             to anon, authenticated;
+grant execute on function public.link_supplier_login(bigint, text)   to anon, authenticated;
@@ -0,0 +1,322 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Supplier price updates: review queue, markup rule and price history
+--
+-- Suppliers propose new costs from the portal (supplier_product_updates,
+-- update_type 'price_change'). The shop reviews them in inventory.html:
+-- price_update_queue() shows the cost change, the margin the product would
+-- be left with at its current selling price and a suggested new selling
+-- price under the shop's markup rule (shops.price_markup_rule):
+--   keep_margin  scale the selling price with the cost, so the margin %
+--                stays what it is today (default)
+--   markup       cost plus shops.price_markup_pct
+--   keep_price   leave the selling price alone
+-- then rounded up to shops.price_rounding (e.g. the next 5 shillings).
+--
+-- approve_supplier_price_update() writes the new cost (and the selling
+-- price the reviewer settled on) to the product; reject_… records why.
+-- Every cost or selling price change, from here or the product form, lands
+-- in product_price_history through a trigger, labelled the same way stock
+-- movements are (see 20261019001100_stock_movements.sql).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.shops
+  add column if not exists price_markup_rule text          not null default 'keep_margin',
+  add column if not exists price_markup_pct  numeric(6, 2) not null default 30,
+  add column if not exists price_rounding    numeric(10, 2) not null default 1;
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'shops_price_markup_rule_check') then
+    alter table public.shops
+      add constraint shops_price_markup_rule_check check (price_markup_rule in ('keep_margin', 'markup', 'keep_price'));
+  end if;
+end $$;
+
+alter table public.supplier_product_updates
+  add column if not exists reviewed_by   bigint references public.users (id) on delete set null,
+  add column if not exists reviewed_at   timestamptz,
+  add column if not exists review_note   text,
+  add column if not exists applied_price numeric(12, 2);
+
+create table if not exists public.product_price_history (
+  id          bigint generated by default as identity primary key,
+  shop_id     bigint not null references public.shops (id),
+  product_id  bigint not null references public.products (id) on delete cascade,
+  source      text   not null default 'manual' check (source in ('manual', 'supplier_update')),
+  ref_id      bigint,
+  old_cost    numeric(12, 2),
+  new_cost    numeric(12, 2),
+  old_price   numeric(12, 2),
+  new_price   numeric(12, 2),
+  note        text,
+  user_id     bigint references public.users (id) on delete set null,
+  created_at  timestamptz not null default now()
+);
+
+create index if not exists product_price_history_product_idx on public.product_price_history (product_id, created_at desc);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- The history trigger. Callers label a change with duka.price_source /
+-- duka.price_ref_id / duka.price_note (set_config … true); anything
+-- unlabelled is a manual edit.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.products_log_price_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.cost is not distinct from old.cost and new.price is not distinct from old.price then
+    return null;
+  end if;
+
+  insert into public.product_price_history (shop_id, product_id, source, ref_id, old_cost, new_cost,
+                                            old_price, new_price, note, user_id)
+  values (new.shop_id, new.id,
+          coalesce(nullif(current_setting('duka.price_source', true), ''), 'manual'),
+          nullif(current_setting('duka.price_ref_id', true), '')::bigint,
+          old.cost, new.cost, old.price, new.price,
+          nullif(current_setting('duka.price_note', true), ''),
+          public.session_user_id());
+  return null;
+end;
+$$;
+
+drop trigger if exists products_log_price_change on public.products;
+create trigger products_log_price_change
+  after update of cost, price on public.products
+  for each row execute function public.products_log_price_change();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- suggested_selling_price — the shop's markup rule applied to a new cost
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.suggested_selling_price(
+  p_shop_id  bigint,
+  p_old_cost numeric,
+  p_new_cost numeric,
+  p_price    numeric
+)
+returns numeric
+language sql
+stable
+as $$
+  select case when s.price_rounding > 0 then ceil(x.raw / s.price_rounding) * s.price_rounding else round(x.raw, 2) end
+    from public.shops s
+    cross join lateral (
+      select case
+               when s.price_markup_rule = 'keep_price' then p_price
+               when s.price_markup_rule = 'keep_margin' and coalesce(p_old_cost, 0) > 0 and coalesce(p_price, 0) > 0
+                 then p_price * p_new_cost / p_old_cost
+               else p_new_cost * (1 + s.price_markup_pct / 100)
+             end as raw
+    ) x
+   where s.id = p_shop_id;
+$$;
+
+grant execute on function public.suggested_selling_price(bigint, numeric, numeric, numeric) to anon, authenticated;
+
+create or replace function public.set_price_markup_rule(
+  p_shop_id  bigint,
+  p_rule     text,
+  p_pct      numeric,
+  p_rounding numeric
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to change the markup rule' using errcode = '42501';
+  end if;
+  update public.shops
+     set price_markup_rule = p_rule,
+         price_markup_pct  = greatest(coalesce(p_pct, 0), 0),
+         price_rounding    = greatest(coalesce(p_rounding, 0), 0)
+   where id = p_shop_id;
+end;
+$$;
+
+grant execute on function public.set_price_markup_rule(bigint, text, numeric, numeric) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- price_update_queue — supplier price changes with their margin impact.
+-- Margins are % of the selling price, measured against the product's cost
+-- today (the supplier's old_value may be out of date).
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.price_update_queue(p_shop_id bigint, p_status text default 'pending')
+returns table (
+  update_id        bigint,
+  supplier_id      bigint,
+  supplier_name    text,
+  product_id       bigint,
+  product_name     text,
+  current_cost     numeric,
+  proposed_cost    numeric,
+  cost_change_pct  numeric,
+  current_price    numeric,
+  margin_now       numeric,
+  margin_after     numeric,
+  suggested_price  numeric,
+  suggested_margin numeric,
+  effective_date   date,
+  details          text,
+  status           text,
+  created_at       timestamptz,
+  reviewed_at      timestamptz,
+  reviewer_name    text,
+  review_note      text,
+  applied_price    numeric
+)
+language sql
+stable
+as $$
+  select u.id, u.supplier_id, s.name::text, u.product_id, coalesce(p.name, u.product_name)::text,
+         p.cost, x.new_cost,
+         case when coalesce(p.cost, 0) > 0 then round((x.new_cost - p.cost) / p.cost * 100, 1) end,
+         p.price,
+         case when coalesce(p.price, 0) > 0 then round((p.price - coalesce(p.cost, 0)) / p.price * 100, 1) end,
+         case when coalesce(p.price, 0) > 0 then round((p.price - x.new_cost) / p.price * 100, 1) end,
+         x.suggested,
+         case when coalesce(x.suggested, 0) > 0 then round((x.suggested - x.new_cost) / x.suggested * 100, 1) end,
+         u.effective_date::date, u.details::text, u.status::text, u.created_at,
+         u.reviewed_at, r.full_name::text, u.review_note, u.applied_price
+    from public.supplier_product_updates u
+    left join public.products p  on p.id = u.product_id
+    left join public.suppliers s on s.id = u.supplier_id
+    left join public.users r     on r.id = u.reviewed_by
+    cross join lateral (
+      select nullif(u.new_value::text, '')::numeric as new_cost
+    ) n
+    cross join lateral (
+      select n.new_cost,
+             public.suggested_selling_price(u.shop_id, p.cost, n.new_cost, p.price) as suggested
+    ) x
+   where u.shop_id = p_shop_id
+     and u.update_type = 'price_change'
+     and (p_status is null or u.status = p_status)
+   order by case when u.status = 'pending' then u.created_at end asc nulls last,
+            coalesce(u.reviewed_at, u.created_at) desc;
+$$;
+
+grant execute on function public.price_update_queue(bigint, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- approve_supplier_price_update — apply the new cost, and the selling
+-- price the reviewer chose (null keeps the current one)
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.approve_supplier_price_update(
+  p_update_id bigint,
+  p_new_price numeric default null,
+  p_note      text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_update public.supplier_product_updates%rowtype;
+  v_cost   numeric;
+  v_price  numeric;
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to approve price updates' using errcode = '42501';
+  end if;
+
+  select * into v_update from public.supplier_product_updates where id = p_update_id for update;
+  if not found then
+    raise exception 'Price update % not found', p_update_id using errcode = 'P0002';
+  end if;
+  if v_update.status <> 'pending' then
+    raise exception 'This price update has already been %', v_update.status using errcode = '22023';
+  end if;
+  if v_update.update_type <> 'price_change' or v_update.product_id is null then
+    raise exception 'Only price changes for a catalogue product can be applied' using errcode = '22023';
+  end if;
+  if not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = v_update.shop_id) then
+    raise exception 'This price update was sent to another shop' using errcode = '42501';
+  end if;
+
+  v_cost := nullif(v_update.new_value::text, '')::numeric;
+  if v_cost is null or v_cost < 0 then
+    raise exception 'The proposed price is not a valid amount' using errcode = '22023';
+  end if;
+  if p_new_price is not null and p_new_price < 0 then
+    raise exception 'The selling price cannot be negative' using errcode = '22023';
+  end if;
+
+  perform set_config('duka.price_source', 'supplier_update', true),
+          set_config('duka.price_ref_id', p_update_id::text, true),
+          set_config('duka.price_note', coalesce(p_note, ''), true);
+
+  update public.products
+     set cost  = v_cost,
+         price = coalesce(p_new_price, price)
+   where id = v_update.product_id
+  returning price into v_price;
+
+  update public.supplier_product_updates
+     set status        = 'approved',
+         reviewed_by   = public.session_user_id(),
+         reviewed_at   = now(),
+         review_note   = p_note,
+         applied_price = v_price
+   where id = p_update_id
+  returning * into v_update;
+
+  return to_jsonb(v_update);
+end;
+$$;
+
+create or replace function public.reject_supplier_price_update(p_update_id bigint, p_reason text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_update public.supplier_product_updates%rowtype;
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to reject price updates' using errcode = '42501';
+  end if;
+
+  select * into v_update from public.supplier_product_updates where id = p_update_id for update;
+  if not found then
+    raise exception 'Price update % not found', p_update_id using errcode = 'P0002';
+  end if;
+  if v_update.status <> 'pending' then
+    raise exception 'This price update has already been %', v_update.status using errcode = '22023';
+  end if;
+  if not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = v_update.shop_id) then
+    raise exception 'This price update was sent to another shop' using errcode = '42501';
+  end if;
+
+  update public.supplier_product_updates
+     set status      = 'rejected',
+         reviewed_by = public.session_user_id(),
+         reviewed_at = now(),
+         review_note = nullif(trim(p_reason), '')
+   where id = p_update_id
+  returning * into v_update;
+
+  return to_jsonb(v_update);
+end;
+$$;
+
+grant execute on function public.approve_supplier_price_update(bigint, numeric, text) to anon, authenticated;
+grant execute on function public.reject_supplier_price_update(bigint, text)           to anon, authenticated;
+
+-- Reviews go through the functions above — nobody, supplier or staff,
+-- flips a status by hand
+drop policy if exists perm_supplier_product_updates_update on public.supplier_product_updates;
+create policy perm_supplier_product_updates_update on public.supplier_product_updates
+  as restrictive for update using (false);
+
+-- History is written only by the trigger
+alter table public.product_price_history enable row level security;
+drop policy if exists product_price_history_read on public.product_price_history;
+create policy product_price_history_read on public.product_price_history for select using (true);
@@ -0,0 +1,348 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- VAT classes, per-line tax and KRA eTIMS fiscal invoices
+--
+-- Every product carries a tax class:
+--   standard    VAT at the shop's rate (shops.vat_rate, 16%)   eTIMS type B
+--   zero_rated  VAT at 0%                                      eTIMS type C
+--   exempt      outside VAT                                    eTIMS type A
+--
+-- shops.prices_include_tax says whether shelf prices already contain VAT
+-- (the usual case for retail) or VAT is added at the till.
+--
+-- Each sale line keeps its class, rate and tax split, filled by triggers so
+-- checkout, the offline replay and any direct insert all get them:
+--   line_total   what the customer paid for the line, VAT included, after
+--                the sale's share of any loyalty discount
+--   net_amount   line_total without VAT (the taxable value)
+--   tax_amount   the VAT in line_total
+-- The loyalty discount is spread over the lines in proportion to their
+-- value — the same way process_sale_return works out refunds — so VAT is
+-- charged on what was actually paid. sales.tax_total / net_total add up
+-- the lines.
+--
+-- Fiscal invoices: assets/fiscal-module.js signs each sale through an
+-- adapter (shops.fiscal_adapter: 'etims' relay, or 'off') and stores the
+-- result with record_fiscal_result(). Shops start 'off' until they enter
+-- their KRA PIN; 'mock' prints test invoices and is only for development,
+-- picked by hand. Sales made before this migration are 'not_required'.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.products
+  add column if not exists tax_class text not null default 'standard';
+
+alter table public.shops
+  add column if not exists vat_rate           numeric(5, 2) not null default 16,
+  add column if not exists prices_include_tax boolean       not null default true,
+  add column if not exists kra_pin            text,
+  add column if not exists etims_branch_id    text          not null default '00',
+  add column if not exists fiscal_adapter     text          not null default 'off';
+
+alter table public.sale_items
+  add column if not exists tax_class     text,
+  add column if not exists tax_rate      numeric(5, 2),
+  add column if not exists tax_inclusive boolean,
+  add column if not exists line_total    numeric(12, 2),
+  add column if not exists net_amount    numeric(12, 2),
+  add column if not exists tax_amount    numeric(12, 2);
+
+alter table public.sales
+  add column if not exists net_total             numeric(12, 2),
+  add column if not exists tax_total             numeric(12, 2),
+  add column if not exists fiscal_status         text,
+  add column if not exists fiscal_adapter        text,
+  add column if not exists fiscal_invoice_number text,
+  add column if not exists fiscal_control_number text,
+  add column if not exists fiscal_signature      text,
+  add column if not exists fiscal_internal_data  text,
+  add column if not exists fiscal_qr_url         text,
+  add column if not exists fiscal_signed_at      timestamptz,
+  add column if not exists fiscal_error          text,
+  add column if not exists fiscal_payload        jsonb;
+
+-- Past sales were never fiscalised; only new ones wait for a signature
+update public.sales set fiscal_status = 'not_required' where fiscal_status is null;
+alter table public.sales alter column fiscal_status set default 'pending';
+alter table public.sales alter column fiscal_status set not null;
+
+create index if not exists sales_fiscal_pending_idx on public.sales (shop_id, created_at)
+  where fiscal_status in ('pending', 'failed');
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'products_tax_class_check') then
+    alter table public.products
+      add constraint products_tax_class_check check (tax_class in ('standard', 'zero_rated', 'exempt'));
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'shops_fiscal_adapter_check') then
+    alter table public.shops
+      add constraint shops_fiscal_adapter_check check (fiscal_adapter in ('off', 'mock', 'etims'));
+  end if;
+  if not exists (select 1 from pg_constraint where conname = 'sales_fiscal_status_check') then
+    alter table public.sales
+      add constraint sales_fiscal_status_check check (fiscal_status in ('pending', 'signed', 'failed', 'not_required'));
+  end if;
+end $$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Sale lines: class and rate from the product and shop, tax on the full
+-- line first…
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sale_items_compute_tax()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_vat_rate  numeric;
+  v_inclusive boolean;
+begin
+  select s.vat_rate, s.prices_include_tax into v_vat_rate, v_inclusive
+    from public.shops s where s.id = new.shop_id;
+
+  -- The catalogue decides the class; whatever the till sent is ignored
+  new.tax_class     := coalesce((select p.tax_class from public.products p where p.id = new.product_id), 'standard');
+  new.tax_rate      := case when new.tax_class = 'standard' then coalesce(v_vat_rate, 16) else 0 end;
+  new.tax_inclusive := coalesce(v_inclusive, true);
+
+  new.line_total := round(coalesce(new.unit_price, 0) * coalesce(new.quantity, 0)
+                          * case when new.tax_inclusive then 1 else 1 + new.tax_rate / 100 end, 2);
+  new.tax_amount := round(new.line_total * new.tax_rate / (100 + new.tax_rate), 2);
+  new.net_amount := new.line_total - new.tax_amount;
+  return new;
+end;
+$$;
+
+drop trigger if exists sale_items_compute_tax on public.sale_items;
+create trigger sale_items_compute_tax
+  before insert on public.sale_items
+  for each row execute function public.sale_items_compute_tax();
+
+-- …then, once all of a sale's lines are in, its loyalty discount is spread
+-- over them and the totals written to the sale
+create or replace function public.sale_items_apportion_tax()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.sale_items si
+     set line_total = x.line_total,
+         tax_amount = x.tax_amount,
+         net_amount = x.line_total - x.tax_amount
+    from (
+      select n.id, round(n.line_total * f.factor, 2) as line_total,
+             round(round(n.line_total * f.factor, 2) * n.tax_rate / (100 + n.tax_rate), 2) as tax_amount
+        from new_items n
+        join (
+          select ni.sale_id,
+                 least(1, coalesce(s.total_amount, 0) / nullif(sum(ni.line_total), 0)) as factor
+            from new_items ni
+            join public.sales s on s.id = ni.sale_id
+           group by ni.sale_id, s.total_amount
+        ) f on f.sale_id = n.sale_id
+       where f.factor < 1
+    ) x
+   where si.id = x.id;
+
+  update public.sales s
+     set net_total = t.net_total,
+         tax_total = t.tax_total
+    from (
+      select si.sale_id, sum(si.net_amount) as net_total, sum(si.tax_amount) as tax_total
+        from public.sale_items si
+       where si.sale_id in (select distinct sale_id from new_items)
+       group by si.sale_id
+    ) t
+   where s.id = t.sale_id;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists sale_items_apportion_tax on public.sale_items;
+create trigger sale_items_apportion_tax
+  after insert on public.sale_items
+  referencing new table as new_items
+  for each statement execute function public.sale_items_apportion_tax();
+
+-- Shops that don't fiscalise never leave sales waiting for a signature
+create or replace function public.sales_fiscal_status()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (select 1 from public.shops where id = new.shop_id and fiscal_adapter = 'off') then
+    new.fiscal_status := 'not_required';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists sales_fiscal_status on public.sales;
+create trigger sales_fiscal_status
+  before insert on public.sales
+  for each row execute function public.sales_fiscal_status();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- set_tax_settings — VAT rate, pricing mode and the shop's eTIMS identity
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.set_tax_settings(
+  p_shop_id            bigint,
+  p_vat_rate           numeric,
+  p_prices_include_tax boolean,
+  p_kra_pin            text,
+  p_branch_id          text,
+  p_fiscal_adapter     text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not public.has_permission('inventory.edit') then
+    raise exception 'You do not have permission to change tax settings' using errcode = '42501';
+  end if;
+  if not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You can only change your own shop''s tax settings' using errcode = '42501';
+  end if;
+  if p_vat_rate is null or p_vat_rate < 0 or p_vat_rate >= 100 then
+    raise exception 'The VAT rate must be between 0 and 100' using errcode = '22023';
+  end if;
+  if p_fiscal_adapter = 'etims' and coalesce(trim(p_kra_pin), '') = '' then
+    raise exception 'Enter the shop''s KRA PIN before switching on eTIMS' using errcode = '22023';
+  end if;
+
+  update public.shops
+     set vat_rate           = p_vat_rate,
+         prices_include_tax = coalesce(p_prices_include_tax, true),
+         kra_pin            = nullif(upper(trim(p_kra_pin)), ''),
+         etims_branch_id    = coalesce(nullif(trim(p_branch_id), ''), '00'),
+         fiscal_adapter     = p_fiscal_adapter
+   where id = p_shop_id;
+end;
+$$;
+
+grant execute on function public.set_tax_settings(bigint, numeric, boolean, text, text, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- record_fiscal_result — store what the fiscal adapter answered for a sale.
+-- p_result: { invoice_number, control_number, signature, internal_data,
+--             qr_url, signed_at, payload }; p_error instead when it failed.
+-- A signed sale is never re-signed.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.record_fiscal_result(
+  p_sale_id bigint,
+  p_adapter text,
+  p_result  jsonb,
+  p_error   text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale public.sales%rowtype;
+begin
+  if not public.has_permission('sales.create') then
+    raise exception 'You do not have permission to fiscalise sales' using errcode = '42501';
+  end if;
+
+  select * into v_sale from public.sales where id = p_sale_id for update;
+  if not found then
+    raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+  end if;
+  if not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = v_sale.shop_id) then
+    raise exception 'This sale belongs to another shop' using errcode = '42501';
+  end if;
+  if v_sale.fiscal_status = 'signed' then
+    raise exception 'Sale % already has fiscal invoice %', p_sale_id, v_sale.fiscal_control_number using errcode = '23505';
+  end if;
+
+  if p_error is not null then
+    update public.sales
+       set fiscal_status  = 'failed',
+           fiscal_adapter = p_adapter,
+           fiscal_error   = p_error
+     where id = p_sale_id
+    returning * into v_sale;
+  else
+    if coalesce(p_result ->> 'control_number', '') = '' then
+      raise exception 'The fiscal response has no control number' using errcode = '22023';
+    end if;
+    update public.sales
+       set fiscal_status         = 'signed',
+           fiscal_adapter        = p_adapter,
+           fiscal_invoice_number = p_result ->> 'invoice_number',
+           fiscal_control_number = p_result ->> 'control_number',
+           fiscal_signature      = p_result ->> 'signature',
+           fiscal_internal_data  = p_result ->> 'internal_data',
+           fiscal_qr_url         = p_result ->> 'qr_url',
+           fiscal_signed_at      = coalesce((p_result ->> 'signed_at')::timestamptz, now()),
+           fiscal_payload        = p_result -> 'payload',
+           fiscal_error          = null
+     where id = p_sale_id
+    returning * into v_sale;
+  end if;
+
+  return jsonb_build_object(
+    'sale_id',        v_sale.id,
+    'fiscal_status',  v_sale.fiscal_status,
+    'control_number', v_sale.fiscal_control_number
+  );
+end;
+$$;
+
+grant execute on function public.record_fiscal_result(bigint, text, jsonb, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- tax_summary — VAT by class for a period, for reconciliation and returns.
+-- Returns are counted on the day they were made; the VAT given back is the
+-- refunded amount's share of its line's VAT.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.tax_summary(p_shop_id bigint, p_from timestamptz, p_to timestamptz)
+returns table (
+  tax_class      text,
+  tax_rate       numeric,
+  gross_sales    numeric,
+  taxable_sales  numeric,
+  tax_sales      numeric,
+  gross_returns  numeric,
+  tax_returns    numeric,
+  net_tax        numeric
+)
+language sql
+stable
+as $$
+  with sold as (
+    select si.tax_class, si.tax_rate, sum(si.line_total) as gross, sum(si.net_amount) as taxable, sum(si.tax_amount) as tax
+      from public.sale_items si
+      join public.sales s on s.id = si.sale_id
+     where s.shop_id = p_shop_id
+       and s.created_at >= p_from and s.created_at < p_to
+       and not coalesce(s.is_voided, false)
+       and si.tax_class is not null
+     group by si.tax_class, si.tax_rate
+  ), returned as (
+    select si.tax_class, si.tax_rate, sum(ri.amount) as gross,
+           sum(round(ri.amount * si.tax_amount / nullif(si.line_total, 0), 2)) as tax
+      from public.sale_return_items ri
+      join public.sale_returns r on r.id = ri.return_id
+      join public.sale_items si  on si.id = ri.sale_item_id
+     where r.shop_id = p_shop_id
+       and r.created_at >= p_from and r.created_at < p_to
+       and si.tax_class is not null
+     group by si.tax_class, si.tax_rate
+  )
+  select coalesce(a.tax_class, b.tax_class), coalesce(a.tax_rate, b.tax_rate),
+         coalesce(a.gross, 0), coalesce(a.taxable, 0), coalesce(a.tax, 0),
+         coalesce(b.gross, 0), coalesce(b.tax, 0),
+         coalesce(a.tax, 0) - coalesce(b.tax, 0)
+    from sold a
+    full join returned b on b.tax_class = a.tax_class and b.tax_rate = a.tax_rate
+   where public.has_permission('reports.view')
+   order by 2 desc, 1;
+$$;
+
+grant execute on function public.tax_summary(bigint, timestamptz, timestamptz) to anon, authenticated;
@@ -0,0 +1,49 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Shelf labels
+--
+-- Labels are drawn and printed in the browser (assets/barcode-labels.js).
+-- The database only remembers which price each product's shelf label
+-- carries, so inventory.html can list the labels a price change has left
+-- out of date — whether the price was changed on the product form, by an
+-- approved supplier update or from another device.
+--
+-- label_price is null until a label has been printed for the product;
+-- such products are never reported as out of date.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+alter table public.products
+  add column if not exists label_price      numeric(12, 2),
+  add column if not exists label_printed_at timestamptz;
+
+create index if not exists products_label_stale_idx
+  on public.products (shop_id)
+  where label_price is not null and label_price is distinct from price;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- mark_labels_printed — record that labels now show these products' prices.
+-- Printing labels is not a product edit, so products.view is enough.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.mark_labels_printed(p_product_ids bigint[])
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  if not public.has_permission('products.view') then
+    raise exception 'You do not have permission to print labels' using errcode = '42501';
+  end if;
+
+  update public.products p
+     set label_price      = p.price,
+         label_printed_at = now()
+   where p.id = any (p_product_ids)
+     and exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = p.shop_id);
+  get diagnostics v_count = row_count;
+  return v_count;
+end;
+$$;
+
+grant execute on function public.mark_labels_printed(bigint[]) to anon, authenticated;
@@ -0,0 +1,710 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Promotions
+--
+-- Offers are set up in admin.html (promotions.manage) and worked out at the
+-- till by assets/promotions-module.js every time the cart changes:
+--   buy_x_get_y        buy buy_qty, get get_qty of the cheapest of them
+--                      get_discount_pct off (100 = free)
+--   bundle             any bundle_qty of the listed products / categories
+--                      for bundle_price (mix and match)
+--   category_discount  discount_value percent or KES off every unit
+--   quantity_tiers     per product line: from tiers[].min_qty units on,
+--                      tiers[].percent off each of them
+-- Every offer applies to products in product_ids or categories (both empty
+-- = the whole shop) and only while it is running: between starts_at and
+-- ends_at, on days_of_week (0 = Sunday, empty = every day) and between
+-- time_from and time_to (happy hours may run past midnight). A unit takes
+-- part in one offer at most — the highest priority first — and lines with
+-- a manual price override are left out.
+--
+-- A sale's line discounts land in sale_items.promo_discount, so VAT and
+-- refunds are worked out on what the customer actually paid for each line,
+-- and one sale_promotions row per offer feeds the receipt and the report.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+insert into public.permissions (key, label, category, default_roles) values
+  ('promotions.manage', 'Set up promotions and offers', 'Sales', '{}')
+on conflict (key) do update
+  set label = excluded.label, category = excluded.category, default_roles = excluded.default_roles;
+
+create table if not exists public.promotions (
+  id                bigint generated by default as identity primary key,
+  shop_id           bigint   not null references public.shops (id) on delete cascade,
+  name              text     not null,
+  promo_type        text     not null check (promo_type in ('buy_x_get_y', 'bundle', 'category_discount', 'quantity_tiers')),
+  product_ids       bigint[] not null default '{}',
+  categories        text[]   not null default '{}',
+  buy_qty           integer,
+  get_qty           integer,
+  get_discount_pct  numeric(5, 2) not null default 100,
+  bundle_qty        integer,
+  bundle_price      numeric(12, 2),
+  discount_kind     text check (discount_kind in ('percent', 'amount')),
+  discount_value    numeric(12, 2),
+  tiers             jsonb    not null default '[]'::jsonb,
+  starts_at         timestamptz,
+  ends_at           timestamptz,
+  days_of_week      smallint[] not null default '{}',
+  time_from         time,
+  time_to           time,
+  priority          integer  not null default 0,
+  is_active         boolean  not null default true,
+  created_by        bigint references public.users (id) on delete set null,
+  created_at        timestamptz not null default now(),
+  updated_at        timestamptz not null default now(),
+  constraint promotions_rule_check check (
+    case promo_type
+      when 'buy_x_get_y'       then buy_qty >= 1 and get_qty >= 1 and get_discount_pct > 0 and get_discount_pct <= 100
+      when 'bundle'            then bundle_qty >= 2 and bundle_price >= 0
+      when 'category_discount' then discount_value > 0 and (discount_kind = 'amount' or (discount_kind = 'percent' and discount_value <= 100))
+      when 'quantity_tiers'    then jsonb_typeof(tiers) = 'array' and jsonb_array_length(tiers) > 0
+    end),
+  constraint promotions_dates_check check (ends_at is null or starts_at is null or ends_at > starts_at)
+);
+
+create index if not exists promotions_shop_idx on public.promotions (shop_id) where is_active;
+
+alter table public.sale_items
+  add column if not exists promo_discount numeric(12, 2) not null default 0;
+
+create table if not exists public.sale_promotions (
+  id            bigint generated by default as identity primary key,
+  sale_id       bigint not null references public.sales (id) on delete cascade,
+  shop_id       bigint not null references public.shops (id),
+  promotion_id  bigint references public.promotions (id) on delete set null,
+  name          text   not null,
+  promo_type    text   not null,
+  units         numeric(12, 3) not null default 0,
+  amount        numeric(12, 2) not null,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists sale_promotions_sale_idx  on public.sale_promotions (sale_id);
+create index if not exists sale_promotions_promo_idx on public.sale_promotions (shop_id, promotion_id);
+
+-- Everyone at the till reads offers; only promotions.manage changes them
+alter table public.promotions enable row level security;
+drop policy if exists promotions_read on public.promotions;
+create policy promotions_read on public.promotions for select using (true);
+drop policy if exists promotions_write on public.promotions;
+create policy promotions_write on public.promotions for all
+  using (public.has_permission('promotions.manage')) with check (public.has_permission('promotions.manage'));
+
+alter table public.sale_promotions enable row level security;
+drop policy if exists sale_promotions_read on public.sale_promotions;
+create policy sale_promotions_read on public.sale_promotions for select using (true);
+drop policy if exists sale_promotions_insert on public.sale_promotions;
+create policy sale_promotions_insert on public.sale_promotions for insert with check (public.has_permission('sales.create'));
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- VAT is charged on the line after its promotion discount
+-- (replaces 20261019001900_vat_etims.sql)
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.sale_items_compute_tax()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_vat_rate  numeric;
+  v_inclusive boolean;
+begin
+  select s.vat_rate, s.prices_include_tax into v_vat_rate, v_inclusive
+    from public.shops s where s.id = new.shop_id;
+
+  -- The catalogue decides the class; whatever the till sent is ignored
+  new.tax_class     := coalesce((select p.tax_class from public.products p where p.id = new.product_id), 'standard');
+  new.tax_rate      := case when new.tax_class = 'standard' then coalesce(v_vat_rate, 16) else 0 end;
+  new.tax_inclusive := coalesce(v_inclusive, true);
+
+  new.line_total := round((coalesce(new.unit_price, 0) * coalesce(new.quantity, 0) - coalesce(new.promo_discount, 0))
+                          * case when new.tax_inclusive then 1 else 1 + new.tax_rate / 100 end, 2);
+  new.tax_amount := round(new.line_total * new.tax_rate / (100 + new.tax_rate), 2);
+  new.net_amount := new.line_total - new.tax_amount;
+  return new;
+end;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Checking the till's offers — process_checkout takes the discounts the
+-- till worked out (assets/promotions-module.js), so it checks each one
+-- against its rule:
+--   promotion_is_live       the offer runs at that moment: dates, weekdays
+--                           and hours. Days and hours are the shops' own,
+--                           East Africa Time.
+--   promotion_covers        the offer applies to the product
+--   promotion_max_discount  the most the offer could take off these lines
+--                           on its own, every unit it covers taking part.
+--                           Sharing units with other offers only ever
+--                           leaves it less.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.promotion_is_live(p_offer public.promotions, p_at timestamptz)
+returns boolean
+language sql
+stable
+as $$
+  with t as (
+    select (p_at at time zone 'Africa/Nairobi') as local_at
+  )
+  select (p_offer.starts_at is null or p_at >= p_offer.starts_at)
+     and (p_offer.ends_at is null or p_at < p_offer.ends_at)
+     and (cardinality(p_offer.days_of_week) = 0
+          or extract(dow from t.local_at)::smallint = any(p_offer.days_of_week))
+     and (p_offer.time_from is null or p_offer.time_to is null
+          -- A window such as 22:00–02:00 runs past midnight
+          or case when p_offer.time_from <= p_offer.time_to
+                  then date_trunc('minute', t.local_at)::time >= p_offer.time_from
+                   and date_trunc('minute', t.local_at)::time <  p_offer.time_to
+                  else date_trunc('minute', t.local_at)::time >= p_offer.time_from
+                    or date_trunc('minute', t.local_at)::time <  p_offer.time_to
+             end)
+    from t;
+$$;
+
+create or replace function public.promotion_covers(p_offer public.promotions, p_product_id bigint)
+returns boolean
+language sql
+stable
+as $$
+  select (cardinality(p_offer.product_ids) = 0 and cardinality(p_offer.categories) = 0)
+      or p_product_id = any(p_offer.product_ids)
+      or exists (select 1 from public.products p
+                  where p.id = p_product_id
+                    and lower(p.category) in (select lower(c) from unnest(p_offer.categories) c));
+$$;
+
+create or replace function public.promotion_max_discount(p_offer public.promotions, p_items jsonb)
+returns numeric
+language sql
+stable
+as $$
+  with lines as (
+    select l.n as line, (l.x ->> 'product_id')::bigint as product_id,
+           floor(coalesce((l.x ->> 'quantity')::numeric, 0))::integer as units,
+           coalesce((l.x ->> 'unit_price')::numeric, 0) as price
+      from jsonb_array_elements(p_items) with ordinality l (x, n)
+     where not coalesce((l.x ->> 'price_overridden')::boolean, false)
+  ),
+  units as (
+    -- One row per unit, dearest first, as the till groups them
+    select l.line, l.units, l.price,
+           row_number() over (order by l.price desc, l.line) - 1 as pos,
+           count(*) over () as pool
+      from lines l, generate_series(1, l.units)
+     where public.promotion_covers(p_offer, l.product_id)
+  )
+  select coalesce(case p_offer.promo_type
+    when 'buy_x_get_y' then
+      (select sum(u.price) * p_offer.get_discount_pct / 100
+         from units u
+        where u.pos < u.pool / (p_offer.buy_qty + p_offer.get_qty) * (p_offer.buy_qty + p_offer.get_qty)
+          and u.pos % (p_offer.buy_qty + p_offer.get_qty) >= p_offer.buy_qty)
+    when 'bundle' then
+      (select sum(greatest(b.full_price - p_offer.bundle_price, 0))
+         from (select sum(u.price) as full_price
+                 from units u
+                where u.pos < u.pool / p_offer.bundle_qty * p_offer.bundle_qty
+                group by u.pos / p_offer.bundle_qty) b)
+    when 'category_discount' then
+      (select sum(case when p_offer.discount_kind = 'amount' then least(p_offer.discount_value, u.price)
+                       else u.price * p_offer.discount_value / 100 end)
+         from units u)
+    when 'quantity_tiers' then
+      -- Whichever tier the line reaches, at the best rate of those it reaches
+      (select sum(l.units * l.price * t.percent / 100)
+         from (select distinct u.line, u.units, u.price from units u) l
+         cross join lateral (
+           select max((tier ->> 'percent')::numeric) as percent
+             from jsonb_array_elements(p_offer.tiers) tier
+            where (tier ->> 'min_qty')::numeric <= l.units) t)
+  end, 0);
+$$;
+
+grant execute on function public.promotion_is_live(public.promotions, timestamptz) to anon, authenticated;
+grant execute on function public.promotion_covers(public.promotions, bigint) to anon, authenticated;
+grant execute on function public.promotion_max_discount(public.promotions, jsonb) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_checkout — same signature as 20261019000500; items may carry a
+-- promo_discount and p_sale a promotions list [{ promotion_id, units, amount }]
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_checkout(
+  p_shop_id  bigint,
+  p_user_id  bigint,
+  p_sale     jsonb,
+  p_items    jsonb,
+  p_payments jsonb   default '[]'::jsonb,
+  p_loyalty  jsonb   default null,
+  p_offline  boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale      public.sales;
+  v_sale_id   public.sales.id%type;
+  v_user      bigint;
+  v_offline   boolean;
+  v_policy    text;
+  v_line      record;
+  v_new_stock numeric;
+  v_stock     jsonb := '[]'::jsonb;
+  v_points    numeric;
+  v_payments  jsonb;
+  v_pay       record;
+  v_paid      numeric;
+  v_promo     record;
+  v_offer     public.promotions;
+  v_promos    numeric := 0;
+  v_lines     numeric;
+  v_at        timestamptz;
+  v_amount    numeric;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Cannot check out an empty cart' using errcode = '22023';
+  end if;
+
+  v_sale := jsonb_populate_record(null::public.sales, p_sale);
+
+  -- The signed-in user records the sale, whatever p_user_id says. Only a
+  -- replay from a till's offline queue keeps the till's clock (never ahead
+  -- of ours) and the offline relaxations.
+  v_user := public.session_user_id();
+  if v_user is null then
+    raise exception 'Sign in to record a sale' using errcode = '42501';
+  end if;
+  v_offline := p_offline and v_sale.client_sale_id is not null and v_sale.created_at is not null;
+  v_at      := case when v_offline then least(v_sale.created_at, now()) else now() end;
+
+  -- ── Idempotency: a replayed client_sale_id returns the original sale ──────
+  if v_sale.client_sale_id is not null then
+    select id into v_sale_id
+      from public.sales
+     where client_sale_id = v_sale.client_sale_id and shop_id = p_shop_id;
+    if found then
+      return jsonb_build_object('sale_id', v_sale_id, 'duplicate', true, 'stock', '[]'::jsonb);
+    end if;
+  end if;
+
+  select oversell_policy into v_policy from public.shops where id = p_shop_id;
+  if not found then
+    raise exception 'Shop % not found', p_shop_id using errcode = 'P0002';
+  end if;
+
+  -- ── Sale header ──────────────────────────────────────────────────────────
+  insert into public.sales (
+    shop_id, user_id, total_amount, items_sold, payment_method, customer_id,
+    discount_amount, points_redeemed, client_sale_id, created_at
+  ) values (
+    p_shop_id, v_user, v_sale.total_amount, v_sale.items_sold, v_sale.payment_method,
+    v_sale.customer_id, coalesce(v_sale.discount_amount, 0), coalesce(v_sale.points_redeemed, 0),
+    v_sale.client_sale_id, v_at
+  )
+  returning id into v_sale_id;
+
+  -- ── Line items ───────────────────────────────────────────────────────────
+  if exists (select 1 from jsonb_populate_recordset(null::public.sale_items, p_items) i
+              where coalesce(i.promo_discount, 0) < 0
+                 or coalesce(i.promo_discount, 0) > coalesce(i.unit_price, 0) * coalesce(i.quantity, 0) + 0.005) then
+    raise exception 'A promotion discount is larger than the line it is on' using errcode = '22023';
+  end if;
+
+  insert into public.sale_items (
+    sale_id, shop_id, product_id, quantity, unit_price, listed_price,
+    price_overridden, override_reason, promo_discount
+  )
+  select v_sale_id, p_shop_id, i.product_id, i.quantity, i.unit_price,
+         coalesce(i.listed_price, i.unit_price), coalesce(i.price_overridden, false), i.override_reason,
+         coalesce(i.promo_discount, 0)
+    from jsonb_populate_recordset(null::public.sale_items, p_items) i;
+
+  -- ── Promotions ───────────────────────────────────────────────────────────
+  -- The till works the offers out; here each must exist in this shop, be
+  -- running when the sale was rung up (an offer switched off since doesn't
+  -- undo an offline sale) and take off no more than its rule allows. Their
+  -- discounts sit on lines they cover, never on an overridden price, and add
+  -- up to exactly the line discounts.
+  if exists (select 1 from jsonb_populate_recordset(null::public.sale_items, p_items) i
+              where coalesce(i.price_overridden, false) and coalesce(i.promo_discount, 0) > 0) then
+    raise exception 'Promotions do not apply to a line whose price was overridden' using errcode = '22023';
+  end if;
+
+  for v_promo in select x from jsonb_array_elements(coalesce(p_sale -> 'promotions', '[]'::jsonb)) x loop
+    select * into v_offer from public.promotions
+     where id = (v_promo.x ->> 'promotion_id')::bigint and shop_id = p_shop_id;
+    if not found then
+      raise exception 'Promotion % does not exist in this shop', v_promo.x ->> 'promotion_id' using errcode = 'P0002';
+    end if;
+    if (not v_offline and not v_offer.is_active) or not public.promotion_is_live(v_offer, v_at) then
+      raise exception 'The promotion "%" is no longer running', v_offer.name using errcode = 'P0001';
+    end if;
+    if exists (select 1 from public.sale_promotions where sale_id = v_sale_id and promotion_id = v_offer.id) then
+      raise exception 'The promotion "%" is listed twice', v_offer.name using errcode = '22023';
+    end if;
+
+    -- The till rounds each line's share, a cent at most per line
+    v_amount := round((v_promo.x ->> 'amount')::numeric, 2);
+    if v_amount < 0
+       or v_amount > round(public.promotion_max_discount(v_offer, p_items), 2) + 0.01 * jsonb_array_length(p_items) then
+      raise exception 'The promotion "%" takes off more than its rule allows', v_offer.name using errcode = '22023';
+    end if;
+
+    insert into public.sale_promotions (sale_id, shop_id, promotion_id, name, promo_type, units, amount)
+    values (v_sale_id, p_shop_id, v_offer.id, v_offer.name, v_offer.promo_type,
+            coalesce((v_promo.x ->> 'units')::numeric, 0), v_amount);
+    v_promos := v_promos + v_amount;
+  end loop;
+
+  if exists (select 1 from public.sale_items i
+              where i.sale_id = v_sale_id and i.promo_discount > 0
+                and not exists (select 1 from public.sale_promotions sp
+                                  join public.promotions o on o.id = sp.promotion_id
+                                 where sp.sale_id = v_sale_id and public.promotion_covers(o, i.product_id))) then
+    raise exception 'A promotion discount is on a line none of the offers cover' using errcode = '22023';
+  end if;
+
+  select coalesce(sum(promo_discount), 0) into v_lines from public.sale_items where sale_id = v_sale_id;
+  if abs(v_promos - v_lines) > 0.01 then
+    raise exception 'Promotion discounts (%) do not match the line discounts (%)', v_promos, v_lines
+      using errcode = '22023';
+  end if;
+
+  -- ── Stock decrements (ordered by product id to avoid lock-order deadlocks)
+  for v_line in
+    select i.product_id, sum(i.quantity) as qty
+      from jsonb_populate_recordset(null::public.sale_items, p_items) i
+     group by i.product_id
+     order by i.product_id
+  loop
+    update public.products
+       set stock = stock - v_line.qty
+     where id = v_line.product_id
+       and shop_id = p_shop_id
+       and (v_offline or v_policy = 'allow' or stock >= v_line.qty)
+    returning stock into v_new_stock;
+
+    if not found then
+      select stock into v_new_stock from public.products
+       where id = v_line.product_id and shop_id = p_shop_id;
+      if not found then
+        raise exception 'Product % not found in this shop', v_line.product_id using errcode = 'P0002';
+      end if;
+      raise exception 'Insufficient stock for product %: % available, % requested',
+        v_line.product_id, v_new_stock, v_line.qty using errcode = 'P0001';
+    end if;
+
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  -- ── Loyalty points ───────────────────────────────────────────────────────
+  if p_loyalty is not null and p_loyalty ->> 'customer_id' is not null then
+    update public.customers
+       set loyalty_points = greatest(0,
+             coalesce(loyalty_points, 0)
+             - coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0)
+             + coalesce((p_loyalty ->> 'points_earned')::numeric, 0))
+     where id = (p_loyalty ->> 'customer_id')::bigint
+       and shop_id = p_shop_id
+       and (v_offline or coalesce(loyalty_points, 0) >= coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0))
+    returning loyalty_points into v_points;
+
+    if not found then
+      raise exception 'Customer % does not have enough loyalty points', p_loyalty ->> 'customer_id'
+        using errcode = 'P0001';
+    end if;
+  end if;
+
+  -- ── Tender lines ─────────────────────────────────────────────────────────
+  -- No lines → one line for the whole total with the sale's payment_method
+  if p_payments is null or jsonb_array_length(p_payments) = 0 then
+    v_payments := jsonb_build_array(jsonb_build_object(
+      'method', coalesce(v_sale.payment_method, 'Cash'), 'amount', v_sale.total_amount));
+  else
+    v_payments := p_payments;
+  end if;
+
+  select coalesce(sum((p ->> 'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(v_payments) p;
+  if abs(v_paid - coalesce(v_sale.total_amount, 0)) > 0.01 then
+    raise exception 'Payments (%) do not add up to the sale total (%)', v_paid, v_sale.total_amount
+      using errcode = '22023';
+  end if;
+
+  for v_pay in select p from jsonb_array_elements(v_payments) p loop
+    insert into public.sale_payments (sale_id, shop_id, method, amount, reference, tendered, change_given)
+    values (
+      v_sale_id, p_shop_id, v_pay.p ->> 'method', (v_pay.p ->> 'amount')::numeric, v_pay.p ->> 'reference',
+      (v_pay.p ->> 'tendered')::numeric, coalesce((v_pay.p ->> 'change')::numeric, 0)
+    );
+
+    -- Amounts left on account become a customer_credits row the customer pays off later
+    if v_pay.p ->> 'method' = 'Credit' and (v_pay.p ->> 'amount')::numeric > 0 then
+      if v_sale.customer_id is null then
+        raise exception 'A customer is required to put a sale on credit' using errcode = '22023';
+      end if;
+      insert into public.customer_credits (
+        shop_id, customer_id, sale_id, amount, amount_paid, outstanding, description, due_date, status
+      ) values (
+        p_shop_id, v_sale.customer_id, v_sale_id, (v_pay.p ->> 'amount')::numeric, 0, (v_pay.p ->> 'amount')::numeric,
+        coalesce(v_pay.p ->> 'description', 'POS sale #' || v_sale_id), (v_pay.p ->> 'due_date')::date, 'unpaid'
+      );
+    end if;
+  end loop;
+
+  return jsonb_build_object(
+    'sale_id',        v_sale_id,
+    'duplicate',      false,
+    'stock',          v_stock,
+    'loyalty_points', v_points
+  );
+end;
+$$;
+
+grant execute on function public.process_checkout(bigint, bigint, jsonb, jsonb, jsonb, jsonb, boolean)
+  to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_sale_return — same signature as 20261019000700; a returned unit is
+-- refunded what was paid for it, so returning the free item of a BOGO or
+-- an item outside the offer is refunded right
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_sale_return(
+  p_shop_id         bigint,
+  p_user_id         bigint,
+  p_sale_id         bigint,
+  p_items           jsonb,
+  p_refund_method   text    default 'original',
+  p_reason          text    default null,
+  p_points_per_kes  numeric default 1
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale       public.sales;
+  v_return_id  bigint;
+  v_factor     numeric;
+  v_line       record;
+  v_item       public.sale_items;
+  v_returned   numeric;
+  v_amount     numeric;
+  v_total      numeric := 0;
+  v_new_stock  numeric;
+  v_stock      jsonb := '[]'::jsonb;
+  v_earned     numeric;
+  v_points     numeric := 0;
+  v_balance    numeric;
+  v_credit     numeric;
+  v_refunds    jsonb := '{}'::jsonb;
+  v_pay        record;
+  v_paid       numeric;
+  v_left       numeric;
+  v_share      numeric;
+  v_cr         record;
+  v_take       numeric;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Select at least one item to return' using errcode = '22023';
+  end if;
+  if p_refund_method not in ('original', 'store_credit') then
+    raise exception 'Unknown refund method %', p_refund_method using errcode = '22023';
+  end if;
+
+  select * into v_sale from public.sales where id = p_sale_id and shop_id = p_shop_id for update;
+  if not found then
+    raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+  end if;
+  if coalesce(v_sale.is_voided, false) then
+    raise exception 'Sale % has been voided', p_sale_id using errcode = '22023';
+  end if;
+  if p_refund_method = 'store_credit' and v_sale.customer_id is null then
+    raise exception 'Store credit needs a customer on the sale' using errcode = '22023';
+  end if;
+
+  -- Each line is refunded its share of the sale total in proportion to its
+  -- line_total (after promotions, with VAT), which shares out the loyalty
+  -- discount. Sales from before VAT lines existed use the shelf prices.
+  select coalesce(v_sale.total_amount, 0) / nullif(sum(coalesce(line_total, unit_price * quantity)), 0) into v_factor
+    from public.sale_items where sale_id = p_sale_id;
+  v_factor := coalesce(v_factor, 0);
+
+  insert into public.sale_returns (shop_id, sale_id, user_id, customer_id, refund_method, reason)
+  values (p_shop_id, p_sale_id, p_user_id, v_sale.customer_id, p_refund_method, nullif(trim(p_reason), ''))
+  returning id into v_return_id;
+
+  -- ── Lines ────────────────────────────────────────────────────────────────
+  for v_line in
+    select (l ->> 'sale_item_id')::bigint        as sale_item_id,
+           (l ->> 'quantity')::numeric           as quantity,
+           coalesce(l ->> 'disposition', 'restock') as disposition
+      from jsonb_array_elements(p_items) l
+     order by (l ->> 'sale_item_id')::bigint
+  loop
+    if coalesce(v_line.quantity, 0) <= 0 then continue; end if;
+
+    select * into v_item from public.sale_items where id = v_line.sale_item_id and sale_id = p_sale_id;
+    if not found then
+      raise exception 'Line % is not part of sale %', v_line.sale_item_id, p_sale_id using errcode = 'P0002';
+    end if;
+
+    select coalesce(sum(quantity), 0) into v_returned
+      from public.sale_return_items where sale_item_id = v_item.id;
+    if v_line.quantity > v_item.quantity - v_returned then
+      raise exception 'Only % of line % can still be returned', v_item.quantity - v_returned, v_item.id
+        using errcode = 'P0001';
+    end if;
+
+    v_amount := round(coalesce(v_item.line_total, v_item.unit_price * v_item.quantity) / nullif(v_item.quantity, 0)
+                      * v_factor * v_line.quantity, 2);
+    v_total  := v_total + v_amount;
+
+    insert into public.sale_return_items (return_id, sale_item_id, product_id, quantity, amount, disposition)
+    values (v_return_id, v_item.id, v_item.product_id, v_line.quantity, v_amount, v_line.disposition);
+
+    if v_line.disposition = 'restock' and v_item.product_id is not null then
+      update public.products set stock = stock + v_line.quantity
+       where id = v_item.product_id and shop_id = p_shop_id
+      returning stock into v_new_stock;
+      if found then
+        v_stock := v_stock || jsonb_build_object('product_id', v_item.product_id, 'stock', v_new_stock);
+      end if;
+    end if;
+  end loop;
+
+  if v_total <= 0 then
+    raise exception 'Nothing to refund' using errcode = '22023';
+  end if;
+
+  -- ── Loyalty: take back the share of points the returned goods earned ────
+  if v_sale.customer_id is not null and coalesce(v_sale.total_amount, 0) > 0 then
+    v_earned := floor(v_sale.total_amount * coalesce(p_points_per_kes, 0));
+    select v_earned - coalesce(sum(points_reversed), 0) into v_left
+      from public.sale_returns where sale_id = p_sale_id and id <> v_return_id;
+    v_points := greatest(0, least(v_left, floor(v_earned * v_total / v_sale.total_amount)));
+
+    update public.customers
+       set loyalty_points = greatest(0, coalesce(loyalty_points, 0) - v_points)
+     where id = v_sale.customer_id and shop_id = p_shop_id
+    returning loyalty_points into v_balance;
+  end if;
+
+  -- ── Refund ───────────────────────────────────────────────────────────────
+  if p_refund_method = 'store_credit' then
+    v_refunds := jsonb_build_object('Store Credit', v_total);
+  else
+    select coalesce(sum(amount), 0) into v_paid
+      from public.sale_payments where sale_id = p_sale_id and amount > 0;
+
+    if v_paid <= 0 then
+      v_refunds := jsonb_build_object(coalesce(nullif(v_sale.payment_method, 'Split'), 'Cash'), v_total);
+    else
+      v_left := v_total;
+      for v_pay in
+        select method, amount, row_number() over (order by id) as n, count(*) over () as cnt
+          from public.sale_payments where sale_id = p_sale_id and amount > 0
+      loop
+        -- Last line takes the rounding remainder
+        v_share := case when v_pay.n = v_pay.cnt then v_left else round(v_total * v_pay.amount / v_paid, 2) end;
+        v_left  := v_left - v_share;
+        v_refunds := v_refunds || jsonb_build_object(v_pay.method,
+          coalesce((v_refunds ->> v_pay.method)::numeric, 0) + v_share);
+      end loop;
+    end if;
+
+    -- A Credit share cancels what the customer still owes on this sale
+    v_credit := coalesce((v_refunds ->> 'Credit')::numeric, 0);
+    if v_credit > 0 then
+      v_left := v_credit;
+      for v_cr in
+        select id, outstanding from public.customer_credits
+         where sale_id = p_sale_id and shop_id = p_shop_id and not is_deleted and outstanding > 0
+         order by id
+         for update
+      loop
+        exit when v_left <= 0;
+        v_take := least(v_left, v_cr.outstanding);
+        update public.customer_credits
+           set amount      = amount - v_take,
+               outstanding = outstanding - v_take,
+               status      = case when outstanding - v_take <= 0 then 'paid' else status end,
+               updated_at  = now()
+         where id = v_cr.id;
+        v_left := v_left - v_take;
+      end loop;
+      v_refunds := v_refunds || jsonb_build_object('Credit', v_credit - v_left);
+      if v_left > 0 then
+        v_refunds := v_refunds || jsonb_build_object('Cash', coalesce((v_refunds ->> 'Cash')::numeric, 0) + v_left);
+      end if;
+    end if;
+  end if;
+
+  -- Store credit — refunded as such, or going back to where it was spent
+  if coalesce((v_refunds ->> 'Store Credit')::numeric, 0) > 0 then
+    update public.customers
+       set store_credit = store_credit + (v_refunds ->> 'Store Credit')::numeric
+     where id = v_sale.customer_id and shop_id = p_shop_id;
+  end if;
+
+  insert into public.sale_return_refunds (return_id, shop_id, method, amount)
+  select v_return_id, p_shop_id, key, value::numeric
+    from jsonb_each_text(v_refunds) where value::numeric > 0;
+
+  update public.sale_returns set refund_total = v_total, points_reversed = v_points where id = v_return_id;
+  update public.sales set returned_amount = returned_amount + v_total where id = p_sale_id;
+
+  return jsonb_build_object(
+    'return_id',       v_return_id,
+    'refund_total',    v_total,
+    'refunds',         (select coalesce(jsonb_agg(jsonb_build_object('method', method, 'amount', amount) order by id), '[]'::jsonb)
+                          from public.sale_return_refunds where return_id = v_return_id),
+    'points_reversed', v_points,
+    'loyalty_points',  v_balance,
+    'store_credit',    (select store_credit from public.customers where id = v_sale.customer_id),
+    'stock',           v_stock
+  );
+end;
+$$;
+
+grant execute on function public.process_sale_return(bigint, bigint, bigint, jsonb, text, text, numeric)
+  to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- promotion_report — per offer: sales it was applied to, units, discount
+-- given and the takings of those sales (net of returns)
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.promotion_report(p_shop_id bigint, p_from timestamptz, p_to timestamptz)
+returns table (
+  promotion_id  bigint,
+  name          text,
+  promo_type    text,
+  sales_count   bigint,
+  units         numeric,
+  discount      numeric,
+  revenue       numeric,
+  avg_basket    numeric
+)
+language sql
+stable
+as $$
+  with per_sale as (
+    select sp.promotion_id, sp.sale_id, max(sp.name) as name, max(sp.promo_type) as promo_type,
+           sum(sp.units) as units, sum(sp.amount) as amount
+      from public.sale_promotions sp
+      join public.sales s on s.id = sp.sale_id
+     where sp.shop_id = p_shop_id
+       and s.created_at >= p_from and s.created_at < p_to
+       and not coalesce(s.is_voided, false)
+     group by sp.promotion_id, sp.sale_id
+  )
+  select ps.promotion_id, coalesce(max(pr.name), max(ps.name))::text, max(ps.promo_type)::text,
+         count(*), sum(ps.units), sum(ps.amount),
+         sum(s.total_amount - coalesce(s.returned_amount, 0)),
+         round(avg(s.total_amount), 2)
+    from per_sale ps
+    join public.sales s on s.id = ps.sale_id
+    left join public.promotions pr on pr.id = ps.promotion_id
+   where public.has_permission('reports.view')
+   group by ps.promotion_id
+   order by 6 desc;
+$$;
+
+grant execute on function public.promotion_report(bigint, timestamptz, timestamptz) to anon, authenticated;
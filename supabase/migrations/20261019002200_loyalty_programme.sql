@@ -0,0 +1,973 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Loyalty programme
+--
+-- The rules that used to be constants in pos.html and customers.html are
+-- now per shop (shops.loyalty_*), edited from customers.html by
+-- loyalty.manage and read by assets/loyalty-module.js:
+--   loyalty_points_per_kes    points earned per KES paid
+--   loyalty_category_rates    { "Category": points per KES } overriding it
+--   loyalty_redeem_points     points worth KES 1 off
+--   loyalty_min_redeem        fewest points a customer can redeem at once
+--   loyalty_tiers             [{ name, icon, min_points, multiplier }]; a
+--                             customer's tier follows the points they have
+--                             earned (lifetime_points), not their balance,
+--                             and multiplies what they earn
+--   loyalty_expiry_months     earned points lapse after this long (null =
+--                             never); points that lapse soonest are
+--                             used first
+--   loyalty_signup_bonus      points given when a customer is added
+--   loyalty_birthday_bonus    points given once a year, in the week from
+--                             the customer's birthday
+--
+-- Every change to a customer's points is a loyalty_transactions row. The
+-- ledger keeps customers.loyalty_points and lifetime_points up to date, and
+-- those columns can no longer be written any other way.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+insert into public.permissions (key, label, category, default_roles) values
+  ('loyalty.manage', 'Set up the loyalty programme', 'Customers', '{}')
+on conflict (key) do update
+  set label = excluded.label, category = excluded.category, default_roles = excluded.default_roles;
+
+alter table public.shops
+  add column if not exists loyalty_points_per_kes  numeric(8, 4) not null default 1,
+  add column if not exists loyalty_category_rates  jsonb         not null default '{}'::jsonb,
+  add column if not exists loyalty_redeem_points   integer       not null default 100,
+  add column if not exists loyalty_min_redeem      integer       not null default 100,
+  add column if not exists loyalty_tiers           jsonb         not null default
+    '[{"name":"Bronze","icon":"🥉","min_points":50,"multiplier":1},
+      {"name":"Silver","icon":"🥈","min_points":200,"multiplier":1},
+      {"name":"Gold","icon":"🏆","min_points":500,"multiplier":1}]'::jsonb,
+  add column if not exists loyalty_expiry_months   integer,
+  add column if not exists loyalty_signup_bonus    integer       not null default 0,
+  add column if not exists loyalty_birthday_bonus  integer       not null default 0;
+
+alter table public.customers
+  add column if not exists lifetime_points numeric not null default 0,
+  add column if not exists birthday        date;
+
+-- What the loyalty discount on a sale was worth when it was given
+alter table public.sales
+  add column if not exists loyalty_discount numeric(12, 2) not null default 0;
+
+create table if not exists public.loyalty_transactions (
+  id           bigint generated by default as identity primary key,
+  shop_id      bigint  not null references public.shops (id) on delete cascade,
+  customer_id  bigint  not null references public.customers (id) on delete cascade,
+  kind         text    not null check (kind in ('opening', 'earn', 'redeem', 'reverse', 'expire', 'adjust', 'signup', 'birthday')),
+  points       numeric not null check (points <> 0),
+  sale_id      bigint  references public.sales (id) on delete set null,
+  return_id    bigint  references public.sale_returns (id) on delete set null,
+  expires_at   timestamptz,
+  reason       text,
+  created_by   bigint  references public.users (id) on delete set null,
+  created_at   timestamptz not null default now()
+);
+
+create index if not exists loyalty_transactions_customer_idx on public.loyalty_transactions (customer_id, created_at desc);
+create index if not exists loyalty_transactions_sale_idx     on public.loyalty_transactions (sale_id) where sale_id is not null;
+create index if not exists loyalty_transactions_expiry_idx   on public.loyalty_transactions (shop_id, expires_at) where expires_at is not null;
+
+-- Today's balances open the ledger; they never expire
+insert into public.loyalty_transactions (shop_id, customer_id, kind, points, reason)
+select c.shop_id, c.id, 'opening', c.loyalty_points, 'Balance when the loyalty ledger started'
+  from public.customers c
+ where coalesce(c.loyalty_points, 0) <> 0
+   and not exists (select 1 from public.loyalty_transactions t where t.customer_id = c.id);
+
+update public.customers set lifetime_points = greatest(0, coalesce(loyalty_points, 0)) where lifetime_points = 0;
+
+-- Read with the customer. Nothing is written from the browser: sales and
+-- returns post their points through loyalty_post_sale() and
+-- loyalty_reverse_return(), everything else goes through the RPCs below
+alter table public.loyalty_transactions enable row level security;
+drop policy if exists loyalty_transactions_read on public.loyalty_transactions;
+create policy loyalty_transactions_read on public.loyalty_transactions for select using (true);
+drop policy if exists loyalty_transactions_insert on public.loyalty_transactions;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- loyalty_expiry — when points earned now lapse, or null
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.loyalty_expiry(p_shop_id bigint, p_at timestamptz default now())
+returns timestamptz
+language sql
+stable
+as $$
+  select case when s.loyalty_expiry_months > 0 then p_at + make_interval(months => s.loyalty_expiry_months) end
+    from public.shops s where s.id = p_shop_id;
+$$;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- The ledger is the only way points change
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.loyalty_transactions_apply()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform set_config('duka.loyalty_ledger', 'on', true);
+  update public.customers
+     set loyalty_points  = coalesce(loyalty_points, 0) + new.points,
+         -- Tiers follow what was earned: spending or losing points keeps the tier
+         lifetime_points = lifetime_points
+                           + case when new.kind in ('opening', 'earn', 'reverse', 'signup', 'birthday') then new.points else 0 end
+   where id = new.customer_id;
+  perform set_config('duka.loyalty_ledger', 'off', true);
+  return new;
+end;
+$$;
+
+drop trigger if exists loyalty_transactions_apply on public.loyalty_transactions;
+create trigger loyalty_transactions_apply
+  after insert on public.loyalty_transactions
+  for each row execute function public.loyalty_transactions_apply();
+
+create or replace function public.customers_guard_points()
+returns trigger
+language plpgsql
+as $$
+begin
+  if coalesce(current_setting('duka.loyalty_ledger', true), 'off') = 'on' then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    if coalesce(new.loyalty_points, 0) <> 0 or coalesce(new.lifetime_points, 0) <> 0 then
+      raise exception 'New customers start with no points — give points through the loyalty ledger'
+        using errcode = '42501';
+    end if;
+  elsif new.loyalty_points is distinct from old.loyalty_points
+     or new.lifetime_points is distinct from old.lifetime_points then
+    raise exception 'Loyalty points only change through the loyalty ledger' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists customers_guard_points on public.customers;
+create trigger customers_guard_points
+  before insert or update on public.customers
+  for each row execute function public.customers_guard_points();
+
+create or replace function public.customers_signup_bonus()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_bonus integer;
+begin
+  select loyalty_signup_bonus into v_bonus from public.shops where id = new.shop_id;
+  if coalesce(v_bonus, 0) > 0 then
+    insert into public.loyalty_transactions (shop_id, customer_id, kind, points, expires_at, reason, created_by)
+    values (new.shop_id, new.id, 'signup', v_bonus, public.loyalty_expiry(new.shop_id), 'Welcome bonus',
+            public.session_user_id());
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists customers_signup_bonus on public.customers;
+create trigger customers_signup_bonus
+  after insert on public.customers
+  for each row execute function public.customers_signup_bonus();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- loyalty_housekeeping — lapse expired points and give birthday bonuses for
+-- one customer or the whole shop. Safe to run as often as you like: the
+-- tills run it when they load, and loyalty_post_sale() runs it before a
+-- redemption.
+--
+-- Points taken off (redemptions, reversals, deductions, earlier expiries)
+-- count against the points that expire soonest, so what lapses is the
+-- expired points less everything taken off.
+-- Returns { expired, birthdays }
+--
+-- run_loyalty_housekeeping does the work without asking who is calling,
+-- for the functions here only; loyalty_housekeeping is the RPC.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.run_loyalty_housekeeping(p_shop_id bigint, p_customer_id bigint default null)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_shop      public.shops;
+  v_cust      record;
+  v_expired   integer := 0;
+  v_birthdays integer := 0;
+  v_today     date := current_date;
+begin
+  select * into v_shop from public.shops where id = p_shop_id;
+
+  -- ── Expiry ───────────────────────────────────────────────────────────────
+  for v_cust in
+    select t.customer_id,
+           sum(t.points) filter (where t.points > 0 and t.expires_at <= now()) as lapsed,
+           -sum(t.points) filter (where t.points < 0)                          as used,
+           max(c.loyalty_points)                                              as balance
+      from public.loyalty_transactions t
+      join public.customers c on c.id = t.customer_id
+     where t.shop_id = p_shop_id
+       and (p_customer_id is null or t.customer_id = p_customer_id)
+       and t.customer_id in (select customer_id from public.loyalty_transactions
+                              where shop_id = p_shop_id and expires_at <= now())
+     group by t.customer_id
+  loop
+    if least(coalesce(v_cust.lapsed, 0) - coalesce(v_cust.used, 0), v_cust.balance) > 0 then
+      insert into public.loyalty_transactions (shop_id, customer_id, kind, points, reason)
+      values (p_shop_id, v_cust.customer_id, 'expire',
+              -least(v_cust.lapsed - coalesce(v_cust.used, 0), v_cust.balance), 'Points expired');
+      v_expired := v_expired + 1;
+    end if;
+  end loop;
+
+  -- ── Birthdays ────────────────────────────────────────────────────────────
+  if v_shop.loyalty_birthday_bonus > 0 then
+    -- From the birthday for a week; 29 February counts as the 28th in other years
+    for v_cust in
+      select c.id from public.customers c
+       where c.shop_id = p_shop_id and c.birthday is not null
+         and (p_customer_id is null or c.id = p_customer_id)
+         and exists (select 1 from generate_series(-1, 0) y
+                      where v_today between (c.birthday + make_interval(years => extract(year from v_today)::int + y
+                                                                           - extract(year from c.birthday)::int))::date
+                                        and (c.birthday + make_interval(years => extract(year from v_today)::int + y
+                                                                           - extract(year from c.birthday)::int))::date + 6)
+         and not exists (select 1 from public.loyalty_transactions t
+                          where t.customer_id = c.id and t.kind = 'birthday'
+                            and t.created_at > now() - interval '300 days')
+    loop
+      insert into public.loyalty_transactions (shop_id, customer_id, kind, points, expires_at, reason)
+      values (p_shop_id, v_cust.id, 'birthday', v_shop.loyalty_birthday_bonus,
+              public.loyalty_expiry(p_shop_id), 'Happy birthday!');
+      v_birthdays := v_birthdays + 1;
+    end loop;
+  end if;
+
+  return jsonb_build_object('expired', v_expired, 'birthdays', v_birthdays);
+end;
+$$;
+
+revoke execute on function public.run_loyalty_housekeeping(bigint, bigint) from public, anon, authenticated;
+
+create or replace function public.loyalty_housekeeping(p_shop_id bigint, p_customer_id bigint default null)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = p_shop_id)
+     or not (public.has_permission('sales.create') or public.has_permission('customers.view')) then
+    raise exception 'You do not have permission to update loyalty points' using errcode = '42501';
+  end if;
+  return public.run_loyalty_housekeeping(p_shop_id, p_customer_id);
+end;
+$$;
+
+grant execute on function public.loyalty_housekeeping(bigint, bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- adjust_loyalty_points — a manual correction or reward from customers.html
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.adjust_loyalty_points(p_customer_id bigint, p_points numeric, p_reason text default null)
+returns numeric
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_cust public.customers;
+begin
+  if not public.has_permission('customers.edit') then
+    raise exception 'You do not have permission to adjust loyalty points' using errcode = '42501';
+  end if;
+
+  select * into v_cust from public.customers where id = p_customer_id for update;
+  if not found or not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = v_cust.shop_id) then
+    raise exception 'Customer % not found', p_customer_id using errcode = 'P0002';
+  end if;
+  if coalesce(p_points, 0) = 0 then
+    return v_cust.loyalty_points;
+  end if;
+  if coalesce(v_cust.loyalty_points, 0) + p_points < 0 then
+    raise exception 'Only % points can be taken off', v_cust.loyalty_points using errcode = '22023';
+  end if;
+
+  insert into public.loyalty_transactions (shop_id, customer_id, kind, points, expires_at, reason, created_by)
+  values (v_cust.shop_id, v_cust.id, 'adjust', round(p_points),
+          case when p_points > 0 then public.loyalty_expiry(v_cust.shop_id) end,
+          nullif(trim(p_reason), ''), public.session_user_id());
+
+  return (select loyalty_points from public.customers where id = p_customer_id);
+end;
+$$;
+
+grant execute on function public.adjust_loyalty_points(bigint, numeric, text) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- set_loyalty_settings — p_settings { points_per_kes, category_rates,
+-- redeem_points, min_redeem, tiers, expiry_months, signup_bonus,
+-- birthday_bonus }
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.set_loyalty_settings(p_shop_id bigint, p_settings jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_tier jsonb;
+begin
+  if not public.has_permission('loyalty.manage')
+     or not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = p_shop_id) then
+    raise exception 'You do not have permission to change the loyalty programme' using errcode = '42501';
+  end if;
+  if coalesce((p_settings ->> 'points_per_kes')::numeric, -1) < 0 then
+    raise exception 'Points per KES cannot be negative' using errcode = '22023';
+  end if;
+  if coalesce((p_settings ->> 'redeem_points')::integer, 0) < 1 then
+    raise exception 'Set how many points are worth KES 1' using errcode = '22023';
+  end if;
+  if coalesce((p_settings ->> 'min_redeem')::integer, -1) < 0 then
+    raise exception 'The minimum redemption cannot be negative' using errcode = '22023';
+  end if;
+  if jsonb_typeof(coalesce(p_settings -> 'category_rates', '{}'::jsonb)) <> 'object'
+     or exists (select 1 from jsonb_each_text(coalesce(p_settings -> 'category_rates', '{}'::jsonb)) r where r.value::numeric < 0) then
+    raise exception 'Category earn rates must be zero or more' using errcode = '22023';
+  end if;
+  if jsonb_typeof(coalesce(p_settings -> 'tiers', '[]'::jsonb)) <> 'array' then
+    raise exception 'Tiers must be a list' using errcode = '22023';
+  end if;
+  for v_tier in select t from jsonb_array_elements(coalesce(p_settings -> 'tiers', '[]'::jsonb)) t loop
+    if coalesce(trim(v_tier ->> 'name'), '') = '' or coalesce((v_tier ->> 'min_points')::numeric, -1) < 0
+       or coalesce((v_tier ->> 'multiplier')::numeric, 0) <= 0 then
+      raise exception 'Every tier needs a name, a starting balance and a multiplier above 0' using errcode = '22023';
+    end if;
+  end loop;
+
+  update public.shops
+     set loyalty_points_per_kes = (p_settings ->> 'points_per_kes')::numeric,
+         loyalty_category_rates = coalesce(p_settings -> 'category_rates', '{}'::jsonb),
+         loyalty_redeem_points  = (p_settings ->> 'redeem_points')::integer,
+         loyalty_min_redeem     = (p_settings ->> 'min_redeem')::integer,
+         loyalty_tiers          = (select coalesce(jsonb_agg(t order by (t ->> 'min_points')::numeric), '[]'::jsonb)
+                                     from jsonb_array_elements(coalesce(p_settings -> 'tiers', '[]'::jsonb)) t),
+         loyalty_expiry_months  = nullif((p_settings ->> 'expiry_months')::integer, 0),
+         loyalty_signup_bonus   = greatest(0, coalesce((p_settings ->> 'signup_bonus')::integer, 0)),
+         loyalty_birthday_bonus = greatest(0, coalesce((p_settings ->> 'birthday_bonus')::integer, 0))
+   where id = p_shop_id;
+end;
+$$;
+
+grant execute on function public.set_loyalty_settings(bigint, jsonb) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- loyalty_post_sale — the points a sale redeems and earns, called by
+-- process_checkout once the sale and its lines are in. Expired points go
+-- first. Offline sales redeem what is left when the balance was spent
+-- elsewhere in the meantime. The sale's points_redeemed and
+-- loyalty_discount are set here from what was actually redeemed, at the
+-- shop's loyalty_redeem_points per KES.
+--
+-- Only a sale inserted in the calling transaction is posted (its xmin is
+-- this transaction), so called straight from the browser it can't reach
+-- an old sale.
+--
+-- What a sale earns is worked out here, the way assets/loyalty-module.js
+-- shows it at the till: what was paid is shared over the lines by what
+-- they cost after offers, each line earns at its category's rate, and the
+-- customer's tier multiplies the lot.
+-- Returns { points_earned, points_redeemed, loyalty_discount, loyalty_points }
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.loyalty_post_sale(p_sale_id bigint, p_redeem numeric default 0, p_offline boolean default false)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sale     public.sales;
+  v_shop     public.shops;
+  v_cust     public.customers;
+  v_redeem   numeric := coalesce(p_redeem, 0);
+  v_gross    numeric;
+  v_base     numeric;
+  v_multiply numeric;
+  v_earn     numeric := 0;
+  v_discount numeric := 0;
+begin
+  select * into v_sale from public.sales
+   where id = p_sale_id and xmin::text::bigint = txid_current() % 4294967296;
+  if not found or not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = v_sale.shop_id) then
+    raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+  end if;
+  if v_sale.customer_id is null then
+    return null;
+  end if;
+  if exists (select 1 from public.loyalty_transactions where sale_id = p_sale_id and kind in ('earn', 'redeem')) then
+    raise exception 'Points for sale % have already been posted', p_sale_id using errcode = '22023';
+  end if;
+
+  select * into v_shop from public.shops where id = v_sale.shop_id;
+  perform public.run_loyalty_housekeeping(v_sale.shop_id, v_sale.customer_id);
+  select * into v_cust from public.customers
+   where id = v_sale.customer_id and shop_id = v_sale.shop_id
+     for update;
+  if not found then
+    raise exception 'Customer % not found in this shop', v_sale.customer_id using errcode = 'P0002';
+  end if;
+
+  -- ── Redeem ───────────────────────────────────────────────────────────────
+  if v_redeem > 0 and not p_offline then
+    if v_redeem > coalesce(v_cust.loyalty_points, 0) then
+      raise exception 'Customer % does not have enough loyalty points', v_cust.id using errcode = 'P0001';
+    end if;
+    if v_redeem < v_shop.loyalty_min_redeem then
+      raise exception 'At least % points must be redeemed at once', v_shop.loyalty_min_redeem using errcode = '22023';
+    end if;
+  end if;
+
+  v_redeem := least(greatest(v_redeem, 0), greatest(coalesce(v_cust.loyalty_points, 0), 0));
+  if v_redeem > 0 then
+    insert into public.loyalty_transactions (shop_id, customer_id, kind, points, sale_id, created_by)
+    values (v_sale.shop_id, v_cust.id, 'redeem', -v_redeem, p_sale_id, v_sale.user_id);
+    v_discount := round(v_redeem / nullif(v_shop.loyalty_redeem_points, 0), 2);
+  end if;
+  update public.sales
+     set points_redeemed = v_redeem, loyalty_discount = coalesce(v_discount, 0)
+   where id = p_sale_id;
+
+  -- ── Earn ─────────────────────────────────────────────────────────────────
+  select sum(l.amount),
+         sum(l.amount * coalesce((select r.value::numeric from jsonb_each_text(v_shop.loyalty_category_rates) r
+                                   where lower(r.key) = lower(coalesce(l.category, '')) limit 1),
+                                 v_shop.loyalty_points_per_kes))
+    into v_gross, v_base
+    from (select i.unit_price * i.quantity - coalesce(i.promo_discount, 0) as amount, p.category::text as category
+            from public.sale_items i
+            left join public.products p on p.id = i.product_id
+           where i.sale_id = p_sale_id) l;
+
+  -- Highest tier the points earned so far reach
+  select coalesce((select (t ->> 'multiplier')::numeric
+                     from jsonb_array_elements(v_shop.loyalty_tiers) t
+                    where (t ->> 'min_points')::numeric <= coalesce(v_cust.lifetime_points, 0)
+                    order by (t ->> 'min_points')::numeric desc
+                    limit 1), 1)
+    into v_multiply;
+
+  if coalesce(v_gross, 0) > 0 and coalesce(v_sale.total_amount, 0) > 0 then
+    v_earn := floor(v_base * v_sale.total_amount / v_gross * v_multiply + 1e-9);
+  end if;
+  if v_earn > 0 then
+    insert into public.loyalty_transactions (shop_id, customer_id, kind, points, sale_id, expires_at, created_by)
+    values (v_sale.shop_id, v_cust.id, 'earn', v_earn, p_sale_id,
+            public.loyalty_expiry(v_sale.shop_id, v_sale.created_at), v_sale.user_id);
+  end if;
+
+  return jsonb_build_object(
+    'points_earned',   v_earn,
+    'points_redeemed', v_redeem,
+    'loyalty_discount', coalesce(v_discount, 0),
+    'loyalty_points',  (select loyalty_points from public.customers where id = v_cust.id)
+  );
+end;
+$$;
+
+grant execute on function public.loyalty_post_sale(bigint, numeric, boolean) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- loyalty_reverse_return — take back the share of points the returned
+-- goods earned, called by process_sale_return while the return is being
+-- made (its refund_total is still 0, and the row is this transaction's
+-- own, as in loyalty_post_sale). Never more than the customer still has.
+-- Returns the points taken back.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.loyalty_reverse_return(p_return_id bigint)
+returns numeric
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_return  public.sale_returns;
+  v_sale    public.sales;
+  v_refund  numeric;
+  v_earned  numeric;
+  v_left    numeric;
+  v_balance numeric;
+  v_points  numeric;
+begin
+  select * into v_return from public.sale_returns
+   where id = p_return_id and xmin::text::bigint = txid_current() % 4294967296;
+  if not found or not exists (select 1 from public.users me where me.id = public.session_user_id() and me.shop_id = v_return.shop_id) then
+    raise exception 'Return % not found', p_return_id using errcode = 'P0002';
+  end if;
+  if coalesce(v_return.refund_total, 0) <> 0
+     or exists (select 1 from public.loyalty_transactions where return_id = p_return_id) then
+    raise exception 'Points for return % have already been taken back', p_return_id using errcode = '22023';
+  end if;
+
+  select * into v_sale from public.sales where id = v_return.sale_id;
+  if v_sale.customer_id is null or coalesce(v_sale.total_amount, 0) <= 0 then
+    return 0;
+  end if;
+
+  select coalesce(sum(amount), 0) into v_refund from public.sale_return_items where return_id = p_return_id;
+
+  select sum(points) into v_earned
+    from public.loyalty_transactions where sale_id = v_sale.id and kind = 'earn';
+  if v_earned is null then
+    select floor(v_sale.total_amount * loyalty_points_per_kes) into v_earned from public.shops where id = v_sale.shop_id;
+  end if;
+  select v_earned - coalesce(sum(points_reversed), 0) into v_left
+    from public.sale_returns where sale_id = v_sale.id and id <> p_return_id;
+
+  select loyalty_points into v_balance from public.customers
+   where id = v_sale.customer_id and shop_id = v_sale.shop_id
+     for update;
+  v_points := greatest(0, least(v_left, floor(v_earned * v_refund / v_sale.total_amount), coalesce(v_balance, 0)));
+
+  if v_points > 0 then
+    insert into public.loyalty_transactions (shop_id, customer_id, kind, points, sale_id, return_id, created_by)
+    values (v_sale.shop_id, v_sale.customer_id, 'reverse', -v_points, v_sale.id, p_return_id, v_return.user_id);
+  end if;
+  return v_points;
+end;
+$$;
+
+grant execute on function public.loyalty_reverse_return(bigint) to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_checkout — same as 20261019002100, with points going through the
+-- ledger. p_loyalty is { customer_id, points_redeemed }; the points the
+-- sale redeems and earns, and the KES the redeemed points took off
+-- (sales.loyalty_discount), are worked out by loyalty_post_sale() — the
+-- points_redeemed and loyalty_discount in p_sale are ignored.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_checkout(
+  p_shop_id  bigint,
+  p_user_id  bigint,
+  p_sale     jsonb,
+  p_items    jsonb,
+  p_payments jsonb   default '[]'::jsonb,
+  p_loyalty  jsonb   default null,
+  p_offline  boolean default false
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale      public.sales;
+  v_sale_id   public.sales.id%type;
+  v_user      bigint;
+  v_offline   boolean;
+  v_policy    text;
+  v_line      record;
+  v_new_stock numeric;
+  v_stock     jsonb := '[]'::jsonb;
+  v_points    numeric;
+  v_payments  jsonb;
+  v_pay       record;
+  v_paid      numeric;
+  v_promo     record;
+  v_offer     public.promotions;
+  v_promos    numeric := 0;
+  v_lines     numeric;
+  v_at        timestamptz;
+  v_amount    numeric;
+  v_loyalty   jsonb;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Cannot check out an empty cart' using errcode = '22023';
+  end if;
+
+  v_sale := jsonb_populate_record(null::public.sales, p_sale);
+
+  -- The signed-in user records the sale, whatever p_user_id says. Only a
+  -- replay from a till's offline queue keeps the till's clock (never ahead
+  -- of ours) and the offline relaxations.
+  v_user := public.session_user_id();
+  if v_user is null then
+    raise exception 'Sign in to record a sale' using errcode = '42501';
+  end if;
+  v_offline := p_offline and v_sale.client_sale_id is not null and v_sale.created_at is not null;
+  v_at      := case when v_offline then least(v_sale.created_at, now()) else now() end;
+
+  -- ── Idempotency: a replayed client_sale_id returns the original sale ──────
+  if v_sale.client_sale_id is not null then
+    select id into v_sale_id
+      from public.sales
+     where client_sale_id = v_sale.client_sale_id and shop_id = p_shop_id;
+    if found then
+      return jsonb_build_object('sale_id', v_sale_id, 'duplicate', true, 'stock', '[]'::jsonb);
+    end if;
+  end if;
+
+  select oversell_policy into v_policy from public.shops where id = p_shop_id;
+  if not found then
+    raise exception 'Shop % not found', p_shop_id using errcode = 'P0002';
+  end if;
+
+  -- ── Sale header ──────────────────────────────────────────────────────────
+  insert into public.sales (
+    shop_id, user_id, total_amount, items_sold, payment_method, customer_id,
+    discount_amount, points_redeemed, loyalty_discount, client_sale_id, created_at
+  ) values (
+    p_shop_id, v_user, v_sale.total_amount, v_sale.items_sold, v_sale.payment_method,
+    v_sale.customer_id, coalesce(v_sale.discount_amount, 0), 0,
+    0, v_sale.client_sale_id, v_at
+  )
+  returning id into v_sale_id;
+
+  -- ── Line items ───────────────────────────────────────────────────────────
+  if exists (select 1 from jsonb_populate_recordset(null::public.sale_items, p_items) i
+              where coalesce(i.promo_discount, 0) < 0
+                 or coalesce(i.promo_discount, 0) > coalesce(i.unit_price, 0) * coalesce(i.quantity, 0) + 0.005) then
+    raise exception 'A promotion discount is larger than the line it is on' using errcode = '22023';
+  end if;
+
+  insert into public.sale_items (
+    sale_id, shop_id, product_id, quantity, unit_price, listed_price,
+    price_overridden, override_reason, promo_discount
+  )
+  select v_sale_id, p_shop_id, i.product_id, i.quantity, i.unit_price,
+         coalesce(i.listed_price, i.unit_price), coalesce(i.price_overridden, false), i.override_reason,
+         coalesce(i.promo_discount, 0)
+    from jsonb_populate_recordset(null::public.sale_items, p_items) i;
+
+  -- ── Promotions ───────────────────────────────────────────────────────────
+  -- The till works the offers out; here each must exist in this shop, be
+  -- running when the sale was rung up (an offer switched off since doesn't
+  -- undo an offline sale) and take off no more than its rule allows. Their
+  -- discounts sit on lines they cover, never on an overridden price, and add
+  -- up to exactly the line discounts.
+  if exists (select 1 from jsonb_populate_recordset(null::public.sale_items, p_items) i
+              where coalesce(i.price_overridden, false) and coalesce(i.promo_discount, 0) > 0) then
+    raise exception 'Promotions do not apply to a line whose price was overridden' using errcode = '22023';
+  end if;
+
+  for v_promo in select x from jsonb_array_elements(coalesce(p_sale -> 'promotions', '[]'::jsonb)) x loop
+    select * into v_offer from public.promotions
+     where id = (v_promo.x ->> 'promotion_id')::bigint and shop_id = p_shop_id;
+    if not found then
+      raise exception 'Promotion % does not exist in this shop', v_promo.x ->> 'promotion_id' using errcode = 'P0002';
+    end if;
+    if (not v_offline and not v_offer.is_active) or not public.promotion_is_live(v_offer, v_at) then
+      raise exception 'The promotion "%" is no longer running', v_offer.name using errcode = 'P0001';
+    end if;
+    if exists (select 1 from public.sale_promotions where sale_id = v_sale_id and promotion_id = v_offer.id) then
+      raise exception 'The promotion "%" is listed twice', v_offer.name using errcode = '22023';
+    end if;
+
+    -- The till rounds each line's share, a cent at most per line
+    v_amount := round((v_promo.x ->> 'amount')::numeric, 2);
+    if v_amount < 0
+       or v_amount > round(public.promotion_max_discount(v_offer, p_items), 2) + 0.01 * jsonb_array_length(p_items) then
+      raise exception 'The promotion "%" takes off more than its rule allows', v_offer.name using errcode = '22023';
+    end if;
+
+    insert into public.sale_promotions (sale_id, shop_id, promotion_id, name, promo_type, units, amount)
+    values (v_sale_id, p_shop_id, v_offer.id, v_offer.name, v_offer.promo_type,
+            coalesce((v_promo.x ->> 'units')::numeric, 0), v_amount);
+    v_promos := v_promos + v_amount;
+  end loop;
+
+  if exists (select 1 from public.sale_items i
+              where i.sale_id = v_sale_id and i.promo_discount > 0
+                and not exists (select 1 from public.sale_promotions sp
+                                  join public.promotions o on o.id = sp.promotion_id
+                                 where sp.sale_id = v_sale_id and public.promotion_covers(o, i.product_id))) then
+    raise exception 'A promotion discount is on a line none of the offers cover' using errcode = '22023';
+  end if;
+
+  select coalesce(sum(promo_discount), 0) into v_lines from public.sale_items where sale_id = v_sale_id;
+  if abs(v_promos - v_lines) > 0.01 then
+    raise exception 'Promotion discounts (%) do not match the line discounts (%)', v_promos, v_lines
+      using errcode = '22023';
+  end if;
+
+  -- ── Stock decrements (ordered by product id to avoid lock-order deadlocks)
+  for v_line in
+    select i.product_id, sum(i.quantity) as qty
+      from jsonb_populate_recordset(null::public.sale_items, p_items) i
+     group by i.product_id
+     order by i.product_id
+  loop
+    update public.products
+       set stock = stock - v_line.qty
+     where id = v_line.product_id
+       and shop_id = p_shop_id
+       and (v_offline or v_policy = 'allow' or stock >= v_line.qty)
+    returning stock into v_new_stock;
+
+    if not found then
+      select stock into v_new_stock from public.products
+       where id = v_line.product_id and shop_id = p_shop_id;
+      if not found then
+        raise exception 'Product % not found in this shop', v_line.product_id using errcode = 'P0002';
+      end if;
+      raise exception 'Insufficient stock for product %: % available, % requested',
+        v_line.product_id, v_new_stock, v_line.qty using errcode = 'P0001';
+    end if;
+
+    v_stock := v_stock || jsonb_build_object('product_id', v_line.product_id, 'stock', v_new_stock);
+  end loop;
+
+  -- ── Loyalty points ───────────────────────────────────────────────────────
+  if v_sale.customer_id is not null then
+    v_loyalty := public.loyalty_post_sale(v_sale_id, coalesce((p_loyalty ->> 'points_redeemed')::numeric, 0), v_offline);
+    v_points  := (v_loyalty ->> 'loyalty_points')::numeric;
+  end if;
+
+  -- ── Tender lines ─────────────────────────────────────────────────────────
+  -- No lines → one line for the whole total with the sale's payment_method
+  if p_payments is null or jsonb_array_length(p_payments) = 0 then
+    v_payments := jsonb_build_array(jsonb_build_object(
+      'method', coalesce(v_sale.payment_method, 'Cash'), 'amount', v_sale.total_amount));
+  else
+    v_payments := p_payments;
+  end if;
+
+  select coalesce(sum((p ->> 'amount')::numeric), 0) into v_paid
+    from jsonb_array_elements(v_payments) p;
+  if abs(v_paid - coalesce(v_sale.total_amount, 0)) > 0.01 then
+    raise exception 'Payments (%) do not add up to the sale total (%)', v_paid, v_sale.total_amount
+      using errcode = '22023';
+  end if;
+
+  for v_pay in select p from jsonb_array_elements(v_payments) p loop
+    insert into public.sale_payments (sale_id, shop_id, method, amount, reference, tendered, change_given)
+    values (
+      v_sale_id, p_shop_id, v_pay.p ->> 'method', (v_pay.p ->> 'amount')::numeric, v_pay.p ->> 'reference',
+      (v_pay.p ->> 'tendered')::numeric, coalesce((v_pay.p ->> 'change')::numeric, 0)
+    );
+
+    -- Amounts left on account become a customer_credits row the customer pays off later
+    if v_pay.p ->> 'method' = 'Credit' and (v_pay.p ->> 'amount')::numeric > 0 then
+      if v_sale.customer_id is null then
+        raise exception 'A customer is required to put a sale on credit' using errcode = '22023';
+      end if;
+      insert into public.customer_credits (
+        shop_id, customer_id, sale_id, amount, amount_paid, outstanding, description, due_date, status
+      ) values (
+        p_shop_id, v_sale.customer_id, v_sale_id, (v_pay.p ->> 'amount')::numeric, 0, (v_pay.p ->> 'amount')::numeric,
+        coalesce(v_pay.p ->> 'description', 'POS sale #' || v_sale_id), (v_pay.p ->> 'due_date')::date, 'unpaid'
+      );
+    end if;
+  end loop;
+
+  return jsonb_build_object(
+    'sale_id',        v_sale_id,
+    'duplicate',      false,
+    'stock',          v_stock,
+    'loyalty_points', v_points,
+    'points_earned',  (v_loyalty ->> 'points_earned')::numeric
+  );
+end;
+$$;
+
+grant execute on function public.process_checkout(bigint, bigint, jsonb, jsonb, jsonb, jsonb, boolean)
+  to anon, authenticated;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- process_sale_return — same as 20261019002100, with points taken back
+-- through the ledger in proportion to what the sale earned. p_points_per_kes
+-- is no longer used; older sales fall back to the shop's earn rate.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.process_sale_return(
+  p_shop_id         bigint,
+  p_user_id         bigint,
+  p_sale_id         bigint,
+  p_items           jsonb,
+  p_refund_method   text    default 'original',
+  p_reason          text    default null,
+  p_points_per_kes  numeric default 1
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_sale       public.sales;
+  v_return_id  bigint;
+  v_factor     numeric;
+  v_line       record;
+  v_item       public.sale_items;
+  v_returned   numeric;
+  v_amount     numeric;
+  v_total      numeric := 0;
+  v_new_stock  numeric;
+  v_stock      jsonb := '[]'::jsonb;
+  v_points     numeric := 0;
+  v_balance    numeric;
+  v_credit     numeric;
+  v_refunds    jsonb := '{}'::jsonb;
+  v_pay        record;
+  v_paid       numeric;
+  v_left       numeric;
+  v_share      numeric;
+  v_cr         record;
+  v_take       numeric;
+begin
+  if p_items is null or jsonb_array_length(p_items) = 0 then
+    raise exception 'Select at least one item to return' using errcode = '22023';
+  end if;
+  if p_refund_method not in ('original', 'store_credit') then
+    raise exception 'Unknown refund method %', p_refund_method using errcode = '22023';
+  end if;
+
+  select * into v_sale from public.sales where id = p_sale_id and shop_id = p_shop_id for update;
+  if not found then
+    raise exception 'Sale % not found', p_sale_id using errcode = 'P0002';
+  end if;
+  if coalesce(v_sale.is_voided, false) then
+    raise exception 'Sale % has been voided', p_sale_id using errcode = '22023';
+  end if;
+  if p_refund_method = 'store_credit' and v_sale.customer_id is null then
+    raise exception 'Store credit needs a customer on the sale' using errcode = '22023';
+  end if;
+
+  -- Each line is refunded its share of the sale total in proportion to its
+  -- line_total (after promotions, with VAT), which shares out the loyalty
+  -- discount. Sales from before VAT lines existed use the shelf prices.
+  select coalesce(v_sale.total_amount, 0) / nullif(sum(coalesce(line_total, unit_price * quantity)), 0) into v_factor
+    from public.sale_items where sale_id = p_sale_id;
+  v_factor := coalesce(v_factor, 0);
+
+  insert into public.sale_returns (shop_id, sale_id, user_id, customer_id, refund_method, reason)
+  values (p_shop_id, p_sale_id, p_user_id, v_sale.customer_id, p_refund_method, nullif(trim(p_reason), ''))
+  returning id into v_return_id;
+
+  -- ── Lines ────────────────────────────────────────────────────────────────
+  for v_line in
+    select (l ->> 'sale_item_id')::bigint        as sale_item_id,
+           (l ->> 'quantity')::numeric           as quantity,
+           coalesce(l ->> 'disposition', 'restock') as disposition
+      from jsonb_array_elements(p_items) l
+     order by (l ->> 'sale_item_id')::bigint
+  loop
+    if coalesce(v_line.quantity, 0) <= 0 then continue; end if;
+
+    select * into v_item from public.sale_items where id = v_line.sale_item_id and sale_id = p_sale_id;
+    if not found then
+      raise exception 'Line % is not part of sale %', v_line.sale_item_id, p_sale_id using errcode = 'P0002';
+    end if;
+
+    select coalesce(sum(quantity), 0) into v_returned
+      from public.sale_return_items where sale_item_id = v_item.id;
+    if v_line.quantity > v_item.quantity - v_returned then
+      raise exception 'Only % of line % can still be returned', v_item.quantity - v_returned, v_item.id
+        using errcode = 'P0001';
+    end if;
+
+    v_amount := round(coalesce(v_item.line_total, v_item.unit_price * v_item.quantity) / nullif(v_item.quantity, 0)
+                      * v_factor * v_line.quantity, 2);
+    v_total  := v_total + v_amount;
+
+    insert into public.sale_return_items (return_id, sale_item_id, product_id, quantity, amount, disposition)
+    values (v_return_id, v_item.id, v_item.product_id, v_line.quantity, v_amount, v_line.disposition);
+
+    if v_line.disposition = 'restock' and v_item.product_id is not null then
+      update public.products set stock = stock + v_line.quantity
+       where id = v_item.product_id and shop_id = p_shop_id
+      returning stock into v_new_stock;
+      if found then
+        v_stock := v_stock || jsonb_build_object('product_id', v_item.product_id, 'stock', v_new_stock);
+      end if;
+    end if;
+  end loop;
+
+  if v_total <= 0 then
+    raise exception 'Nothing to refund' using errcode = '22023';
+  end if;
+
+  -- ── Loyalty: take back the share of points the returned goods earned ────
+  if v_sale.customer_id is not null then
+    v_points := public.loyalty_reverse_return(v_return_id);
+    select loyalty_points into v_balance from public.customers where id = v_sale.customer_id;
+  end if;
+
+  -- ── Refund ───────────────────────────────────────────────────────────────
+  if p_refund_method = 'store_credit' then
+    v_refunds := jsonb_build_object('Store Credit', v_total);
+  else
+    select coalesce(sum(amount), 0) into v_paid
+      from public.sale_payments where sale_id = p_sale_id and amount > 0;
+
+    if v_paid <= 0 then
+      v_refunds := jsonb_build_object(coalesce(nullif(v_sale.payment_method, 'Split'), 'Cash'), v_total);
+    else
+      v_left := v_total;
+      for v_pay in
+        select method, amount, row_number() over (order by id) as n, count(*) over () as cnt
+          from public.sale_payments where sale_id = p_sale_id and amount > 0
+      loop
+        -- Last line takes the rounding remainder
+        v_share := case when v_pay.n = v_pay.cnt then v_left else round(v_total * v_pay.amount / v_paid, 2) end;
+        v_left  := v_left - v_share;
+        v_refunds := v_refunds || jsonb_build_object(v_pay.method,
+          coalesce((v_refunds ->> v_pay.method)::numeric, 0) + v_share);
+      end loop;
+    end if;
+
+    -- A Credit share cancels what the customer still owes on this sale
+    v_credit := coalesce((v_refunds ->> 'Credit')::numeric, 0);
+    if v_credit > 0 then
+      v_left := v_credit;
+      for v_cr in
+        select id, outstanding from public.customer_credits
+         where sale_id = p_sale_id and shop_id = p_shop_id and not is_deleted and outstanding > 0
+         order by id
+         for update
+      loop
+        exit when v_left <= 0;
+        v_take := least(v_left, v_cr.outstanding);
+        update public.customer_credits
+           set amount      = amount - v_take,
+               outstanding = outstanding - v_take,
+               status      = case when outstanding - v_take <= 0 then 'paid' else status end,
+               updated_at  = now()
+         where id = v_cr.id;
+        v_left := v_left - v_take;
+      end loop;
+      v_refunds := v_refunds || jsonb_build_object('Credit', v_credit - v_left);
+      if v_left > 0 then
+        v_refunds := v_refunds || jsonb_build_object('Cash', coalesce((v_refunds ->> 'Cash')::numeric, 0) + v_left);
+      end if;
+    end if;
+  end if;
+
+  -- Store credit — refunded as such, or going back to where it was spent
+  if coalesce((v_refunds ->> 'Store Credit')::numeric, 0) > 0 then
+    update public.customers
+       set store_credit = store_credit + (v_refunds ->> 'Store Credit')::numeric
+     where id = v_sale.customer_id and shop_id = p_shop_id;
+  end if;
+
+  insert into public.sale_return_refunds (return_id, shop_id, method, amount)
+  select v_return_id, p_shop_id, key, value::numeric
+    from jsonb_each_text(v_refunds) where value::numeric > 0;
+
+  update public.sale_returns set refund_total = v_total, points_reversed = v_points where id = v_return_id;
+  update public.sales set returned_amount = returned_amount + v_total where id = p_sale_id;
+
+  return jsonb_build_object(
+    'return_id',       v_return_id,
+    'refund_total',    v_total,
+    'refunds',         (select coalesce(jsonb_agg(jsonb_build_object('method', method, 'amount', amount) order by id), '[]'::jsonb)
+                          from public.sale_return_refunds where return_id = v_return_id),
+    'points_reversed', v_points,
+    'loyalty_points',  v_balance,
+    'store_credit',    (select store_credit from public.customers where id = v_sale.customer_id),
+    'stock',           v_stock
+  );
+end;
+$$;
+
+grant execute on function public.process_sale_return(bigint, bigint, bigint, jsonb, text, text, numeric)
+  to anon, authenticated;
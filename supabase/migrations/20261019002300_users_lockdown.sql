@@ -0,0 +1,119 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Lock down users and user_sessions
+--
+-- Until now the anon key could read every row of public.users, password
+-- hashes included, and write password_hash straight from the browser.
+-- Passwords are now only written by Edge Functions (auth-login upgrades,
+-- auth-account creates and changes, both PBKDF2), and the browser:
+--   • can't read or write users.password_hash at all,
+--   • sees only the users of its own shop,
+--   • can edit a user's profile only with users.manage, or its own
+--     last_logout,
+--   • sees its own session rows, plus its shop's with users.manage.
+-- Service-role calls and security definer functions are unaffected.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- session_shop_id — the shop of the user behind this request's
+-- x-session-token. security definer, so the users policies below can use
+-- it without recursing into themselves.
+-- ═══════════════════════════════════════════════════════════════════════════
+create or replace function public.session_shop_id()
+returns bigint
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select u.shop_id
+    from public.user_sessions s
+    join public.users u on u.id = s.user_id
+   where s.session_token = nullif(current_setting('request.headers', true)::json ->> 'x-session-token', '')
+     and coalesce(s.is_active, true)
+     and (s.expires_at is null or s.expires_at > now())
+   limit 1;
+$$;
+
+grant execute on function public.session_shop_id() to anon, authenticated;
+
+-- ── Column privileges: every column but password_hash is readable ─────────
+revoke all on public.users from anon, authenticated;
+
+do $$
+declare
+  v_cols text;
+begin
+  select string_agg(quote_ident(column_name), ', ' order by ordinal_position)
+    into v_cols
+    from information_schema.columns
+   where table_schema = 'public' and table_name = 'users' and column_name <> 'password_hash';
+  execute format('grant select (%s) on public.users to anon, authenticated', v_cols);
+end;
+$$;
+
+grant update (full_name, email, phone, role, is_active, last_logout) on public.users to anon, authenticated;
+
+-- ── Rows: the caller's shop only. Restrictive, so they hold whatever
+-- permissive policies the table already had ────────────────────────────────
+alter table public.users enable row level security;
+
+drop policy if exists users_read on public.users;
+create policy users_read on public.users for select using (true);
+
+drop policy if exists users_update on public.users;
+create policy users_update on public.users for update using (true);
+
+drop policy if exists users_shop on public.users;
+create policy users_shop on public.users
+  as restrictive using (shop_id = public.session_shop_id()) with check (shop_id = public.session_shop_id());
+
+drop policy if exists users_manage on public.users;
+create policy users_manage on public.users
+  as restrictive for update using (id = public.session_user_id() or public.has_permission('users.manage'));
+
+-- Anyone may stamp their own last_logout; the rest is user management
+create or replace function public.users_guard_edit()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated')
+     and (to_jsonb(new) - 'last_logout') is distinct from (to_jsonb(old) - 'last_logout')
+     and not public.has_permission('users.manage') then
+    raise exception 'You do not have permission to edit users' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists users_guard_edit on public.users;
+create trigger users_guard_edit
+  before update on public.users
+  for each row execute function public.users_guard_edit();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- user_sessions — tokens are credentials. The browser reads and closes its
+-- own session (auth.js checks and logs out by token); administrators see
+-- their shop's sessions in admin.html. Sessions are only opened by the
+-- auth-login Edge Function.
+-- ═══════════════════════════════════════════════════════════════════════════
+revoke insert, delete on public.user_sessions from anon, authenticated;
+alter table public.user_sessions enable row level security;
+
+drop policy if exists user_sessions_read on public.user_sessions;
+create policy user_sessions_read on public.user_sessions for select using (true);
+
+drop policy if exists user_sessions_close on public.user_sessions;
+create policy user_sessions_close on public.user_sessions for update using (true);
+
+drop policy if exists user_sessions_own on public.user_sessions;
+create policy user_sessions_own on public.user_sessions
+  as restrictive using (
+    session_token = nullif(current_setting('request.headers', true)::json ->> 'x-session-token', '')
+    or (public.has_permission('users.manage')
+        and exists (select 1 from public.users u where u.id = user_id and u.shop_id = public.session_shop_id())));
+
+drop policy if exists user_sessions_close_own on public.user_sessions;
+create policy user_sessions_close_own on public.user_sessions
+  as restrictive for update
+  using (session_token = nullif(current_setting('request.headers', true)::json ->> 'x-session-token', ''));
@@ -0,0 +1,48 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Shop scope for row level security
+--
+-- has_permission() answers for the caller's role, not for the shop a row
+-- belongs to, and the permissive shop_rls / *_read policies are
+-- using (true). So far a signed-in user could read or write another
+-- shop's rows just by asking for its shop_id.
+--
+-- Every table with a shop_id column and RLS on now gets a restrictive
+-- shop_scope policy: the row's shop must be the shop of the user behind
+-- x-session-token (session_shop_id(), 20261019002300_users_lockdown.sql).
+-- A request without a live session sees and writes nothing. users keeps
+-- its own users_shop policy.
+--
+-- Supplier logins may belong to another shop (20261019001700). On the
+-- tables that have a supplier_scope policy, that policy decides what a
+-- supplier session sees instead.
+--
+-- Service-role calls (Edge Functions) and security definer functions
+-- bypass this, as before. Tables created after this migration add their
+-- own shop_scope.
+-- ═══════════════════════════════════════════════════════════════════════════
+do $$
+declare
+  t        text;
+  v_using  text;
+begin
+  for t in
+    select c.relname
+      from pg_class c
+      join pg_attribute a on a.attrelid = c.oid and a.attname = 'shop_id' and not a.attisdropped
+     where c.relnamespace = 'public'::regnamespace
+       and c.relkind = 'r'
+       and c.relrowsecurity
+       and c.relname <> 'users'
+  loop
+    v_using := case
+                 when exists (select 1 from pg_policies
+                               where schemaname = 'public' and tablename = t and policyname = 'supplier_scope')
+                 then 'shop_id = public.session_shop_id() or public.session_supplier_ids() is not null'
+                 else 'shop_id = public.session_shop_id()'
+               end;
+    execute format('drop policy if exists shop_scope on public.%I', t);
+    execute format('create policy shop_scope on public.%I as restrictive using (%s) with check (%s)',
+                   t, v_using, v_using);
+  end loop;
+end;
+$$;
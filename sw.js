@@ -1,9 +1,11 @@
 // ═══════════════════════════════════════════════════════════════════
 // G&H Solutions POS — Service Worker
-// v1.0.2 — Network-first for HTML/JS so Vercel deploys take effect immediately
+// v1.0.3 — Background Sync replay of sales queued while offline
 // ═══════════════════════════════════════════════════════════════════
 
-const APP_VERSION = 'gh-pos-v1.0.2';  // ← bumped to bust old stale cache
+importScripts('/assets/offline-sales-queue.js');
+
+const APP_VERSION = 'gh-pos-v1.0.24';  // ← bumped to bust old stale cache
 const SHELL_CACHE = `${APP_VERSION}-shell`;
 const IMAGE_CACHE = `${APP_VERSION}-images`;
 
@@ -14,9 +16,11 @@ const SHELL_FILES = [
   '/dashboard.html',
   '/products.html',
   '/inventory.html',
+  '/stocktake.html',
   '/customers.html',
   '/admin.html',
   '/suppliers.html',
+  '/supplier-portal.html',
   '/supply-requests.html',
   '/manifest.json',
   '/offline.html',
@@ -32,6 +36,14 @@ const SHELL_FILES = [
   '/assets/nav-visibility-controller.js',
   '/assets/sales-analytics.js',
   '/assets/supplier-orders-module.js',
+  '/assets/offline-sales-queue.js',
+  '/assets/escpos-printer.js',
+  '/assets/fiscal-module.js',
+  '/assets/barcode-scanner.js',
+  '/assets/zxing.min.js',
+  '/assets/barcode-labels.js',
+  '/assets/promotions-module.js',
+  '/assets/loyalty-module.js',
 
 
   '/assets/icons/icon-192x192.png',
@@ -205,6 +217,24 @@ function offlineFallback() {
   );
 }
 
+// ════════════════════════════════════════════════════════════════════
+// SYNC — replay sales queued by pos.html while the till was offline
+// Rejecting the waitUntil promise tells the browser to retry later.
+// ════════════════════════════════════════════════════════════════════
+self.addEventListener('sync', event => {
+  if (event.tag !== self.offlineSalesQueue.SYNC_TAG) return;
+  event.waitUntil(
+    self.offlineSalesQueue.flush().then(async result => {
+      const { count } = await self.offlineSalesQueue.getPendingCount();
+      const clients = await self.clients.matchAll({ includeUncontrolled: true });
+      clients.forEach(c => c.postMessage({
+        type: 'SALES_SYNCED', synced: result.synced, failed: result.failed, needsSignin: result.needsSignin, pending: count
+      }));
+      if (result.retry) throw new Error(result.error || 'Still offline');
+    })
+  );
+});
+
 // ════════════════════════════════════════════════════════════════════
 // MESSAGE — manual cache control from pages
 // ════════════════════════════════════════════════════════════════════